@@ -0,0 +1,405 @@
+#!/usr/bin/env node
+//
+// Reference news proxy for the frontend's proxy mode.
+//
+// Exposes the endpoints doFetch calls when REACT_APP_NEWS_API_MODE=proxy:
+//   GET <basePath>/top-headlines  -> NewsAPI /top-headlines
+//   GET <basePath>/search         -> NewsAPI /everything
+//   GET <basePath>/sources        -> NewsAPI /top-headlines/sources
+//   GET <basePath>/rss?url=<feed> -> raw RSS/Atom XML (for the 'rss' provider)
+//   GET <basePath>/image?url=<img> -> an article image (for REACT_APP_IMAGE_PROXY)
+//
+// The NewsAPI key stays on the server (NEWS_API_KEY) and is never accepted from the browser.
+// Upstream status codes and Retry-After headers are passed through so the frontend's retry
+// policy can honour them.
+//
+// The url-taking endpoints would otherwise let anyone who can reach the proxy make it fetch
+// arbitrary URLs. They only fetch hosts on an allow-list (an unset list disables the endpoint; an
+// entry starting with a dot also allows that domain's subdomains), and
+// never addresses on loopback, private or link-local networks: the host is resolved and checked
+// before every request, and the connection goes to the address that was checked (a second DNS
+// answer can't swap in a private one, as in DNS rebinding). Redirects are followed by hand so each
+// hop goes through the same checks.
+//
+// Feeds and images are passed on with nosniff and a sandboxing Content-Security-Policy, so markup
+// in them never runs on the proxy's origin. Feeds are limited to RSS_MAX_BYTES.
+//
+// Images are fetched server-side so publishers that block hotlinking, or serve plain http, still
+// show up. Only raster image/* responses up to IMAGE_MAX_BYTES are passed on, with a day of
+// caching. SVG is refused (it can carry script that would run on the proxy's origin).
+//
+// Mock mode (PROXY_MODE=mock) serves the recorded responses in ./fixtures instead of calling
+// upstream (every image is the same placeholder), so the app runs with no key and no network.
+// Failures can be injected for the whole server with MOCK_SCENARIO, or per request with the
+// `_mock` query parameter or the `X-Mock-Scenario` header:
+//   ok | 401 | 429 | 500 | slow | flaky
+// 'slow' waits MOCK_DELAY_MS (default 3000) before answering; 'flaky' fails every other request
+// with 503. Scenarios can be combined with commas, e.g. `_mock=slow,429`.
+//
+// Environment:
+//   PORT (3010), PROXY_BASE_PATH (/api/news), PROXY_MODE (live | mock), NEWS_API_KEY,
+//   NEWS_API_UPSTREAM (https://newsapi.org/v2), CORS_ORIGIN (*), UPSTREAM_TIMEOUT_MS (15000),
+//   RSS_ALLOWED_HOSTS and IMAGE_ALLOWED_HOSTS (comma-separated; unset disables /rss or /image),
+//   RSS_MAX_BYTES (5 MB), IMAGE_MAX_BYTES (5 MB),
+//   ALLOW_PRIVATE_TARGETS (1 to allow private addresses, e.g. an intranet feed), MOCK_SCENARIO,
+//   MOCK_DELAY_MS
+//
+const http = require('http');
+const https = require('https');
+const fs = require('fs');
+const path = require('path');
+const dns = require('dns');
+const net = require('net');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+// For bodies that come from third parties (feeds and images).
+const UNTRUSTED_HEADERS = {
+  'X-Content-Type-Options': 'nosniff',
+  'Content-Security-Policy': "default-src 'none'; sandbox",
+};
+const IMAGE_HEADERS = { 'Cache-Control': 'public, max-age=86400', ...UNTRUSTED_HEADERS };
+const MAX_REDIRECTS = 5;
+
+// Addresses the url-taking endpoints never fetch: this host, private networks, link-local
+// (including cloud metadata services at 169.254.169.254), and unspecified/multicast/reserved ranges.
+const PRIVATE_NETWORKS = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3],
+].forEach(([prefix, bits]) => PRIVATE_NETWORKS.addSubnet(prefix, bits, 'ipv4'));
+[['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]].forEach(([prefix, bits]) => PRIVATE_NETWORKS.addSubnet(prefix, bits, 'ipv6'));
+
+class TargetRefusedError extends Error {}
+
+// Only these query parameters are forwarded upstream, per endpoint.
+const ALLOWED_PARAMS = {
+  'top-headlines': ['country', 'category', 'sources', 'q', 'pageSize', 'page'],
+  search: ['q', 'searchIn', 'sources', 'domains', 'excludeDomains', 'from', 'to', 'language', 'sortBy', 'pageSize', 'page'],
+  sources: ['category', 'language', 'country'],
+};
+
+const UPSTREAM_PATHS = {
+  'top-headlines': 'top-headlines',
+  search: 'everything',
+  sources: 'top-headlines/sources',
+};
+
+function readHostList(raw) {
+  return String(raw || '').split(',').map((h) => h.trim().toLowerCase()).filter(Boolean);
+}
+
+function readOptions(env = process.env) {
+  return {
+    port: Number(env.PORT) || 3010,
+    basePath: String(env.PROXY_BASE_PATH || '/api/news').replace(/\/*$/, ''),
+    mode: env.PROXY_MODE === 'mock' ? 'mock' : 'live',
+    apiKey: env.NEWS_API_KEY || '',
+    upstream: String(env.NEWS_API_UPSTREAM || 'https://newsapi.org/v2').replace(/\/*$/, ''),
+    corsOrigin: env.CORS_ORIGIN || '*',
+    timeoutMs: Number(env.UPSTREAM_TIMEOUT_MS) || 15000,
+    rssAllowedHosts: readHostList(env.RSS_ALLOWED_HOSTS),
+    imageAllowedHosts: readHostList(env.IMAGE_ALLOWED_HOSTS),
+    allowPrivateTargets: env.ALLOW_PRIVATE_TARGETS === '1',
+    rssMaxBytes: Number(env.RSS_MAX_BYTES) || 5 * 1024 * 1024,
+    imageMaxBytes: Number(env.IMAGE_MAX_BYTES) || 5 * 1024 * 1024,
+    mockScenario: env.MOCK_SCENARIO || 'ok',
+    mockDelayMs: Number(env.MOCK_DELAY_MS) || 3000,
+  };
+}
+
+function send(res, status, body, headers = {}) {
+  const isText = typeof body === 'string';
+  res.writeHead(status, {
+    'Content-Type': isText ? 'application/xml; charset=utf-8' : 'application/json; charset=utf-8',
+    ...headers,
+  });
+  res.end(isText ? body : JSON.stringify(body));
+}
+
+function sendError(res, status, code, message, headers) {
+  send(res, status, { status: 'error', code, message }, headers);
+}
+
+function pickParams(searchParams, allowed) {
+  const out = new URLSearchParams();
+  allowed.forEach((key) => {
+    const value = searchParams.get(key);
+    if (value !== null && value !== '') out.set(key, value);
+  });
+  return out;
+}
+
+function readTargetUrl(searchParams) {
+  // The ?url= of the rss and image endpoints, if it's an absolute http(s) URL.
+  try {
+    const url = new URL(searchParams.get('url') || '');
+    return /^https?:$/.test(url.protocol) ? url : null;
+  } catch {
+    return null;
+  }
+}
+
+function resolveHost(host) {
+  return dns.promises.lookup(host, { all: true, verbatim: true });
+}
+
+async function checkTarget(url, allowedHosts, options) {
+  // The { address, family } to connect to for url. Throws TargetRefusedError unless url may be
+  // fetched: an allow-listed host that doesn't resolve to a private address.
+  const host = url.hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  const allowed = allowedHosts.some((entry) => entry === host || (entry.startsWith('.') && host.endsWith(entry)));
+  if (!allowed) throw new TargetRefusedError(`Host ${host} is not allowed.`);
+  let addresses;
+  try {
+    addresses = net.isIP(host) ? [{ address: host, family: net.isIP(host) }] : await (options.resolveHost || resolveHost)(host);
+  } catch {
+    throw new TargetRefusedError(`Host ${host} could not be resolved.`);
+  }
+  if (!addresses.length) throw new TargetRefusedError(`Host ${host} could not be resolved.`);
+  const isPrivate = ({ address, family }) => PRIVATE_NETWORKS.check(address, family === 6 ? 'ipv6' : 'ipv4');
+  if (!options.allowPrivateTargets && addresses.some(isPrivate)) {
+    throw new TargetRefusedError(`Host ${host} resolves to a private address.`);
+  }
+  return addresses[0];
+}
+
+function requestPinned(url, headers, address, timeoutMs) {
+  // GET url from the given address instead of resolving its host again. Resolves once the headers
+  // arrive with a fetch-like { status, ok, headers.get(), body } where body is the Node stream.
+  return new Promise((resolve, reject) => {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeoutMs);
+    const lookup = (hostname, opts, callback) => (opts.all
+      ? callback(null, [address])
+      : callback(null, address.address, address.family));
+    const client = url.protocol === 'https:' ? https : http;
+    const req = client.get(url, { headers, lookup, signal: controller.signal }, (res) => {
+      clearTimeout(timer);
+      resolve({
+        status: res.statusCode,
+        ok: res.statusCode >= 200 && res.statusCode < 300,
+        headers: { get: (name) => (res.headers[name.toLowerCase()] === undefined ? null : String(res.headers[name.toLowerCase()])) },
+        body: res,
+      });
+    });
+    req.on('error', (err) => {
+      clearTimeout(timer);
+      reject(err);
+    });
+  });
+}
+
+async function fetchTarget(url, headers, allowedHosts, options) {
+  // Fetch a user-supplied URL: every hop, redirects included, must pass checkTarget, and connects to
+  // the address the check resolved.
+  let target = url;
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop += 1) {
+    const address = await checkTarget(target, allowedHosts, options);
+    const upstream = await requestPinned(target, headers, address, options.timeoutMs);
+    const location = upstream.headers.get('location');
+    if (upstream.status < 300 || upstream.status >= 400 || !location) return upstream;
+    upstream.body.resume();
+    target = new URL(location, target);
+    if (!/^https?:$/.test(target.protocol)) throw new TargetRefusedError('Redirected to a non-http(s) URL.');
+  }
+  throw new TargetRefusedError('Too many redirects.');
+}
+
+function loadFixture(name) {
+  const raw = fs.readFileSync(path.join(FIXTURES_DIR, name), 'utf8');
+  return name.endsWith('.json') ? JSON.parse(raw) : raw;
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function fetchUpstream(url, init, timeoutMs) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeoutMs);
+  try {
+    return await fetch(url, { ...init, signal: controller.signal });
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function createMockHandler(options) {
+  let requestCount = 0;
+
+  return async function handleMock(endpoint, searchParams, req, res) {
+    requestCount += 1;
+    const scenario = String(searchParams.get('_mock') || req.headers['x-mock-scenario'] || options.mockScenario);
+    const flags = new Set(scenario.split(',').map((s) => s.trim()));
+
+    if (flags.has('slow')) await delay(options.mockDelayMs);
+    if (flags.has('401')) return sendError(res, 401, 'apiKeyInvalid', 'Your API key is invalid or incorrect. (mock)');
+    if (flags.has('429')) {
+      return sendError(res, 429, 'rateLimited', 'You have made too many requests recently. (mock)', { 'Retry-After': '5' });
+    }
+    if (flags.has('500')) return sendError(res, 500, 'unexpectedError', 'Upstream failure. (mock)');
+    if (flags.has('flaky') && requestCount % 2 === 1) {
+      return sendError(res, 503, 'unexpectedError', 'Temporarily unavailable. (mock)');
+    }
+
+    if (endpoint === 'rss') return send(res, 200, loadFixture('feed.xml'), UNTRUSTED_HEADERS);
+    if (endpoint === 'image') {
+      return send(res, 200, loadFixture('image.svg'), { 'Content-Type': 'image/svg+xml', ...IMAGE_HEADERS });
+    }
+    if (endpoint === 'sources') {
+      const filters = ALLOWED_PARAMS.sources.filter((key) => searchParams.get(key));
+      const sources = loadFixture('sources.json').sources.filter((s) => filters.every((key) => s[key] === searchParams.get(key)));
+      return send(res, 200, { status: 'ok', sources });
+    }
+
+    const fixture = loadFixture(`${endpoint}.json`);
+    // Page the recorded articles so pagination works offline.
+    const pageSize = Math.min(Math.max(1, Number(searchParams.get('pageSize')) || 20), 100);
+    const page = Math.max(1, Number(searchParams.get('page')) || 1);
+    const start = (page - 1) * pageSize;
+    return send(res, 200, {
+      status: 'ok',
+      totalResults: fixture.articles.length,
+      articles: fixture.articles.slice(start, start + pageSize),
+    });
+  };
+}
+
+async function readLimited(upstream, maxBytes) {
+  // The body as a Buffer, or null when content-length or, as it streams, the body itself is over
+  // maxBytes (content-length can be missing).
+  if (Number(upstream.headers.get('content-length')) > maxBytes) {
+    upstream.body.destroy();
+    return null;
+  }
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of upstream.body) {
+    size += chunk.length;
+    if (size > maxBytes) {
+      upstream.body.destroy();
+      return null;
+    }
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks, size);
+}
+
+async function proxyImage(target, res, options) {
+  if (!options.imageAllowedHosts.length) {
+    return sendError(res, 403, 'imageNotAllowed', 'The image endpoint is disabled; list the image hosts in IMAGE_ALLOWED_HOSTS.');
+  }
+  const upstream = await fetchTarget(target, { Accept: 'image/*' }, options.imageAllowedHosts, options);
+  if (!upstream.ok) {
+    upstream.body.resume();
+    return sendError(res, upstream.status >= 400 ? upstream.status : 502, 'imageUnavailable', `The image host answered ${upstream.status}.`);
+  }
+  const type = upstream.headers.get('content-type') || '';
+  if (!/^image\//i.test(type) || /^image\/svg/i.test(type)) {
+    upstream.body.destroy();
+    return sendError(res, 415, 'notAnImage', 'The url does not point to a raster image.');
+  }
+  const body = await readLimited(upstream, options.imageMaxBytes);
+  if (!body) return sendError(res, 413, 'imageTooLarge', `Images are limited to ${options.imageMaxBytes} bytes.`);
+  res.writeHead(200, { 'Content-Type': type, 'Content-Length': body.length, ...IMAGE_HEADERS });
+  return res.end(body);
+}
+
+function createLiveHandler(options) {
+  return async function handleLive(endpoint, searchParams, req, res) {
+    if (endpoint === 'rss' || endpoint === 'image') {
+      const target = readTargetUrl(searchParams);
+      if (!target) return sendError(res, 400, 'parameterInvalid', 'The url parameter must be an absolute http(s) URL.');
+      if (endpoint === 'image') return proxyImage(target, res, options);
+      if (!options.rssAllowedHosts.length) {
+        return sendError(res, 403, 'feedNotAllowed', 'The rss endpoint is disabled; list the feed hosts in RSS_ALLOWED_HOSTS.');
+      }
+      const upstream = await fetchTarget(
+        target,
+        { Accept: 'application/rss+xml, application/atom+xml, application/xml' },
+        options.rssAllowedHosts,
+        options
+      );
+      const body = await readLimited(upstream, options.rssMaxBytes);
+      if (!body) return sendError(res, 413, 'feedTooLarge', `Feeds are limited to ${options.rssMaxBytes} bytes.`);
+      res.writeHead(upstream.status, { 'Content-Type': 'application/xml; charset=utf-8', 'Content-Length': body.length, ...UNTRUSTED_HEADERS });
+      return res.end(body);
+    }
+
+    if (!options.apiKey) {
+      return sendError(res, 500, 'apiKeyMissing', 'The proxy has no NEWS_API_KEY configured.');
+    }
+    const query = pickParams(searchParams, ALLOWED_PARAMS[endpoint]);
+    const url = `${options.upstream}/${UPSTREAM_PATHS[endpoint]}?${query}`;
+    const upstream = await fetchUpstream(url, { headers: { 'X-Api-Key': options.apiKey } }, options.timeoutMs);
+    const body = await upstream.text();
+    const headers = { 'Content-Type': upstream.headers.get('content-type') || 'application/json; charset=utf-8' };
+    const retryAfter = upstream.headers.get('retry-after');
+    if (retryAfter) headers['Retry-After'] = retryAfter;
+    res.writeHead(upstream.status, headers);
+    return res.end(body);
+  };
+}
+
+// PUBLIC_INTERFACE
+function createProxyServer(overrides = {}) {
+  /** Create (but don't start) the proxy HTTP server. overrides take precedence over environment options. */
+  const options = { ...readOptions(), ...overrides };
+  const handle = options.mode === 'mock' ? createMockHandler(options) : createLiveHandler(options);
+  const endpoints = new Set([...Object.keys(ALLOWED_PARAMS), 'rss', 'image']);
+
+  const server = http.createServer(async (req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', options.corsOrigin);
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Mock-Scenario');
+    res.setHeader('Access-Control-Expose-Headers', 'Retry-After');
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, { 'Access-Control-Allow-Methods': 'GET, OPTIONS' });
+      return res.end();
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    const prefix = `${options.basePath}/`;
+    const endpoint = url.pathname.startsWith(prefix) ? url.pathname.slice(prefix.length) : '';
+
+    if (url.pathname === `${options.basePath}/health`) {
+      return send(res, 200, { status: 'ok', mode: options.mode });
+    }
+    if (!endpoints.has(endpoint)) {
+      return sendError(res, 404, 'notFound', `No such endpoint: ${url.pathname}`);
+    }
+    if (req.method !== 'GET') {
+      return sendError(res, 405, 'methodNotAllowed', 'Only GET is supported.');
+    }
+
+    try {
+      return await handle(endpoint, url.searchParams, req, res);
+    } catch (err) {
+      if (err instanceof TargetRefusedError) {
+        return sendError(res, 403, endpoint === 'rss' ? 'feedNotAllowed' : 'imageNotAllowed', err.message);
+      }
+      const timedOut = err && err.name === 'AbortError';
+      return sendError(
+        res,
+        timedOut ? 504 : 502,
+        timedOut ? 'upstreamTimeout' : 'upstreamUnavailable',
+        timedOut ? 'The news service took too long to respond.' : 'Could not reach the news service.'
+      );
+    }
+  });
+  server.options = options;
+  return server;
+}
+
+module.exports = { createProxyServer, readOptions };
+
+if (require.main === module) {
+  const server = createProxyServer();
+  const { port, basePath, mode, apiKey } = server.options;
+  server.listen(port, () => {
+    console.log(`News proxy (${mode} mode) listening on http://localhost:${port}${basePath}`);
+    if (mode === 'live' && !apiKey) {
+      console.warn('NEWS_API_KEY is not set; live requests will fail. Use PROXY_MODE=mock to run offline.');
+    }
+  });
+}
@@ -0,0 +1,206 @@
+//
+// Proxy tests (node:test). Run with `npm run test:proxy`; everything runs against mock mode or a
+// local fake upstream, so no network or API key is needed.
+//
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { createProxyServer } = require('./server');
+
+function listen(server) {
+  return new Promise((resolve) => {
+    server.listen(0, () => resolve(`http://localhost:${server.address().port}`));
+  });
+}
+
+test('mock mode pages recorded headlines', async (t) => {
+  const server = createProxyServer({ mode: 'mock', mockScenario: 'ok' });
+  const base = await listen(server);
+  t.after(() => server.close());
+
+  const res = await fetch(`${base}/api/news/top-headlines?country=us&pageSize=12&page=2`);
+  const body = await res.json();
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(body.totalResults, 20);
+  assert.strictEqual(body.articles.length, 8);
+});
+
+test('mock mode filters the recorded sources', async (t) => {
+  const server = createProxyServer({ mode: 'mock', mockScenario: 'ok' });
+  const base = await listen(server);
+  t.after(() => server.close());
+
+  const all = await (await fetch(`${base}/api/news/sources`)).json();
+  assert.ok(all.sources.length > 10);
+  const res = await fetch(`${base}/api/news/sources?category=technology&country=us&unknown=1`);
+  const body = await res.json();
+  assert.strictEqual(res.status, 200);
+  assert.ok(body.sources.length > 0);
+  assert.ok(body.sources.every((s) => s.category === 'technology' && s.country === 'us'));
+});
+
+test('mock mode injects failures per request', async (t) => {
+  const server = createProxyServer({ mode: 'mock', mockScenario: 'ok', mockDelayMs: 20 });
+  const base = await listen(server);
+  t.after(() => server.close());
+
+  const limited = await fetch(`${base}/api/news/search?q=energy&_mock=429`);
+  assert.strictEqual(limited.status, 429);
+  assert.strictEqual(limited.headers.get('retry-after'), '5');
+  assert.strictEqual((await limited.json()).status, 'error');
+
+  const unauthorized = await fetch(`${base}/api/news/search?q=energy`, { headers: { 'X-Mock-Scenario': '401' } });
+  assert.strictEqual(unauthorized.status, 401);
+
+  const started = Date.now();
+  const slow = await fetch(`${base}/api/news/search?q=energy&_mock=slow`);
+  assert.strictEqual(slow.status, 200);
+  assert.ok(Date.now() - started >= 20);
+
+  const feed = await fetch(`${base}/api/news/rss?url=https://example.com/feed`);
+  assert.match(await feed.text(), /<rss/);
+});
+
+test('live mode keeps the key server-side, maps /search to /everything and passes Retry-After through', async (t) => {
+  let seen;
+  const upstream = http.createServer((req, res) => {
+    seen = { url: req.url, key: req.headers['x-api-key'] };
+    res.writeHead(429, { 'Content-Type': 'application/json', 'Retry-After': '7' });
+    res.end(JSON.stringify({ status: 'error', code: 'rateLimited', message: 'slow down' }));
+  });
+  const upstreamBase = await listen(upstream);
+  const server = createProxyServer({ mode: 'live', apiKey: 'server-secret', upstream: upstreamBase });
+  const base = await listen(server);
+  t.after(() => {
+    server.close();
+    upstream.close();
+  });
+
+  const res = await fetch(`${base}/api/news/search?q=ocean&apiKey=browser-key&page=2`);
+  assert.strictEqual(res.status, 429);
+  assert.strictEqual(res.headers.get('retry-after'), '7');
+  assert.strictEqual(seen.key, 'server-secret');
+  assert.strictEqual(seen.url, '/everything?q=ocean&page=2');
+});
+
+test('the image endpoint passes images through and rejects everything else', async (t) => {
+  const upstream = http.createServer((req, res) => {
+    if (req.url === '/photo.png') {
+      res.writeHead(200, { 'Content-Type': 'image/png' });
+      return res.end(Buffer.from([0x89, 0x50, 0x4e, 0x47]));
+    }
+    if (req.url === '/big.png') {
+      res.writeHead(200, { 'Content-Type': 'image/png' });
+      return res.end(Buffer.alloc(64));
+    }
+    if (req.url === '/stream.png') {
+      // No content-length: the limit has to be enforced while reading.
+      res.writeHead(200, { 'Content-Type': 'image/png', 'Transfer-Encoding': 'chunked' });
+      res.write(Buffer.alloc(24));
+      return res.end(Buffer.alloc(24));
+    }
+    if (req.url === '/vector.svg') {
+      res.writeHead(200, { 'Content-Type': 'image/svg+xml' });
+      return res.end('<svg xmlns="http://www.w3.org/2000/svg"><script>alert(1)</script></svg>');
+    }
+    if (req.url === '/page.html') {
+      res.writeHead(200, { 'Content-Type': 'text/html' });
+      return res.end('<html></html>');
+    }
+    res.writeHead(404);
+    return res.end();
+  });
+  const upstreamBase = await listen(upstream);
+  const server = createProxyServer({ mode: 'live', imageMaxBytes: 32, imageAllowedHosts: ['localhost'], allowPrivateTargets: true });
+  const base = await listen(server);
+  const closed = createProxyServer({ mode: 'live', imageAllowedHosts: [] });
+  const closedBase = await listen(closed);
+  const guarded = createProxyServer({ mode: 'live', imageAllowedHosts: ['localhost'] });
+  const guardedBase = await listen(guarded);
+  t.after(() => [server, closed, guarded, upstream].forEach((s) => s.close()));
+  const image = (url, proxyBase = base) => fetch(`${proxyBase}/api/news/image?url=${encodeURIComponent(url)}`);
+
+  const ok = await image(`${upstreamBase}/photo.png`);
+  assert.strictEqual(ok.status, 200);
+  assert.strictEqual(ok.headers.get('content-type'), 'image/png');
+  assert.match(ok.headers.get('cache-control'), /max-age/);
+  assert.strictEqual(ok.headers.get('x-content-type-options'), 'nosniff');
+  assert.match(ok.headers.get('content-security-policy'), /sandbox/);
+  assert.strictEqual((await ok.arrayBuffer()).byteLength, 4);
+
+  assert.strictEqual((await image(`${upstreamBase}/photo.png`, closedBase)).status, 403);
+  assert.strictEqual((await image(`${upstreamBase}/photo.png`, guardedBase)).status, 403);
+  assert.strictEqual((await image(`${upstreamBase}/page.html`)).status, 415);
+  assert.strictEqual((await image(`${upstreamBase}/vector.svg`)).status, 415);
+  assert.strictEqual((await image(`${upstreamBase}/big.png`)).status, 413);
+  assert.strictEqual((await image(`${upstreamBase}/stream.png`)).status, 413);
+  assert.strictEqual((await image(`${upstreamBase}/missing.png`)).status, 404);
+  assert.strictEqual((await image('javascript:alert(1)')).status, 400);
+
+  const mock = createProxyServer({ mode: 'mock', mockScenario: 'ok' });
+  const mockBase = await listen(mock);
+  t.after(() => mock.close());
+  const placeholder = await fetch(`${mockBase}/api/news/image?url=https://example.com/a.jpg`);
+  assert.strictEqual(placeholder.headers.get('content-type'), 'image/svg+xml');
+  assert.match(placeholder.headers.get('content-security-policy'), /sandbox/);
+});
+
+test('the rss endpoint only fetches allow-listed, public hosts', async (t) => {
+  const upstream = http.createServer((req, res) => {
+    if (req.url === '/moved') {
+      res.writeHead(302, { Location: `http://127.0.0.1:${upstream.address().port}/feed` });
+      return res.end();
+    }
+    if (req.url === '/huge') {
+      res.writeHead(200, { 'Content-Type': 'application/rss+xml', 'Transfer-Encoding': 'chunked' });
+      res.write('<rss version="2.0"><channel>');
+      return res.end(`${'<item/>'.repeat(20)}</channel></rss>`);
+    }
+    res.writeHead(200, { 'Content-Type': 'application/rss+xml' });
+    return res.end('<rss version="2.0"><channel></channel></rss>');
+  });
+  const upstreamBase = await listen(upstream);
+  const servers = [upstream];
+  t.after(() => servers.forEach((s) => s.close()));
+  const rss = async (overrides, url) => {
+    const server = createProxyServer({ mode: 'live', ...overrides });
+    servers.push(server);
+    const base = await listen(server);
+    return fetch(`${base}/api/news/rss?url=${encodeURIComponent(url)}`);
+  };
+
+  const unlisted = await rss({ rssAllowedHosts: [] }, `${upstreamBase}/feed`);
+  assert.strictEqual(unlisted.status, 403);
+  assert.match((await unlisted.json()).message, /RSS_ALLOWED_HOSTS/);
+  assert.strictEqual((await rss({ rssAllowedHosts: ['localhost'] }, `${upstreamBase}/feed`)).status, 403);
+  assert.strictEqual((await rss({ rssAllowedHosts: ['169.254.169.254'] }, 'http://169.254.169.254/latest/meta-data/')).status, 403);
+
+  const intranet = { rssAllowedHosts: ['localhost'], allowPrivateTargets: true };
+  const feed = await rss(intranet, `${upstreamBase}/feed`);
+  assert.strictEqual(feed.status, 200);
+  assert.strictEqual(feed.headers.get('x-content-type-options'), 'nosniff');
+  assert.match(feed.headers.get('content-security-policy'), /sandbox/);
+  assert.match(await feed.text(), /<rss/);
+  assert.strictEqual((await rss({ ...intranet, rssMaxBytes: 64 }, `${upstreamBase}/huge`)).status, 413);
+  // The redirect leaves the allow-list (127.0.0.1 isn't listed), so it isn't followed.
+  assert.strictEqual((await rss(intranet, `${upstreamBase}/moved`)).status, 403);
+
+  // The host is resolved once, and the request goes to the address that was checked.
+  const lookups = [];
+  const resolveHost = async (host) => {
+    lookups.push(host);
+    return [{ address: '127.0.0.1', family: 4 }];
+  };
+  const pinned = await rss({ rssAllowedHosts: ['feed.test'], allowPrivateTargets: true, resolveHost }, `http://feed.test:${upstream.address().port}/feed`);
+  assert.strictEqual(pinned.status, 200);
+  assert.deepStrictEqual(lookups, ['feed.test']);
+  assert.strictEqual((await rss({ rssAllowedHosts: ['feed.test'], resolveHost }, 'http://feed.test/feed')).status, 403);
+});
+
+test('unknown endpoints are 404', async (t) => {
+  const server = createProxyServer({ mode: 'mock' });
+  const base = await listen(server);
+  t.after(() => server.close());
+  const res = await fetch(`${base}/api/news/nope`);
+  assert.strictEqual(res.status, 404);
+});
@@ -1,58 +1,226 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import './App.css';
 import TopHeadlinesView from './views/TopHeadlinesView';
+import CompareView from './views/CompareView';
 import SearchView from './views/SearchView';
+import SavedView from './views/SavedView';
+import SourcesView from './views/SourcesView';
+import WatchlistsView from './views/WatchlistsView';
+import ArticleReader from './components/ArticleReader';
+import ContentFiltersPanel from './components/ContentFiltersPanel';
+import DiagnosticsPanel from './components/DiagnosticsPanel';
+import LiveRegion from './components/LiveRegion';
+import NetworkInspector from './components/NetworkInspector';
+import SettingsPanel from './components/SettingsPanel';
+import useContentFilters from './hooks/useContentFilters';
+import useI18n from './hooks/useI18n';
+import useKeyboardShortcuts from './hooks/useKeyboardShortcuts';
+import useRoute, { navigate } from './hooks/useRoute';
+import useSavedItems from './hooks/useSavedItems';
+import useSettings from './hooks/useSettings';
+import useTheme from './hooks/useTheme';
+import useWatchlistPolling from './hooks/useWatchlistPolling';
+import useWatchlists from './hooks/useWatchlists';
+import { UI_LOCALES } from './services/i18n';
+import { getConfigDiagnostics, getProviderInfo } from './services/newsApi';
+import { THEMES, updateSettings } from './services/settings';
+import { getUnreadCount } from './services/watchlists';
+
+const ROUTES = {
+  headlines: '/headlines', compare: '/compare', search: '/search', sources: '/sources', watchlists: '/watchlists', saved: '/saved',
+};
+// The network inspector is a development aid; production builds offer it with REACT_APP_NETWORK_INSPECTOR=true.
+const NETWORK_INSPECTOR = process.env.NODE_ENV !== 'production' || process.env.REACT_APP_NETWORK_INSPECTOR === 'true';
 
 // PUBLIC_INTERFACE
 function App() {
-  /** Root application component with theme toggle and news tabs. */
-  const [theme, setTheme] = useState('light');
-  const [tab, setTab] = useState('headlines'); // 'headlines' | 'search'
+  /**
+   * Root application component with the theme picker, UI language switcher and news tabs (an ARIA
+   * tablist: arrow keys move between tabs, Enter or Space opens one). Also hosts the keyboard
+   * shortcuts and the screen reader live regions.
+   */
+  const settings = useSettings();
+  const { theme, resolved: resolvedTheme } = useTheme();
+  const { t, locale, dir } = useI18n();
+  const { path, query } = useRoute();
+  const tab = Object.keys(ROUTES).find((key) => ROUTES[key] === path) || 'headlines';
+  const { bookmarks } = useSavedItems();
+  const unread = getUnreadCount(useWatchlists());
+  const activeFilters = useContentFilters().rules.filter((rule) => rule.enabled).length;
+  useWatchlistPolling({ onOpen: () => navigate(ROUTES.watchlists) });
+  useKeyboardShortcuts();
+  // Remember each tab's last filters so switching tabs doesn't lose them.
+  const lastQuery = useRef({});
+  lastQuery.current[tab] = query;
+  // Validate configuration (again whenever the settings change); at startup, open the diagnostics
+  // panel straight away on errors.
+  const diagnostics = useMemo(() => getConfigDiagnostics(settings), [settings]);
+  const [showDiagnostics, setShowDiagnostics] = useState(() => diagnostics.errors.length > 0);
+  const [showSettings, setShowSettings] = useState(false);
+  const [showNetwork, setShowNetwork] = useState(false);
+  const [showFilters, setShowFilters] = useState(false);
+  // Bumped when the connection settings change so the views remount and refetch from the new backend.
+  const [connectionRevision, setConnectionRevision] = useState(0);
+
+  useEffect(() => {
+    document.documentElement.setAttribute('data-theme', resolvedTheme);
+  }, [resolvedTheme]);
 
   useEffect(() => {
-    document.documentElement.setAttribute('data-theme', theme);
-  }, [theme]);
+    // lang picks fonts, hyphenation and screen reader voices; dir mirrors the layout for Arabic and Hebrew.
+    document.documentElement.setAttribute('lang', locale);
+    document.documentElement.setAttribute('dir', dir);
+  }, [locale, dir]);
+
+  useEffect(() => {
+    // '/' and unknown paths land on the headlines route, keeping their query (an unknown path
+    // counts as the headlines tab, so lastQuery holds it).
+    if (!Object.values(ROUTES).includes(path)) navigate(ROUTES.headlines, lastQuery.current.headlines, { replace: true });
+  }, [path]);
+
+  const setTab = (next) => navigate(ROUTES[next], lastQuery.current[next]);
+  // Recovery action for config/auth errors.
+  const openSettings = () => {
+    setShowSettings(true);
+    window.scrollTo?.({ top: 0, behavior: 'smooth' });
+  };
+  const openFilters = () => {
+    setShowFilters(true);
+    window.scrollTo?.({ top: 0, behavior: 'smooth' });
+  };
+  const handleSettingsSaved = ({ connectionChanged }) => {
+    if (connectionChanged) setConnectionRevision((n) => n + 1);
+  };
+
+  const handleTabKeyDown = (e) => {
+    // Arrow keys move focus along the tabs (mirrored right-to-left), Home and End jump to the ends.
+    const tabs = [...e.currentTarget.querySelectorAll('[role="tab"]')];
+    const index = tabs.indexOf(document.activeElement);
+    if (index === -1) return;
+    const [back, forward] = dir === 'rtl' ? ['ArrowRight', 'ArrowLeft'] : ['ArrowLeft', 'ArrowRight'];
+    const next = { [back]: index - 1, [forward]: index + 1, Home: 0, End: tabs.length - 1 }[e.key];
+    if (next === undefined) return;
+    e.preventDefault();
+    tabs[(next + tabs.length) % tabs.length].focus();
+  };
 
-  // PUBLIC_INTERFACE
-  const toggleTheme = () => {
-    setTheme(prevTheme => prevTheme === 'light' ? 'dark' : 'light');
+  const skipToContent = (e) => {
+    // Focus the content without adding a #fragment to the route.
+    e.preventDefault();
+    document.getElementById('main')?.focus();
   };
 
   return (
     <div className="App">
+      <a className="skip-link" href="#main" onClick={skipToContent}>{t('nav.skip')}</a>
       <nav className="navbar">
-        <div style={{ fontWeight: 800, color: 'var(--text-secondary)', marginRight: 12 }}>
-          Ocean News
+        <div style={{ fontWeight: 800, color: 'var(--text-secondary)', marginInlineEnd: 12 }}>
+          {t('app.title')}
         </div>
-        <button
-          className={`tab ${tab === 'headlines' ? 'active' : ''}`}
-          onClick={() => setTab('headlines')}
-        >
-          Top Headlines
-        </button>
-        <button
-          className={`tab ${tab === 'search' ? 'active' : ''}`}
-          onClick={() => setTab('search')}
-        >
-          Search
-        </button>
-        <div style={{ marginLeft: 'auto' }}>
+        <div className="tablist" role="tablist" aria-label={t('nav.sections')} onKeyDown={handleTabKeyDown}>
+          {Object.keys(ROUTES).map((key) => (
+            <button
+              key={key}
+              id={`tab-${key}`}
+              type="button"
+              role="tab"
+              className={`tab ${tab === key ? 'active' : ''}`}
+              aria-selected={tab === key}
+              aria-controls={tab === key ? `panel-${key}` : undefined}
+              tabIndex={tab === key ? 0 : -1}
+              onClick={() => setTab(key)}
+            >
+              {t(`nav.${key}`)}
+              {key === 'watchlists' && unread > 0 && (
+                <>
+                  <span className="badge" aria-hidden="true">{unread}</span>
+                  <span className="sr-only"> {t('nav.unread', { count: unread })}</span>
+                </>
+              )}
+              {key === 'saved' && bookmarks.length > 0 && <span className="badge badge-muted">{bookmarks.length}</span>}
+            </button>
+          ))}
+        </div>
+        <div style={{ marginInlineStart: 'auto', display: 'flex', gap: 8 }}>
+          <button
+            className={`tab ${showDiagnostics ? 'active' : ''}`}
+            onClick={() => setShowDiagnostics((v) => !v)}
+            aria-expanded={showDiagnostics}
+          >
+            {t('nav.diagnostics')}
+            {diagnostics.errors.length > 0 && <span className="badge">{diagnostics.errors.length}</span>}
+          </button>
+          {NETWORK_INSPECTOR && (
+            <button
+              className={`tab ${showNetwork ? 'active' : ''}`}
+              onClick={() => setShowNetwork((v) => !v)}
+              aria-expanded={showNetwork}
+            >
+              {t('nav.network')}
+            </button>
+          )}
+          <button
+            className={`tab ${showFilters ? 'active' : ''}`}
+            onClick={() => setShowFilters((v) => !v)}
+            aria-expanded={showFilters}
+          >
+            {t('nav.filters')}
+            {activeFilters > 0 && <span className="badge badge-muted">{activeFilters}</span>}
+          </button>
           <button
-            className="btn"
-            onClick={toggleTheme}
-            aria-label={`Switch to ${theme === 'light' ? 'dark' : 'light'} mode`}
+            className={`tab ${showSettings ? 'active' : ''}`}
+            onClick={() => setShowSettings((v) => !v)}
+            aria-expanded={showSettings}
           >
-            {theme === 'light' ? '🌙 Dark' : '☀️ Light'}
+            {t('nav.settings')}
           </button>
+          <select
+            className="select"
+            value={settings.uiLanguage || ''}
+            onChange={(e) => updateSettings({ uiLanguage: e.target.value })}
+            aria-label={t('nav.uiLanguage')}
+          >
+            <option value="">{t('nav.uiLanguageAuto')}</option>
+            {Object.entries(UI_LOCALES).map(([code, name]) => (
+              <option key={code} value={code} lang={code}>{name}</option>
+            ))}
+          </select>
+          <select
+            className="select"
+            value={theme}
+            onChange={(e) => updateSettings({ theme: e.target.value })}
+            aria-label={t('theme.label')}
+          >
+            {THEMES.map((value) => (
+              <option key={value} value={value}>{t(`theme.${value}`)}</option>
+            ))}
+          </select>
         </div>
       </nav>
 
-      <main className="container">
-        {tab === 'headlines' ? <TopHeadlinesView /> : <SearchView />}
-        <footer style={{ marginTop: 24, fontSize: 12, color: '#6b7280' }}>
-          Powered by NewsAPI.org
+      <main className="container" id="main" tabIndex={-1}>
+        {showSettings && <SettingsPanel onClose={() => setShowSettings(false)} onSave={handleSettingsSaved} />}
+        {showFilters && <ContentFiltersPanel onClose={() => setShowFilters(false)} />}
+        {showDiagnostics && (
+          <DiagnosticsPanel diagnostics={diagnostics} onClose={() => setShowDiagnostics(false)} />
+        )}
+        {NETWORK_INSPECTOR && showNetwork && <NetworkInspector onClose={() => setShowNetwork(false)} />}
+        <div role="tabpanel" id={`panel-${tab}`} aria-labelledby={`tab-${tab}`}>
+          <React.Fragment key={connectionRevision}>
+            {tab === 'headlines' && <TopHeadlinesView onOpenSettings={openSettings} onManageFilters={openFilters} />}
+            {tab === 'compare' && <CompareView onManageFilters={openFilters} />}
+            {tab === 'search' && <SearchView onOpenSettings={openSettings} onManageFilters={openFilters} />}
+            {tab === 'sources' && <SourcesView onOpenSettings={openSettings} />}
+            {tab === 'watchlists' && <WatchlistsView />}
+            {tab === 'saved' && <SavedView />}
+          </React.Fragment>
+        </div>
+        <footer className="app-footer">
+          {t('app.poweredBy', { attribution: getProviderInfo().attribution })}
         </footer>
       </main>
+      <ArticleReader />
+      <LiveRegion />
     </div>
   );
 }
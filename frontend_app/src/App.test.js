@@ -1,9 +1,156 @@
-import { render, screen } from '@testing-library/react';
+import { act, cleanup, fireEvent, render, screen, waitFor } from '@testing-library/react';
+import { axe } from 'jest-axe';
 import App from './App';
+import { configureNewsCache } from './services/newsApi';
+import { resetSettings } from './services/settings';
 
 test('renders Ocean News header and tabs', () => {
   render(<App />);
   expect(screen.getByText(/Ocean News/i)).toBeInTheDocument();
-  expect(screen.getByRole('button', { name: /Top Headlines/i })).toBeInTheDocument();
-  expect(screen.getByRole('button', { name: /Search/i })).toBeInTheDocument();
+  expect(screen.getByRole('tab', { name: /Top Headlines/i })).toBeInTheDocument();
+  expect(screen.getByRole('tab', { name: /Search/i })).toBeInTheDocument();
+});
+
+describe('routing', () => {
+  beforeEach(() => {
+    process.env.REACT_APP_NEWS_API_BASE = 'http://localhost:3010/api/news';
+    process.env.REACT_APP_NEWS_API_MODE = 'proxy';
+  });
+
+  afterEach(() => {
+    delete process.env.REACT_APP_NEWS_API_BASE;
+    delete process.env.REACT_APP_NEWS_API_MODE;
+  });
+
+  test('restores headlines filters and page from the URL and follows back/forward', async () => {
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      status: 200,
+      json: async () => ({ status: 'ok', totalResults: 0, articles: [] }),
+    });
+    window.history.pushState(null, '', '/headlines?country=gb&category=technology');
+    render(<App />);
+    expect(screen.getByLabelText('Country')).toHaveValue('gb');
+    expect(screen.getByLabelText('Category')).toHaveValue('technology');
+
+    fireEvent.click(screen.getByRole('tab', { name: 'Search' }));
+    expect(window.location.pathname).toBe('/search');
+
+    act(() => {
+      window.history.back();
+    });
+    await waitFor(() => expect(window.location.pathname).toBe('/headlines'));
+    expect(await screen.findByLabelText('Country')).toHaveValue('gb');
+  });
+
+  test('search query, sort and language come from the URL', async () => {
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      status: 200,
+      json: async () => ({ status: 'ok', totalResults: 0, articles: [] }),
+    });
+    window.history.pushState(null, '', '/search?q=ocean%20energy&sortBy=relevancy&language=de');
+    render(<App />);
+    expect(screen.getByLabelText('Search query')).toHaveValue('ocean energy');
+    expect(screen.getByLabelText('Sort by')).toHaveValue('relevancy');
+    expect(screen.getByLabelText('Language')).toHaveValue('de');
+    await screen.findByText(/No results found/i);
+  });
+});
+
+describe('accessibility', () => {
+  const articles = [
+    { title: 'Storm closes schools across the region', url: 'https://local.example/storm', source: { name: 'Local' } },
+    { title: 'Central bank holds rates steady', url: 'https://finance.example/rates', source: { name: 'Finance Daily' } },
+    { title: 'New species of deep sea coral found', url: 'https://science.example/coral', source: { name: 'Science Now' } },
+  ];
+
+  beforeEach(() => {
+    process.env.REACT_APP_NEWS_API_BASE = 'http://localhost:3010/api/news';
+    process.env.REACT_APP_NEWS_API_MODE = 'proxy';
+    configureNewsCache({ ttlMs: 60000, persist: 'memory' });
+    resetSettings();
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      status: 200,
+      json: async () => ({ status: 'ok', totalResults: articles.length, articles }),
+    });
+    window.history.pushState(null, '', '/headlines');
+  });
+
+  afterEach(() => {
+    cleanup();
+    delete process.env.REACT_APP_NEWS_API_BASE;
+    delete process.env.REACT_APP_NEWS_API_MODE;
+    delete window.matchMedia;
+    resetSettings();
+  });
+
+  test('the headlines view has no axe violations', async () => {
+    const { container } = render(<App />);
+    await screen.findAllByRole('article');
+    expect(await axe(container)).toHaveNoViolations();
+  });
+
+  test('the tabs follow the ARIA tab pattern', async () => {
+    render(<App />);
+    await screen.findAllByRole('article');
+    const tabs = screen.getAllByRole('tab');
+    expect(tabs[0]).toHaveAttribute('aria-selected', 'true');
+    expect(tabs[0]).toHaveAttribute('tabindex', '0');
+    expect(tabs[1]).toHaveAttribute('tabindex', '-1');
+    expect(screen.getByRole('tabpanel')).toHaveAttribute('aria-labelledby', tabs[0].id);
+
+    tabs[0].focus();
+    fireEvent.keyDown(tabs[0], { key: 'ArrowRight' });
+    expect(tabs[1]).toHaveFocus();
+    fireEvent.keyDown(tabs[1], { key: 'End' });
+    expect(tabs[tabs.length - 1]).toHaveFocus();
+    fireEvent.keyDown(tabs[tabs.length - 1], { key: 'ArrowRight' });
+    expect(tabs[0]).toHaveFocus();
+  });
+
+  test('keyboard shortcuts move between cards, open one and focus the search field', async () => {
+    render(<App />);
+    const cards = await screen.findAllByRole('article');
+
+    fireEvent.keyDown(document.body, { key: 'j' });
+    expect(cards[0]).toHaveFocus();
+    fireEvent.keyDown(cards[0], { key: 'j' });
+    expect(cards[1]).toHaveFocus();
+    expect(cards[1]).toHaveAttribute('tabindex', '0');
+    expect(cards[0]).toHaveAttribute('tabindex', '-1');
+    fireEvent.keyDown(cards[1], { key: 'k' });
+    expect(cards[0]).toHaveFocus();
+
+    fireEvent.keyDown(cards[0], { key: 'o' });
+    expect(screen.getByRole('dialog')).toHaveAccessibleName(articles[0].title);
+    fireEvent.keyDown(document, { key: 'Escape' });
+    expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+
+    fireEvent.keyDown(document.body, { key: '/' });
+    await waitFor(() => expect(screen.getByLabelText('Search query')).toHaveFocus());
+    expect(window.location.pathname).toBe('/search');
+  });
+
+  test('loading and the number of results are announced', async () => {
+    render(<App />);
+    expect(screen.getByText('Loading articles…')).toBeInTheDocument();
+    expect(await screen.findByText('3 articles loaded.')).toBeInTheDocument();
+  });
+
+  test('the theme follows the system until one is picked, and the choice persists', async () => {
+    window.matchMedia = jest.fn((query) => ({
+      matches: query === '(prefers-color-scheme: dark)',
+      addEventListener: jest.fn(),
+      removeEventListener: jest.fn(),
+    }));
+    render(<App />);
+    await screen.findAllByRole('article');
+    expect(document.documentElement).toHaveAttribute('data-theme', 'dark');
+
+    fireEvent.change(screen.getByLabelText('Theme'), { target: { value: 'high-contrast' } });
+    expect(document.documentElement).toHaveAttribute('data-theme', 'high-contrast');
+    expect(JSON.parse(window.localStorage.getItem('oceanNews.settings')).theme).toBe('high-contrast');
+  });
 });
@@ -0,0 +1,121 @@
+import React, { useMemo } from 'react';
+import useI18n from '../hooks/useI18n';
+import { extractTerms, publicationHistogram, sourceDistribution } from '../services/analytics';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function TrendingTerms({ terms, onSearchTerm }) {
+  const { t } = useI18n();
+  if (!terms.length) return <p className="cache-note">{t('analytics.noTerms')}</p>;
+  return (
+    <ul className="term-list">
+      {terms.map(({ term, count, kind }) => (
+        <li key={term}>
+          <button
+            type="button"
+            className="term-chip"
+            // Phrases are quoted so the search matches them as written.
+            onClick={() => onSearchTerm(kind === 'phrase' ? `"${term}"` : term)}
+            title={t('analytics.searchFor', { term })}
+            dir="auto"
+          >
+            {term} <span className="term-count">{count}</span>
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+function SourceBars({ distribution }) {
+  const { t } = useI18n();
+  const { sources, other } = distribution;
+  const top = sources[0]?.count || 1;
+  return (
+    <>
+      <ul className="bar-list">
+        {sources.map(({ name, count }) => (
+          <li key={name || ''}>
+            <span className="bar-label" dir="auto">{name || t('list.unknownSource')}</span>
+            <span className="bar" style={{ width: `${(count / top) * 100}%` }} aria-hidden="true" />
+            <span className="bar-value">{count}</span>
+          </li>
+        ))}
+      </ul>
+      {other > 0 && <p className="cache-note">{t('analytics.otherSources', { count: other })}</p>}
+    </>
+  );
+}
+
+function Timeline({ histogram }) {
+  const { t, formatDate } = useI18n();
+  const { bucketMs, buckets, undated } = histogram;
+  const top = Math.max(1, ...buckets.map((b) => b.count));
+  const options = bucketMs < DAY ? { month: 'short', day: 'numeric', hour: 'numeric' } : { month: 'short', day: 'numeric' };
+  const label = (time) => formatDate(time, options);
+
+  return (
+    <>
+      {buckets.length > 0 && (
+        <>
+          <ol className="timeline">
+            {buckets.map((b) => {
+              const text = t('analytics.bucket', { count: b.count, range: `${label(b.start)} – ${label(b.end)}` });
+              return (
+                <li key={b.start} title={text} aria-label={text}>
+                  <span className="timeline-bar" style={{ height: `${(b.count / top) * 100}%` }} />
+                </li>
+              );
+            })}
+          </ol>
+          <div className="timeline-axis cache-note" aria-hidden="true">
+            <span>{label(buckets[0].start)}</span>
+            <span>{label(buckets[buckets.length - 1].end)}</span>
+          </div>
+        </>
+      )}
+      {undated > 0 && <p className="cache-note">{t('analytics.undated', { count: undated })}</p>}
+    </>
+  );
+}
+
+// PUBLIC_INTERFACE
+export default function AnalyticsPanel({ articles, language, query, onSearchTerm }) {
+  /**
+   * Insights into the loaded articles (see services/analytics): trending terms, articles per source
+   * and a timeline of publication times. `language` picks the stopwords and `query` is left out of
+   * the terms. Clicking a term calls onSearchTerm with it (phrases quoted) to start a new search.
+   */
+  const { t } = useI18n();
+  const list = useMemo(() => articles || [], [articles]);
+  const terms = useMemo(() => extractTerms(list, { language, exclude: query || [] }), [list, language, query]);
+  const distribution = useMemo(() => sourceDistribution(list), [list]);
+  const histogram = useMemo(() => publicationHistogram(list), [list]);
+
+  return (
+    <section className="news-card analytics" aria-labelledby="analytics-title" style={{ marginBottom: 16 }}>
+      <h2 id="analytics-title" className="diagnostics-title">{t('analytics.title')}</h2>
+      {list.length === 0 ? (
+        <p className="cache-note">{t('analytics.empty')}</p>
+      ) : (
+        <>
+          <p className="cache-note">{t('analytics.basedOn', { count: list.length })}</p>
+          <div className="analytics-grid">
+            <div>
+              <h3 className="analytics-heading">{t('analytics.terms')}</h3>
+              <TrendingTerms terms={terms} onSearchTerm={onSearchTerm} />
+            </div>
+            <div>
+              <h3 className="analytics-heading">{t('analytics.sources')}</h3>
+              <SourceBars distribution={distribution} />
+            </div>
+            <div>
+              <h3 className="analytics-heading">{t('analytics.timeline')}</h3>
+              <Timeline histogram={histogram} />
+            </div>
+          </div>
+        </>
+      )}
+    </section>
+  );
+}
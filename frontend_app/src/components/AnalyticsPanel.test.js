@@ -0,0 +1,17 @@
+import { fireEvent, render, screen } from '@testing-library/react';
+import AnalyticsPanel from './AnalyticsPanel';
+
+const articles = [
+  { title: 'Die Energiewende und der Wind', description: '', source: { name: 'Tagesschau' } },
+  { title: 'Die Energiewende kostet', description: 'Wind und Sonne', source: { name: 'Spiegel' } },
+];
+
+test('clicking a trending term starts a search for it', () => {
+  const onSearchTerm = jest.fn();
+  render(<AnalyticsPanel articles={articles} language="de" onSearchTerm={onSearchTerm} />);
+
+  fireEvent.click(screen.getByRole('button', { name: /^energiewende 2$/i }));
+  expect(onSearchTerm).toHaveBeenCalledWith('Energiewende');
+  // German stopwords are left out of the terms.
+  expect(screen.queryByRole('button', { name: /^(die|und) \d+$/i })).not.toBeInTheDocument();
+});
@@ -0,0 +1,57 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { getImageStatus, imageUrl, markImage } from '../services/images';
+
+// Start loading a little before the image scrolls into view.
+const ROOT_MARGIN = '300px';
+
+// PUBLIC_INTERFACE
+export default function ArticleImage({ url }) {
+  /**
+   * Lazily loaded article thumbnail. The image is only requested once the card comes near the
+   * viewport (IntersectionObserver; everything loads at once where that's missing), fades in from
+   * a blurred placeholder, and falls back to the plain placeholder when the URL is missing, invalid
+   * or fails to load. Images go through REACT_APP_IMAGE_PROXY when set (see services/images).
+   */
+  const src = useMemo(() => imageUrl(url), [url]);
+  const ref = useRef(null);
+  const [status, setStatus] = useState(() => getImageStatus(src));
+  const [near, setNear] = useState(() => status === 'loaded' || typeof IntersectionObserver === 'undefined');
+
+  useEffect(() => {
+    setStatus(getImageStatus(src));
+  }, [src]);
+
+  useEffect(() => {
+    const el = ref.current;
+    if (near || !el) return undefined;
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some((entry) => entry.isIntersecting)) {
+        setNear(true);
+        observer.disconnect();
+      }
+    }, { rootMargin: ROOT_MARGIN });
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, [near, src, status]);
+
+  if (!src || status === 'failed') return <div className="thumb placeholder" />;
+
+  const settle = (next) => {
+    markImage(src, next);
+    setStatus(next);
+  };
+  return (
+    <div ref={ref} className={`thumb lazy-thumb${status === 'loaded' ? ' loaded' : ''}`} aria-hidden="true">
+      {near && (
+        <img
+          src={src}
+          alt=""
+          decoding="async"
+          referrerPolicy="no-referrer"
+          onLoad={() => settle('loaded')}
+          onError={() => settle('failed')}
+        />
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,272 @@
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import BookmarkButton from './BookmarkButton';
+import ErrorNotice from './ErrorNotice';
+import useContentFilters from '../hooks/useContentFilters';
+import useI18n from '../hooks/useI18n';
+import useReader, { closeReader, openReader } from '../hooks/useReader';
+import { addFilterRule } from '../services/contentFilters';
+import { isAbortError } from '../services/errors';
+import { languageTag, textDirection } from '../services/i18n';
+import { getImageStatus, imageUrl, markImage } from '../services/images';
+import { getRelatedCoverage, parseContent } from '../services/reader';
+
+// Elements Tab can reach inside the reader.
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+function useRelatedCoverage(article, language) {
+  // { status: 'idle' | 'loading' | 'done' | 'error', query, articles, error }, refetched per article.
+  const [state, setState] = useState(() => ({ status: article ? 'loading' : 'idle', articles: [] }));
+  const [attempt, setAttempt] = useState(0);
+
+  useEffect(() => {
+    if (!article) {
+      setState({ status: 'idle', articles: [] });
+      return undefined;
+    }
+    const controller = new AbortController();
+    setState({ status: 'loading', articles: [] });
+    getRelatedCoverage(article, { language, signal: controller.signal })
+      .then(({ query, articles }) => setState({ status: 'done', query, articles }))
+      .catch((error) => {
+        if (!isAbortError(error)) setState({ status: 'error', error, articles: [] });
+      });
+    return () => controller.abort();
+  }, [article, language, attempt]);
+
+  return { ...state, retry: () => setAttempt((n) => n + 1) };
+}
+
+function ReaderImage({ url }) {
+  // Loaded like the card thumbnails (see services/images); a broken image is left out.
+  const src = imageUrl(url);
+  const [failed, setFailed] = useState(() => getImageStatus(src) === 'failed');
+  useEffect(() => setFailed(getImageStatus(src) === 'failed'), [src]);
+  if (!src || failed) return null;
+  return (
+    <img
+      className="reader-image"
+      src={src}
+      alt=""
+      referrerPolicy="no-referrer"
+      onLoad={() => markImage(src, 'loaded')}
+      onError={() => {
+        markImage(src, 'failed');
+        setFailed(true);
+      }}
+    />
+  );
+}
+
+function ShareActions({ article }) {
+  const { t } = useI18n();
+  const [copyStatus, setCopyStatus] = useState(null);
+  const canShare = typeof navigator !== 'undefined' && typeof navigator.share === 'function';
+
+  useEffect(() => setCopyStatus(null), [article]);
+
+  const share = () => {
+    // Cancelling the share sheet rejects; there's nothing to report.
+    navigator.share({ title: article.title, url: article.url }).catch(() => {});
+  };
+  const copyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(article.url);
+      setCopyStatus('copied');
+    } catch {
+      setCopyStatus('failed');
+    }
+  };
+
+  return (
+    <>
+      {canShare && (
+        <button type="button" className="btn btn-secondary" onClick={share}>
+          {t('reader.share')}
+        </button>
+      )}
+      <button type="button" className="btn btn-secondary" onClick={copyLink}>
+        {t('reader.copyLink')}
+      </button>
+      <span className="cache-note" role="status">
+        {copyStatus === 'copied' && t('reader.copied')}
+        {copyStatus === 'failed' && t('reader.copyFailed')}
+      </span>
+    </>
+  );
+}
+
+function MuteSourceButton({ source }) {
+  // Adds a source rule to the content filters; the article stays open, later lists leave the outlet out.
+  const { t } = useI18n();
+  const { rules } = useContentFilters();
+  const muted = rules.some((r) => r.enabled && r.type === 'source' && r.value.toLowerCase() === source.trim().toLowerCase());
+  return (
+    <button
+      type="button"
+      className="btn btn-secondary"
+      onClick={() => addFilterRule({ type: 'source', value: source })}
+      disabled={muted}
+    >
+      {muted ? t('filters.muted') : t('filters.muteSource', { source })}
+    </button>
+  );
+}
+
+function RelatedCoverage({ article, language }) {
+  const { t, formatRelative } = useI18n();
+  const related = useRelatedCoverage(article, language);
+
+  let body;
+  if (related.status === 'loading') {
+    body = <p className="cache-note">{t('list.loading')}</p>;
+  } else if (related.status === 'error') {
+    body = <ErrorNotice error={related.error} onRetry={related.retry} />;
+  } else if (!related.query) {
+    body = <p className="cache-note">{t('reader.relatedUnavailable')}</p>;
+  } else if (!related.articles.length) {
+    body = <p className="cache-note">{t('reader.relatedNone')}</p>;
+  } else {
+    body = (
+      <ul className="reader-related">
+        {related.articles.map((a, i) => (
+          <li key={a.url || i}>
+            <button type="button" className="link-button" onClick={() => openReader(a, { language })} dir="auto">
+              {a.title}
+            </button>
+            <span className="cache-note">
+              {a.source?.name || t('list.unknownSource')}
+              {a.publishedAt && ` · ${formatRelative(a.publishedAt)}`}
+            </span>
+          </li>
+        ))}
+      </ul>
+    );
+  }
+
+  return (
+    <section className="reader-section" aria-labelledby="reader-related-title">
+      <h3 id="reader-related-title">{t('reader.related')}</h3>
+      {related.query && <p className="cache-note">{t('reader.relatedQuery', { query: <code>{related.query}</code> })}</p>}
+      {body}
+    </section>
+  );
+}
+
+// PUBLIC_INTERFACE
+export default function ArticleReader() {
+  /**
+   * Reader panel for the article opened with openReader (see hooks/useReader): image, title,
+   * source, author, publication time, description and the provider's content snippet, with
+   * bookmark, share, copy-link and mute-source actions and a "related coverage" list of other outlets' reporting
+   * on the same story (see services/reader). Escape or the backdrop closes it, and focus returns
+   * to where it was. While it's open, Tab and Shift+Tab cycle through the reader's own controls.
+   */
+  const current = useReader();
+  const { t, formatDate, formatRelative } = useI18n();
+  const dialogRef = useRef(null);
+  const closeRef = useRef(null);
+  const returnFocusRef = useRef(null);
+  const article = current?.article;
+  const language = current?.language;
+
+  useEffect(() => {
+    if (!article) return undefined;
+    if (!returnFocusRef.current) returnFocusRef.current = document.activeElement;
+    closeRef.current?.focus();
+    return undefined;
+  }, [article]);
+
+  const close = useCallback(() => {
+    closeReader();
+    returnFocusRef.current?.focus?.();
+    returnFocusRef.current = null;
+  }, []);
+
+  useEffect(() => {
+    if (!article) return undefined;
+    const onKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        close();
+        return;
+      }
+      if (e.key !== 'Tab' || !dialogRef.current) return;
+      // Keep focus in the dialog: wrap from the last control to the first and back.
+      const focusable = [...dialogRef.current.querySelectorAll(FOCUSABLE)];
+      if (!focusable.length) return;
+      const first = focusable[0];
+      const last = focusable[focusable.length - 1];
+      const inside = dialogRef.current.contains(document.activeElement);
+      if (e.shiftKey && (!inside || document.activeElement === first)) {
+        e.preventDefault();
+        last.focus();
+      } else if (!e.shiftKey && (!inside || document.activeElement === last)) {
+        e.preventDefault();
+        first.focus();
+      }
+    };
+    document.addEventListener('keydown', onKeyDown);
+    return () => document.removeEventListener('keydown', onKeyDown);
+  }, [article, close]);
+
+  if (!article) return null;
+  const { text, remainingChars } = parseContent(article.content);
+  const source = article.source?.name || t('list.unknownSource');
+
+  return (
+    <div className="reader-backdrop" onClick={(e) => e.target === e.currentTarget && close()}>
+      <div
+        ref={dialogRef}
+        className="reader news-card"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="reader-title"
+        lang={language ? languageTag(language) : undefined}
+        dir={language ? textDirection(language) : undefined}
+      >
+        <div className="reader-toolbar">
+          <span className="cache-note">{t('reader.label')}</span>
+          <button ref={closeRef} type="button" className="btn btn-secondary" onClick={close}>
+            {t('reader.close')}
+          </button>
+        </div>
+        <ReaderImage url={article.urlToImage} />
+        <h2 id="reader-title" className="reader-title" dir="auto">{article.title}</h2>
+        <div className="meta">
+          <span className="source" dir="auto">{source}</span>
+          {article.author && (
+            <>
+              <span className="dot">•</span>
+              <span dir="auto">{t('reader.by', { author: article.author })}</span>
+            </>
+          )}
+          {article.publishedAt && (
+            <>
+              <span className="dot">•</span>
+              <time dateTime={article.publishedAt} title={formatRelative(article.publishedAt)}>
+                {formatDate(article.publishedAt, { dateStyle: 'full', timeStyle: 'short' })}
+              </time>
+            </>
+          )}
+        </div>
+        {article.description && <p className="reader-description" dir="auto">{article.description}</p>}
+        {text && (
+          <section className="reader-section" aria-label={t('reader.preview')}>
+            <p dir="auto">{text}</p>
+            {remainingChars > 0 && <p className="cache-note">{t('reader.truncated', { count: remainingChars })}</p>}
+          </section>
+        )}
+        <div className="reader-actions">
+          {article.url && (
+            <a className="btn" href={article.url} target="_blank" rel="noopener noreferrer">
+              {t('reader.readOn', { source })} <span className="dir-arrow" aria-hidden="true">→</span>
+            </a>
+          )}
+          {article.url && <ShareActions article={article} />}
+          <BookmarkButton article={article} />
+          {article.source?.name && <MuteSourceButton source={article.source.name} />}
+        </div>
+        <RelatedCoverage article={article} language={language} />
+      </div>
+    </div>
+  );
+}
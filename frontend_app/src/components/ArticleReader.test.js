@@ -0,0 +1,84 @@
+import { fireEvent, render, screen, within } from '@testing-library/react';
+import ArticleReader from './ArticleReader';
+import NewsList from './NewsList';
+import { configureNewsCache } from '../services/newsApi';
+
+const article = {
+  title: 'NASA delays Artemis moon launch',
+  url: 'https://www.bbc.co.uk/news/science-123',
+  source: { id: 'bbc-news', name: 'BBC News' },
+  author: 'Jonathan Amos',
+  description: 'The crewed flight moves to next year.',
+  content: 'The agency said on Tuesday that the heat shield… [+1800 chars]',
+  publishedAt: '2024-05-10T12:00:00Z',
+};
+
+beforeEach(() => {
+  process.env.REACT_APP_NEWS_API_BASE = 'http://localhost:3010/api/news';
+  configureNewsCache({ ttlMs: 60000, persist: 'memory' });
+  global.fetch = jest.fn().mockResolvedValue({
+    ok: true,
+    status: 200,
+    json: async () => ({
+      status: 'ok',
+      totalResults: 1,
+      articles: [{ title: 'Artemis II slips to 2025', url: 'https://reuters.com/artemis', source: { name: 'Reuters' } }],
+    }),
+  });
+});
+
+afterEach(() => {
+  delete process.env.REACT_APP_NEWS_API_BASE;
+});
+
+test('opens an article from its card with full metadata and related coverage, and closes on Escape', async () => {
+  render(
+    <>
+      <NewsList articles={[article]} />
+      <ArticleReader />
+    </>
+  );
+  const title = screen.getByRole('button', { name: article.title });
+  title.focus();
+  fireEvent.click(title);
+
+  const dialog = screen.getByRole('dialog', { name: article.title });
+  expect(within(dialog).getByText('By Jonathan Amos')).toBeInTheDocument();
+  expect(within(dialog).getByText('The agency said on Tuesday that the heat shield…')).toBeInTheDocument();
+  expect(within(dialog).getByText(/1,800 more characters/)).toBeInTheDocument();
+  expect(within(dialog).getByRole('link', { name: /Read on BBC News/ })).toHaveAttribute('href', article.url);
+  expect(within(dialog).getByRole('button', { name: 'Close' })).toHaveFocus();
+
+  expect(await within(dialog).findByRole('button', { name: 'Artemis II slips to 2025' })).toBeInTheDocument();
+  expect(new URL(global.fetch.mock.calls[0][0]).searchParams.get('excludeDomains')).toBe('bbc.co.uk');
+
+  fireEvent.keyDown(document, { key: 'Escape' });
+  expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+  expect(title).toHaveFocus();
+});
+
+test('keeps keyboard focus inside the open reader', async () => {
+  render(
+    <>
+      <NewsList articles={[article]} />
+      <ArticleReader />
+    </>
+  );
+  fireEvent.click(screen.getByRole('button', { name: article.title }));
+  const dialog = screen.getByRole('dialog', { name: article.title });
+  await within(dialog).findByRole('button', { name: 'Artemis II slips to 2025' });
+  const close = within(dialog).getByRole('button', { name: 'Close' });
+  const last = within(dialog).getByRole('button', { name: 'Artemis II slips to 2025' });
+
+  expect(close).toHaveFocus();
+  fireEvent.keyDown(close, { key: 'Tab', shiftKey: true });
+  expect(last).toHaveFocus();
+  fireEvent.keyDown(last, { key: 'Tab' });
+  expect(close).toHaveFocus();
+
+  // Focus that got outside (e.g. a click on the page) comes back on the next Tab.
+  document.body.focus();
+  fireEvent.keyDown(document.body, { key: 'Tab' });
+  expect(close).toHaveFocus();
+  fireEvent.keyDown(document, { key: 'Escape' });
+});
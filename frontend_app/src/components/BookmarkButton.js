@@ -0,0 +1,27 @@
+import React from 'react';
+import useI18n from '../hooks/useI18n';
+import useSavedItems from '../hooks/useSavedItems';
+import { toggleBookmark } from '../services/savedItems';
+
+// PUBLIC_INTERFACE
+export default function BookmarkButton({ article }) {
+  /** Star toggle that bookmarks an article card for the Saved tab. */
+  const { t } = useI18n();
+  const { bookmarks } = useSavedItems();
+  if (!article?.url) return null;
+  const saved = bookmarks.some((b) => b.url === article.url);
+  const label = t(saved ? 'bookmark.remove' : 'bookmark.add');
+
+  return (
+    <button
+      type="button"
+      className={`bookmark ${saved ? 'saved' : ''}`}
+      onClick={() => toggleBookmark(article)}
+      aria-pressed={saved}
+      aria-label={label}
+      title={label}
+    >
+      {saved ? '★' : '☆'}
+    </button>
+  );
+}
@@ -0,0 +1,22 @@
+import React from 'react';
+import useI18n from '../hooks/useI18n';
+
+// PUBLIC_INTERFACE
+export default function CacheStatus({ fromCache, fetchedAt, onRefresh, disabled }) {
+  /** Shows when results came from the response cache and offers a Refresh action that bypasses it. */
+  const { t, formatDate } = useI18n();
+  return (
+    <div className="cache-status">
+      {fromCache && fetchedAt && (
+        <span className="cache-note">
+          {t('cache.from', {
+            time: <time dateTime={new Date(fetchedAt).toISOString()}>{formatDate(fetchedAt, { timeStyle: 'short' })}</time>,
+          })}
+        </span>
+      )}
+      <button className="btn btn-secondary" type="button" onClick={onRefresh} disabled={disabled}>
+        ↻ {t('cache.refresh')}
+      </button>
+    </div>
+  );
+}
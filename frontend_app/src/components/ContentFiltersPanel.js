@@ -0,0 +1,172 @@
+import React, { useRef, useState } from 'react';
+import useContentFilters from '../hooks/useContentFilters';
+import useI18n from '../hooks/useI18n';
+import {
+  addFilterRule, exportContentFilters, importContentFilters, removeFilterRule, RULE_FIELDS, RULE_TYPES, setHideRemoved,
+  updateFilterRule,
+} from '../services/contentFilters';
+import { downloadFile } from '../services/download';
+
+const PLACEHOLDERS = { source: 'Example News', domain: 'example.com', keyword: 'horoscope', regex: '^(quiz|watch):' };
+
+function RuleForm() {
+  const { t } = useI18n();
+  const [type, setType] = useState('source');
+  const [value, setValue] = useState('');
+  const [fields, setFields] = useState(RULE_FIELDS);
+  const [error, setError] = useState(null);
+  const textual = type === 'keyword' || type === 'regex';
+
+  const toggleField = (field) => setFields((current) => (
+    current.includes(field) ? current.filter((f) => f !== field) : RULE_FIELDS.filter((f) => f === field || current.includes(f))
+  ));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    try {
+      addFilterRule({ type, value, fields });
+      setValue('');
+      setError(null);
+    } catch (err) {
+      setError(err);
+    }
+  };
+
+  return (
+    <form className="filter-form" onSubmit={handleSubmit}>
+      <label className="label">
+        {t('filters.typeLabel')}
+        <select className="select" value={type} onChange={(e) => setType(e.target.value)}>
+          {RULE_TYPES.map((ruleType) => (
+            <option key={ruleType} value={ruleType}>{t(`filters.type.${ruleType}`)}</option>
+          ))}
+        </select>
+      </label>
+      <label className="label">
+        {t('filters.value')}
+        <input
+          className="input"
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+          placeholder={PLACEHOLDERS[type]}
+          aria-invalid={error?.field === 'value'}
+          dir={type === 'regex' || type === 'domain' ? 'ltr' : 'auto'}
+        />
+      </label>
+      {textual && (
+        <fieldset className="settings-group">
+          <legend>{t('filters.fields')}</legend>
+          {RULE_FIELDS.map((field) => (
+            <label key={field} className="label checkbox">
+              <input type="checkbox" checked={fields.includes(field)} onChange={() => toggleField(field)} />
+              {t(`search.field.${field}`)}
+            </label>
+          ))}
+        </fieldset>
+      )}
+      <button className="btn" type="submit">{t('filters.add')}</button>
+      {error && <p className="export-error" role="alert">{error.message}</p>}
+    </form>
+  );
+}
+
+// PUBLIC_INTERFACE
+export default function ContentFiltersPanel({ onClose }) {
+  /**
+   * Manage the content filters (see services/contentFilters): add source, domain, keyword and
+   * regular-expression rules, switch them on and off or remove them, hide "[Removed]" placeholders,
+   * and import/export the rules as JSON. Changes apply immediately.
+   */
+  const { t } = useI18n();
+  const { rules, hideRemoved } = useContentFilters();
+  const fileRef = useRef(null);
+  const [status, setStatus] = useState({ type: '', message: '' });
+
+  const handleExport = () => {
+    downloadFile(`ocean-news-filters-${new Date().toISOString().slice(0, 10)}.json`, exportContentFilters(), 'application/json');
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const { added } = importContentFilters(await file.text());
+      setStatus({ type: 'ok', message: t('filters.imported', { count: added }) });
+    } catch (err) {
+      setStatus({ type: 'error', message: err?.message || t('errors.unexpected') });
+    }
+  };
+
+  return (
+    <section className="news-card content-filters" aria-labelledby="filters-title" style={{ marginBottom: 16 }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 8, flexWrap: 'wrap' }}>
+        <h2 id="filters-title" className="diagnostics-title">{t('filters.title')}</h2>
+        <div style={{ marginInlineStart: 'auto', display: 'flex', gap: 8 }}>
+          <button className="btn btn-secondary" type="button" onClick={() => fileRef.current?.click()}>
+            {t('filters.import')}
+          </button>
+          <button className="btn btn-secondary" type="button" onClick={handleExport}>
+            {t('filters.export')}
+          </button>
+          <input
+            ref={fileRef}
+            type="file"
+            accept="application/json,.json"
+            onChange={handleImport}
+            hidden
+            aria-label={t('filters.import')}
+          />
+          {onClose && (
+            <button className="btn btn-secondary" type="button" onClick={onClose}>
+              {t('filters.close')}
+            </button>
+          )}
+        </div>
+      </div>
+      {status.message && (
+        <div
+          className={status.type === 'error' ? 'error-banner' : 'notice'}
+          role={status.type === 'error' ? 'alert' : 'status'}
+        >
+          {status.message}
+        </div>
+      )}
+
+      <label className="label checkbox">
+        <input type="checkbox" checked={hideRemoved} onChange={(e) => setHideRemoved(e.target.checked)} />
+        {t('filters.hideRemoved')}
+      </label>
+
+      <RuleForm />
+
+      {rules.length === 0 ? (
+        <p className="cache-note">{t('filters.none')}</p>
+      ) : (
+        <ul className="filter-rules">
+          {rules.map((rule) => (
+            <li key={rule.id} className={rule.enabled ? undefined : 'filter-disabled'}>
+              <label className="label checkbox">
+                <input
+                  type="checkbox"
+                  checked={rule.enabled}
+                  onChange={(e) => updateFilterRule(rule.id, { enabled: e.target.checked })}
+                  aria-label={t('filters.enabled', { rule: rule.value })}
+                />
+                <span>
+                  {t(`filters.type.${rule.type}`)}: <code dir="auto">{rule.value}</code>
+                  {rule.fields && rule.fields.length < RULE_FIELDS.length && (
+                    <span className="cache-note"> ({t(`search.field.${rule.fields[0]}`)})</span>
+                  )}
+                </span>
+              </label>
+              <button className="btn btn-secondary" type="button" onClick={() => removeFilterRule(rule.id)}>
+                {t('filters.remove')}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,69 @@
+import React from 'react';
+import useI18n from '../hooks/useI18n';
+
+function Row({ label, value }) {
+  if (value === undefined || value === '' || (Array.isArray(value) && !value.length)) return null;
+  return (
+    <>
+      <dt>{label}</dt>
+      <dd>{Array.isArray(value) ? value.join(', ') : String(value)}</dd>
+    </>
+  );
+}
+
+// PUBLIC_INTERFACE
+export default function DiagnosticsPanel({ diagnostics, onClose }) {
+  /** Startup configuration report: resolved settings (secrets redacted), errors and warnings. */
+  const { t } = useI18n();
+  const { config, errors, warnings } = diagnostics;
+  const paths = Object.entries(config.paths || {}).map(([endpoint, path]) => `${endpoint} → /${path}`);
+
+  return (
+    <section className="news-card diagnostics" aria-labelledby="diagnostics-title" style={{ marginBottom: 16 }}>
+      <div style={{ display: 'flex', alignItems: 'center' }}>
+        <h2 id="diagnostics-title" className="diagnostics-title">{t('diagnostics.title')}</h2>
+        {onClose && (
+          <button className="btn btn-secondary" type="button" onClick={onClose} style={{ marginInlineStart: 'auto' }}>
+            {t('settings.close')}
+          </button>
+        )}
+      </div>
+
+      {errors.length > 0 ? (
+        <div className="error-banner" role="alert">
+          <strong>{t('diagnostics.blocked')}</strong>
+          <ul>
+            {errors.map((e, i) => (
+              <li key={i}>{e.message}</li>
+            ))}
+          </ul>
+        </div>
+      ) : (
+        <p className="diagnostics-ok">{t('diagnostics.valid')}</p>
+      )}
+
+      {warnings.length > 0 && (
+        <ul className="diagnostics-warnings">
+          {warnings.map((w, i) => (
+            <li key={i}>{w.message}</li>
+          ))}
+        </ul>
+      )}
+
+      <dl className="diagnostics-config">
+        <Row label={t('diagnostics.provider')} value={config.provider} />
+        <Row
+          label={t('settings.mode')}
+          value={config.resolvedMode ? t('diagnostics.resolvedMode', { mode: config.resolvedMode, configured: config.mode }) : config.mode}
+        />
+        <Row label={t('settings.base')} value={config.base} />
+        <Row label={t('settings.apiKey')} value={t(config.apiKey === 'set' ? 'diagnostics.keySet' : 'settings.notSet')} />
+        <Row label={t('diagnostics.paths')} value={paths} />
+        <Row label={t('diagnostics.headers')} value={config.headers} />
+        <Row label={t('diagnostics.timeout')} value={t('settings.ms', { ms: config.timeoutMs })} />
+        <Row label={t('diagnostics.feedUrl')} value={config.feedUrl} />
+        <Row label={t('diagnostics.overridden')} value={config.overridden} />
+      </dl>
+    </section>
+  );
+}
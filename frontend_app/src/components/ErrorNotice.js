@@ -0,0 +1,78 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import useI18n from '../hooks/useI18n';
+
+// Without a Retry-After header, NewsAPI's rate limits reset within the minute.
+const DEFAULT_RATE_LIMIT_WAIT_MS = 60000;
+
+// Catalog keys of the hint shown under each kind of error.
+const HINTS = {
+  NETWORK: 'errors.hint.network',
+  TIMEOUT: 'errors.hint.timeout',
+  CONFIG: 'errors.hint.config',
+  AUTH: 'errors.hint.auth',
+  RATE_LIMIT: 'errors.hint.rateLimit',
+};
+
+// UNKNOWN is a bug rather than a passing failure, so trying again wouldn't help.
+const RETRYABLE = new Set(['NETWORK', 'TIMEOUT', 'RATE_LIMIT', 'UPSTREAM']);
+const SETTINGS = new Set(['CONFIG', 'AUTH']);
+
+function useCountdown(until) {
+  const [now, setNow] = useState(() => Date.now());
+  useEffect(() => {
+    if (!until) return undefined;
+    setNow(Date.now());
+    const id = setInterval(() => {
+      const t = Date.now();
+      setNow(t);
+      if (t >= until) clearInterval(id);
+    }, 250);
+    return () => clearInterval(id);
+  }, [until]);
+  return until ? Math.max(0, Math.ceil((until - now) / 1000)) : 0;
+}
+
+// PUBLIC_INTERFACE
+export default function ErrorNotice({ error, onRetry, onOpenSettings, style }) {
+  /**
+   * Shared presentation for service errors (see services/errors): the message, a hint for the error
+   * type and the recovery actions that make sense for it. Retry for network, timeout and upstream
+   * failures; retry after a countdown for rate limits; open settings for config and auth problems.
+   * A plain string is shown as-is.
+   */
+  const { t } = useI18n();
+  const code = typeof error === 'string' ? undefined : error?.code || 'UNKNOWN';
+  // Computed once per error so the countdown doesn't restart on re-render.
+  const waitUntil = useMemo(
+    () => (code === 'RATE_LIMIT' ? Date.now() + (error.retryAfterMs ?? DEFAULT_RATE_LIMIT_WAIT_MS) : 0),
+    [code, error]
+  );
+  const secondsLeft = useCountdown(waitUntil);
+
+  if (!error) return null;
+  const message = typeof error === 'string' ? error : error.message || t('errors.generic');
+  const hint = code && HINTS[code] && t(HINTS[code]);
+  const canRetry = onRetry && code && RETRYABLE.has(code);
+  const canOpenSettings = onOpenSettings && SETTINGS.has(code);
+
+  return (
+    <div className="error-banner error-notice" role="alert" data-error-code={code} style={style}>
+      <p className="error-message">{message}</p>
+      {hint && <p className="error-hint">{hint}</p>}
+      {(canRetry || canOpenSettings) && (
+        <div className="error-actions">
+          {canRetry && (
+            <button type="button" className="btn" onClick={onRetry} disabled={secondsLeft > 0}>
+              {secondsLeft > 0 ? t('errors.tryAgainIn', { seconds: secondsLeft }) : t('errors.tryAgain')}
+            </button>
+          )}
+          {canOpenSettings && (
+            <button type="button" className="btn btn-secondary" onClick={onOpenSettings}>
+              {t('errors.openSettings')}
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
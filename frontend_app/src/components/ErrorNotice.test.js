@@ -0,0 +1,46 @@
+import { act, fireEvent, render, screen } from '@testing-library/react';
+import ErrorNotice from './ErrorNotice';
+import { resetSettings, updateSettings } from '../services/settings';
+import { ConfigError, NetworkError, NewsError, RateLimitError, ValidationError } from '../services/errors';
+
+afterEach(() => jest.useRealTimers());
+
+test('offers a retry for network failures and settings for config problems', () => {
+  const onRetry = jest.fn();
+  const onOpenSettings = jest.fn();
+  const { rerender } = render(<ErrorNotice error={new NetworkError('Offline')} onRetry={onRetry} onOpenSettings={onOpenSettings} />);
+  fireEvent.click(screen.getByRole('button', { name: 'Try again' }));
+  expect(onRetry).toHaveBeenCalled();
+  expect(screen.queryByRole('button', { name: 'Open settings' })).not.toBeInTheDocument();
+
+  rerender(<ErrorNotice error={new ConfigError('No key')} onRetry={onRetry} onOpenSettings={onOpenSettings} />);
+  fireEvent.click(screen.getByRole('button', { name: 'Open settings' }));
+  expect(onOpenSettings).toHaveBeenCalled();
+  expect(screen.queryByRole('button', { name: /Try again/ })).not.toBeInTheDocument();
+
+  rerender(<ErrorNotice error={new ValidationError('Bad date')} onRetry={onRetry} onOpenSettings={onOpenSettings} />);
+  expect(screen.getByRole('alert')).toHaveTextContent('Bad date');
+  expect(screen.queryByRole('button')).not.toBeInTheDocument();
+
+  rerender(<ErrorNotice error={new NewsError('x is not a function')} onRetry={onRetry} onOpenSettings={onOpenSettings} />);
+  expect(screen.queryByRole('button')).not.toBeInTheDocument();
+});
+
+test('waits out a rate limit before allowing a retry', () => {
+  jest.useFakeTimers();
+  render(<ErrorNotice error={new RateLimitError('Slow down', { retryAfterMs: 3000 })} onRetry={() => {}} />);
+  expect(screen.getByRole('button', { name: 'Try again in 3s' })).toBeDisabled();
+  act(() => jest.advanceTimersByTime(3100));
+  expect(screen.getByRole('button', { name: 'Try again' })).toBeEnabled();
+});
+
+test('hints and actions are translated', () => {
+  updateSettings({ uiLanguage: 'fr' });
+  try {
+    render(<ErrorNotice error={new NetworkError('Hors ligne')} onRetry={() => {}} />);
+    expect(screen.getByRole('button', { name: 'Réessayer' })).toBeInTheDocument();
+    expect(screen.getByRole('alert')).toHaveTextContent('Si vous utilisez un proxy');
+  } finally {
+    resetSettings();
+  }
+});
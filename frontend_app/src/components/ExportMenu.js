@@ -0,0 +1,73 @@
+import React, { useEffect, useRef, useState } from 'react';
+import useI18n from '../hooks/useI18n';
+import { downloadFile } from '../services/download';
+import { EXPORT_FORMATS, exportArticles } from '../services/exporters';
+import { isAbortError, toNewsError } from '../services/errors';
+
+// PUBLIC_INTERFACE
+export default function ExportMenu({ articles, fetchAll, meta, disabled }) {
+  /**
+   * Export the listed articles as CSV, JSON, RSS, Atom or Markdown (see services/exporters).
+   * With "All pages" checked, fetchAll(signal) is called first to collect every page of the results.
+   * meta: { title, description, filenameBase } for the exported file; the current page URL is the link.
+   */
+  const { t } = useI18n();
+  const [format, setFormat] = useState('csv');
+  const [allPages, setAllPages] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const controllerRef = useRef(null);
+
+  useEffect(() => () => controllerRef.current?.abort(), []);
+
+  const handleExport = async () => {
+    setError(null);
+    let list = articles || [];
+    if (allPages && fetchAll) {
+      const controller = new AbortController();
+      controllerRef.current = controller;
+      setBusy(true);
+      try {
+        list = await fetchAll(controller.signal);
+      } catch (err) {
+        if (!isAbortError(err)) {
+          setError(toNewsError(err, t('export.failed')));
+          setBusy(false);
+        }
+        return;
+      }
+      setBusy(false);
+    }
+    const { filename, mimeType, content } = exportArticles(format, list, { ...meta, link: window.location.href });
+    // A byte order mark makes spreadsheet apps read the CSV as UTF-8.
+    downloadFile(filename, format === 'csv' ? `\uFEFF${content}` : content, mimeType);
+  };
+
+  const nothing = !articles?.length;
+  return (
+    <div className="export-menu">
+      <label className="label">
+        {t('export.format')}
+        <select className="select" value={format} onChange={(e) => setFormat(e.target.value)} aria-label={t('export.formatLabel')}>
+          {Object.entries(EXPORT_FORMATS).map(([id, { label }]) => (
+            <option key={id} value={id}>{label}</option>
+          ))}
+        </select>
+      </label>
+      {fetchAll && (
+        <label className="label checkbox">
+          <input type="checkbox" checked={allPages} onChange={(e) => setAllPages(e.target.checked)} />
+          {t('export.allPages')}
+        </label>
+      )}
+      <button className="btn btn-secondary" type="button" onClick={handleExport} disabled={disabled || busy || nothing}>
+        {busy ? t('export.collecting') : t('export.submit')}
+      </button>
+      {error && (
+        <span className="export-error" role="alert">
+          {error.message}
+        </span>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,25 @@
+import React from 'react';
+import useI18n from '../hooks/useI18n';
+
+// PUBLIC_INTERFACE
+export default function FilterNotice({ hidden, showHidden, onToggle, onManage }) {
+  /**
+   * "N articles hidden by your filters" with show/hide and manage actions; renders nothing when no
+   * article was filtered. Pass the `hidden`, `showHidden` and `setShowHidden` of useFilteredArticles.
+   */
+  const { t } = useI18n();
+  if (!hidden?.length) return null;
+  return (
+    <div className="filter-notice cache-note" role="status">
+      <span>{t('filters.hidden', { count: hidden.length })}</span>
+      <button type="button" className="link-button" onClick={() => onToggle(!showHidden)} aria-pressed={showHidden}>
+        {showHidden ? t('filters.hideAgain') : t('filters.showHidden')}
+      </button>
+      {onManage && (
+        <button type="button" className="link-button" onClick={onManage}>
+          {t('filters.manage')}
+        </button>
+      )}
+    </div>
+  );
+}
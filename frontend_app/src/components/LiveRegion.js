@@ -0,0 +1,17 @@
+import React from 'react';
+import useAnnouncements from '../hooks/useAnnouncer';
+
+// PUBLIC_INTERFACE
+export default function LiveRegion() {
+  /**
+   * Visually hidden live regions reading out announce() messages (see hooks/useAnnouncer).
+   * Render once; the regions must exist before their first message for screen readers to notice it.
+   */
+  const { polite, assertive } = useAnnouncements();
+  return (
+    <>
+      <div className="sr-only" aria-live="polite" aria-atomic="true">{polite}</div>
+      <div className="sr-only" aria-live="assertive" aria-atomic="true">{assertive}</div>
+    </>
+  );
+}
@@ -0,0 +1,118 @@
+import React from 'react';
+import useNetworkLog from '../hooks/useNetworkLog';
+import { clearNetworkLog } from '../services/networkLog';
+
+function cacheLabel(entry) {
+  if (entry.offline) return 'offline snapshot';
+  if (entry.background) return 'revalidation';
+  if (entry.fromCache) return entry.stale ? 'stale hit' : 'hit';
+  if (entry.cache === 'no-store') return 'bypassed';
+  if (entry.cache === 'reload') return 'reload';
+  return entry.state === 'pending' ? '' : 'miss';
+}
+
+function statusLabel(entry) {
+  if (entry.state === 'pending') return 'pending…';
+  if (entry.aborted) return 'cancelled';
+  if (entry.fromCache && !entry.offline) return 'cached';
+  if (entry.state === 'error') return entry.status ? `${entry.status} ${entry.error?.code || ''}`.trim() : entry.error?.code || 'failed';
+  return String(entry.status ?? '');
+}
+
+function rateLimitLabel(rateLimit) {
+  if (!rateLimit) return '';
+  const parts = [];
+  if (rateLimit.limited) parts.push('limited');
+  if (rateLimit.remaining !== undefined) {
+    parts.push(rateLimit.limit !== undefined ? `${rateLimit.remaining}/${rateLimit.limit} left` : `${rateLimit.remaining} left`);
+  }
+  if (rateLimit.retryAfterMs !== undefined) parts.push(`retry after ${Math.round(rateLimit.retryAfterMs / 1000)}s`);
+  else if (rateLimit.resetAt) parts.push(`resets ${new Date(rateLimit.resetAt).toLocaleTimeString()}`);
+  return parts.join(', ');
+}
+
+function Details({ entry }) {
+  const headers = Object.entries(entry.headers || {});
+  return (
+    <details>
+      <summary className="network-url" title={entry.url}>{entry.url}</summary>
+      <dl className="diagnostics-config">
+        <dt>Provider</dt>
+        <dd>{entry.provider}</dd>
+        <dt>Cache policy</dt>
+        <dd>{entry.cache}</dd>
+        <dt>Headers</dt>
+        <dd>{headers.length ? headers.map(([name, value]) => `${name}: ${value}`).join('; ') : 'none'}</dd>
+        {entry.error && (
+          <>
+            <dt>Error</dt>
+            <dd>{[entry.error.name, entry.error.message].filter(Boolean).join(': ')}</dd>
+          </>
+        )}
+      </dl>
+    </details>
+  );
+}
+
+// PUBLIC_INTERFACE
+export default function NetworkInspector({ onClose }) {
+  /**
+   * Developer panel listing recent news service requests (see services/networkLog): endpoint, URL,
+   * proxy/direct mode, status, latency, attempts, cache use and rate-limit state, with request
+   * headers on expand. Credentials are redacted before they reach the log.
+   */
+  const entries = useNetworkLog();
+
+  return (
+    <section className="news-card diagnostics" aria-labelledby="network-title" style={{ marginBottom: 16 }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: 8 }}>
+        <h2 id="network-title" className="diagnostics-title">Network inspector</h2>
+        <button className="btn btn-secondary" type="button" onClick={clearNetworkLog} style={{ marginInlineStart: 'auto' }}>
+          Clear
+        </button>
+        {onClose && (
+          <button className="btn btn-secondary" type="button" onClick={onClose}>
+            Close
+          </button>
+        )}
+      </div>
+
+      {entries.length === 0 ? (
+        <p className="cache-note">No requests yet.</p>
+      ) : (
+        <div className="network-table-wrap">
+          <table className="network-table">
+            <thead>
+              <tr>
+                <th scope="col">Time</th>
+                <th scope="col">Endpoint</th>
+                <th scope="col">Request</th>
+                <th scope="col">Mode</th>
+                <th scope="col">Status</th>
+                <th scope="col">Latency</th>
+                <th scope="col">Attempts</th>
+                <th scope="col">Cache</th>
+                <th scope="col">Rate limit</th>
+              </tr>
+            </thead>
+            <tbody>
+              {entries.map((entry) => (
+                <tr key={entry.id} className={entry.state === 'error' && !entry.aborted ? 'network-error' : undefined}>
+                  <td>{new Date(entry.startedAt).toLocaleTimeString()}</td>
+                  <td>{entry.endpoint}</td>
+                  <td><Details entry={entry} /></td>
+                  <td>{entry.mode}</td>
+                  <td>{statusLabel(entry)}</td>
+                  <td>{entry.durationMs !== undefined ? `${entry.durationMs} ms` : ''}</td>
+                  <td>{entry.attempts || ''}</td>
+                  <td>{cacheLabel(entry)}</td>
+                  <td>{rateLimitLabel(entry.rateLimit)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+}
@@ -1,11 +1,32 @@
-import React from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import ArticleImage from './ArticleImage';
+import BookmarkButton from './BookmarkButton';
+import ErrorNotice from './ErrorNotice';
+import RetryNotice from './RetryNotice';
+import VirtualGrid from './VirtualGrid';
+import { announce } from '../hooks/useAnnouncer';
+import useI18n from '../hooks/useI18n';
+import useNow from '../hooks/useNow';
+import { openReader } from '../hooks/useReader';
+import useRoute, { buildHref } from '../hooks/useRoute';
+import useScrollRestoration from '../hooks/useScrollRestoration';
+import { clusterArticles } from '../services/clustering';
+import { languageTag, textDirection } from '../services/i18n';
 
-function formatDate(iso) {
-  try {
-    return new Date(iso).toLocaleString();
-  } catch {
-    return iso || '';
-  }
+// Publication times within this window read as "3 hours ago"; older ones as a date.
+const RELATIVE_WINDOW_MS = 7 * 86400000;
+
+function ArticleTime({ value, now, i18n }) {
+  // The exact date and time is always available as a tooltip.
+  const { formatDate, formatRelative } = i18n;
+  const exact = formatDate(value);
+  if (!exact) return null;
+  const recent = Math.abs(now - new Date(value).getTime()) < RELATIVE_WINDOW_MS;
+  return (
+    <time dateTime={new Date(value).toISOString()} title={exact}>
+      {recent ? formatRelative(value, now) : formatDate(value, { dateStyle: 'medium' })}
+    </time>
+  );
 }
 
 function SkeletonCard() {
@@ -18,56 +39,221 @@ function SkeletonCard() {
   );
 }
 
+function LoadMore({ onLoadMore, loadingMore, auto }) {
+  const { t } = useI18n();
+  const sentinelRef = useRef(null);
+
+  useEffect(() => {
+    // Infinite scroll: trigger the next page when the sentinel scrolls into view.
+    const el = sentinelRef.current;
+    if (!auto || !el || typeof IntersectionObserver === 'undefined') return undefined;
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some((entry) => entry.isIntersecting)) onLoadMore?.();
+    }, { rootMargin: '200px' });
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, [auto, onLoadMore]);
+
+  return (
+    <div className="load-more" ref={sentinelRef}>
+      <button className="btn" type="button" onClick={() => onLoadMore?.()} disabled={loadingMore}>
+        {loadingMore ? t('list.loading') : t('list.loadMore')}
+      </button>
+    </div>
+  );
+}
+
+function StoryCard({ story, lang, now, i18n, filteredNote, tabbable, onFocusCard }) {
+  // One story: the lead article, plus the other outlets' copies behind an "N sources" toggle.
+  // Article text gets dir="auto" so Arabic or Hebrew articles read right-to-left even when the
+  // language isn't known; `lang` (the language searched in) sets it for the whole card.
+  // The title, or a click anywhere else on the card that isn't a control, opens the reader.
+  // filteredNote marks a story the content filters would hide, shown while "show hidden" is on.
+  // Cards are focusable with a roving tabindex: Tab stops at one card (tabbable), j / k move
+  // between them (see useKeyboardShortcuts), and Enter or o opens the focused one.
+  const { t } = i18n;
+  const [expanded, setExpanded] = useState(false);
+  const { lead: a, articles } = story;
+  const others = articles.slice(1);
+  const listId = `story-${story.id}`.replace(/[^\w-]/g, '-');
+  const titleId = `${listId}-title`;
+  const open = () => openReader(a, { language: lang });
+  const handleKeyDown = (e) => {
+    // Only keys pressed on the card itself; links and buttons inside keep their own behaviour.
+    if (e.target !== e.currentTarget || e.ctrlKey || e.metaKey || e.altKey) return;
+    if (e.key === 'Enter' || e.key === 'o') {
+      e.preventDefault();
+      open();
+    }
+  };
+  const handleCardClick = (e) => {
+    // Leave links, buttons and text selection alone.
+    if (e.target.closest('a, button, input, select, textarea') || window.getSelection?.()?.toString()) return;
+    open();
+  };
+
+  return (
+    <article
+      className={`news-card clickable${filteredNote ? ' filtered-card' : ''}`}
+      lang={lang ? languageTag(lang) : undefined}
+      dir={lang ? textDirection(lang) : undefined}
+      onClick={handleCardClick}
+      onKeyDown={handleKeyDown}
+      onFocus={(e) => e.target === e.currentTarget && onFocusCard?.(story.id)}
+      tabIndex={tabbable ? 0 : -1}
+      aria-labelledby={titleId}
+      data-card=""
+    >
+      <ArticleImage url={a.urlToImage} />
+      <div className="content">
+        {filteredNote && <p className="filtered-note">{filteredNote}</p>}
+        <h3 id={titleId} className="title" dir="auto">
+          <button type="button" className="title-button" onClick={open}>{a.title}</button>
+        </h3>
+        <div className="meta">
+          <span className="source" dir="auto">{a.source?.name || t('list.unknownSource')}</span>
+          <span className="dot">•</span>
+          <ArticleTime value={a.publishedAt} now={now} i18n={i18n} />
+        </div>
+        {a.description && <p className="desc" dir="auto">{a.description}</p>}
+        <div className="card-actions">
+          {a.url && (
+            <a className="link" href={a.url} target="_blank" rel="noopener noreferrer">
+              {t('list.readMore')} <span className="dir-arrow" aria-hidden="true">→</span>
+            </a>
+          )}
+          {others.length > 0 && (
+            <button
+              type="button"
+              className="story-sources-toggle"
+              aria-expanded={expanded}
+              aria-controls={listId}
+              onClick={() => setExpanded((v) => !v)}
+            >
+              {story.sources.length > 1
+                ? t('list.sources', { count: story.sources.length })
+                : t('list.versions', { count: articles.length })}
+            </button>
+          )}
+          <BookmarkButton article={a} />
+        </div>
+        {expanded && (
+          <ul id={listId} className="story-sources">
+            {others.map((o, i) => (
+              <li key={o.url || i}>
+                {o.url ? (
+                  <a href={o.url} target="_blank" rel="noopener noreferrer" dir="auto">{o.source?.name || t('list.unknownSource')}</a>
+                ) : (
+                  o.source?.name || t('list.unknownSource')
+                )}
+                {o.title && o.title !== a.title && <span className="story-source-title" dir="auto">{o.title}</span>}
+                <ArticleTime value={o.publishedAt} now={now} i18n={i18n} />
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </article>
+  );
+}
+
 // PUBLIC_INTERFACE
-export default function NewsList({ articles, loading, error }) {
-  /** List of news article cards with loading and error states. */
+export default function NewsList({
+  articles, loading, error, infinite, hasMore, loadingMore, onLoadMore, retry, onRetry, onOpenSettings,
+  emptyMessage, offline, fetchedAt, cluster = true, lang, hiddenNotes,
+}) {
+  /**
+   * List of news article cards with loading and error states.
+   * In infinite mode, pass hasMore/loadingMore/onLoadMore to render a "Load more" control that
+   * also fires automatically when scrolled into view.
+   * Pass `retry` (from the service's onRetry) to show a "retrying in Ns…" countdown while loading.
+   * `error` (a service error) is shown with ErrorNotice, whose recovery actions call onRetry and
+   * onOpenSettings.
+   * `offline` marks the articles as an offline snapshot taken at fetchedAt (see usePagedArticles).
+   * Copies of the same story from several outlets are grouped into one card (see services/clustering)
+   * unless cluster is false.
+   * `lang` is the language the articles are in when known (e.g. the search language); it sets the
+   * cards' lang and text direction. Publication times show as relative times in the UI language.
+   * `hiddenNotes` (from useFilteredArticles) marks the articles the content filters hid.
+   * Long lists only mount the cards near the viewport (see VirtualGrid), thumbnails load lazily
+   * (see ArticleImage), and the scroll position is kept per route when switching views.
+   * Loading and the number of results are announced to screen readers (see hooks/useAnnouncer).
+   */
+  const i18n = useI18n();
+  const { t, formatDate } = i18n;
+  const now = useNow();
+  const { path, query } = useRoute();
+  const stories = useMemo(
+    () => (cluster ? clusterArticles(articles) : (articles || []).map((a, i) => ({ id: a.url || `article-${i}`, lead: a, articles: [a] }))),
+    [articles, cluster]
+  );
+  useScrollRestoration(buildHref(path, query), !loading && stories.length > 0);
+  const [focusedId, setFocusedId] = useState(null);
+  const tabbableId = stories.some((story) => story.id === focusedId) ? focusedId : stories[0]?.id;
+
+  // Announce each load once it finishes; errors announce themselves (ErrorNotice is an alert).
+  const loadPending = useRef(false);
+  useEffect(() => {
+    if (loading || loadingMore) {
+      loadPending.current = true;
+      announce(t('list.announceLoading'));
+    } else if (loadPending.current) {
+      loadPending.current = false;
+      if (!error) announce(t('list.announceResults', { count: articles?.length || 0 }));
+    }
+  }, [loading, loadingMore, error, articles, t]);
+
   if (loading) {
     return (
-      <div className="grid">
-        {Array.from({ length: 6 }).map((_, i) => (
-          <SkeletonCard key={i} />
-        ))}
-      </div>
+      <>
+        <RetryNotice retry={retry} />
+        <div className="grid" aria-hidden="true">
+          {Array.from({ length: 6 }).map((_, i) => (
+            <SkeletonCard key={i} />
+          ))}
+        </div>
+      </>
     );
   }
 
-  if (error) {
-    return (
-      <div className="error-banner" role="alert">
-        {error}
-      </div>
-    );
+  if (error && !articles?.length) {
+    return <ErrorNotice error={error} onRetry={onRetry} onOpenSettings={onOpenSettings} />;
   }
 
   if (!articles || articles.length === 0) {
-    return <div className="empty">No articles found.</div>;
+    return <div className="empty">{emptyMessage ?? t('list.empty')}</div>;
   }
 
   return (
-    <div className="grid">
-      {articles.map((a, idx) => (
-        <article key={`${a.url || idx}`} className="news-card">
-          {a.urlToImage ? (
-            <div className="thumb" style={{ backgroundImage: `url(${a.urlToImage})` }} aria-hidden="true" />
-          ) : (
-            <div className="thumb placeholder" />
-          )}
-          <div className="content">
-            <h3 className="title">{a.title}</h3>
-            <div className="meta">
-              <span className="source">{a.source?.name || 'Unknown source'}</span>
-              <span className="dot">•</span>
-              <time dateTime={a.publishedAt}>{formatDate(a.publishedAt)}</time>
-            </div>
-            {a.description && <p className="desc">{a.description}</p>}
-            {a.url && (
-              <a className="link" href={a.url} target="_blank" rel="noopener noreferrer">
-                Read full article →
-              </a>
-            )}
-          </div>
-        </article>
-      ))}
-    </div>
+    <>
+      {offline && (
+        <div className="offline-notice" role="status">
+          {t('list.offline', {
+            time: fetchedAt
+              ? <time dateTime={new Date(fetchedAt).toISOString()}>{formatDate(fetchedAt)}</time>
+              : t('list.offlineEarlier'),
+          })}
+        </div>
+      )}
+      <VirtualGrid
+        items={stories}
+        renderItem={(story) => (
+          <StoryCard
+            key={story.id}
+            story={story}
+            lang={lang}
+            now={now}
+            i18n={i18n}
+            filteredNote={hiddenNotes?.get(story.lead)}
+            tabbable={story.id === tabbableId}
+            onFocusCard={setFocusedId}
+          />
+        )}
+      />
+      {error && <ErrorNotice error={error} onRetry={onRetry} onOpenSettings={onOpenSettings} style={{ marginTop: 16 }} />}
+      {loadingMore && <RetryNotice retry={retry} />}
+      {infinite && hasMore && <LoadMore onLoadMore={onLoadMore} loadingMore={loadingMore} auto={!error} />}
+      {infinite && !hasMore && !loadingMore && <div className="empty end-of-list">{t('list.caughtUp')}</div>}
+    </>
   );
 }
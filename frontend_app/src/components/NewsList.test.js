@@ -0,0 +1,67 @@
+import { fireEvent, render, screen, within } from '@testing-library/react';
+import { axe } from 'jest-axe';
+import NewsList from './NewsList';
+
+const articles = [
+  { title: 'Fed raises interest rates by a quarter point', url: 'https://reuters.com/fed', source: { name: 'Reuters' } },
+  { title: 'Federal Reserve raises interest rates by quarter point', url: 'https://ap.example/fed', source: { name: 'AP' } },
+  { title: 'Storm closes schools across the region', url: 'https://local.example/storm', source: { name: 'Local' } },
+];
+
+test('groups copies of a story into one card that lists every outlet', () => {
+  render(<NewsList articles={articles} />);
+  expect(screen.getAllByRole('article')).toHaveLength(2);
+
+  const toggle = screen.getByRole('button', { name: '2 sources' });
+  expect(toggle).toHaveAttribute('aria-expanded', 'false');
+  fireEvent.click(toggle);
+  expect(toggle).toHaveAttribute('aria-expanded', 'true');
+  const list = document.getElementById(toggle.getAttribute('aria-controls'));
+  expect(within(list).getByRole('link', { name: 'AP' })).toHaveAttribute('href', 'https://ap.example/fed');
+});
+
+test('cluster={false} keeps one card per article', () => {
+  render(<NewsList articles={articles} cluster={false} />);
+  expect(screen.getAllByRole('article')).toHaveLength(3);
+  expect(screen.queryByRole('button', { name: /sources/ })).not.toBeInTheDocument();
+});
+
+test('shows recent publication times as relative times and lays out articles in their language', () => {
+  const publishedAt = new Date(Date.now() - 3 * 3600000 - 60000).toISOString();
+  render(<NewsList articles={[{ title: 'عنوان', url: 'https://example.com/a', source: { name: 'BBC Arabic' }, publishedAt }]} lang="ar" />);
+  const time = screen.getByText('3 hours ago');
+  expect(time).toHaveAttribute('dateTime', publishedAt);
+  expect(time).toHaveAttribute('title');
+  expect(screen.getByRole('article')).toHaveAttribute('dir', 'rtl');
+  expect(screen.getByRole('article')).toHaveAttribute('lang', 'ar');
+});
+
+test('a thumbnail that fails to load falls back to the placeholder', () => {
+  const { container } = render(
+    <NewsList articles={[{ ...articles[2], urlToImage: 'https://img.example/broken.jpg' }]} />
+  );
+  const img = container.querySelector('.thumb img');
+  expect(img).toHaveAttribute('src', 'https://img.example/broken.jpg');
+  expect(img).toHaveAttribute('referrerPolicy', 'no-referrer');
+  fireEvent.error(img);
+  expect(container.querySelector('.thumb img')).toBeNull();
+  expect(container.querySelector('.thumb.placeholder')).toBeInTheDocument();
+});
+
+test('long lists render every card where nothing is laid out', () => {
+  const many = Array.from({ length: 40 }, (_, i) => ({
+    title: `Unrelated headline number ${i} about topic ${i * 7}`,
+    url: `https://example.com/${i}`,
+    source: { name: `Outlet ${i}` },
+  }));
+  render(<NewsList articles={many} cluster={false} />);
+  expect(screen.getAllByRole('article')).toHaveLength(40);
+});
+
+test('cards are focusable with a roving tabindex and pass axe', async () => {
+  const { container } = render(<NewsList articles={articles} />);
+  const cards = screen.getAllByRole('article');
+  expect(cards.map((card) => card.getAttribute('tabindex'))).toEqual(['0', '-1']);
+  expect(cards[1]).toHaveAccessibleName('Storm closes schools across the region');
+  expect(await axe(container)).toHaveNoViolations();
+});
@@ -1,66 +1,320 @@
-import React, { useState } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import QueryBuilder from './QueryBuilder';
+import useDebouncedValue from '../hooks/useDebouncedValue';
+import useI18n from '../hooks/useI18n';
+import useRecentQueries from '../hooks/useRecentQueries';
+import useSavedItems from '../hooks/useSavedItems';
+import { LANGUAGES } from '../services/newsApi';
+import { addRecentQuery, suggestQueries } from '../services/recentQueries';
+import { ADVANCED_SEARCH_PARAMS, normalizeAdvancedSearch, SEARCH_IN_FIELDS, validateQuery } from '../services/searchQuery';
+
+const LIVE_DEBOUNCE_MS = 400;
+const LIVE_MIN_LENGTH = 2;
+
+function readFilters(values) {
+  return {
+    searchIn: values?.searchIn ? values.searchIn.split(',') : [],
+    sources: values?.sources || '',
+    domains: values?.domains || '',
+    excludeDomains: values?.excludeDomains || '',
+    // Date inputs take YYYY-MM-DD; a full timestamp from a shared link is shown by its date.
+    from: (values?.from || '').slice(0, 10),
+    to: (values?.to || '').slice(0, 10),
+  };
+}
 
 // PUBLIC_INTERFACE
-export default function NewsSearch({ onSearch }) {
-  /** Search form with query, sort, and language options. */
-  const [q, setQ] = useState('');
-  const [sortBy, setSortBy] = useState('publishedAt');
-  const [language, setLanguage] = useState('en');
+export default function NewsSearch({ onSearch, values, live = false }) {
+  /**
+   * Search form with query, sort, and language options, plus an advanced mode with field scoping,
+   * source/domain filters, a date range and a boolean query builder.
+   * `values` ({ q, sortBy, language, ...advanced filters }) seeds the fields and re-syncs them when it
+   * changes, e.g. on back/forward. Input is validated before onSearch(values, options) is called.
+   *
+   * The query box suggests recent and saved queries. With `live`, typing searches after a short
+   * pause (onSearch is then called with { replace: true } so each keystroke isn't a history entry);
+   * incomplete queries are skipped silently instead of showing an error.
+   */
+  const { t, displayName } = useI18n();
+  const [q, setQ] = useState(values?.q || '');
+  const [sortBy, setSortBy] = useState(values?.sortBy || 'publishedAt');
+  const [language, setLanguage] = useState(values?.language || 'en');
+  const [filters, setFilters] = useState(() => readFilters(values));
+  const [advanced, setAdvanced] = useState(() => ADVANCED_SEARCH_PARAMS.some((f) => values?.[f]));
+  const [formError, setFormError] = useState(null);
+  const [suggestOpen, setSuggestOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const { searches } = useSavedItems();
+  const recentQueries = useRecentQueries();
+  const debouncedQ = useDebouncedValue(q, LIVE_DEBOUNCE_MS);
+  // The query most recently sent by live search, so its echo back through `values` doesn't
+  // overwrite what the user has typed since.
+  const liveSentRef = useRef(null);
+
+  // Re-sync on the individual values, not the object, which callers rebuild on every render.
+  const hasValues = !!values;
+  const { q: valuesQ, sortBy: valuesSortBy, language: valuesLanguage } = values || {};
+  const { searchIn, sources, domains, excludeDomains, from, to } = values || {};
+  useEffect(() => {
+    if (!hasValues) return;
+    if (valuesQ !== liveSentRef.current) setQ(valuesQ || '');
+    liveSentRef.current = null;
+    setSortBy(valuesSortBy || 'publishedAt');
+    setLanguage(valuesLanguage || 'en');
+    setFilters(readFilters({ searchIn, sources, domains, excludeDomains, from, to }));
+    setFormError(null);
+  }, [hasValues, valuesQ, valuesSortBy, valuesLanguage, searchIn, sources, domains, excludeDomains, from, to]);
+
+  const activeFilters = ADVANCED_SEARCH_PARAMS.filter((f) => (Array.isArray(filters[f]) ? filters[f].length : filters[f])).length;
+  const setFilter = (field, value) => setFilters((prev) => ({ ...prev, [field]: value }));
+  const toggleField = (field) =>
+    setFilter('searchIn', filters.searchIn.includes(field) ? filters.searchIn.filter((f) => f !== field) : [...filters.searchIn, field]);
+
+  const suggestions = useMemo(
+    () => suggestQueries(q, { recent: recentQueries, saved: searches }),
+    [q, recentQueries, searches]
+  );
+  const showSuggestions = suggestOpen && suggestions.length > 0;
+
+  const submit = (next) => {
+    try {
+      const query = validateQuery(next.q);
+      const normalized = normalizeAdvancedSearch(next.filters);
+      setFormError(null);
+      addRecentQuery(query);
+      onSearch?.({ q: query, sortBy: next.sortBy, language: next.language, ...normalized, page: 1 });
+    } catch (err) {
+      setFormError(err);
+    }
+  };
 
   const handleSubmit = (e) => {
     e.preventDefault();
-    onSearch?.({ q, sortBy, language, page: 1 });
+    setSuggestOpen(false);
+    submit({ q, sortBy, language, filters });
   };
 
+  const pickSuggestion = (suggestion) => {
+    setSuggestOpen(false);
+    setActiveIndex(-1);
+    setQ(suggestion.q);
+    // A saved search brings its own sort, language and filters; a recent query keeps the current ones.
+    const saved = suggestion.search;
+    submit(saved
+      ? { q: saved.q, sortBy: saved.sortBy, language: saved.language, filters: saved.filters }
+      : { q: suggestion.q, sortBy, language, filters });
+  };
+
+  const handleQueryKeyDown = (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      setSuggestOpen(true);
+      // Cycle through the options and back to the text box (-1).
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      const slots = suggestions.length + 1;
+      setActiveIndex((i) => ((i + 1 + step + slots) % slots) - 1);
+    } else if (e.key === 'Enter' && showSuggestions && activeIndex >= 0) {
+      e.preventDefault();
+      pickSuggestion(suggestions[activeIndex]);
+    } else if (e.key === 'Escape') {
+      setSuggestOpen(false);
+      setActiveIndex(-1);
+    }
+  };
+
+  // Live search: run the debounced query when it (or sort/language) differs from what's shown.
+  // Only typing and the sort/language menus trigger it; the rest is read at that moment.
+  const liveInputs = useRef();
+  liveInputs.current = { onSearch, filters, valuesQ, valuesSortBy, valuesLanguage };
+  useEffect(() => {
+    const latest = liveInputs.current;
+    if (!live) return;
+    const text = debouncedQ.trim();
+    if (text.length < LIVE_MIN_LENGTH) return;
+    if (text === (latest.valuesQ || '') && sortBy === latest.valuesSortBy && language === latest.valuesLanguage) return;
+    let query;
+    let normalized;
+    try {
+      query = validateQuery(text);
+      normalized = normalizeAdvancedSearch(latest.filters);
+    } catch {
+      return; // e.g. an unclosed quote mid-typing; wait for more input
+    }
+    liveSentRef.current = query;
+    latest.onSearch?.({ q: query, sortBy, language, ...normalized, page: 1 }, { replace: true });
+  }, [live, debouncedQ, sortBy, language]);
+
+  const fieldError = (field) => (formError?.field === field ? formError.message : undefined);
+
   return (
     <form onSubmit={handleSubmit} className="news-card" style={{ marginBottom: 16 }}>
       <div className="row" style={{ display: 'flex', gap: 8, flexWrap: 'wrap' }}>
-        <input
-          className="input"
-          type="text"
-          placeholder="Search articles..."
-          value={q}
-          onChange={(e) => setQ(e.target.value)}
-          aria-label="Search query"
-          style={{ flex: 2, minWidth: 200 }}
-        />
+        <div className="combobox" style={{ flex: 2, minWidth: 200 }}>
+          <input
+            className="input"
+            type="text"
+            role="combobox"
+            placeholder={live ? t('search.placeholderLive') : t('search.placeholder')}
+            value={q}
+            onChange={(e) => {
+              setQ(e.target.value);
+              setSuggestOpen(true);
+              setActiveIndex(-1);
+            }}
+            onFocus={() => setSuggestOpen(true)}
+            onBlur={() => setSuggestOpen(false)}
+            onKeyDown={handleQueryKeyDown}
+            aria-label={t('search.query')}
+            aria-keyshortcuts="/"
+            data-shortcut="search"
+            aria-invalid={!!fieldError('q')}
+            aria-autocomplete="list"
+            aria-expanded={showSuggestions}
+            aria-controls="search-suggestions"
+            aria-activedescendant={showSuggestions && activeIndex >= 0 ? `search-suggestion-${activeIndex}` : undefined}
+            autoComplete="off"
+            style={{ width: '100%' }}
+          />
+          {showSuggestions && (
+            <ul id="search-suggestions" className="suggestions" role="listbox" aria-label={t('search.suggestions')}>
+              {suggestions.map((s, i) => (
+                <li
+                  key={`${s.kind}:${s.q}`}
+                  id={`search-suggestion-${i}`}
+                  role="option"
+                  aria-selected={i === activeIndex}
+                  className={i === activeIndex ? 'active' : ''}
+                  // Keep focus in the input so blur doesn't close the list before the click lands.
+                  onMouseDown={(e) => e.preventDefault()}
+                  onClick={() => pickSuggestion(s)}
+                >
+                  <span className="suggestion-kind">{s.kind === 'saved' ? '★' : '↺'}</span>
+                  {s.label}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
         <select
           className="select"
           value={sortBy}
           onChange={(e) => setSortBy(e.target.value)}
-          aria-label="Sort by"
+          aria-label={t('search.sortBy')}
           style={{ flex: 1, minWidth: 160 }}
         >
-          <option value="publishedAt">Latest</option>
-          <option value="relevancy">Relevancy</option>
-          <option value="popularity">Popularity</option>
+          <option value="publishedAt">{t('search.sort.publishedAt')}</option>
+          <option value="relevancy">{t('search.sort.relevancy')}</option>
+          <option value="popularity">{t('search.sort.popularity')}</option>
         </select>
         <select
           className="select"
           value={language}
           onChange={(e) => setLanguage(e.target.value)}
-          aria-label="Language"
+          aria-label={t('search.language')}
           style={{ flex: 1, minWidth: 140 }}
         >
-          <option value="ar">Arabic</option>
-          <option value="de">German</option>
-          <option value="en">English</option>
-          <option value="es">Spanish</option>
-          <option value="fr">French</option>
-          <option value="he">Hebrew</option>
-          <option value="it">Italian</option>
-          <option value="nl">Dutch</option>
-          <option value="no">Norwegian</option>
-          <option value="pt">Portuguese</option>
-          <option value="ru">Russian</option>
-          <option value="sv">Swedish</option>
-          <option value="ud">Urdu</option>
-          <option value="zh">Chinese</option>
+          {Object.entries(LANGUAGES).map(([code, name]) => (
+            <option key={code} value={code}>{displayName('language', code, name)}</option>
+          ))}
         </select>
         <button className="btn" type="submit" style={{ minWidth: 120 }}>
-          Search
+          {t('search.submit')}
+        </button>
+      </div>
+      <div className="advanced-toggle">
+        <button
+          type="button"
+          className="btn btn-secondary"
+          onClick={() => setAdvanced((v) => !v)}
+          aria-expanded={advanced}
+          aria-controls="advanced-options"
+        >
+          {advanced ? '▾' : <span className="dir-arrow">▸</span>} {t('search.advanced')}
+          {activeFilters > 0 && <span className="badge badge-muted">{activeFilters}</span>}
         </button>
+        {activeFilters > 0 && (
+          <button type="button" className="btn btn-secondary" onClick={() => setFilters(readFilters(null))}>
+            {t('search.clearFilters')}
+          </button>
+        )}
       </div>
+      {formError && (
+        <div className="error-banner" role="alert" style={{ marginTop: 12 }}>
+          {formError.message}
+        </div>
+      )}
+      {advanced && (
+        <div id="advanced-options" className="advanced-options">
+          <fieldset className="advanced-group">
+            <legend>{t('search.matchIn')}</legend>
+            {SEARCH_IN_FIELDS.map((field) => (
+              <label key={field} className="label checkbox">
+                <input type="checkbox" checked={filters.searchIn.includes(field)} onChange={() => toggleField(field)} />
+                {t(`search.field.${field}`)}
+              </label>
+            ))}
+            <span className="cache-note">{t('search.allFields')}</span>
+          </fieldset>
+          <div className="advanced-grid">
+            <label className="label">
+              {t('search.sources')}
+              <input
+                className="input"
+                type="text"
+                value={filters.sources}
+                onChange={(e) => setFilter('sources', e.target.value)}
+                placeholder="bbc-news, reuters"
+                aria-invalid={!!fieldError('sources')}
+              />
+            </label>
+            <label className="label">
+              {t('search.domains')}
+              <input
+                className="input"
+                type="text"
+                value={filters.domains}
+                onChange={(e) => setFilter('domains', e.target.value)}
+                placeholder="bbc.co.uk, techcrunch.com"
+                aria-invalid={!!fieldError('domains')}
+              />
+            </label>
+            <label className="label">
+              {t('search.excludeDomains')}
+              <input
+                className="input"
+                type="text"
+                value={filters.excludeDomains}
+                onChange={(e) => setFilter('excludeDomains', e.target.value)}
+                placeholder="example.com"
+                aria-invalid={!!fieldError('excludeDomains')}
+              />
+            </label>
+            <label className="label">
+              {t('search.from')}
+              <input
+                className="input"
+                type="date"
+                value={filters.from}
+                max={filters.to || undefined}
+                onChange={(e) => setFilter('from', e.target.value)}
+                aria-invalid={!!fieldError('from')}
+              />
+            </label>
+            <label className="label">
+              {t('search.to')}
+              <input
+                className="input"
+                type="date"
+                value={filters.to}
+                min={filters.from || undefined}
+                onChange={(e) => setFilter('to', e.target.value)}
+                aria-invalid={!!fieldError('to')}
+              />
+            </label>
+          </div>
+          <QueryBuilder onApply={(built) => setQ(built)} />
+        </div>
+      )}
     </form>
   );
 }
@@ -0,0 +1,49 @@
+import { act, fireEvent, render, screen, within } from '@testing-library/react';
+import NewsSearch from './NewsSearch';
+import { addRecentQuery, clearRecentQueries } from '../services/recentQueries';
+
+const values = { q: '', sortBy: 'publishedAt', language: 'en' };
+
+beforeEach(() => clearRecentQueries());
+afterEach(() => jest.useRealTimers());
+
+test('live mode debounces typing into a single search', () => {
+  jest.useFakeTimers();
+  const onSearch = jest.fn();
+  render(<NewsSearch onSearch={onSearch} values={values} live />);
+  const input = screen.getByLabelText('Search query');
+
+  fireEvent.change(input, { target: { value: 'oc' } });
+  act(() => jest.advanceTimersByTime(200));
+  fireEvent.change(input, { target: { value: 'ocean' } });
+  act(() => jest.advanceTimersByTime(200));
+  expect(onSearch).not.toHaveBeenCalled();
+
+  act(() => jest.advanceTimersByTime(300));
+  expect(onSearch).toHaveBeenCalledTimes(1);
+  expect(onSearch).toHaveBeenCalledWith(expect.objectContaining({ q: 'ocean' }), { replace: true });
+
+  // Incomplete boolean syntax waits for more input instead of erroring.
+  fireEvent.change(input, { target: { value: '"ocean' } });
+  act(() => jest.advanceTimersByTime(500));
+  expect(onSearch).toHaveBeenCalledTimes(1);
+  expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+});
+
+test('suggests recent queries and runs the one picked with the keyboard', () => {
+  addRecentQuery('ocean energy');
+  addRecentQuery('oceanography');
+  const onSearch = jest.fn();
+  render(<NewsSearch onSearch={onSearch} values={values} />);
+  const input = screen.getByLabelText('Search query');
+
+  fireEvent.change(input, { target: { value: 'ocean' } });
+  expect(within(screen.getByRole('listbox')).getAllByRole('option').map((o) => o.textContent)).toEqual(['↺oceanography', '↺ocean energy']);
+  fireEvent.keyDown(input, { key: 'ArrowDown' });
+  fireEvent.keyDown(input, { key: 'ArrowDown' });
+  fireEvent.keyDown(input, { key: 'Enter' });
+
+  expect(onSearch).toHaveBeenCalledWith(expect.objectContaining({ q: 'ocean energy' }));
+  expect(input).toHaveValue('ocean energy');
+  expect(screen.queryByRole('listbox')).not.toBeInTheDocument();
+});
@@ -0,0 +1,37 @@
+import React from 'react';
+import useI18n from '../hooks/useI18n';
+import { getProviderInfo } from '../services/newsApi';
+
+// PUBLIC_INTERFACE
+export default function Pager({ page, pageCount, totalResults, onChange, disabled }) {
+  /** Previous/next pager driven by totalResults; notes when the provider's result cap hides results. */
+  const { t } = useI18n();
+  if (!pageCount || pageCount < 2) return null;
+  const { maxResults } = getProviderInfo();
+  const capped = totalResults > maxResults;
+
+  return (
+    <nav className="pager" aria-label={t('pager.label')}>
+      <button
+        className="btn"
+        type="button"
+        onClick={() => onChange(page - 1)}
+        disabled={disabled || page <= 1}
+      >
+        <span className="dir-arrow" aria-hidden="true">←</span> {t('pager.previous')}
+      </button>
+      <span className="pager-status" aria-live="polite">
+        {t('pager.status', { page, pageCount })}
+        {capped && t('pager.capped', { max: maxResults, total: totalResults })}
+      </span>
+      <button
+        className="btn"
+        type="button"
+        onClick={() => onChange(page + 1)}
+        disabled={disabled || page >= pageCount}
+      >
+        {t('pager.next')} <span className="dir-arrow" aria-hidden="true">→</span>
+      </button>
+    </nav>
+  );
+}
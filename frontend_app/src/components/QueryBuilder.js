@@ -0,0 +1,69 @@
+import React, { useState } from 'react';
+import useI18n from '../hooks/useI18n';
+import { BOOLEAN_OPERATORS, buildBooleanQuery } from '../services/searchQuery';
+
+let nextId = 1;
+const newClause = (op = 'AND') => ({ id: nextId++, op, term: '', exact: false });
+
+// PUBLIC_INTERFACE
+export default function QueryBuilder({ onApply }) {
+  /** Visual boolean query builder: rows of AND/OR/NOT terms (optionally exact phrases) with a live preview. */
+  const { t } = useI18n();
+  const [clauses, setClauses] = useState(() => [newClause(), newClause()]);
+  const preview = buildBooleanQuery(clauses);
+
+  const update = (id, changes) => setClauses((list) => list.map((c) => (c.id === id ? { ...c, ...changes } : c)));
+  const remove = (id) => setClauses((list) => (list.length > 1 ? list.filter((c) => c.id !== id) : list));
+
+  return (
+    <fieldset className="query-builder">
+      <legend>{t('builder.title')}</legend>
+      {clauses.map((clause, i) => (
+        <div key={clause.id} className="query-clause">
+          <select
+            className="select"
+            value={clause.op}
+            onChange={(e) => update(clause.id, { op: e.target.value })}
+            aria-label={t('builder.operator', { n: i + 1 })}
+          >
+            {BOOLEAN_OPERATORS.filter((op) => i > 0 || op !== 'OR').map((op) => (
+              <option key={op} value={op}>
+                {i === 0 && op === 'AND' ? t('builder.mustInclude') : op}
+              </option>
+            ))}
+          </select>
+          <input
+            className="input"
+            type="text"
+            value={clause.term}
+            onChange={(e) => update(clause.id, { term: e.target.value })}
+            placeholder={t(clause.exact ? 'builder.phrasePlaceholder' : 'builder.wordsPlaceholder')}
+            aria-label={t('builder.term', { n: i + 1 })}
+          />
+          <label className="label checkbox">
+            <input type="checkbox" checked={clause.exact} onChange={(e) => update(clause.id, { exact: e.target.checked })} />
+            {t('builder.exact')}
+          </label>
+          <button
+            type="button"
+            className="saved-remove"
+            onClick={() => remove(clause.id)}
+            disabled={clauses.length === 1}
+            aria-label={t('builder.remove', { n: i + 1 })}
+          >
+            ×
+          </button>
+        </div>
+      ))}
+      <div className="query-builder-actions">
+        <button type="button" className="btn btn-secondary" onClick={() => setClauses((list) => [...list, newClause()])}>
+          {t('builder.add')}
+        </button>
+        <code className="query-preview" aria-label={t('builder.preview')}>{preview || '—'}</code>
+        <button type="button" className="btn" onClick={() => onApply(preview)} disabled={!preview}>
+          {t('builder.apply')}
+        </button>
+      </div>
+    </fieldset>
+  );
+}
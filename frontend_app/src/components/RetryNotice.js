@@ -0,0 +1,27 @@
+import React, { useEffect, useState } from 'react';
+import useI18n from '../hooks/useI18n';
+
+// PUBLIC_INTERFACE
+export default function RetryNotice({ retry }) {
+  /** Countdown shown while the service waits to retry a rate-limited or failed request. */
+  const { t } = useI18n();
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    if (!retry) return undefined;
+    setNow(Date.now());
+    const id = setInterval(() => setNow(Date.now()), 250);
+    return () => clearInterval(id);
+  }, [retry]);
+
+  if (!retry) return null;
+  const seconds = Math.max(0, Math.ceil((retry.retryAt - now) / 1000));
+
+  return (
+    <div className="retry-notice" role="status" aria-live="polite">
+      {t(retry.error?.status === 429 ? 'retry.rateLimited' : 'retry.failed', {
+        seconds, attempt: retry.attempt + 1, max: retry.maxAttempts,
+      })}
+    </div>
+  );
+}
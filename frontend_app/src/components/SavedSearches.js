@@ -0,0 +1,47 @@
+import React from 'react';
+import useI18n from '../hooks/useI18n';
+import useSavedItems from '../hooks/useSavedItems';
+import { removeSavedSearch } from '../services/savedItems';
+
+// PUBLIC_INTERFACE
+export default function SavedSearches({ onRun, onSaveCurrent, canSave }) {
+  /** Sidebar listing saved searches with run/delete actions and a "Save current search" button. */
+  const { t, displayName } = useI18n();
+  const { searches } = useSavedItems();
+
+  return (
+    <aside className="news-card saved-searches" aria-labelledby="saved-searches-title">
+      <h2 id="saved-searches-title" className="sidebar-title">{t('savedSearches.title')}</h2>
+      {onSaveCurrent && (
+        <button className="btn btn-secondary" type="button" onClick={onSaveCurrent} disabled={!canSave} style={{ width: '100%' }}>
+          {t('savedSearches.saveCurrent')}
+        </button>
+      )}
+      {searches.length === 0 ? (
+        <p className="empty" style={{ fontSize: '0.9rem' }}>{t('savedSearches.none')}</p>
+      ) : (
+        <ul className="saved-list">
+          {searches.map((s) => (
+            <li key={s.id}>
+              <button type="button" className="saved-run" onClick={() => onRun(s)} title={t('savedSearches.run', { query: s.q })}>
+                <span className="saved-name">{s.name}</span>
+                <span className="saved-meta">
+                  {t(`search.sort.${s.sortBy}`)} · {displayName('language', s.language)}
+                  {s.filters && ` · ${t('savedSearches.filters', { count: Object.keys(s.filters).length })}`}
+                </span>
+              </button>
+              <button
+                type="button"
+                className="saved-remove"
+                onClick={() => removeSavedSearch(s.id)}
+                aria-label={t('savedSearches.delete', { name: s.name })}
+              >
+                ×
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </aside>
+  );
+}
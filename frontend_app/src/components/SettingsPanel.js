@@ -0,0 +1,264 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import useI18n from '../hooks/useI18n';
+import useSettings from '../hooks/useSettings';
+import { useSourceFacets } from '../hooks/useSources';
+import { getConfigDiagnostics, LANGUAGES, testConnection } from '../services/newsApi';
+import { DEFAULT_PREFERENCES, MAX_PAGE_SIZE, resetSettings, THEMES, updateSettings, validateSettings } from '../services/settings';
+
+const CONNECTION_FIELDS = ['base', 'mode', 'apiKey'];
+
+function toDraft(settings) {
+  // Form values are strings; '' means "use the default".
+  return {
+    base: settings.base || '',
+    mode: settings.mode || '',
+    apiKey: settings.apiKey || '',
+    country: settings.country || '',
+    language: settings.language || '',
+    pageSize: settings.pageSize ? String(settings.pageSize) : '',
+    theme: settings.theme || '',
+  };
+}
+
+function ConnectionResult({ result }) {
+  const { t } = useI18n();
+  if (!result) return null;
+  const where = [result.mode && t('settings.modeName', { mode: result.mode }), result.base].filter(Boolean).join(', ');
+  const latency = result.latencyMs !== undefined ? t('settings.ms', { ms: result.latencyMs }) : '';
+  if (result.ok) {
+    return (
+      <p className="notice" role="status">
+        {t('settings.connected', { time: latency, where })}
+      </p>
+    );
+  }
+  return (
+    <div className="error-banner" role="alert">
+      {t('settings.failed', { message: result.error.message })}
+      {where && ` (${[where, latency].filter(Boolean).join(', ')})`}
+    </div>
+  );
+}
+
+// PUBLIC_INTERFACE
+export default function SettingsPanel({ onClose, onSave }) {
+  /**
+   * Runtime settings (see services/settings): connection overrides for the base URL, mode and key,
+   * and the default country, language, page size and theme. Empty fields fall back to the
+   * build-time configuration. "Test connection" probes the service with the unsaved values.
+   * onSave({ connectionChanged }) is called after saving or resetting.
+   */
+  const { t, displayName } = useI18n();
+  const settings = useSettings();
+  const [draft, setDraft] = useState(() => toDraft(settings));
+  const [saveError, setSaveError] = useState(null);
+  const [saved, setSaved] = useState(false);
+  const [testing, setTesting] = useState(false);
+  const [result, setResult] = useState(null);
+  const probeRef = useRef(null);
+  const facets = useSourceFacets();
+
+  useEffect(() => () => probeRef.current?.abort(), []);
+
+  const buildDefaults = useMemo(() => getConfigDiagnostics({}).config, []);
+  // The draft object is replaced on every edit, so it's a precise key for both.
+  const { errors: fieldErrors, settings: normalized } = useMemo(() => validateSettings(draft), [draft]);
+  const preview = useMemo(
+    () => (fieldErrors.length ? null : getConfigDiagnostics(normalized)),
+    [fieldErrors, normalized]
+  );
+  const countryName = (code) => displayName('region', code, code.toUpperCase());
+  const languageName = (code) => displayName('language', code, LANGUAGES[code]);
+  const fieldError = (field) => fieldErrors.find((e) => e.field === field);
+  const countries = draft.country && !facets.countries.includes(draft.country)
+    ? [draft.country, ...facets.countries]
+    : facets.countries;
+
+  const set = (field) => (e) => {
+    setDraft((prev) => ({ ...prev, [field]: e.target.value }));
+    setSaved(false);
+    setResult(null);
+  };
+
+  const connectionChanged = (next) => CONNECTION_FIELDS.some((field) => (next[field] || '') !== (settings[field] || ''));
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    try {
+      const changed = connectionChanged(normalized);
+      updateSettings(draft);
+      setSaveError(null);
+      setSaved(true);
+      onSave?.({ connectionChanged: changed });
+    } catch (err) {
+      setSaveError(err);
+    }
+  };
+
+  const handleReset = () => {
+    if (!window.confirm(t('settings.confirmReset'))) return;
+    const changed = connectionChanged({});
+    resetSettings();
+    setDraft(toDraft({}));
+    setSaveError(null);
+    setResult(null);
+    setSaved(false);
+    onSave?.({ connectionChanged: changed });
+  };
+
+  const handleTest = async () => {
+    probeRef.current?.abort();
+    const controller = new AbortController();
+    probeRef.current = controller;
+    setTesting(true);
+    setResult(null);
+    try {
+      const next = await testConnection(normalized, controller.signal);
+      setResult(next);
+    } catch {
+      // Superseded by another test or the panel closed.
+      return;
+    }
+    setTesting(false);
+  };
+
+  return (
+    <section className="news-card settings" aria-labelledby="settings-title" style={{ marginBottom: 16 }}>
+      <div style={{ display: 'flex', alignItems: 'center' }}>
+        <h2 id="settings-title" className="diagnostics-title">{t('nav.settings')}</h2>
+        {onClose && (
+          <button className="btn btn-secondary" type="button" onClick={onClose} style={{ marginInlineStart: 'auto' }}>
+            {t('settings.close')}
+          </button>
+        )}
+      </div>
+      <p className="cache-note" style={{ marginTop: 0 }}>
+        {t('settings.intro')}
+      </p>
+
+      <form onSubmit={handleSave} className="advanced-options">
+        <fieldset className="advanced-group settings-group">
+          <legend>{t('settings.connection')}</legend>
+          <div className="advanced-grid">
+            <label className="label">
+              {t('settings.mode')}
+              <select className="select" value={draft.mode} onChange={set('mode')} aria-invalid={!!fieldError('mode')}>
+                <option value="">{t('settings.default', { value: buildDefaults.mode })}</option>
+                <option value="auto">{t('settings.mode.auto')}</option>
+                <option value="direct">{t('settings.mode.direct')}</option>
+                <option value="proxy">{t('settings.mode.proxy')}</option>
+              </select>
+            </label>
+            <label className="label">
+              {t('settings.base')}
+              <input
+                className="input"
+                type="url"
+                value={draft.base}
+                onChange={set('base')}
+                placeholder={buildDefaults.base}
+                aria-invalid={!!fieldError('base')}
+              />
+            </label>
+            <label className="label">
+              {t('settings.apiKey')}
+              <input
+                className="input"
+                type="password"
+                autoComplete="off"
+                value={draft.apiKey}
+                onChange={set('apiKey')}
+                placeholder={t(buildDefaults.apiKey === 'set' ? 'settings.buildKey' : 'settings.notSet')}
+              />
+            </label>
+          </div>
+          {draft.apiKey && (
+            <p className="settings-warning" role="note">
+              {t('settings.keyWarning')}
+            </p>
+          )}
+        </fieldset>
+
+        <fieldset className="advanced-group settings-group">
+          <legend>{t('settings.defaults')}</legend>
+          <div className="advanced-grid">
+            <label className="label">
+              {t('settings.country')}
+              <select className="select" value={draft.country} onChange={set('country')}>
+                <option value="">{t('settings.default', { value: countryName(DEFAULT_PREFERENCES.country) })}</option>
+                {countries.map((c) => (
+                  <option key={c} value={c}>{countryName(c)}</option>
+                ))}
+              </select>
+            </label>
+            <label className="label">
+              {t('settings.language')}
+              <select className="select" value={draft.language} onChange={set('language')}>
+                <option value="">{t('settings.default', { value: languageName(DEFAULT_PREFERENCES.language) })}</option>
+                {Object.keys(LANGUAGES).map((code) => (
+                  <option key={code} value={code}>{languageName(code)}</option>
+                ))}
+              </select>
+            </label>
+            <label className="label">
+              {t('settings.pageSize')}
+              <input
+                className="input"
+                type="number"
+                min={1}
+                max={MAX_PAGE_SIZE}
+                value={draft.pageSize}
+                onChange={set('pageSize')}
+                placeholder={String(DEFAULT_PREFERENCES.pageSize)}
+                aria-invalid={!!fieldError('pageSize')}
+              />
+            </label>
+            <label className="label">
+              {t('theme.label')}
+              <select className="select" value={draft.theme} onChange={set('theme')}>
+                <option value="">{t('settings.default', { value: t(`theme.${DEFAULT_PREFERENCES.theme}`) })}</option>
+                {THEMES.map((theme) => (
+                  <option key={theme} value={theme}>{t(`theme.${theme}`)}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+        </fieldset>
+
+        {fieldErrors.length > 0 && (
+          <div className="error-banner" role="alert">
+            {fieldErrors.map((e) => <div key={e.field}>{e.message}</div>)}
+          </div>
+        )}
+        {preview?.errors.length > 0 && (
+          <div className="error-banner" role="alert">
+            <strong>{t('settings.blocked')}</strong>
+            <ul>
+              {preview.errors.map((e, i) => <li key={i}>{e.message}</li>)}
+            </ul>
+          </div>
+        )}
+        {saveError && <div className="error-banner" role="alert">{saveError.message}</div>}
+        <ConnectionResult result={result} />
+
+        <div className="error-actions">
+          <button className="btn" type="submit" disabled={fieldErrors.length > 0}>
+            {t('settings.save')}
+          </button>
+          <button
+            className="btn btn-secondary"
+            type="button"
+            onClick={handleTest}
+            disabled={testing || fieldErrors.length > 0}
+          >
+            {testing ? t('settings.testing') : t('settings.test')}
+          </button>
+          <button className="btn btn-secondary" type="button" onClick={handleReset}>
+            {t('settings.reset')}
+          </button>
+          {saved && <span className="diagnostics-ok" role="status">{t('settings.saved')}</span>}
+        </div>
+      </form>
+    </section>
+  );
+}
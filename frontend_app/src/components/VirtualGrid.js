@@ -0,0 +1,123 @@
+import React, { useCallback, useEffect, useLayoutEffect, useMemo, useRef, useState } from 'react';
+
+// Shorter lists render in full; windowing only pays off once infinite scroll piles up pages.
+const VIRTUALIZE_FROM = 30;
+// Rows are rendered this far above and below the viewport so fast scrolling doesn't show gaps.
+const OVERSCAN_PX = 800;
+// Used until a row has been measured; roughly a card with a thumbnail and a short description.
+const ESTIMATED_ROW_HEIGHT = 380;
+
+function chunk(items, size) {
+  const rows = [];
+  for (let i = 0; i < items.length; i += size) rows.push(items.slice(i, i + size));
+  return rows;
+}
+
+function columnCount(row) {
+  // The number of tracks the stylesheet's media queries give the grid right now.
+  const tracks = window.getComputedStyle(row).gridTemplateColumns;
+  return tracks && tracks !== 'none' ? tracks.trim().split(/\s+/).length : 0;
+}
+
+// PUBLIC_INTERFACE
+export default function VirtualGrid({ items, renderItem, className = 'grid' }) {
+  /**
+   * A card grid that, for long lists, only mounts the rows near the viewport. The page keeps its
+   * normal scrolling: padding above and below the rendered rows stands in for the others, sized from
+   * their measured heights (or an estimate until they've been on screen). The column count is read
+   * from the grid's stylesheet, so the responsive breakpoints stay in CSS. renderItem(item) must
+   * return a keyed element. Where nothing is laid out (no width, e.g. tests), every row renders.
+   */
+  const virtual = items.length >= VIRTUALIZE_FROM;
+  const containerRef = useRef(null);
+  // Measured row heights by row index; they only hold for the column count they were taken at.
+  const [layout, setLayout] = useState(() => ({ columns: 3, heights: new Map() }));
+  const [range, setRange] = useState({ start: 0, end: Math.ceil((window.innerHeight + OVERSCAN_PX) / ESTIMATED_ROW_HEIGHT) });
+  const { columns, heights } = layout;
+  const rows = useMemo(() => chunk(items, columns), [items, columns]);
+
+  // Top of each row relative to the grid, plus the total height at the end.
+  const offsets = useMemo(() => {
+    const measured = [...heights.values()];
+    const fallback = measured.length ? measured.reduce((sum, h) => sum + h, 0) / measured.length : ESTIMATED_ROW_HEIGHT;
+    const out = [0];
+    rows.forEach((_, i) => out.push(out[i] + (heights.get(i) ?? fallback)));
+    return out;
+  }, [rows, heights]);
+  const offsetsRef = useRef(offsets);
+  offsetsRef.current = offsets;
+
+  const updateRange = useCallback(() => {
+    const el = containerRef.current;
+    if (!el) return;
+    const rect = el.getBoundingClientRect();
+    const all = offsetsRef.current.length - 1;
+    let start = 0;
+    let end = all;
+    if (rect.width) {
+      const top = -rect.top - OVERSCAN_PX;
+      const bottom = -rect.top + window.innerHeight + OVERSCAN_PX;
+      const list = offsetsRef.current;
+      while (start < all && list[start + 1] <= top) start += 1;
+      end = start;
+      while (end < all && list[end] < bottom) end += 1;
+    }
+    setRange((prev) => (prev.start === start && prev.end === end ? prev : { start, end }));
+  }, []);
+
+  const measure = useCallback(() => {
+    // Read the rendered rows' heights and the column count; re-renders only when one changed.
+    const el = containerRef.current;
+    if (!el) return;
+    const rendered = [...el.children];
+    const nextColumns = rendered.length ? columnCount(rendered[0]) : 0;
+    const measured = rendered.map((row) => [
+      Number(row.dataset.row),
+      row.offsetHeight + (parseFloat(window.getComputedStyle(row).marginBottom) || 0),
+    ]);
+    setLayout((prev) => {
+      if (nextColumns && nextColumns !== prev.columns) return { columns: nextColumns, heights: new Map() };
+      const changed = measured.filter(([index, height]) => height && Math.abs((prev.heights.get(index) ?? 0) - height) > 1);
+      return changed.length ? { ...prev, heights: new Map([...prev.heights, ...changed]) } : prev;
+    });
+  }, []);
+
+  useLayoutEffect(() => {
+    if (!virtual) return;
+    measure();
+    updateRange();
+  }, [virtual, rows, offsets, range, measure, updateRange]);
+
+  useEffect(() => {
+    if (!virtual) return undefined;
+    const remeasure = () => {
+      measure();
+      updateRange();
+    };
+    window.addEventListener('scroll', updateRange, { passive: true });
+    window.addEventListener('resize', remeasure);
+    // Cards grow when their sources list is expanded.
+    const observer = typeof ResizeObserver === 'undefined' ? null : new ResizeObserver(remeasure);
+    if (observer && containerRef.current) observer.observe(containerRef.current);
+    return () => {
+      window.removeEventListener('scroll', updateRange);
+      window.removeEventListener('resize', remeasure);
+      observer?.disconnect();
+    };
+  }, [virtual, measure, updateRange]);
+
+  if (!virtual) return <div className={className}>{items.map(renderItem)}</div>;
+
+  const total = offsets[offsets.length - 1];
+  const end = Math.min(range.end, rows.length);
+  const start = Math.min(range.start, end);
+  return (
+    <div ref={containerRef} className="virtual-grid" style={{ paddingTop: offsets[start], paddingBottom: total - offsets[end] }}>
+      {rows.slice(start, end).map((row, i) => (
+        <div key={start + i} className={`${className} virtual-row`} data-row={start + i}>
+          {row.map(renderItem)}
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,48 @@
+import { fireEvent, render, screen } from '@testing-library/react';
+import VirtualGrid from './VirtualGrid';
+
+// jsdom lays nothing out, so give the grid a width and a position, and every row a height.
+let gridTop = 0;
+const offsetHeight = Object.getOwnPropertyDescriptor(HTMLElement.prototype, 'offsetHeight');
+const items = Array.from({ length: 90 }, (_, i) => `Card ${i}`);
+const renderItem = (item) => <article key={item}>{item}</article>;
+
+beforeEach(() => {
+  gridTop = 0;
+  jest.spyOn(Element.prototype, 'getBoundingClientRect').mockImplementation(() => ({
+    top: gridTop, bottom: gridTop + 6000, left: 0, right: 900, width: 900, height: 6000,
+  }));
+  Object.defineProperty(HTMLElement.prototype, 'offsetHeight', {
+    configurable: true,
+    get() {
+      return this.dataset.row === undefined ? 0 : 200;
+    },
+  });
+  window.innerHeight = 768;
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  Object.defineProperty(HTMLElement.prototype, 'offsetHeight', offsetHeight);
+});
+
+test('only the rows near the viewport are mounted, with padding for the rest', () => {
+  const { container } = render(<VirtualGrid items={items} renderItem={renderItem} />);
+  const grid = container.firstChild;
+
+  // 30 rows of 3 cards, 200px each: the viewport plus the overscan reaches row 8.
+  expect(screen.getAllByRole('article')).toHaveLength(24);
+  expect(grid).toHaveStyle({ paddingTop: '0px', paddingBottom: `${(30 - 8) * 200}px` });
+
+  gridTop = -3000;
+  fireEvent.scroll(window);
+  expect(screen.queryByText('Card 0')).not.toBeInTheDocument();
+  expect(screen.getByText('Card 33')).toBeInTheDocument();
+  expect(screen.getAllByRole('article')).toHaveLength(36);
+  expect(grid).toHaveStyle({ paddingTop: `${11 * 200}px`, paddingBottom: `${(30 - 23) * 200}px` });
+});
+
+test('short lists render in full', () => {
+  render(<VirtualGrid items={items.slice(0, 12)} renderItem={renderItem} />);
+  expect(screen.getAllByRole('article')).toHaveLength(12);
+});
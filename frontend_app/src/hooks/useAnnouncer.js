@@ -0,0 +1,37 @@
+import { useSyncExternalStore } from 'react';
+
+//
+// Screen reader announcements. Anything can call announce(); LiveRegion, rendered once by App,
+// holds the polite and assertive live regions that read the messages out.
+//
+const listeners = new Set();
+let messages = { polite: '', assertive: '' };
+
+function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+function getMessages() {
+  return messages;
+}
+
+// PUBLIC_INTERFACE
+export function announce(message, { assertive = false } = {}) {
+  /**
+   * Announce message to screen reader users: politely (after what is being read) or, with
+   * assertive, straight away. Repeating the previous message still announces it.
+   */
+  if (!message) return;
+  const politeness = assertive ? 'assertive' : 'polite';
+  // Live regions only speak when their text changes; a trailing no-break space tells repeats apart.
+  const text = messages[politeness] === message ? `${message}\u00a0` : message;
+  messages = { ...messages, [politeness]: text };
+  listeners.forEach((listener) => listener());
+}
+
+// PUBLIC_INTERFACE
+export default function useAnnouncements() {
+  /** The current { polite, assertive } messages. */
+  return useSyncExternalStore(subscribe, getMessages, getMessages);
+}
@@ -0,0 +1,39 @@
+import { useMemo, useState, useSyncExternalStore } from 'react';
+import useI18n from './useI18n';
+import { applyContentFilters, getContentFilters, subscribeContentFilters } from '../services/contentFilters';
+
+// PUBLIC_INTERFACE
+export default function useContentFilters() {
+  /** Live { rules, hideRemoved } from the content filters store. */
+  return useSyncExternalStore(subscribeContentFilters, getContentFilters, getContentFilters);
+}
+
+// PUBLIC_INTERFACE
+export function useFilteredArticles(articles) {
+  /**
+   * Apply the content filters to a result set (see services/contentFilters).
+   * Returns { articles, hidden, showHidden, setShowHidden, hiddenNotes }: articles is what to render
+   * (the visible ones, or all of them while showHidden is on), hidden the filtered [{ article, reasons }]
+   * and hiddenNotes, while showing hidden articles, a Map from each hidden article to a
+   * "Hidden by …" note for NewsList.
+   */
+  const filters = useContentFilters();
+  const { t } = useI18n();
+  const [showHidden, setShowHidden] = useState(false);
+  const { visible, hidden } = useMemo(() => applyContentFilters(articles, filters), [articles, filters]);
+  const hiddenNotes = useMemo(() => {
+    if (!showHidden) return undefined;
+    const describe = (rule) => (rule.type === 'removed'
+      ? t('filters.reason.removed')
+      : t('filters.rule', { type: t(`filters.type.${rule.type}`), value: rule.value }));
+    return new Map(hidden.map(({ article, reasons }) => [article, t('filters.hiddenBy', { reasons: reasons.map(describe).join(', ') })]));
+  }, [hidden, showHidden, t]);
+
+  return {
+    articles: showHidden || !hidden.length ? articles : visible,
+    hidden,
+    showHidden,
+    setShowHidden,
+    hiddenNotes,
+  };
+}
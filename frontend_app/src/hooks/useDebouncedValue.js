@@ -0,0 +1,14 @@
+import { useEffect, useState } from 'react';
+
+// PUBLIC_INTERFACE
+export default function useDebouncedValue(value, delayMs) {
+  /** value, but only updated once it has stopped changing for delayMs. */
+  const [debounced, setDebounced] = useState(value);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebounced(value), delayMs);
+    return () => clearTimeout(timer);
+  }, [value, delayMs]);
+
+  return debounced;
+}
@@ -0,0 +1,24 @@
+import React, { useMemo } from 'react';
+import useSettings from './useSettings';
+import { createI18n, getLocale } from '../services/i18n';
+
+// PUBLIC_INTERFACE
+export default function useI18n() {
+  /**
+   * The current UI language and its helpers (see services/i18n createI18n), updated when the
+   * uiLanguage setting changes. t() may be given React elements as variables, e.g.
+   * t('headlines.fromSources', { sources: <strong>bbc-news</strong> }).
+   */
+  const settings = useSettings();
+  return useMemo(() => {
+    const i18n = createI18n(getLocale(settings));
+    const t = (key, vars) => {
+      const message = i18n.t(key, vars);
+      // Parts that mix text and elements need keys to render as children.
+      return Array.isArray(message)
+        ? message.map((part, i) => <React.Fragment key={i}>{part}</React.Fragment>)
+        : message;
+    };
+    return { ...i18n, t };
+  }, [settings]);
+}
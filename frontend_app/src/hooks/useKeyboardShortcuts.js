@@ -0,0 +1,54 @@
+import { useEffect } from 'react';
+import { navigate } from './useRoute';
+
+// Article cards (NewsList) and the search field (NewsSearch) mark themselves with these attributes.
+const CARD = '[data-card]';
+const SEARCH_FIELD = '[data-shortcut="search"]';
+// Typing in these shouldn't trigger shortcuts.
+const EDITABLE = 'input:not([type="checkbox"]):not([type="radio"]):not([type="button"]):not([type="submit"]), textarea, select, [contenteditable="true"]';
+
+function moveCard(step) {
+  const cards = [...document.querySelectorAll(CARD)];
+  if (!cards.length) return;
+  const current = document.activeElement?.closest?.(CARD);
+  const index = cards.indexOf(current);
+  const next = index === -1 ? cards[0] : cards[Math.min(Math.max(index + step, 0), cards.length - 1)];
+  next.focus();
+}
+
+function focusSearch() {
+  const field = document.querySelector(SEARCH_FIELD);
+  if (field) {
+    field.focus();
+    field.select?.();
+    return;
+  }
+  // Not on the search view: go there, then focus the field once it has rendered.
+  navigate('/search');
+  setTimeout(() => document.querySelector(SEARCH_FIELD)?.focus(), 0);
+}
+
+// PUBLIC_INTERFACE
+export default function useKeyboardShortcuts() {
+  /**
+   * Global keyboard shortcuts: j / k move focus to the next / previous article card, / focuses
+   * the search field (opening the search view if needed). o and Enter on a focused card open it
+   * in the reader (handled by the card). Ignored while typing in a field, with Ctrl/Alt/Meta held,
+   * or while a modal dialog such as the reader is open.
+   */
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      if (e.defaultPrevented || e.ctrlKey || e.metaKey || e.altKey) return;
+      if (e.target?.closest?.(EDITABLE) || document.querySelector('[aria-modal="true"]')) return;
+      if (e.key === 'j' || e.key === 'k') {
+        e.preventDefault();
+        moveCard(e.key === 'j' ? 1 : -1);
+      } else if (e.key === '/') {
+        e.preventDefault();
+        focusSearch();
+      }
+    };
+    document.addEventListener('keydown', onKeyDown);
+    return () => document.removeEventListener('keydown', onKeyDown);
+  }, []);
+}
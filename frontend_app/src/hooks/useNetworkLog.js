@@ -0,0 +1,8 @@
+import { useSyncExternalStore } from 'react';
+import { getNetworkLog, subscribeNetworkLog } from '../services/networkLog';
+
+// PUBLIC_INTERFACE
+export default function useNetworkLog() {
+  /** Live list of recent news service requests from the network log, newest first. */
+  return useSyncExternalStore(subscribeNetworkLog, getNetworkLog, getNetworkLog);
+}
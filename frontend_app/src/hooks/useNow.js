@@ -0,0 +1,14 @@
+import { useEffect, useState } from 'react';
+
+// PUBLIC_INTERFACE
+export default function useNow(intervalMs = 60000) {
+  /** The current time in ms, refreshed every intervalMs, so relative times ("5 minutes ago") stay current. */
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const id = setInterval(() => setNow(Date.now()), intervalMs);
+    return () => clearInterval(id);
+  }, [intervalMs]);
+
+  return now;
+}
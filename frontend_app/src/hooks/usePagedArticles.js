@@ -0,0 +1,159 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { toNewsError } from '../services/errors';
+import { getProviderInfo } from '../services/newsApi';
+import { getPageCount, mergeArticles } from '../services/pagination';
+
+const initialState = {
+  articles: [],
+  totalResults: 0,
+  loading: false,
+  appending: false,
+  pageCounts: [], // articles each loaded page held, before de-duplication
+  exhausted: false,
+  error: null,
+  settledFor: null,
+  fromCache: false,
+  fetchedAt: null,
+  offline: false,
+  retry: null,
+};
+
+// PUBLIC_INTERFACE
+export default function usePagedArticles(
+  fetchPage,
+  params,
+  { pageSize = 12, infinite = false, page: controlledPage, onPageChange } = {}
+) {
+  /**
+   * Fetch paginated articles for a set of query params.
+   * - fetchPage: service function like getTopHeadlines/searchEverything, called as fetchPage({ ...params, pageSize, page }, signal)
+   * - params: memoized query params; null/undefined means "nothing to fetch yet". A new object resets to page 1.
+   * - infinite: when true, subsequent pages are appended (de-duplicated by URL) instead of replacing the list.
+   * - page/onPageChange: optional controlled page (e.g. synced to the URL). Ignored in infinite mode,
+   *   where the page only tracks how far the list has been appended.
+   *
+   * Cached responses are shown immediately; when the service revalidates a stale entry in the
+   * background the refreshed page replaces (or, when appending, merges into) the current list.
+   * refresh() refetches the current page bypassing the cache read; it doubles as "try again".
+   * `error` is the failure as a NewsError (see services/errors), or null.
+   * `offline` is true while the list is an offline snapshot (the service couldn't be reached); the
+   * page is refetched automatically when the browser comes back online.
+   * While the service waits to retry a 429/5xx, `retry` holds { attempt, maxAttempts, retryAt }.
+   *
+   * Requests are latest-wins: changing params or page aborts the in-flight request, and a response
+   * is only applied while the request that produced it is still current.
+   */
+  // The page is tied to the params/mode it was chosen for, so a filter change falls back to page 1
+  // in the same render instead of fetching the stale page first.
+  const [cursor, setCursor] = useState({ params, infinite, page: 1 });
+  const controlled = controlledPage !== undefined && !infinite;
+  const internalPage = cursor.params === params && cursor.infinite === infinite ? cursor.page : 1;
+  const page = controlled ? Math.max(1, Number(controlledPage) || 1) : internalPage;
+  const [state, setState] = useState(initialState);
+  const [reload, setReload] = useState(0);
+  const bypassCacheRef = useRef(false);
+
+  useEffect(() => {
+    if (!params) {
+      setState(initialState);
+      return undefined;
+    }
+    const controller = new AbortController();
+    const appending = infinite && page > 1;
+    const cache = bypassCacheRef.current ? 'reload' : 'default';
+    bypassCacheRef.current = false;
+    const apply = (res) => (s) => {
+      const pageCounts = appending ? [...s.pageCounts.slice(0, page - 1), res.articles.length] : [res.articles.length];
+      const received = pageCounts.reduce((sum, n) => sum + n, 0);
+      return {
+        ...s,
+        totalResults: res.totalResults,
+        articles: appending ? mergeArticles(s.articles, res.articles) : res.articles,
+        pageCounts,
+        // Like fetchAllPages: an empty page, or every result that can be fetched, ends the list. A
+        // short page alone doesn't, since some providers (GNews, the Guardian) send fewer than asked for.
+        exhausted: !res.articles.length || received >= Math.min(Number(res.totalResults) || 0, getProviderInfo().maxResults),
+        fromCache: res.fromCache,
+        fetchedAt: res.fetchedAt,
+        offline: !!res.offline,
+      };
+    };
+
+    setState((s) => ({ ...s, loading: true, appending, error: null, retry: null }));
+    fetchPage({ ...params, pageSize, page }, controller.signal, {
+      cache,
+      onRevalidate: (res) => {
+        if (!controller.signal.aborted) setState(apply(res));
+      },
+      onRetry: (retry) => {
+        if (!controller.signal.aborted) setState((s) => ({ ...s, retry }));
+      },
+    })
+      .then((res) => {
+        // Superseded by newer params/page: this response belongs to a query that's no longer shown.
+        if (controller.signal.aborted) return;
+        setState((s) => ({ ...apply(res)(s), loading: false, appending: false, settledFor: params, retry: null }));
+      })
+      .catch((e) => {
+        if (controller.signal.aborted) return;
+        const error = toNewsError(e, 'Failed to load articles.');
+        setState((s) => ({
+          ...s,
+          loading: false,
+          appending: false,
+          settledFor: params,
+          retry: null,
+          error,
+          articles: appending ? s.articles : [],
+        }));
+      });
+
+    return () => controller.abort();
+  }, [fetchPage, params, pageSize, page, infinite, reload]);
+
+  // Until the first response for new params arrives, report loading so views don't flash an empty state.
+  const pending = !!params && state.settledFor !== params;
+  const pageCount = params ? getPageCount(state.totalResults, pageSize) : 0;
+  const hasMore = !!params && !state.exhausted && page < pageCount;
+
+  const setPage = useCallback(
+    (next) => {
+      if (controlled) onPageChange?.(Math.max(1, next));
+      else setCursor({ params, infinite, page: Math.max(1, next) });
+    },
+    [controlled, onPageChange, params, infinite]
+  );
+
+  const refresh = useCallback(() => {
+    bypassCacheRef.current = true;
+    setReload((n) => n + 1);
+  }, []);
+
+  useEffect(() => {
+    if (!state.offline) return undefined;
+    window.addEventListener('online', refresh);
+    return () => window.removeEventListener('online', refresh);
+  }, [state.offline, refresh]);
+
+  const loadMore = useCallback(() => {
+    if (!state.loading && hasMore) setPage(page + 1);
+  }, [state.loading, hasMore, page, setPage]);
+
+  return {
+    articles: state.articles,
+    totalResults: state.totalResults,
+    loading: pending || (state.loading && !state.appending),
+    loadingMore: state.loading && state.appending,
+    error: state.error,
+    page,
+    pageCount,
+    hasMore,
+    setPage,
+    loadMore,
+    refresh,
+    fromCache: state.fromCache,
+    fetchedAt: state.fetchedAt,
+    offline: state.offline,
+    retry: state.retry,
+  };
+}
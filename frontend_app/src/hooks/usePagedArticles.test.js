@@ -0,0 +1,31 @@
+import { act, renderHook, waitFor } from '@testing-library/react';
+import usePagedArticles from './usePagedArticles';
+
+const params = { q: 'ocean' };
+
+test('infinite scroll keeps going when the provider sends short pages', async () => {
+  // Asked for 12 per page, the provider sends at most 10 (like GNews' free tier).
+  const fetchPage = jest.fn(async ({ page }) => ({
+    totalResults: 25,
+    articles: Array.from({ length: Math.min(10, 25 - (page - 1) * 10) }, (_, i) => ({ url: `p${page}-${i}` })),
+  }));
+  const { result } = renderHook(() => usePagedArticles(fetchPage, params, { pageSize: 12, infinite: true }));
+
+  await waitFor(() => expect(result.current.articles).toHaveLength(10));
+  expect(result.current.hasMore).toBe(true);
+
+  act(() => result.current.loadMore());
+  await waitFor(() => expect(result.current.articles).toHaveLength(20));
+  expect(result.current.hasMore).toBe(true);
+
+  act(() => result.current.loadMore());
+  await waitFor(() => expect(result.current.articles).toHaveLength(25));
+  expect(result.current.hasMore).toBe(false);
+});
+
+test('an empty page ends the list whatever totalResults claims', async () => {
+  const fetchPage = jest.fn(async () => ({ totalResults: 50, articles: [] }));
+  const { result } = renderHook(() => usePagedArticles(fetchPage, params, { pageSize: 12, infinite: true }));
+  await waitFor(() => expect(result.current.loading).toBe(false));
+  expect(result.current.hasMore).toBe(false);
+});
@@ -0,0 +1,43 @@
+import { useSyncExternalStore } from 'react';
+
+//
+// Which article the reader panel shows. Any list can open an article with openReader(); the
+// panel itself is rendered once, by App. Not persisted: a reload closes the reader.
+//
+const listeners = new Set();
+let current = null;
+
+function emit() {
+  listeners.forEach((listener) => listener());
+}
+
+function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+function getCurrent() {
+  return current;
+}
+
+// PUBLIC_INTERFACE
+export function openReader(article, { language } = {}) {
+  /** Show article in the reader. language (e.g. the search language) is used for related coverage. */
+  if (!article) return;
+  current = { article, language };
+  emit();
+}
+
+// PUBLIC_INTERFACE
+export function closeReader() {
+  /** Close the reader panel. */
+  if (!current) return;
+  current = null;
+  emit();
+}
+
+// PUBLIC_INTERFACE
+export default function useReader() {
+  /** The open article as { article, language }, or null when the reader is closed. */
+  return useSyncExternalStore(subscribe, getCurrent, getCurrent);
+}
@@ -0,0 +1,8 @@
+import { useSyncExternalStore } from 'react';
+import { getRecentQueries, subscribeRecentQueries } from '../services/recentQueries';
+
+// PUBLIC_INTERFACE
+export default function useRecentQueries() {
+  /** Live list of recent search queries, most recent first. */
+  return useSyncExternalStore(subscribeRecentQueries, getRecentQueries, getRecentQueries);
+}
@@ -0,0 +1,82 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { fetchRegions } from '../services/comparison';
+
+//
+// State for the comparison dashboard: one column per region, each with its own status
+// ('queued' | 'loading' | 'done' | 'error' | 'cancelled'). All requests of a run share one
+// AbortController, so changing the selection, cancel() or unmounting stops the whole run.
+//
+const queued = (regions) => Object.fromEntries(regions.map((r) => [r.id, { status: 'queued' }]));
+
+// PUBLIC_INTERFACE
+export default function useRegionComparison(regions, { pageSize = 10 } = {}) {
+  /**
+   * Fetch top headlines for every region (see services/comparison) and track each column.
+   * Returns { columns: { [id]: state }, loading, cancel, retry(id), reload }.
+   * retry(id) refetches one region; reload refetches them all.
+   */
+  const [columns, setColumns] = useState(() => queued(regions));
+  const [revision, setRevision] = useState(0);
+  const controllerRef = useRef(null);
+  const regionsRef = useRef(regions);
+  regionsRef.current = regions;
+  const regionKey = regions.map((r) => r.id).join('|');
+
+  const update = useCallback((id, state) => setColumns((current) => ({ ...current, [id]: state })), []);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    controllerRef.current = controller;
+    const list = regionsRef.current;
+    setColumns(queued(list));
+    fetchRegions(list, {
+      pageSize,
+      signal: controller.signal,
+      onRegion: (id, state) => {
+        if (!controller.signal.aborted) update(id, state);
+      },
+    });
+    return () => {
+      controller.abort();
+      controllerRef.current?.abort(); // a retry started after cancel()
+    };
+  }, [regionKey, pageSize, revision, update]);
+
+  const cancel = useCallback(() => {
+    controllerRef.current?.abort();
+    setColumns((current) => Object.fromEntries(
+      Object.entries(current).map(([id, state]) => [
+        id,
+        state.status === 'queued' || state.status === 'loading' ? { status: 'cancelled' } : state,
+      ])
+    ));
+  }, []);
+
+  const retry = useCallback(
+    (id) => {
+      const region = regionsRef.current.find((r) => r.id === id);
+      if (!region) return;
+      // A retry joins the current run: a new run or cancel() aborts it with the rest. After a
+      // cancel, it gets a controller of its own that the next run replaces.
+      let controller = controllerRef.current;
+      if (!controller || controller.signal.aborted) {
+        controller = new AbortController();
+        controllerRef.current = controller;
+      }
+      const { signal } = controller;
+      fetchRegions([region], {
+        pageSize,
+        signal,
+        onRegion: (regionId, state) => {
+          if (!signal.aborted) update(regionId, state);
+        },
+      });
+    },
+    [pageSize, update]
+  );
+
+  const reload = useCallback(() => setRevision((n) => n + 1), []);
+  const loading = Object.values(columns).some((c) => c.status === 'queued' || c.status === 'loading');
+
+  return { columns, loading, cancel, retry, reload };
+}
@@ -0,0 +1,81 @@
+import { useCallback, useSyncExternalStore } from 'react';
+
+//
+// Minimal History API router.
+//
+// The app only has a handful of flat routes, so instead of pulling in a routing library this
+// keeps the current location in a tiny external store: navigate() pushes/replaces a history
+// entry and notifies subscribers, and popstate (back/forward) does the same. Paths are relative
+// to PUBLIC_URL so the app still works when deployed under a sub-path.
+//
+const listeners = new Set();
+
+function basename() {
+  try {
+    return new URL(process.env.PUBLIC_URL || '/', window.location.origin).pathname.replace(/\/+$/, '');
+  } catch {
+    return '';
+  }
+}
+
+function readLocation() {
+  const base = basename();
+  const { pathname, search } = window.location;
+  const path = base && pathname.startsWith(base) ? pathname.slice(base.length) || '/' : pathname;
+  return `${path}${search}`;
+}
+
+function emit() {
+  listeners.forEach((listener) => listener());
+}
+
+function subscribe(listener) {
+  if (listeners.size === 0) window.addEventListener('popstate', emit);
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0) window.removeEventListener('popstate', emit);
+  };
+}
+
+// PUBLIC_INTERFACE
+export function buildHref(path, query = {}) {
+  /** Build an app-relative href, dropping empty query values so shared links stay short. */
+  const params = new URLSearchParams();
+  Object.entries(query).forEach(([key, value]) => {
+    if (value === undefined || value === null || value === '') return;
+    params.set(key, String(value));
+  });
+  const qs = params.toString();
+  return `${path}${qs ? `?${qs}` : ''}`;
+}
+
+// PUBLIC_INTERFACE
+export function navigate(path, query, { replace = false } = {}) {
+  /** Go to an app route. Pushes a history entry unless replace is set; no-op if already there. */
+  const href = buildHref(path, query);
+  if (href === readLocation()) return;
+  const method = replace ? 'replaceState' : 'pushState';
+  window.history[method](null, '', `${basename()}${href}`);
+  emit();
+}
+
+// PUBLIC_INTERFACE
+export default function useRoute() {
+  /** Current route as { path, query } (query is a plain object of strings), kept in sync with back/forward. */
+  const location = useSyncExternalStore(subscribe, readLocation, () => '/');
+  const [path, search = ''] = location.split('?');
+  const query = Object.fromEntries(new URLSearchParams(search));
+
+  // Update some query keys on the current path, e.g. setQuery({ page: 2 }).
+  const setQuery = useCallback(
+    (changes, options) => {
+      const [currentPath, currentSearch = ''] = readLocation().split('?');
+      const next = { ...Object.fromEntries(new URLSearchParams(currentSearch)), ...changes };
+      navigate(currentPath, next, options);
+    },
+    []
+  );
+
+  return { path, query, setQuery };
+}
@@ -0,0 +1,8 @@
+import { useSyncExternalStore } from 'react';
+import { getSaved, subscribeSaved } from '../services/savedItems';
+
+// PUBLIC_INTERFACE
+export default function useSavedItems() {
+  /** Live { searches, bookmarks } from the saved-items store. */
+  return useSyncExternalStore(subscribeSaved, getSaved, getSaved);
+}
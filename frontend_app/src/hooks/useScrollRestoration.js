@@ -0,0 +1,29 @@
+import { useEffect, useLayoutEffect, useRef } from 'react';
+
+// Scroll positions by key (the route), for this session.
+const positions = new Map();
+
+// PUBLIC_INTERFACE
+export default function useScrollRestoration(key, ready) {
+  /**
+   * Keep the window's scroll position per key across unmounts, e.g. when switching tabs and back.
+   * The saved position is restored once ready turns true (the content is rendered, so the page is
+   * tall enough again); only then is the position tracked, so the short loading state of a
+   * remounted view can't overwrite it.
+   */
+  const restoredKey = useRef(null);
+
+  useLayoutEffect(() => {
+    if (!ready || restoredKey.current === key) return;
+    restoredKey.current = key;
+    const y = positions.get(key);
+    if (y > 0) window.scrollTo(0, y);
+  }, [key, ready]);
+
+  useEffect(() => {
+    if (!ready) return undefined;
+    const onScroll = () => positions.set(key, window.scrollY);
+    window.addEventListener('scroll', onScroll, { passive: true });
+    return () => window.removeEventListener('scroll', onScroll);
+  }, [key, ready]);
+}
@@ -0,0 +1,15 @@
+import { useMemo, useSyncExternalStore } from 'react';
+import { getPreferences, getSettings, subscribeSettings } from '../services/settings';
+
+// PUBLIC_INTERFACE
+export default function useSettings() {
+  /** Live runtime settings (only the fields the user set) from the settings store. */
+  return useSyncExternalStore(subscribeSettings, getSettings, getSettings);
+}
+
+// PUBLIC_INTERFACE
+export function usePreferences() {
+  /** Live { country, language, pageSize, theme }, with defaults for anything the user hasn't set. */
+  const settings = useSettings();
+  return useMemo(() => getPreferences(settings), [settings]);
+}
@@ -0,0 +1,56 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { CATEGORIES, getSources, isAbortError, toNewsError } from '../services/newsApi';
+
+// Used when the provider has no publisher directory or it can't be reached.
+const FALLBACK_COUNTRIES = ['us', 'gb', 'ca', 'au', 'de', 'fr', 'in', 'it', 'jp', 'za'];
+
+// PUBLIC_INTERFACE
+export default function useSources({ category, language, country } = {}) {
+  /**
+   * Load the publisher directory (see getSources) for optional category/language/country filters.
+   * Returns { sources, loading, error, reload } where error is a NewsError (or null) and reload()
+   * fetches again bypassing the cache.
+   */
+  const [state, setState] = useState({ sources: [], loading: true, error: null });
+  const [attempt, setAttempt] = useState(0);
+  const bypassCacheRef = useRef(false);
+
+  useEffect(() => {
+    const controller = new AbortController();
+    const cache = bypassCacheRef.current ? 'reload' : 'default';
+    bypassCacheRef.current = false;
+    setState((prev) => ({ ...prev, loading: true, error: null }));
+    getSources({ category, language, country }, controller.signal, {
+      cache,
+      onRevalidate: (fresh) => setState({ sources: fresh.sources, loading: false, error: null }),
+    })
+      .then((res) => setState({ sources: res.sources, loading: false, error: null }))
+      .catch((err) => {
+        if (isAbortError(err)) return;
+        setState({ sources: [], loading: false, error: toNewsError(err, 'Failed to load sources.') });
+      });
+    return () => controller.abort();
+  }, [category, language, country, attempt]);
+
+  const reload = useCallback(() => {
+    bypassCacheRef.current = true;
+    setAttempt((n) => n + 1);
+  }, []);
+  return { ...state, reload };
+}
+
+// PUBLIC_INTERFACE
+export function useSourceFacets() {
+  /**
+   * Countries, categories and languages that have at least one source, sorted, for filter menus.
+   * Falls back to a built-in list of countries and NewsAPI's categories when the directory is unavailable.
+   */
+  const { sources, loading } = useSources();
+  return useMemo(() => {
+    const distinct = (key) => [...new Set(sources.map((s) => s[key]).filter(Boolean))].sort();
+    if (!sources.length) {
+      return { countries: FALLBACK_COUNTRIES, categories: CATEGORIES, languages: [], loading };
+    }
+    return { countries: distinct('country'), categories: distinct('category'), languages: distinct('language'), loading };
+  }, [sources, loading]);
+}
@@ -0,0 +1,33 @@
+import { useSyncExternalStore } from 'react';
+import { usePreferences } from './useSettings';
+import { resolveTheme } from '../services/settings';
+
+//
+// The theme to apply. The 'system' preference follows the operating system, so the media
+// queries are watched and a change (e.g. the OS switching to dark mode at sunset) applies at once.
+//
+const DARK = '(prefers-color-scheme: dark)';
+const MORE_CONTRAST = '(prefers-contrast: more)';
+
+function media(query) {
+  return typeof window.matchMedia === 'function' ? window.matchMedia(query) : null;
+}
+
+function subscribe(listener) {
+  const lists = [media(DARK), media(MORE_CONTRAST)].filter(Boolean);
+  lists.forEach((list) => list.addEventListener?.('change', listener));
+  return () => lists.forEach((list) => list.removeEventListener?.('change', listener));
+}
+
+function getSystemTheme() {
+  // A string, so the snapshot compares equal while nothing changed.
+  return resolveTheme('system', { dark: !!media(DARK)?.matches, moreContrast: !!media(MORE_CONTRAST)?.matches });
+}
+
+// PUBLIC_INTERFACE
+export default function useTheme() {
+  /** { theme, resolved }: the saved preference (e.g. 'system') and the theme to apply ('light', 'dark' or 'high-contrast'). */
+  const { theme } = usePreferences();
+  const system = useSyncExternalStore(subscribe, getSystemTheme, () => 'light');
+  return { theme, resolved: theme === 'system' ? system : resolveTheme(theme) };
+}
@@ -0,0 +1,83 @@
+import { useEffect, useRef } from 'react';
+import { t } from '../services/i18n';
+import { pollDueWatchlists } from '../services/watchlistPoller';
+
+// How often due watchlists are looked for; each list's own interval decides whether it is checked.
+const TICK_MS = 30000;
+
+function showNotification(watchlist, fresh, onOpen) {
+  if (!watchlist.notify || typeof Notification === 'undefined' || Notification.permission !== 'granted') return;
+  try {
+    const notification = new Notification(
+      t('watchlists.notification', { count: fresh.length, name: watchlist.name }),
+      { body: fresh[0].title || '', tag: `watchlist-${watchlist.id}` }
+    );
+    notification.onclick = () => {
+      window.focus();
+      onOpen?.(watchlist);
+      notification.close();
+    };
+  } catch {
+    // Some browsers only allow notifications from a service worker; the badge still shows them.
+  }
+}
+
+// PUBLIC_INTERFACE
+export function requestNotificationPermission() {
+  /** Ask for permission to show notifications (call from a user action). Resolves to true when granted. */
+  if (typeof Notification === 'undefined') return Promise.resolve(false);
+  if (Notification.permission !== 'default') return Promise.resolve(Notification.permission === 'granted');
+  return Promise.resolve(Notification.requestPermission()).then((permission) => permission === 'granted');
+}
+
+// PUBLIC_INTERFACE
+export default function useWatchlistPolling({ onOpen } = {}) {
+  /**
+   * Poll due watchlists in the background while the tab is visible (see services/watchlistPoller).
+   * Polling stops when the tab is hidden or the browser is offline and catches up as soon as it is
+   * visible again. New articles raise a browser notification for watchlists with notify set;
+   * clicking it calls onOpen(watchlist).
+   */
+  const onOpenRef = useRef(onOpen);
+  onOpenRef.current = onOpen;
+
+  useEffect(() => {
+    let timer = null;
+    let controller = null;
+
+    const tick = async () => {
+      if (controller || document.hidden || navigator.onLine === false) return;
+      controller = new AbortController();
+      try {
+        const results = await pollDueWatchlists({ signal: controller.signal });
+        results.forEach(({ watchlist, fresh }) => {
+          if (fresh.length) showNotification(watchlist, fresh, onOpenRef.current);
+        });
+      } catch {
+        // Aborted because the tab was hidden or the app unmounted.
+      } finally {
+        controller = null;
+      }
+    };
+    const start = () => {
+      if (timer) return;
+      tick();
+      timer = setInterval(tick, TICK_MS);
+    };
+    const stop = () => {
+      clearInterval(timer);
+      timer = null;
+      controller?.abort();
+    };
+    const onVisibilityChange = () => (document.hidden ? stop() : start());
+
+    if (!document.hidden) start();
+    document.addEventListener('visibilitychange', onVisibilityChange);
+    window.addEventListener('online', tick);
+    return () => {
+      stop();
+      document.removeEventListener('visibilitychange', onVisibilityChange);
+      window.removeEventListener('online', tick);
+    };
+  }, []);
+}
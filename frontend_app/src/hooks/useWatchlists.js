@@ -0,0 +1,8 @@
+import { useSyncExternalStore } from 'react';
+import { getWatchlists, subscribeWatchlists } from '../services/watchlists';
+
+// PUBLIC_INTERFACE
+export default function useWatchlists() {
+  /** Live list of watchlists from the watchlists store. */
+  return useSyncExternalStore(subscribeWatchlists, getWatchlists, getWatchlists);
+}
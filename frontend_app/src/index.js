@@ -2,6 +2,7 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import * as serviceWorkerRegistration from './serviceWorkerRegistration';
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
 root.render(
@@ -9,3 +10,10 @@ root.render(
     <App />
   </React.StrictMode>
 );
+
+// Offline support: caches the app shell and article images (production builds only).
+if (process.env.REACT_APP_SERVICE_WORKER === 'false') {
+  serviceWorkerRegistration.unregister();
+} else {
+  serviceWorkerRegistration.register();
+}
@@ -0,0 +1,59 @@
+/* eslint-disable no-restricted-globals */
+//
+// Service worker (built by react-scripts with Workbox's InjectManifest; registered in production
+// by ./serviceWorkerRegistration).
+//
+// - The app shell (the build's JS, CSS and index.html) is precached, and every navigation is
+//   answered with index.html so client-side routes like /saved open offline.
+// - Article images are cached as they are shown, so bookmarked articles keep their pictures
+//   offline.
+//
+// News API responses are deliberately not cached here: the app keeps its own offline snapshots
+// (see services/offlineSnapshots), knows when it is showing one, and never writes credentials
+// that some providers put in the query string into Cache Storage.
+//
+import { clientsClaim } from 'workbox-core';
+import { CacheableResponsePlugin } from 'workbox-cacheable-response';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { createHandlerBoundToURL, precacheAndRoute } from 'workbox-precaching';
+import { registerRoute } from 'workbox-routing';
+import { NetworkFirst, StaleWhileRevalidate } from 'workbox-strategies';
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// App shell routing: navigations get index.html, except for URLs that look like files.
+const fileExtensionRegexp = /\/[^/?]+\.[^/]+$/;
+registerRoute(({ request, url }) => {
+  if (request.mode !== 'navigate') return false;
+  if (url.pathname.startsWith('/_')) return false;
+  return !url.pathname.match(fileExtensionRegexp);
+}, createHandlerBoundToURL(`${process.env.PUBLIC_URL}/index.html`));
+
+// Same-origin static files that aren't part of the build (manifest, icons).
+registerRoute(
+  ({ url }) => url.origin === self.location.origin && /\.(?:png|ico|svg|json)$/.test(url.pathname),
+  new StaleWhileRevalidate({ cacheName: 'static' })
+);
+
+// Article images from any origin. Cross-origin images are opaque (status 0), so whether one loaded
+// can't be told: the cached copy is only used when the network fails or is slow, and a broken image
+// is replaced the next time it loads. Browsers count each opaque entry as several MB against the
+// storage quota, hence the small cap.
+registerRoute(
+  ({ request }) => request.destination === 'image',
+  new NetworkFirst({
+    cacheName: 'article-images',
+    networkTimeoutSeconds: 4,
+    plugins: [
+      new CacheableResponsePlugin({ statuses: [0, 200] }),
+      new ExpirationPlugin({ maxEntries: 60, maxAgeSeconds: 30 * 24 * 60 * 60, purgeOnQuotaError: true }),
+    ],
+  })
+);
+
+// Lets the page activate a waiting update (see serviceWorkerRegistration's onUpdate).
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
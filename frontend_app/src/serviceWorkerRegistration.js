@@ -0,0 +1,51 @@
+//
+// Registers the service worker (./service-worker) that makes the app usable offline.
+//
+// Only production builds register it: in development a cached shell would hide code changes.
+// Set REACT_APP_SERVICE_WORKER=false to build without it; that also removes a worker installed by
+// an earlier build.
+//
+
+// PUBLIC_INTERFACE
+export function register({ onUpdate, onSuccess } = {}) {
+  /**
+   * Register the service worker after the page has loaded.
+   * - onSuccess(registration): the app shell is cached and the app now works offline
+   * - onUpdate(registration): a new version is installed and waiting; it takes over once every tab
+   *   of the app is closed, or right away after posting { type: 'SKIP_WAITING' } to registration.waiting
+   */
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+  // The worker must be served from the same origin as the page.
+  const publicUrl = new URL(process.env.PUBLIC_URL, window.location.href);
+  if (publicUrl.origin !== window.location.origin) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .then((registration) => {
+        registration.onupdatefound = () => {
+          const installing = registration.installing;
+          if (!installing) return;
+          installing.onstatechange = () => {
+            if (installing.state !== 'installed') return;
+            if (navigator.serviceWorker.controller) onUpdate?.(registration);
+            else onSuccess?.(registration);
+          };
+        };
+      })
+      .catch(() => {
+        // E.g. the worker file is missing or the browser blocks it: the app just works online only.
+      });
+  });
+}
+
+// PUBLIC_INTERFACE
+export function unregister() {
+  /** Remove a previously registered service worker. */
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.ready
+    .then((registration) => registration.unregister())
+    .catch(() => {
+      // Nothing was registered.
+    });
+}
@@ -0,0 +1,140 @@
+//
+// Analytics over a loaded result set: trending terms, source distribution and a publication
+// timeline. Everything is computed client-side from the articles already fetched; no requests.
+//
+// Terms are counted by document frequency (the number of articles that mention them), so one
+// article repeating a word doesn't make it trend. Two-word phrases are found within a clause;
+// a word is left out when a phrase containing it is just as frequent ("interest rates" rather
+// than "interest" and "rates").
+//
+// Pure functions with no React or DOM dependencies; AnalyticsPanel renders the result.
+//
+import { stripSourceSuffix } from './clustering';
+import { getStopwords } from './stopwords';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+// Candidate timeline bucket sizes, smallest first.
+export const BUCKET_SIZES = [HOUR, 3 * HOUR, 6 * HOUR, 12 * HOUR, DAY, 2 * DAY, 7 * DAY, 30 * DAY];
+
+// PUBLIC_INTERFACE
+export function tokenizeTerms(text) {
+  /** Clauses of a text as arrays of words in their original case (punctuation splits clauses; possessive 's dropped). */
+  return String(text || '')
+    .normalize('NFKC')
+    .split(/[.!?;:,|()[\]"“”«»–—]+|\s-\s/)
+    .map((clause) => clause.replace(/['’]s\b/g, '').split(/[^\p{L}\p{N}]+/u).filter(Boolean))
+    .filter((clause) => clause.length);
+}
+
+function articleText(article) {
+  return `${stripSourceSuffix(article?.title, article?.source?.name)}. ${article?.description || ''}`;
+}
+
+// PUBLIC_INTERFACE
+export function extractTerms(articles, { language = 'en', exclude = [], max = 12, minCount = 2 } = {}) {
+  /**
+   * Most mentioned words and two-word phrases in the articles' titles and descriptions.
+   * - language: stopword list to use (the search language; see ./stopwords)
+   * - exclude: words to leave out, e.g. the query itself (a string or an array)
+   * - minCount: how many articles must mention a term
+   * Returns up to max [{ term, count, kind: 'word' | 'phrase' }], most mentioned first, phrases
+   * before words on a tie. term uses the most common capitalization ("NASA", "Paris").
+   */
+  const stopwords = getStopwords(language);
+  const excluded = new Set(
+    (Array.isArray(exclude) ? exclude : [exclude]).flatMap((text) => tokenizeTerms(text).flat()).map((w) => w.toLowerCase())
+  );
+  const isTerm = (word) => word.length > 1 && !/^\p{N}+$/u.test(word) && !stopwords.has(word) && !excluded.has(word);
+
+  const stats = new Map(); // key → { count, kind, forms: Map(form → n), order }
+  const record = (key, form, kind, seen) => {
+    if (!stats.has(key)) stats.set(key, { key, count: 0, kind, forms: new Map(), order: stats.size });
+    const entry = stats.get(key);
+    entry.forms.set(form, (entry.forms.get(form) || 0) + 1);
+    if (!seen.has(key)) {
+      seen.add(key);
+      entry.count += 1;
+    }
+  };
+
+  (articles || []).forEach((article) => {
+    const seen = new Set();
+    tokenizeTerms(articleText(article)).forEach((clause) => {
+      const lower = clause.map((w) => w.toLowerCase());
+      lower.forEach((word, i) => {
+        if (!isTerm(word)) return;
+        record(word, clause[i], 'word', seen);
+        if (i + 1 < lower.length && isTerm(lower[i + 1])) {
+          record(`${word} ${lower[i + 1]}`, `${clause[i]} ${clause[i + 1]}`, 'phrase', seen);
+        }
+      });
+    });
+  });
+
+  const frequent = [...stats.values()].filter((entry) => entry.count >= minCount);
+  const phrases = frequent.filter((entry) => entry.kind === 'phrase');
+  const subsumed = (entry) => entry.kind === 'word'
+    && phrases.some((p) => p.count >= entry.count && p.key.split(' ').includes(entry.key));
+  const topForm = (forms) => [...forms.entries()].sort((a, b) => b[1] - a[1])[0][0];
+
+  return frequent
+    .filter((entry) => !subsumed(entry))
+    .sort((a, b) => b.count - a.count || (a.kind === b.kind ? 0 : a.kind === 'phrase' ? -1 : 1) || a.order - b.order)
+    .slice(0, max)
+    .map((entry) => ({ term: topForm(entry.forms), count: entry.count, kind: entry.kind }));
+}
+
+// PUBLIC_INTERFACE
+export function sourceDistribution(articles, { max = 8 } = {}) {
+  /**
+   * Articles per outlet: { sources: [{ name, count, share }], other, total }, largest first.
+   * Outlets beyond max are summed in other; share is a fraction of total. A missing source name is null.
+   */
+  const counts = new Map();
+  (articles || []).forEach((article) => {
+    const name = article?.source?.name || null;
+    counts.set(name, (counts.get(name) || 0) + 1);
+  });
+  const total = (articles || []).length;
+  const ranked = [...counts.entries()]
+    .map(([name, count]) => ({ name, count, share: total ? count / total : 0 }))
+    .sort((a, b) => b.count - a.count);
+  const sources = ranked.slice(0, max);
+  const other = ranked.slice(max).reduce((sum, s) => sum + s.count, 0);
+  return { sources, other, total };
+}
+
+// PUBLIC_INTERFACE
+export function publicationHistogram(articles, { maxBuckets = 24 } = {}) {
+  /**
+   * Articles per time bucket, for a timeline of publishedAt.
+   * Picks the smallest bucket size from BUCKET_SIZES that covers the range in at most maxBuckets
+   * (aligned to UTC) and returns { bucketMs, buckets: [{ start, end, count }], undated }, oldest
+   * first with empty buckets included. undated counts articles without a valid publishedAt.
+   */
+  const times = [];
+  let undated = 0;
+  (articles || []).forEach((article) => {
+    const time = Date.parse(article?.publishedAt);
+    if (Number.isNaN(time)) undated += 1;
+    else times.push(time);
+  });
+  if (!times.length) return { bucketMs: null, buckets: [], undated };
+
+  const min = Math.min(...times);
+  const max = Math.max(...times);
+  const fits = (size) => Math.floor(max / size) - Math.floor(min / size) + 1 <= maxBuckets;
+  const bucketMs = BUCKET_SIZES.find(fits) || BUCKET_SIZES[BUCKET_SIZES.length - 1];
+  const first = Math.floor(min / bucketMs);
+  const count = Math.floor(max / bucketMs) - first + 1;
+  const buckets = Array.from({ length: count }, (_, i) => ({
+    start: (first + i) * bucketMs,
+    end: (first + i + 1) * bucketMs,
+    count: 0,
+  }));
+  times.forEach((time) => {
+    buckets[Math.floor(time / bucketMs) - first].count += 1;
+  });
+  return { bucketMs, buckets, undated };
+}
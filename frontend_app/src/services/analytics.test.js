@@ -0,0 +1,71 @@
+import { extractTerms, publicationHistogram, sourceDistribution, tokenizeTerms } from './analytics';
+
+const article = (title, description, source = 'Reuters', publishedAt) => ({ title, description, source: { name: source }, publishedAt });
+
+test('splits text into clauses of words', () => {
+  expect(tokenizeTerms("Fed's decision: rates rise - markets fall")).toEqual([['Fed', 'decision'], ['rates', 'rise'], ['markets', 'fall']]);
+  expect(tokenizeTerms('')).toEqual([]);
+});
+
+test('ranks terms by the number of articles mentioning them, preferring phrases', () => {
+  const articles = [
+    article('Central bank raises interest rates again - Reuters', 'Interest rates hit a 15-year high.'),
+    article('Why interest rates matter for mortgages', 'Mortgage costs follow the central bank.'),
+    article('NASA delays moon mission', 'The agency said interest in the mission remains strong.', 'BBC News'),
+    article('Interest rates: what the decision means', 'NASA is not involved.'),
+  ];
+  const terms = extractTerms(articles);
+  // "interest" alone is in all four articles, so the phrase doesn't subsume it; "rates" it does.
+  expect(terms.slice(0, 2)).toEqual([
+    { term: 'interest', count: 4, kind: 'word' },
+    { term: 'interest rates', count: 3, kind: 'phrase' },
+  ]);
+  expect(terms.map((t) => t.term)).not.toContain('rates');
+  expect(terms).toContainEqual({ term: 'Central bank', count: 2, kind: 'phrase' });
+  expect(terms).toContainEqual({ term: 'NASA', count: 2, kind: 'word' });
+  expect(terms.map((t) => t.term)).not.toContain('central');
+  expect(terms.map((t) => t.term)).not.toContain('the');
+  expect(terms.map((t) => t.term)).not.toContain('Reuters');
+
+  expect(extractTerms(articles, { exclude: 'interest rates' }).map((t) => t.term)).not.toContain('interest');
+  expect(extractTerms(articles, { max: 1 })).toHaveLength(1);
+});
+
+test('uses the stopwords of the search language', () => {
+  const articles = [
+    article('Die Regierung plant neue Steuern', 'Die Steuern steigen im Herbst.', 'Spiegel'),
+    article('Die Opposition kritisiert die Steuern', 'Kritik an der Regierung.', 'FAZ'),
+  ];
+  const german = extractTerms(articles, { language: 'de' }).map((t) => t.term);
+  expect(german).toEqual(['Regierung', 'Steuern']);
+  expect(extractTerms(articles, { language: 'en' }).map((t) => t.term)).toContain('Die Steuern');
+});
+
+test('counts articles per source, with the long tail summed', () => {
+  const articles = ['BBC News', 'Reuters', 'BBC News', undefined, 'CNN'].map((name) => ({ source: name && { name } }));
+  expect(sourceDistribution(articles, { max: 2 })).toEqual({
+    sources: [{ name: 'BBC News', count: 2, share: 0.4 }, { name: 'Reuters', count: 1, share: 0.2 }],
+    other: 2,
+    total: 5,
+  });
+  expect(sourceDistribution([])).toEqual({ sources: [], other: 0, total: 0 });
+});
+
+test('buckets publication times by the smallest size that fits', () => {
+  const hourly = publicationHistogram([
+    { publishedAt: '2024-05-10T09:15:00Z' },
+    { publishedAt: '2024-05-10T09:45:00Z' },
+    { publishedAt: '2024-05-10T12:05:00Z' },
+    { publishedAt: 'not a date' },
+  ]);
+  expect(hourly.bucketMs).toBe(60 * 60 * 1000);
+  expect(hourly.buckets.map((b) => b.count)).toEqual([2, 0, 0, 1]);
+  expect(hourly.buckets[0].start).toBe(Date.parse('2024-05-10T09:00:00Z'));
+  expect(hourly.undated).toBe(1);
+
+  const daily = publicationHistogram([{ publishedAt: '2024-05-01T10:00:00Z' }, { publishedAt: '2024-05-15T10:00:00Z' }]);
+  expect(daily.bucketMs).toBe(24 * 60 * 60 * 1000);
+  expect(daily.buckets).toHaveLength(15);
+
+  expect(publicationHistogram([])).toEqual({ bucketMs: null, buckets: [], undated: 0 });
+});
@@ -0,0 +1,160 @@
+//
+// Story clustering: group copies of the same story from different outlets.
+//
+// Headlines and search results often contain one story several times: the same URL with
+// different tracking parameters or an AMP variant, syndicated copies (wire stories) on other
+// sites, or near-identical rewrites. Two articles are treated as the same story when
+//   - their URLs match after normalization (see normalizeUrl), or
+//   - their titles are near-duplicates (token Jaccard similarity ≥ titleThreshold), or
+//   - their titles are similar (≥ looseTitleThreshold) and their descriptions are near-duplicates
+//     (≥ descriptionThreshold).
+// Matching is transitive, so A~B and B~C put all three in one cluster.
+//
+// Pure functions with no React or DOM dependencies; NewsList renders the result.
+//
+
+// Query parameters that only identify the click, not the page.
+const TRACKING_PARAMS = /^(utm_.*|fbclid|gclid|dclid|msclkid|mc_cid|mc_eid|igshid|ref|ref_src|cmpid|ocid|smid|taid|at_.*|__twitter_impression)$/i;
+
+// Too common to say anything about whether two titles describe the same story.
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'have', 'in', 'is', 'it', 'its',
+  'of', 'on', 'or', 'that', 'the', 'to', 'was', 'were', 'will', 'with', 'after', 'over', 'says', 'said',
+  'new', 'live', 'update', 'updates', 'video', 'watch',
+]);
+
+export const DEFAULT_THRESHOLDS = {
+  titleThreshold: 0.6,
+  looseTitleThreshold: 0.35,
+  descriptionThreshold: 0.6,
+  // Titles with fewer distinctive words than this ("Live updates") never match on title alone.
+  minTokens: 3,
+};
+
+// PUBLIC_INTERFACE
+export function normalizeUrl(url) {
+  /**
+   * Canonical form of an article URL for comparison: no scheme, lower-case host without "www." or
+   * "amp."/"m." prefixes, no fragment, no tracking parameters, no AMP path suffix, no trailing
+   * slash, and the remaining query parameters sorted. Returns '' for missing or unparseable URLs.
+   */
+  if (!url) return '';
+  let parsed;
+  try {
+    parsed = new URL(String(url).trim());
+  } catch {
+    return '';
+  }
+  const host = parsed.hostname.toLowerCase().replace(/^(www\d*|amp|m)\./, '');
+  const path = parsed.pathname
+    .replace(/\/amp(\.html)?\/?$/i, '/')
+    .replace(/\.amp(\.html)?$/i, '')
+    .replace(/\/+$/, '');
+  const params = [...parsed.searchParams.entries()]
+    .filter(([key]) => !TRACKING_PARAMS.test(key) && key.toLowerCase() !== 'amp' && key.toLowerCase() !== 'outputtype')
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = new URLSearchParams(params).toString();
+  return `${host}${path}${query ? `?${query}` : ''}`;
+}
+
+// PUBLIC_INTERFACE
+export function stripSourceSuffix(title, sourceName) {
+  /** Remove the outlet name NewsAPI appends to titles, e.g. "Markets rally - BBC News" → "Markets rally". */
+  const text = String(title || '').trim();
+  const withoutSource = sourceName
+    ? text.replace(new RegExp(`\\s+[-–—|:]\\s+${sourceName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\s*$`, 'i'), '')
+    : text;
+  // Any remaining short " - Outlet" tail (at most 4 words) is an outlet name too.
+  return withoutSource.replace(/\s+[-–—|]\s+\S+(?:\s+\S+){0,3}$/, '');
+}
+
+// PUBLIC_INTERFACE
+export function tokenize(text) {
+  /** Distinctive lower-case words of a text (accents folded, punctuation and stopwords removed) as a Set. */
+  const words = String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/['’]s\b/g, '')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((w) => w && !STOPWORDS.has(w));
+  return new Set(words);
+}
+
+// PUBLIC_INTERFACE
+export function similarity(a, b) {
+  /** Jaccard similarity (0–1) of two token Sets; 0 when either is empty. */
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  a.forEach((token) => {
+    if (b.has(token)) shared += 1;
+  });
+  return shared / (a.size + b.size - shared);
+}
+
+function fingerprint(article) {
+  return {
+    url: normalizeUrl(article?.url),
+    title: tokenize(stripSourceSuffix(article?.title, article?.source?.name)),
+    description: tokenize(article?.description),
+  };
+}
+
+function sameStory(x, y, t) {
+  if (x.url && x.url === y.url) return true;
+  if (x.title.size < t.minTokens || y.title.size < t.minTokens) return false;
+  const titles = similarity(x.title, y.title);
+  if (titles >= t.titleThreshold) return true;
+  return titles >= t.looseTitleThreshold && similarity(x.description, y.description) >= t.descriptionThreshold;
+}
+
+// PUBLIC_INTERFACE
+export function clusterArticles(articles, thresholds = {}) {
+  /**
+   * Group articles into stories.
+   * Returns [{ id, lead, articles, sources }] in the order each story first appears:
+   * - lead: the first article of the story (the provider's ranking decides)
+   * - articles: every copy, lead first; exact URL duplicates are dropped
+   * - sources: distinct outlet names, in order
+   * - id: a stable key for the story (the lead's normalized URL, or its index)
+   * thresholds: overrides for DEFAULT_THRESHOLDS.
+   */
+  const t = { ...DEFAULT_THRESHOLDS, ...thresholds };
+  const list = (articles || []).filter(Boolean);
+  const prints = list.map(fingerprint);
+
+  // Union-find over article indexes; the smaller index is always the root so the lead is first.
+  const parent = list.map((_, i) => i);
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+  for (let i = 0; i < list.length; i += 1) {
+    for (let j = i + 1; j < list.length; j += 1) {
+      const ri = find(i);
+      const rj = find(j);
+      if (ri !== rj && sameStory(prints[i], prints[j], t)) parent[Math.max(ri, rj)] = Math.min(ri, rj);
+    }
+  }
+
+  const clusters = new Map();
+  const urls = new Map(); // root → article URLs already in that cluster
+  list.forEach((article, i) => {
+    const root = find(i);
+    if (!clusters.has(root)) {
+      clusters.set(root, { id: prints[i].url || `article-${i}`, lead: article, articles: [], sources: [] });
+      urls.set(root, new Set());
+    }
+    const cluster = clusters.get(root);
+    const seen = urls.get(root);
+    if (prints[i].url && seen.has(prints[i].url)) return;
+    if (prints[i].url) seen.add(prints[i].url);
+    cluster.articles.push(article);
+    const source = article.source?.name;
+    if (source && !cluster.sources.includes(source)) cluster.sources.push(source);
+  });
+  return [...clusters.values()];
+}
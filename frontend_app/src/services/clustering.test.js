@@ -0,0 +1,63 @@
+import { clusterArticles, normalizeUrl, similarity, stripSourceSuffix, tokenize } from './clustering';
+
+const article = (title, url, source, description) => ({ title, url, description, source: { name: source } });
+
+test('normalizeUrl ignores scheme, www, tracking parameters, fragments and AMP variants', () => {
+  const canonical = normalizeUrl('https://www.example.com/world/story-1?id=7');
+  expect(normalizeUrl('http://example.com/world/story-1/?utm_source=x&id=7#comments')).toBe(canonical);
+  expect(normalizeUrl('https://amp.example.com/world/story-1/amp?id=7&fbclid=abc')).toBe(canonical);
+  expect(normalizeUrl('https://example.com/world/story-1?id=8')).not.toBe(canonical);
+  expect(normalizeUrl('not a url')).toBe('');
+});
+
+test('titles are compared without the outlet suffix, punctuation or stopwords', () => {
+  expect(stripSourceSuffix('Markets rally as inflation cools - BBC News', 'BBC News')).toBe('Markets rally as inflation cools');
+  expect(stripSourceSuffix('Markets rally as inflation cools | Reuters')).toBe('Markets rally as inflation cools');
+  expect([...tokenize('The Café’s “new” menu, explained!')]).toEqual(['cafe', 'menu', 'explained']);
+  expect(similarity(tokenize('a b c'), tokenize(''))).toBe(0);
+});
+
+test('groups URL duplicates, syndicated copies and near-identical rewrites into stories', () => {
+  const articles = [
+    article('Fed raises interest rates by a quarter point - Reuters', 'https://reuters.com/fed?utm_medium=rss', 'Reuters'),
+    article('Storm closes schools across the region', 'https://local.example/storm', 'Local'),
+    article('Federal Reserve raises interest rates by quarter point', 'https://ap.example/fed-rates', 'AP'),
+    article('Fed raises interest rates by a quarter point', 'https://www.reuters.com/fed', 'Reuters'),
+    article(
+      'Central bank lifts rates again',
+      'https://paper.example/rates',
+      'Paper',
+      'The Federal Reserve raised its benchmark interest rate by a quarter of a percentage point on Wednesday.'
+    ),
+    article(
+      'Central bank lifts borrowing costs',
+      'https://daily.example/rates',
+      'Daily',
+      'The Federal Reserve raised its benchmark interest rate by a quarter of a percentage point on Wednesday.'
+    ),
+  ];
+  const stories = clusterArticles(articles);
+  expect(stories.map((s) => s.articles.length)).toEqual([2, 1, 2]);
+  const [fed, storm, centralBank] = stories;
+  expect(fed.lead).toBe(articles[0]);
+  expect(fed.sources).toEqual(['Reuters', 'AP']);
+  expect(fed.id).toBe('reuters.com/fed');
+  expect(storm.lead).toBe(articles[1]);
+  expect(centralBank.sources).toEqual(['Paper', 'Daily']);
+});
+
+test('short generic titles never match on their own and thresholds are adjustable', () => {
+  const live = [
+    article('Live updates', 'https://a.example/1', 'A'),
+    article('Live updates', 'https://b.example/2', 'B'),
+  ];
+  expect(clusterArticles(live)).toHaveLength(2);
+
+  const loose = [
+    article('Tech giant reports record quarterly profit', 'https://a.example/p', 'A'),
+    article('Tech giant posts record profit', 'https://b.example/p', 'B'),
+  ];
+  expect(clusterArticles(loose)).toHaveLength(2);
+  expect(clusterArticles(loose, { titleThreshold: 0.5 })).toHaveLength(1);
+  expect(clusterArticles([])).toEqual([]);
+});
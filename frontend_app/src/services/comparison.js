@@ -0,0 +1,145 @@
+//
+// Multi-region headline comparison: top headlines for several countries and/or categories side
+// by side, and the stories that more than one of them carries.
+//
+// Regions are fetched with at most `concurrency` requests in flight (providers rate-limit per key,
+// so a dozen parallel requests mostly buy 429s) under one shared signal: aborting it cancels the
+// running requests and keeps the queued ones from starting. Each region settles on its own, so one
+// failing region doesn't blank the others.
+//
+// Shared stories are found with the story clustering from ./clustering, across regions instead of
+// within one list.
+//
+import { clusterArticles, normalizeUrl } from './clustering';
+import { getTopHeadlines, isAbortError, toNewsError } from './newsApi';
+
+export const MAX_REGIONS = 8;
+export const DEFAULT_CONCURRENCY = 3;
+
+// PUBLIC_INTERFACE
+export function buildRegions({ countries = [], categories = [], defaultCountry = 'us' } = {}) {
+  /**
+   * Regions to compare as [{ id, country, category }]: every country × category pair when both are
+   * chosen, otherwise one per country (all categories) or one per category (in defaultCountry).
+   * Duplicates are dropped and the list is capped at MAX_REGIONS.
+   */
+  const unique = (list) => [...new Set(list.filter(Boolean))];
+  const countryList = unique(countries);
+  const categoryList = unique(categories);
+  let regions;
+  if (countryList.length && categoryList.length) {
+    regions = countryList.flatMap((country) => categoryList.map((category) => ({ country, category })));
+  } else if (countryList.length) {
+    regions = countryList.map((country) => ({ country }));
+  } else {
+    regions = categoryList.map((category) => ({ country: defaultCountry, category }));
+  }
+  return regions
+    .slice(0, MAX_REGIONS)
+    .map(({ country, category }) => ({ id: category ? `${country}-${category}` : country, country, category }));
+}
+
+// PUBLIC_INTERFACE
+export async function runWithConcurrency(tasks, limit = DEFAULT_CONCURRENCY, signal) {
+  /**
+   * Run async task functions in order with at most `limit` running at a time. Resolves, like
+   * Promise.allSettled, to [{ status: 'fulfilled', value } | { status: 'rejected', reason }] once the
+   * started tasks have settled; tasks not started when signal aborts are left undefined.
+   */
+  const results = new Array(tasks.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < tasks.length && !signal?.aborted) {
+      const index = next;
+      next += 1;
+      try {
+        results[index] = { status: 'fulfilled', value: await tasks[index]() };
+      } catch (reason) {
+        results[index] = { status: 'rejected', reason };
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, tasks.length)) }, worker));
+  return results;
+}
+
+// PUBLIC_INTERFACE
+export async function fetchRegions(
+  regions,
+  { pageSize = 10, concurrency = DEFAULT_CONCURRENCY, signal, onRegion, fetchPage = getTopHeadlines } = {}
+) {
+  /**
+   * Fetch the first page of top headlines for each region.
+   * onRegion(id, state) reports { status: 'loading' } when a region's request starts, then
+   * { status: 'done', articles, totalResults, fromCache, fetchedAt, offline } or { status: 'error', error }.
+   * A region cancelled by signal reports nothing more. Resolves to { [id]: state } for the settled regions.
+   */
+  const states = {};
+  const report = (id, state) => {
+    states[id] = state;
+    onRegion?.(id, state);
+  };
+  await runWithConcurrency(
+    regions.map(({ id, country, category }) => async () => {
+      report(id, { status: 'loading' });
+      try {
+        const { articles, totalResults, fromCache, fetchedAt, offline } = await fetchPage(
+          { country, category, pageSize, page: 1 },
+          signal
+        );
+        report(id, { status: 'done', articles, totalResults, fromCache, fetchedAt, offline });
+      } catch (err) {
+        if (isAbortError(err)) {
+          delete states[id];
+          return;
+        }
+        report(id, { status: 'error', error: toNewsError(err) });
+      }
+    }),
+    concurrency,
+    signal
+  );
+  return states;
+}
+
+// PUBLIC_INTERFACE
+export function articleKey(article) {
+  /** Identity of an article across regions: its normalized URL, or its title when it has no usable URL. */
+  return normalizeUrl(article?.url) || String(article?.title || '').trim().toLowerCase();
+}
+
+// PUBLIC_INTERFACE
+export function findSharedStories(columns) {
+  /**
+   * Stories carried by more than one region. columns: [{ id, articles }] in display order.
+   * Returns { stories, byKey }:
+   * - stories: [{ id, lead, regions }] with regions (column ids, in column order), most widely
+   *   carried first
+   * - byKey: Map from articleKey(article) to the regions of its story, for every shared article
+   * The same URL, or a copy of the story from another outlet (see clusterArticles), counts as shared.
+   */
+  const order = columns.map((c) => c.id);
+  const entries = new Map();
+  columns.forEach(({ id, articles }) => {
+    (articles || []).forEach((article) => {
+      const key = articleKey(article);
+      if (!key) return;
+      if (!entries.has(key)) entries.set(key, { key, article, regions: new Set() });
+      entries.get(key).regions.add(id);
+    });
+  });
+  const byArticle = new Map([...entries.values()].map((entry) => [entry.article, entry]));
+
+  const stories = [];
+  const byKey = new Map();
+  clusterArticles([...byArticle.keys()]).forEach((cluster) => {
+    const members = cluster.articles.map((article) => byArticle.get(article));
+    const regionSet = new Set(members.flatMap((entry) => [...entry.regions]));
+    if (regionSet.size < 2) return;
+    const regions = order.filter((id) => regionSet.has(id));
+    members.forEach((entry) => byKey.set(entry.key, regions));
+    stories.push({ id: cluster.id, lead: cluster.lead, regions });
+  });
+  stories.sort((a, b) => b.regions.length - a.regions.length);
+  return { stories, byKey };
+}
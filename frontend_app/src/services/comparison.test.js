@@ -0,0 +1,99 @@
+import { buildRegions, fetchRegions, findSharedStories, MAX_REGIONS, runWithConcurrency } from './comparison';
+import { configureNewsCache, configureRetry } from './newsApi';
+
+beforeEach(() => {
+  process.env.REACT_APP_NEWS_API_BASE = 'http://localhost:3010/api/news';
+  configureNewsCache({ ttlMs: 60000, persist: 'memory' });
+  configureRetry({ maxAttempts: 1 });
+});
+
+afterEach(() => {
+  delete process.env.REACT_APP_NEWS_API_BASE;
+  configureRetry({ maxAttempts: 3 });
+});
+
+test('builds one region per country, per category or per pair', () => {
+  expect(buildRegions({ countries: ['us', 'gb', 'us'] })).toEqual([
+    { id: 'us', country: 'us', category: undefined },
+    { id: 'gb', country: 'gb', category: undefined },
+  ]);
+  expect(buildRegions({ categories: ['business'], defaultCountry: 'de' })).toEqual([
+    { id: 'de-business', country: 'de', category: 'business' },
+  ]);
+  expect(buildRegions({ countries: ['us', 'gb'], categories: ['business', 'sports'] }).map((r) => r.id))
+    .toEqual(['us-business', 'us-sports', 'gb-business', 'gb-sports']);
+  expect(buildRegions({ countries: ['us', 'gb', 'de', 'fr', 'it'], categories: ['business', 'sports'] })).toHaveLength(MAX_REGIONS);
+  expect(buildRegions({})).toEqual([]);
+});
+
+test('runs at most `limit` tasks at once and starts no more after an abort', async () => {
+  let running = 0;
+  let peak = 0;
+  const controller = new AbortController();
+  const tasks = Array.from({ length: 6 }, (_, i) => async () => {
+    running += 1;
+    peak = Math.max(peak, running);
+    await new Promise((resolve) => setTimeout(resolve, 5));
+    running -= 1;
+    if (i === 1) controller.abort();
+    if (i === 2) throw new Error('boom');
+    return i;
+  });
+  const results = await runWithConcurrency(tasks, 2, controller.signal);
+  expect(peak).toBe(2);
+  expect(results.slice(0, 3)).toEqual([
+    { status: 'fulfilled', value: 0 },
+    { status: 'fulfilled', value: 1 },
+    { status: 'rejected', reason: expect.any(Error) },
+  ]);
+  expect(results.slice(3)).toEqual([undefined, undefined, undefined]);
+});
+
+test('reports each region separately so one failure leaves the others', async () => {
+  global.fetch = jest.fn((url) => {
+    const country = new URL(url).searchParams.get('country');
+    if (country === 'gb') return Promise.reject(new TypeError('Failed to fetch'));
+    return Promise.resolve({
+      ok: true,
+      status: 200,
+      json: async () => ({ status: 'ok', totalResults: 1, articles: [{ title: `${country} story`, url: `https://x.com/${country}` }] }),
+    });
+  });
+  const onRegion = jest.fn();
+  const states = await fetchRegions(buildRegions({ countries: ['us', 'gb', 'fr'] }), { onRegion });
+
+  expect(states.us).toMatchObject({ status: 'done', totalResults: 1 });
+  expect(states.fr.articles[0].title).toBe('fr story');
+  expect(states.gb).toMatchObject({ status: 'error', error: expect.objectContaining({ code: 'NETWORK' }) });
+  expect(onRegion).toHaveBeenCalledWith('gb', { status: 'loading' });
+  expect(onRegion).toHaveBeenCalledTimes(6);
+});
+
+test('finds stories carried by more than one region, by URL or by similar titles', () => {
+  const columns = [
+    {
+      id: 'us',
+      articles: [
+        { title: 'Central bank raises interest rates again - Reuters', url: 'https://reuters.com/rates' },
+        { title: 'Local team wins the final', url: 'https://espn.com/final' },
+        { title: 'Storm hits the coast overnight', url: 'https://cnn.com/storm' },
+      ],
+    },
+    {
+      id: 'gb',
+      articles: [
+        { title: 'Storm hits the coast overnight', url: 'https://cnn.com/storm?utm_source=uk' },
+        { title: 'Central bank raises interest rates again - BBC News', url: 'https://bbc.co.uk/rates' },
+      ],
+    },
+    { id: 'de', articles: [{ title: 'Storm hits the coast overnight', url: 'https://www.cnn.com/storm' }] },
+    { id: 'fr' },
+  ];
+  const { stories, byKey } = findSharedStories(columns);
+  expect(stories.map((s) => [s.lead.url, s.regions])).toEqual([
+    ['https://cnn.com/storm', ['us', 'gb', 'de']],
+    ['https://reuters.com/rates', ['us', 'gb']],
+  ]);
+  expect(byKey.get('bbc.co.uk/rates')).toEqual(['us', 'gb']);
+  expect(byKey.has('espn.com/final')).toBe(false);
+});
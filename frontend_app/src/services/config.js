@@ -0,0 +1,193 @@
+//
+// News service configuration: reading, normalization and validation.
+//
+// Configuration comes from REACT_APP_* variables baked in at build time (CRA exposes nothing
+// else to the browser). Everything is validated up front so problems can be listed in the
+// diagnostics panel at startup rather than surfacing as a CONFIG error on the first fetch.
+//
+// Mode is explicit: 'direct' calls the provider API with the key, 'proxy' calls our backend and
+// never sends a key. 'auto' (the default when REACT_APP_NEWS_API_MODE is unset) keeps the old
+// behaviour of inferring the mode from the base URL host, and is reported as a warning because
+// the heuristic is wrong for mirrors, rewriting egress proxies and self-hosted servers.
+//
+// The base URL, mode and key can also be overridden at runtime from the settings panel (see
+// ./settings); the REACT_APP_* values are then only the defaults.
+//
+import { DEFAULT_PROVIDER, findProvider, listProviders } from './providers';
+
+export const MODES = ['auto', 'direct', 'proxy'];
+export const DEFAULT_TIMEOUT_MS = 15000;
+const MIN_TIMEOUT_MS = 1000;
+const MAX_TIMEOUT_MS = 120000;
+const HEADER_NAME = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+const LEGACY_BASE_VARS = ['REACT_APP_REACT_APP_NEWS_API_BASE', 'REACT_APP_API_BASE', 'REACT_APP_NEWS_APP_BASE'];
+
+function stripTrailingSlashes(s) {
+  return String(s || '').replace(/\/*$/, '');
+}
+
+function parseHeaders(raw) {
+  if (!raw) return { headers: {} };
+  try {
+    const parsed = JSON.parse(raw);
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+      return { headers: {}, error: 'REACT_APP_NEWS_API_HEADERS must be a JSON object, e.g. {"X-Tenant":"newsroom"}.' };
+    }
+    return { headers: parsed };
+  } catch {
+    return { headers: {}, error: 'REACT_APP_NEWS_API_HEADERS is not valid JSON.' };
+  }
+}
+
+// PUBLIC_INTERFACE
+export function readNewsConfig(env = process.env, overrides = {}) {
+  /** Read the news service configuration from REACT_APP_* variables with safe defaults.
+   *
+   * - REACT_APP_NEWS_PROVIDER: 'newsapi' (default) | 'gnews' | 'guardian' | 'rss'
+   * - REACT_APP_NEWS_API_MODE: 'direct' | 'proxy' | 'auto' (default; inferred from the base host)
+   * - REACT_APP_NEWS_API_BASE: base URL; defaults to the provider's API
+   * - REACT_APP_NEWS_API_KEY: only used in direct mode
+   * - REACT_APP_NEWS_API_SEARCH_PATH / REACT_APP_NEWS_API_TOP_HEADLINES_PATH: endpoint path overrides
+   * - REACT_APP_NEWS_API_HEADERS: JSON object of extra request headers
+   * - REACT_APP_NEWS_API_TIMEOUT_MS: per-request timeout (default 15000)
+   * - REACT_APP_NEWS_RSS_FEED_URL: feed for the 'rss' provider
+   *
+   * overrides: runtime settings { base, mode, apiKey } that take precedence over the variables
+   * (see ./settings). `overridden` lists the fields they replaced.
+   *
+   * Values are normalized but not validated; see validateNewsConfig.
+   */
+  // Standardize: prefer REACT_APP_NEWS_API_BASE. Fallback to legacy names only if strictly necessary.
+  const legacyVar = LEGACY_BASE_VARS.find((name) => env[name]);
+  const provider = String(env.REACT_APP_NEWS_PROVIDER || DEFAULT_PROVIDER).toLowerCase();
+  const defaultBase = findProvider(provider)?.defaultBase || '';
+  const base = stripTrailingSlashes(
+    overrides.base || env.REACT_APP_NEWS_API_BASE || (legacyVar && env[legacyVar]) || defaultBase
+  );
+  const { headers, error: headersError } = parseHeaders(env.REACT_APP_NEWS_API_HEADERS);
+  const timeoutRaw = env.REACT_APP_NEWS_API_TIMEOUT_MS;
+
+  return {
+    provider,
+    mode: String(overrides.mode || env.REACT_APP_NEWS_API_MODE || 'auto').toLowerCase(),
+    base,
+    // Note: CRA only exposes REACT_APP_* vars to the browser
+    apiKey: overrides.apiKey || env.REACT_APP_NEWS_API_KEY || undefined, // do NOT read misnamed duplicates
+    feedUrl: env.REACT_APP_NEWS_RSS_FEED_URL || undefined,
+    paths: {
+      search: env.REACT_APP_NEWS_API_SEARCH_PATH || undefined,
+      'top-headlines': env.REACT_APP_NEWS_API_TOP_HEADLINES_PATH || undefined,
+    },
+    headers,
+    timeoutMs: timeoutRaw ? Number(timeoutRaw) : DEFAULT_TIMEOUT_MS,
+    legacyVar: env.REACT_APP_NEWS_API_BASE || overrides.base ? undefined : legacyVar,
+    headersError,
+    overridden: ['base', 'mode', 'apiKey'].filter((field) => overrides[field]),
+  };
+}
+
+// PUBLIC_INTERFACE
+export function resolveMode(config) {
+  /** 'direct' or 'proxy' for a config, applying the base-host heuristic only in 'auto' mode. */
+  const provider = findProvider(config.provider);
+  if (config.mode === 'direct' || config.mode === 'proxy') return config.mode;
+  return provider && provider.isDirectBase(config.base) ? 'direct' : 'proxy';
+}
+
+// PUBLIC_INTERFACE
+export function validateNewsConfig(config) {
+  /**
+   * Validate a config from readNewsConfig.
+   * Returns { errors, warnings }, each a list of { field, message }. Any error blocks requests.
+   */
+  const errors = [];
+  const warnings = [];
+  const error = (field, message) => errors.push({ field, message });
+  const warn = (field, message) => warnings.push({ field, message });
+
+  const provider = findProvider(config.provider);
+  if (!provider) {
+    error('provider', `Unknown news provider "${config.provider}". Use one of: ${listProviders().map((p) => p.id).join(', ')}.`);
+  }
+
+  if (!MODES.includes(config.mode)) {
+    error('mode', `Invalid REACT_APP_NEWS_API_MODE "${config.mode}". Use direct, proxy or auto.`);
+  }
+
+  let baseOk = false;
+  try {
+    baseOk = /^https?:$/.test(new URL(config.base).protocol);
+  } catch {
+    baseOk = false;
+  }
+  if (!baseOk) {
+    error('base', 'Invalid NewsAPI base URL. Ensure REACT_APP_NEWS_API_BASE starts with http(s)://');
+  }
+
+  const keyStored = config.overridden?.includes('apiKey');
+  if (keyStored) {
+    warn('apiKey', 'The API key is saved in this browser in plain text; anyone with access to this browser profile can read it. Prefer the proxy, or clear the key when you are done.');
+  }
+
+  if (config.legacyVar) {
+    warn('base', `${config.legacyVar} is deprecated; rename it to REACT_APP_NEWS_API_BASE.`);
+  }
+
+  if (provider && MODES.includes(config.mode)) {
+    const mode = resolveMode(config);
+    if (config.mode === 'auto') {
+      warn('mode', `Mode inferred as "${mode}" from the base URL. Set REACT_APP_NEWS_API_MODE to direct or proxy to make it explicit.`);
+    }
+    if (mode === 'direct' && provider.proxyOnly) {
+      error('mode', `${provider.label} can only be used through the proxy. Set REACT_APP_NEWS_API_MODE=proxy.`);
+    }
+    // In direct mode, API key is required; in proxy mode, do not require or send key.
+    if (mode === 'direct' && provider.requiresKey && !config.apiKey) {
+      error('apiKey', `${provider.label} key is missing. Set REACT_APP_NEWS_API_KEY in your environment or use the proxy.`);
+    }
+    if (mode === 'proxy' && config.apiKey && !keyStored) {
+      warn('apiKey', 'REACT_APP_NEWS_API_KEY is set but not sent in proxy mode. Remove it so the key is not bundled into the browser build.');
+    }
+    const problem = provider.validateConfig?.(config);
+    if (problem) error('provider', problem);
+  }
+
+  Object.entries(config.paths || {}).forEach(([endpoint, path]) => {
+    if (path === undefined) return;
+    if (!/^[\w\-./]+$/.test(path) || /^\/*$/.test(path)) {
+      error('paths', `Invalid path override for "${endpoint}": "${path}". Use a relative path like "everything".`);
+    }
+  });
+
+  if (config.headersError) error('headers', config.headersError);
+  Object.entries(config.headers || {}).forEach(([name, value]) => {
+    if (!HEADER_NAME.test(name)) error('headers', `Invalid header name "${name}" in REACT_APP_NEWS_API_HEADERS.`);
+    else if (typeof value !== 'string') error('headers', `Header "${name}" must have a string value.`);
+    else if (name.toLowerCase() === 'x-api-key') {
+      error('headers', 'Do not put the API key in REACT_APP_NEWS_API_HEADERS; use REACT_APP_NEWS_API_KEY (direct mode only).');
+    }
+  });
+
+  if (!Number.isFinite(config.timeoutMs) || config.timeoutMs < MIN_TIMEOUT_MS || config.timeoutMs > MAX_TIMEOUT_MS) {
+    error('timeoutMs', `REACT_APP_NEWS_API_TIMEOUT_MS must be between ${MIN_TIMEOUT_MS} and ${MAX_TIMEOUT_MS}.`);
+  }
+
+  return { errors, warnings };
+}
+
+// PUBLIC_INTERFACE
+export function describeNewsConfig(config) {
+  /** A display-safe summary of the config for diagnostics: never includes the key or header values. */
+  return {
+    provider: config.provider,
+    mode: config.mode,
+    resolvedMode: MODES.includes(config.mode) && findProvider(config.provider) ? resolveMode(config) : undefined,
+    base: config.base,
+    apiKey: config.apiKey ? 'set' : 'not set',
+    paths: Object.fromEntries(Object.entries(config.paths || {}).filter(([, v]) => v)),
+    headers: Object.keys(config.headers || {}),
+    timeoutMs: config.timeoutMs,
+    feedUrl: config.feedUrl,
+    overridden: config.overridden || [],
+  };
+}
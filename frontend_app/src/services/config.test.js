@@ -0,0 +1,62 @@
+import { readNewsConfig, resolveMode, validateNewsConfig } from './config';
+
+const messages = (list) => list.map((e) => e.message).join('\n');
+
+test('explicit direct mode works for self-hosted NewsAPI-compatible servers', () => {
+  const config = readNewsConfig({
+    REACT_APP_NEWS_API_MODE: 'direct',
+    REACT_APP_NEWS_API_BASE: 'https://news-mirror.internal/v2/',
+    REACT_APP_NEWS_API_KEY: 'k',
+  });
+  expect(config.base).toBe('https://news-mirror.internal/v2');
+  expect(resolveMode(config)).toBe('direct');
+  expect(validateNewsConfig(config)).toEqual({ errors: [], warnings: [] });
+});
+
+test('auto mode keeps the host heuristic but warns about it', () => {
+  const config = readNewsConfig({ REACT_APP_NEWS_API_BASE: 'http://localhost:3010/api/news' });
+  expect(resolveMode(config)).toBe('proxy');
+  const { errors, warnings } = validateNewsConfig(config);
+  expect(errors).toEqual([]);
+  expect(messages(warnings)).toMatch(/REACT_APP_NEWS_API_MODE/);
+});
+
+test('reports every problem at once', () => {
+  const config = readNewsConfig({
+    REACT_APP_NEWS_API_MODE: 'direct',
+    REACT_APP_NEWS_API_BASE: 'ftp://example.com',
+    REACT_APP_NEWS_API_SEARCH_PATH: 'every thing?',
+    REACT_APP_NEWS_API_HEADERS: '{"Bad Header":"x","X-Api-Key":"leak"}',
+    REACT_APP_NEWS_API_TIMEOUT_MS: '50',
+  });
+  const fields = validateNewsConfig(config).errors.map((e) => e.field);
+  expect(fields).toEqual(expect.arrayContaining(['base', 'apiKey', 'paths', 'headers', 'timeoutMs']));
+});
+
+test('rejects malformed headers JSON and unknown modes', () => {
+  const config = readNewsConfig({ REACT_APP_NEWS_API_MODE: 'sideways', REACT_APP_NEWS_API_HEADERS: '{nope' });
+  expect(messages(validateNewsConfig(config).errors)).toMatch(/sideways[\s\S]*not valid JSON/);
+});
+
+test('proxy-only providers cannot run in direct mode', () => {
+  const config = readNewsConfig({
+    REACT_APP_NEWS_PROVIDER: 'rss',
+    REACT_APP_NEWS_API_MODE: 'direct',
+    REACT_APP_NEWS_API_BASE: 'https://feeds.example',
+    REACT_APP_NEWS_RSS_FEED_URL: 'https://feeds.example/rss',
+  });
+  expect(messages(validateNewsConfig(config).errors)).toMatch(/only be used through the proxy/);
+});
+
+test('runtime settings override the build-time base, mode and key, with a warning for a stored key', () => {
+  const config = readNewsConfig(
+    { REACT_APP_NEWS_API_BASE: 'http://localhost:3010/api/news', REACT_APP_NEWS_API_MODE: 'proxy' },
+    { base: 'https://newsapi.org/v2', mode: 'direct', apiKey: 'browser-key' }
+  );
+  expect(config).toMatchObject({ base: 'https://newsapi.org/v2', mode: 'direct', apiKey: 'browser-key' });
+  expect(config.overridden).toEqual(['base', 'mode', 'apiKey']);
+  const { errors, warnings } = validateNewsConfig(config);
+  expect(errors).toEqual([]);
+  expect(warnings.map((w) => w.field)).toEqual(['apiKey']);
+  expect(messages(warnings)).toMatch(/saved in this browser/);
+});
@@ -0,0 +1,326 @@
+//
+// Content filters: user rules that hide articles from headlines and search results, persisted in
+// localStorage.
+//
+// Rules are { id, type, value, fields, enabled, createdAt } where type is
+//  - 'source':  an outlet, matched case-insensitively against the source name or id
+//  - 'domain':  a site, matching the article URL's host and its subdomains ("example.com" also
+//               hides "news.example.com")
+//  - 'keyword': a word or phrase, matched as whole words in `fields` (title and/or description)
+//  - 'regex':   a regular expression tested against `fields`; "pattern" is case-insensitive,
+//               "/pattern/flags" uses the given flags. Patterns that repeat a group which itself
+//               repeats or has alternatives ("(a+)+", "(\w+\s?)*", "(a|a)+") are refused: they can
+//               backtrack for minutes on a long title and freeze the page
+// Besides the rules, hideRemoved drops NewsAPI's "[Removed]" placeholders (articles taken down
+// after publication, returned with "[Removed]" as title and source).
+//
+// applyContentFilters runs on the { articles } of a response before the list renders them, and
+// reports what it hid and why so views can offer "show hidden". Rules are compiled once per rules
+// list (the store replaces the list on every change). Like the saved-items store this
+// is a small observable read through useContentFilters, and changes made in other tabs arrive via
+// the 'storage' event.
+//
+// Export/import uses a versioned JSON document:
+//   { "version": 1, "exportedAt": "...", "hideRemoved": true, "rules": [...] }
+//
+import { ValidationError } from './errors';
+import { t } from './i18n';
+
+const STORAGE_KEY = 'oceanNews.filters';
+const FORMAT_VERSION = 1;
+export const RULE_TYPES = ['source', 'domain', 'keyword', 'regex'];
+export const RULE_FIELDS = ['title', 'description'];
+const MAX_PATTERN_LENGTH = 200;
+const DEFAULTS = { rules: [], hideRemoved: true };
+
+const listeners = new Set();
+let state = load();
+
+function load() {
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || 'null');
+    return {
+      rules: Array.isArray(parsed?.rules) ? parsed.rules.filter((r) => r && r.id && RULE_TYPES.includes(r.type)) : [],
+      hideRemoved: parsed?.hideRemoved !== false,
+    };
+  } catch {
+    return DEFAULTS;
+  }
+}
+
+function commit(next) {
+  state = next;
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: FORMAT_VERSION, ...state }));
+  } catch {
+    // Storage full or disabled: keep the in-memory rules for this session.
+  }
+  listeners.forEach((listener) => listener());
+}
+
+function makeId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function hostOf(url) {
+  try {
+    return new URL(String(url)).hostname.toLowerCase().replace(/^www\d*\./, '');
+  } catch {
+    return '';
+  }
+}
+
+const GROUP_PREFIX = /^\?(?:[:=!]|<[=!]|<[^>]*>)/;
+const QUANTIFIER = /^(?:[*+?]|\{(\d+)(?:,(\d*))?\})\??/;
+
+function hasRiskyRepetition(source) {
+  // True when a repeated group contains a repetition or alternatives, e.g. (a+)+, (?:\w+\s?)* or
+  // (\w|\d)+. Expects a pattern that compiles. Bounded repeats like (a+)? or (a|b){1} are fine.
+  const groups = [{ repeats: false, alternates: false }];
+  let closed = null; // the group closed by the previous token
+  for (let i = 0; i < source.length; i += 1) {
+    const c = source[i];
+    const quantifier = QUANTIFIER.exec(source.slice(i));
+    if (quantifier) {
+      const [token, min, max] = quantifier;
+      const repeats = c === '*' || c === '+' || (c === '{' && (max === '' || Number(max ?? min) > 1));
+      if (repeats && (closed?.repeats || closed?.alternates)) return true;
+      if (repeats) groups[groups.length - 1].repeats = true;
+      i += token.length - 1;
+      closed = null;
+      continue;
+    }
+    closed = null;
+    if (c === '\\') {
+      i += 1;
+    } else if (c === '[') {
+      for (i += 1; i < source.length && source[i] !== ']'; i += 1) if (source[i] === '\\') i += 1;
+    } else if (c === '(') {
+      groups.push({ repeats: false, alternates: false });
+      i += GROUP_PREFIX.exec(source.slice(i + 1))?.[0].length || 0;
+    } else if (c === ')' && groups.length > 1) {
+      closed = groups.pop();
+      if (closed.repeats) groups[groups.length - 1].repeats = true;
+    } else if (c === '|') {
+      groups[groups.length - 1].alternates = true;
+    }
+  }
+  return false;
+}
+
+function parseRegex(value) {
+  // "/pattern/flags" or a bare pattern (case-insensitive). Only non-stateful flags are allowed.
+  const literal = /^\/(.+)\/([a-z]*)$/s.exec(value);
+  const [source, flags] = literal ? [literal[1], literal[2]] : [value, 'i'];
+  if (!/^[imsu]*$/.test(flags)) throw new ValidationError(t('filters.error.flags', { flags }), { field: 'value' });
+  let pattern;
+  try {
+    pattern = new RegExp(source, flags);
+  } catch (err) {
+    throw new ValidationError(t('filters.error.regex', { message: err.message }), { field: 'value' });
+  }
+  if (hasRiskyRepetition(source)) throw new ValidationError(t('filters.error.slowRegex'), { field: 'value' });
+  return pattern;
+}
+
+function normalizeRule({ type, value, fields, enabled = true } = {}) {
+  // Validated, canonical copy of a rule's settings (without id/createdAt).
+  if (!RULE_TYPES.includes(type)) throw new ValidationError(t('filters.error.type', { type }), { field: 'type' });
+  let text = String(value ?? '').trim();
+  if (!text) throw new ValidationError(t('filters.error.empty'), { field: 'value' });
+  if (text.length > MAX_PATTERN_LENGTH) {
+    throw new ValidationError(t('filters.error.tooLong', { max: MAX_PATTERN_LENGTH }), { field: 'value' });
+  }
+  if (type === 'domain') {
+    text = hostOf(/^[a-z][\w+.-]*:\/\//i.test(text) ? text : `https://${text}`);
+    if (!text.includes('.')) throw new ValidationError(t('filters.error.domain'), { field: 'value' });
+  }
+  if (type === 'regex') parseRegex(text);
+  const rule = { type, value: text, enabled: !!enabled };
+  if (type === 'keyword' || type === 'regex') {
+    const chosen = RULE_FIELDS.filter((f) => (fields || RULE_FIELDS).includes(f));
+    if (!chosen.length) throw new ValidationError(t('filters.error.fields'), { field: 'fields' });
+    rule.fields = chosen;
+  }
+  return rule;
+}
+
+function ruleKey(rule) {
+  return `${rule.type}|${rule.type === 'regex' ? rule.value : rule.value.toLowerCase()}|${(rule.fields || []).join(',')}`;
+}
+
+// PUBLIC_INTERFACE
+export function subscribeContentFilters(listener) {
+  /** Subscribe to changes; returns an unsubscribe function. Also picks up changes made in other tabs. */
+  const onStorage = (e) => {
+    if (e.key === STORAGE_KEY) {
+      state = load();
+      listener();
+    }
+  };
+  listeners.add(listener);
+  window.addEventListener('storage', onStorage);
+  return () => {
+    listeners.delete(listener);
+    window.removeEventListener('storage', onStorage);
+  };
+}
+
+// PUBLIC_INTERFACE
+export function getContentFilters() {
+  /** Current { rules, hideRemoved } snapshot (treat as immutable). */
+  return state;
+}
+
+// PUBLIC_INTERFACE
+export function addFilterRule(rule) {
+  /**
+   * Add a rule ({ type, value, fields? }) and return it; an identical existing rule is returned
+   * (and re-enabled) instead of adding a duplicate. Throws a ValidationError (with `field`) for an
+   * unknown type, an empty value, a domain that isn't one or an invalid regular expression.
+   */
+  const clean = normalizeRule(rule);
+  const existing = state.rules.find((r) => ruleKey(r) === ruleKey(clean));
+  if (existing) {
+    if (!existing.enabled) return updateFilterRule(existing.id, { enabled: true });
+    return existing;
+  }
+  const added = { id: makeId(), ...clean, createdAt: new Date().toISOString() };
+  commit({ ...state, rules: [...state.rules, added] });
+  return added;
+}
+
+// PUBLIC_INTERFACE
+export function updateFilterRule(id, changes = {}) {
+  /** Change a rule's value, fields or enabled flag (validated like addFilterRule). Returns the updated rule. */
+  const current = state.rules.find((r) => r.id === id);
+  if (!current) return undefined;
+  const updated = { ...current, ...normalizeRule({ ...current, ...changes }) };
+  commit({ ...state, rules: state.rules.map((r) => (r.id === id ? updated : r)) });
+  return updated;
+}
+
+// PUBLIC_INTERFACE
+export function removeFilterRule(id) {
+  /** Delete a rule by id. */
+  commit({ ...state, rules: state.rules.filter((r) => r.id !== id) });
+}
+
+// PUBLIC_INTERFACE
+export function setHideRemoved(hideRemoved) {
+  /** Whether "[Removed]" placeholder articles are hidden (on by default). */
+  commit({ ...state, hideRemoved: !!hideRemoved });
+}
+
+// PUBLIC_INTERFACE
+export function isRemovedPlaceholder(article) {
+  /** True for NewsAPI's placeholder for an article taken down after publication. */
+  return article?.title === '[Removed]' || article?.source?.name === '[Removed]' || hostOf(article?.url) === 'removed.com';
+}
+
+function compileRule(rule) {
+  const { type, value, fields = RULE_FIELDS } = rule;
+  if (type === 'source') {
+    const name = value.toLowerCase();
+    return (a) => [a?.source?.name, a?.source?.id].some((s) => s && String(s).trim().toLowerCase() === name);
+  }
+  if (type === 'domain') {
+    return (a) => {
+      const host = hostOf(a?.url);
+      return !!host && (host === value || host.endsWith(`.${value}`));
+    };
+  }
+  const pattern = type === 'regex'
+    ? parseRegex(value)
+    : new RegExp(`(?<![\\p{L}\\p{N}])${value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![\\p{L}\\p{N}])`, 'iu');
+  return (a) => fields.some((field) => typeof a?.[field] === 'string' && pattern.test(a[field]));
+}
+
+const compiled = new WeakMap(); // rules list → [{ rule, test }] for its enabled, valid rules
+
+function compileRules(rules) {
+  if (!compiled.has(rules)) {
+    compiled.set(rules, rules
+      .filter((rule) => rule.enabled)
+      .flatMap((rule) => {
+        try {
+          return [{ rule, test: compileRule(rule) }];
+        } catch {
+          return [];
+        }
+      }));
+  }
+  return compiled.get(rules);
+}
+
+// PUBLIC_INTERFACE
+export function applyContentFilters(articles, filters = state) {
+  /**
+   * Split articles into { visible, hidden } with the enabled rules of filters (default: the saved
+   * ones). hidden is [{ article, reasons }] where reasons lists the matching rules, and
+   * { type: 'removed' } for a hidden "[Removed]" placeholder. Order is preserved in both lists.
+   * A rule that no longer compiles (e.g. edited in storage) is skipped.
+   */
+  const matchers = compileRules(filters.rules || []);
+  const visible = [];
+  const hidden = [];
+  (articles || []).forEach((article) => {
+    const reasons = matchers.filter(({ test }) => test(article)).map(({ rule }) => rule);
+    if (filters.hideRemoved && isRemovedPlaceholder(article)) reasons.unshift({ type: 'removed' });
+    if (reasons.length) hidden.push({ article, reasons });
+    else visible.push(article);
+  });
+  return { visible, hidden };
+}
+
+// PUBLIC_INTERFACE
+export function exportContentFilters() {
+  /** Serialize the rules and settings as a pretty-printed JSON document. */
+  return JSON.stringify({ version: FORMAT_VERSION, exportedAt: new Date().toISOString(), ...state }, null, 2);
+}
+
+// PUBLIC_INTERFACE
+export function importContentFilters(json, { replace = false } = {}) {
+  /**
+   * Import a document produced by exportContentFilters. Merges by default (rules already present
+   * are skipped); pass replace to overwrite the current rules and settings. Invalid rules are skipped.
+   * Returns { added, skipped }. Throws VALIDATION-coded errors for malformed input.
+   */
+  let doc;
+  try {
+    doc = typeof json === 'string' ? JSON.parse(json) : json;
+  } catch {
+    throw new ValidationError(t('filters.error.notJson'));
+  }
+  if (!doc || typeof doc !== 'object' || !Array.isArray(doc.rules)) {
+    throw new ValidationError(t('filters.error.notFilters'));
+  }
+  if (doc.version !== undefined && doc.version > FORMAT_VERSION) {
+    throw new ValidationError(t('filters.error.version', { version: doc.version }));
+  }
+
+  const base = replace ? DEFAULTS.rules : state.rules;
+  const keys = new Set(base.map(ruleKey));
+  const added = [];
+  let skipped = 0;
+  doc.rules.forEach((rule) => {
+    let clean;
+    try {
+      clean = normalizeRule(rule);
+    } catch {
+      skipped += 1;
+      return;
+    }
+    if (keys.has(ruleKey(clean))) {
+      skipped += 1;
+      return;
+    }
+    keys.add(ruleKey(clean));
+    added.push({ id: makeId(), ...clean, createdAt: rule.createdAt || new Date().toISOString() });
+  });
+
+  // Merging keeps the current "[Removed]" setting; replacing takes the file's.
+  const hideRemoved = replace && typeof doc.hideRemoved === 'boolean' ? doc.hideRemoved : state.hideRemoved;
+  commit({ rules: [...base, ...added], hideRemoved });
+  return { added: added.length, skipped };
+}
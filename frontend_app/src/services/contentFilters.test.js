@@ -0,0 +1,127 @@
+import {
+  addFilterRule, applyContentFilters, exportContentFilters, getContentFilters, importContentFilters, isRemovedPlaceholder,
+  updateFilterRule,
+} from './contentFilters';
+import { resetSettings, updateSettings } from './settings';
+
+const article = (title, { source = 'Example', url = 'https://example.com/a', description = '' } = {}) => ({
+  title, description, url, source: { id: null, name: source },
+});
+
+beforeEach(() => {
+  importContentFilters({ rules: [], hideRemoved: true }, { replace: true });
+});
+
+test('rules are validated, normalized and deduplicated', () => {
+  expect(() => addFilterRule({ type: 'source', value: '  ' })).toThrow(expect.objectContaining({ code: 'VALIDATION' }));
+  expect(() => addFilterRule({ type: 'colour', value: 'red' })).toThrow(/Unknown filter type/);
+  expect(() => addFilterRule({ type: 'regex', value: '(' })).toThrow(/Invalid regular expression/);
+  expect(() => addFilterRule({ type: 'regex', value: '/a/g' })).toThrow(/Unsupported regular expression flags/);
+  expect(() => addFilterRule({ type: 'keyword', value: 'x', fields: [] })).toThrow(expect.objectContaining({ field: 'fields' }));
+
+  expect(addFilterRule({ type: 'domain', value: 'https://www.Example.com/path' }).value).toBe('example.com');
+  const first = addFilterRule({ type: 'source', value: 'Daily Noise' });
+  updateFilterRule(first.id, { enabled: false });
+  const again = addFilterRule({ type: 'source', value: 'daily noise' });
+  expect(again.id).toBe(first.id);
+  expect(again.enabled).toBe(true);
+  expect(getContentFilters().rules).toHaveLength(2);
+  expect(JSON.parse(window.localStorage.getItem('oceanNews.filters')).rules).toHaveLength(2);
+});
+
+test('each rule type hides matching articles and reports why', () => {
+  const muted = addFilterRule({ type: 'source', value: 'daily noise' });
+  addFilterRule({ type: 'domain', value: 'spam.example' });
+  addFilterRule({ type: 'keyword', value: 'horoscope', fields: ['title'] });
+  addFilterRule({ type: 'regex', value: '^quiz:' });
+  const articles = [
+    article('Markets rally', { source: 'Daily Noise' }),
+    article('Tides turn', { url: 'https://news.spam.example/story' }),
+    article('Your horoscope for today'),
+    article('Horoscopes are popular'),
+    article('Weekend reading', { description: 'A horoscope inside' }),
+    article('QUIZ: How well do you know the ocean?'),
+    article('Ocean currents shift'),
+  ];
+
+  const { visible, hidden } = applyContentFilters(articles);
+  expect(visible.map((a) => a.title)).toEqual(['Horoscopes are popular', 'Weekend reading', 'Ocean currents shift']);
+  expect(hidden.map(({ article: a }) => a.title)).toEqual([
+    'Markets rally', 'Tides turn', 'Your horoscope for today', 'QUIZ: How well do you know the ocean?',
+  ]);
+  expect(hidden[0].reasons).toEqual([muted]);
+
+  updateFilterRule(muted.id, { enabled: false });
+  expect(applyContentFilters(articles).visible).toHaveLength(4);
+});
+
+test('rules are compiled once per rules change', () => {
+  addFilterRule({ type: 'keyword', value: 'horoscope' });
+  const articles = [article('Your horoscope for today'), article('Ocean currents shift')];
+  const spy = jest.spyOn(window, 'RegExp');
+  try {
+    applyContentFilters(articles);
+    const compiled = spy.mock.calls.length;
+    expect(compiled).toBeGreaterThan(0);
+    applyContentFilters(articles);
+    expect(spy).toHaveBeenCalledTimes(compiled);
+
+    updateFilterRule(getContentFilters().rules[0].id, { value: 'today' });
+    expect(applyContentFilters(articles).hidden).toHaveLength(1);
+    expect(spy.mock.calls.length).toBeGreaterThan(compiled);
+  } finally {
+    spy.mockRestore();
+  }
+});
+
+test('regular expressions with nested repetition or repeated alternatives are refused', () => {
+  ['(a+)+$', '(a|a)+$', '(\\w|\\d)+$', '(?:x|(y))*', '/(\\w+\\s?)*$/i', '(?:x{2,})*', '((ab)*c)+', '(?<word>\\p{L}+ ?){2,5}'].forEach((value) => {
+    expect(() => addFilterRule({ type: 'regex', value })).toThrow(expect.objectContaining({ field: 'value', message: expect.stringMatching(/freeze/) }));
+  });
+  ['(a+)?', '^(breaking|live):', '\\d+ (?:dead|killed)', '[(a+)]+', '\\(a+\\)+', '(ab){2}', '(a|b)?', 'x|y+'].forEach((value) => {
+    expect(addFilterRule({ type: 'regex', value }).value).toBe(value);
+  });
+  expect(importContentFilters({ rules: [{ type: 'regex', value: '(a|a)+$' }] })).toEqual({ added: 0, skipped: 1 });
+  // A rule saved before the check is skipped instead of hanging on a long title.
+  const stored = { rules: [{ id: 'old', type: 'regex', value: '(a|a)+$', fields: ['title'], enabled: true }] };
+  expect(applyContentFilters([article(`${'a'.repeat(40)}!`)], stored).visible).toHaveLength(1);
+});
+
+test('validation messages follow the UI language', () => {
+  updateSettings({ uiLanguage: 'fr' });
+  try {
+    expect(() => addFilterRule({ type: 'source', value: ' ' })).toThrow('Indiquez ce que le filtre doit détecter.');
+    expect(() => importContentFilters('{nope')).toThrow('Le fichier sélectionné n’est pas un JSON valide.');
+  } finally {
+    resetSettings();
+  }
+});
+
+test('"[Removed]" placeholders are hidden unless turned off', () => {
+  const removed = article('[Removed]', { source: '[Removed]', url: 'https://removed.com' });
+  expect(isRemovedPlaceholder(removed)).toBe(true);
+  expect(applyContentFilters([removed]).hidden[0].reasons).toEqual([{ type: 'removed' }]);
+  expect(applyContentFilters([removed], { rules: [], hideRemoved: false }).visible).toEqual([removed]);
+});
+
+test('export round-trips through import; merging skips duplicates and keeps the current settings', () => {
+  addFilterRule({ type: 'keyword', value: 'celebrity' });
+  importContentFilters({ rules: getContentFilters().rules, hideRemoved: false }, { replace: true });
+  const json = exportContentFilters();
+
+  expect(importContentFilters(json)).toEqual({ added: 0, skipped: 1 });
+  importContentFilters({ rules: [], hideRemoved: true }, { replace: true });
+  expect(importContentFilters(json)).toEqual({ added: 1, skipped: 0 });
+  expect(getContentFilters().hideRemoved).toBe(true);
+  importContentFilters(json, { replace: true });
+  expect(getContentFilters().hideRemoved).toBe(false);
+
+  const bad = JSON.stringify({ rules: [{ type: 'regex', value: '(' }, { type: 'source', value: 'Wire' }] });
+  expect(importContentFilters(bad)).toEqual({ added: 1, skipped: 1 });
+});
+
+test('import rejects malformed documents with VALIDATION errors', () => {
+  expect(() => importContentFilters('{nope')).toThrow(expect.objectContaining({ code: 'VALIDATION' }));
+  expect(() => importContentFilters({ foo: 1 })).toThrow(/does not contain content filters/);
+  expect(() => importContentFilters({ version: 99, rules: [] })).toThrow(/Unsupported export version/);
+});
@@ -0,0 +1,18 @@
+//
+// Save generated text as a file through the browser's download mechanism.
+//
+
+// PUBLIC_INTERFACE
+export function downloadFile(filename, text, mimeType = 'text/plain') {
+  /** Offer text as a download named filename (UTF-8). */
+  const url = URL.createObjectURL(new Blob([text], { type: `${mimeType};charset=utf-8` }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.style.display = 'none';
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  // Firefox and Safari start the download after click() returns; revoking right away cancels it.
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,110 @@
+//
+// Error model for the news service.
+//
+// Everything the service rejects with (other than an AbortError for a cancelled request) is a
+// NewsError subclass, so views can branch on the class (or the matching `code`) instead of
+// parsing messages:
+//
+//   NetworkError    NETWORK     the request never got a response (offline, DNS, CORS, proxy down)
+//   TimeoutError    TIMEOUT     no response within the configured timeout
+//   ConfigError     CONFIG      invalid or incomplete configuration; nothing was requested
+//   ValidationError VALIDATION  invalid input (query, filters, import file); nothing was requested
+//   AuthError       AUTH        401/403: missing, invalid or unauthorized key
+//   RateLimitError  RATE_LIMIT  429; retryAfterMs holds the server's Retry-After when sent
+//   UpstreamError   UPSTREAM    any other failed response (5xx, unexpected 4xx, error bodies)
+//   NewsError       UNKNOWN     anything else, e.g. a bug in a provider adapter; not worth retrying
+//
+// `code` values NETWORK, CONFIG and VALIDATION are unchanged from before the hierarchy existed.
+//
+
+// PUBLIC_INTERFACE
+export class NewsError extends Error {
+  /** Base class. options: { code, status, details, cause }. */
+  constructor(message, { code = 'UNKNOWN', status, details, cause } = {}) {
+    super(message);
+    this.name = 'NewsError';
+    this.code = code;
+    if (status !== undefined) this.status = status;
+    if (details !== undefined) this.details = details;
+    if (cause !== undefined) this.cause = cause;
+  }
+}
+
+// PUBLIC_INTERFACE
+export class NetworkError extends NewsError {
+  /** The request failed before any response: offline, DNS, CORS or an unreachable proxy. */
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'NETWORK' });
+    this.name = 'NetworkError';
+  }
+}
+
+// PUBLIC_INTERFACE
+export class TimeoutError extends NewsError {
+  /** No response within timeoutMs. */
+  constructor(message, { timeoutMs, ...options } = {}) {
+    super(message, { ...options, code: 'TIMEOUT' });
+    this.name = 'TimeoutError';
+    this.timeoutMs = timeoutMs;
+  }
+}
+
+// PUBLIC_INTERFACE
+export class ConfigError extends NewsError {
+  /** Configuration problem; details.errors lists every { field, message } from validation when known. */
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'CONFIG' });
+    this.name = 'ConfigError';
+  }
+}
+
+// PUBLIC_INTERFACE
+export class ValidationError extends NewsError {
+  /** Invalid input; `field` names the offending input when there is one (e.g. 'q', 'from'). */
+  constructor(message, { field, ...options } = {}) {
+    super(message, { ...options, code: 'VALIDATION' });
+    this.name = 'ValidationError';
+    if (field) this.field = field;
+  }
+}
+
+// PUBLIC_INTERFACE
+export class AuthError extends NewsError {
+  /** 401/403 from the provider or proxy. */
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'AUTH' });
+    this.name = 'AuthError';
+  }
+}
+
+// PUBLIC_INTERFACE
+export class RateLimitError extends NewsError {
+  /** 429. retryAfterMs is the server's Retry-After in ms, or undefined when it didn't say. */
+  constructor(message, { retryAfterMs, ...options } = {}) {
+    super(message, { ...options, code: 'RATE_LIMIT' });
+    this.name = 'RateLimitError';
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+// PUBLIC_INTERFACE
+export class UpstreamError extends NewsError {
+  /** The provider or proxy answered with an error other than auth or rate limiting. */
+  constructor(message, options = {}) {
+    super(message, { ...options, code: 'UPSTREAM' });
+    this.name = 'UpstreamError';
+  }
+}
+
+// PUBLIC_INTERFACE
+export function isAbortError(err) {
+  /** Whether err is a cancellation (the caller aborted), which should never be shown as a failure. */
+  return err?.name === 'AbortError';
+}
+
+// PUBLIC_INTERFACE
+export function toNewsError(err, fallbackMessage = 'Unexpected error occurred.') {
+  /** Return err if it's already a NewsError, otherwise wrap it (keeping the original as `cause`). */
+  if (err instanceof NewsError) return err;
+  return new NewsError(err?.message || fallbackMessage, { cause: err });
+}
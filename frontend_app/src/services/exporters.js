@@ -0,0 +1,201 @@
+//
+// Export article lists as CSV, JSON, RSS 2.0, Atom or a Markdown digest.
+//
+// Pure functions: each takes NewsAPI-shaped articles and optional metadata about the list
+//   meta: { title, description, link, generatedAt }
+// and returns the file contents as a string. Every format carries the title, source, author,
+// publishedAt, url and description of each article. exportArticles adds a file name and MIME type.
+//
+import { ValidationError } from './errors';
+
+const COLUMNS = ['title', 'source', 'author', 'publishedAt', 'url', 'description'];
+
+function row(article) {
+  // The exported fields of an article, as strings ('' when missing).
+  return {
+    title: article?.title || '',
+    source: article?.source?.name || '',
+    author: article?.author || '',
+    publishedAt: article?.publishedAt || '',
+    url: article?.url || '',
+    description: article?.description || '',
+  };
+}
+
+function toDate(value) {
+  const d = value instanceof Date ? value : new Date(value || Date.now());
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+function withDefaults(meta = {}) {
+  return {
+    title: meta.title || 'Ocean News export',
+    description: meta.description || '',
+    link: meta.link || '',
+    generatedAt: toDate(meta.generatedAt) || new Date(),
+  };
+}
+
+function csvCell(value) {
+  // Spreadsheets run cells starting with = + - @ as formulas; a leading quote keeps them text.
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function xml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+    // Control characters other than tab/newline are not allowed in XML 1.0.
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, ''); // eslint-disable-line no-control-regex
+}
+
+function originOf(url) {
+  try {
+    return new URL(url).origin;
+  } catch {
+    return '';
+  }
+}
+
+// PUBLIC_INTERFACE
+export function toCsv(articles) {
+  /** RFC 4180 CSV with a header row (title, source, author, publishedAt, url, description) and CRLF line endings. */
+  const lines = [COLUMNS.join(','), ...(articles || []).map((a) => COLUMNS.map((c) => csvCell(row(a)[c])).join(','))];
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+// PUBLIC_INTERFACE
+export function toJson(articles, meta) {
+  /** Pretty-printed { title, description, link, generatedAt, count, articles: [{ ...fields, urlToImage }] }. */
+  const m = withDefaults(meta);
+  const list = (articles || []).map((a) => ({ ...row(a), urlToImage: a?.urlToImage || '' }));
+  return `${JSON.stringify({ ...m, generatedAt: m.generatedAt.toISOString(), count: list.length, articles: list }, null, 2)}\n`;
+}
+
+// PUBLIC_INTERFACE
+export function toRss(articles, meta) {
+  /** RSS 2.0 feed; authors go in dc:creator and the outlet in <source url="{article site}">. */
+  const m = withDefaults(meta);
+  const items = (articles || []).map((a) => {
+    const r = row(a);
+    const published = toDate(r.publishedAt);
+    return [
+      '    <item>',
+      `      <title>${xml(r.title)}</title>`,
+      r.url && `      <link>${xml(r.url)}</link>`,
+      r.url && `      <guid isPermaLink="true">${xml(r.url)}</guid>`,
+      r.description && `      <description>${xml(r.description)}</description>`,
+      r.publishedAt && published && `      <pubDate>${published.toUTCString()}</pubDate>`,
+      r.author && `      <dc:creator>${xml(r.author)}</dc:creator>`,
+      r.source && `      <source url="${xml(originOf(r.url) || m.link)}">${xml(r.source)}</source>`,
+      '    </item>',
+    ].filter(Boolean).join('\n');
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    '  <channel>',
+    `    <title>${xml(m.title)}</title>`,
+    `    <link>${xml(m.link)}</link>`,
+    `    <description>${xml(m.description || m.title)}</description>`,
+    `    <lastBuildDate>${m.generatedAt.toUTCString()}</lastBuildDate>`,
+    ...items,
+    '  </channel>',
+    '</rss>',
+    '',
+  ].join('\n');
+}
+
+// PUBLIC_INTERFACE
+export function toAtom(articles, meta) {
+  /** Atom 1.0 feed; each entry's author is the article author (or the outlet) and <source> names the outlet. */
+  const m = withDefaults(meta);
+  const updated = m.generatedAt.toISOString();
+  const entries = (articles || []).map((a, i) => {
+    const r = row(a);
+    const published = toDate(r.publishedAt);
+    const when = (r.publishedAt && published ? published : m.generatedAt).toISOString();
+    return [
+      '  <entry>',
+      `    <title>${xml(r.title)}</title>`,
+      `    <id>${xml(r.url || `${m.link || 'urn:ocean-news'}#${i + 1}`)}</id>`,
+      r.url && `    <link href="${xml(r.url)}"/>`,
+      `    <updated>${when}</updated>`,
+      r.publishedAt && published && `    <published>${when}</published>`,
+      `    <author><name>${xml(r.author || r.source || 'Unknown')}</name></author>`,
+      r.description && `    <summary>${xml(r.description)}</summary>`,
+      r.source && `    <source><title>${xml(r.source)}</title></source>`,
+      '  </entry>',
+    ].filter(Boolean).join('\n');
+  });
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<feed xmlns="http://www.w3.org/2005/Atom">',
+    `  <title>${xml(m.title)}</title>`,
+    m.description && `  <subtitle>${xml(m.description)}</subtitle>`,
+    `  <id>${xml(m.link || 'urn:ocean-news:export')}</id>`,
+    m.link && `  <link href="${xml(m.link)}"/>`,
+    `  <updated>${updated}</updated>`,
+    ...entries,
+    '</feed>',
+  ];
+  return `${lines.filter(Boolean).join('\n')}\n`;
+}
+
+function md(text) {
+  // Escape characters that would otherwise start Markdown formatting inside a line.
+  return String(text).replace(/([\\`*_[\]<>#|])/g, '\\$1').replace(/\s+/g, ' ').trim();
+}
+
+// PUBLIC_INTERFACE
+export function toMarkdown(articles, meta) {
+  /** A readable digest: a heading per article linking to it, then source · author · date and the description as a quote. */
+  const m = withDefaults(meta);
+  const list = articles || [];
+  // Blocks are separated by blank lines; empty ones are left out.
+  const blocks = [
+    `# ${md(m.title)}`,
+    m.description && md(m.description),
+    `_${list.length} article${list.length === 1 ? '' : 's'}, exported ${m.generatedAt.toISOString()}_`,
+  ];
+  list.forEach((a) => {
+    const r = row(a);
+    const title = md(r.title || 'Untitled');
+    blocks.push(
+      `## ${r.url ? `[${title}](<${r.url}>)` : title}`,
+      [r.source && `**${md(r.source)}**`, r.author && md(r.author), r.publishedAt].filter(Boolean).join(' · '),
+      r.description && `> ${md(r.description)}`
+    );
+  });
+  return `${blocks.filter(Boolean).join('\n\n')}\n`;
+}
+
+export const EXPORT_FORMATS = {
+  csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv', build: toCsv },
+  json: { label: 'JSON', extension: 'json', mimeType: 'application/json', build: toJson },
+  rss: { label: 'RSS 2.0', extension: 'rss.xml', mimeType: 'application/rss+xml', build: toRss },
+  atom: { label: 'Atom', extension: 'atom.xml', mimeType: 'application/atom+xml', build: toAtom },
+  markdown: { label: 'Markdown digest', extension: 'md', mimeType: 'text/markdown', build: toMarkdown },
+};
+
+// PUBLIC_INTERFACE
+export function exportArticles(format, articles, meta = {}) {
+  /**
+   * Build an export: { filename, mimeType, content }. format is a key of EXPORT_FORMATS.
+   * The file name is derived from meta.filenameBase (default "ocean-news") and the export date.
+   */
+  const spec = EXPORT_FORMATS[format];
+  if (!spec) throw new ValidationError(`Unknown export format "${format}".`, { field: 'format' });
+  const generatedAt = toDate(meta.generatedAt) || new Date();
+  const base = String(meta.filenameBase || 'ocean-news').replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '') || 'ocean-news';
+  return {
+    filename: `${base}-${generatedAt.toISOString().slice(0, 10)}.${spec.extension}`,
+    mimeType: spec.mimeType,
+    content: spec.build(articles, { ...meta, generatedAt }),
+  };
+}
@@ -0,0 +1,104 @@
+import { exportArticles, toAtom, toCsv, toJson, toMarkdown, toRss } from './exporters';
+
+const articles = [
+  {
+    title: 'Markets rally, "cautiously"',
+    source: { id: 'reuters', name: 'Reuters' },
+    author: 'Jane Doe',
+    publishedAt: '2024-03-01T12:30:00Z',
+    url: 'https://example.com/markets?a=1&b=2',
+    description: 'Stocks rose <sharply>\non Friday & bonds fell.',
+    urlToImage: 'https://example.com/markets.jpg',
+  },
+  {
+    title: '=HYPERLINK("http://evil.example")',
+    source: { name: 'Wire' },
+    author: null,
+    publishedAt: 'not a date',
+    url: 'https://example.com/wire',
+    description: null,
+  },
+];
+const meta = { title: 'Top headlines: US', link: 'https://news.example/headlines', generatedAt: '2024-03-02T08:00:00Z' };
+
+function parseXml(text) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  expect(doc.getElementsByTagName('parsererror')).toHaveLength(0);
+  return doc;
+}
+
+test('CSV has a header row, quotes special characters and neutralizes formulas', () => {
+  expect(toCsv(articles)).toBe(
+    'title,source,author,publishedAt,url,description\r\n'
+    + '"Markets rally, ""cautiously""",Reuters,Jane Doe,2024-03-01T12:30:00Z,https://example.com/markets?a=1&b=2,"Stocks rose <sharply>\non Friday & bonds fell."\r\n'
+    + '"\'=HYPERLINK(""http://evil.example"")",Wire,,not a date,https://example.com/wire,\r\n'
+  );
+  expect(toCsv([])).toBe('title,source,author,publishedAt,url,description\r\n');
+});
+
+test('JSON carries the metadata and every exported field', () => {
+  const data = JSON.parse(toJson(articles, meta));
+  expect(data).toMatchObject({ title: 'Top headlines: US', generatedAt: '2024-03-02T08:00:00.000Z', count: 2 });
+  expect(data.articles[0]).toEqual({
+    title: 'Markets rally, "cautiously"',
+    source: 'Reuters',
+    author: 'Jane Doe',
+    publishedAt: '2024-03-01T12:30:00Z',
+    url: 'https://example.com/markets?a=1&b=2',
+    description: 'Stocks rose <sharply>\non Friday & bonds fell.',
+    urlToImage: 'https://example.com/markets.jpg',
+  });
+  expect(data.articles[1]).toMatchObject({ author: '', description: '' });
+});
+
+test('RSS 2.0 is well-formed and escapes content', () => {
+  const doc = parseXml(toRss(articles, meta));
+  expect(doc.documentElement.getAttribute('version')).toBe('2.0');
+  expect(doc.querySelector('channel > title').textContent).toBe('Top headlines: US');
+  expect(doc.querySelector('channel > lastBuildDate').textContent).toBe('Sat, 02 Mar 2024 08:00:00 GMT');
+  const [first, second] = doc.getElementsByTagName('item');
+  expect(first.getElementsByTagName('link')[0].textContent).toBe('https://example.com/markets?a=1&b=2');
+  expect(first.getElementsByTagName('description')[0].textContent).toBe('Stocks rose <sharply>\non Friday & bonds fell.');
+  expect(first.getElementsByTagName('pubDate')[0].textContent).toBe('Fri, 01 Mar 2024 12:30:00 GMT');
+  expect(first.getElementsByTagName('dc:creator')[0].textContent).toBe('Jane Doe');
+  const source = first.getElementsByTagName('source')[0];
+  expect(source.textContent).toBe('Reuters');
+  expect(source.getAttribute('url')).toBe('https://example.com');
+  // Missing or invalid values are left out rather than emitted empty.
+  expect(second.getElementsByTagName('pubDate')).toHaveLength(0);
+  expect(second.getElementsByTagName('dc:creator')).toHaveLength(0);
+});
+
+test('Atom is well-formed with ids, dates and authors', () => {
+  const doc = parseXml(toAtom(articles, meta));
+  expect(doc.documentElement.namespaceURI).toBe('http://www.w3.org/2005/Atom');
+  expect(doc.querySelector('feed > updated').textContent).toBe('2024-03-02T08:00:00.000Z');
+  const [first, second] = doc.getElementsByTagName('entry');
+  expect(first.querySelector('id').textContent).toBe('https://example.com/markets?a=1&b=2');
+  expect(first.querySelector('link').getAttribute('href')).toBe('https://example.com/markets?a=1&b=2');
+  expect(first.querySelector('published').textContent).toBe('2024-03-01T12:30:00.000Z');
+  expect(first.querySelector('author > name').textContent).toBe('Jane Doe');
+  expect(first.querySelector('source > title').textContent).toBe('Reuters');
+  expect(second.querySelector('author > name').textContent).toBe('Wire');
+  expect(second.querySelector('updated').textContent).toBe('2024-03-02T08:00:00.000Z');
+});
+
+test('Markdown digest links each article and escapes formatting characters', () => {
+  expect(toMarkdown(articles, meta)).toBe([
+    '# Top headlines: US',
+    '_2 articles, exported 2024-03-02T08:00:00.000Z_',
+    '## [Markets rally, "cautiously"](<https://example.com/markets?a=1&b=2>)',
+    '**Reuters** · Jane Doe · 2024-03-01T12:30:00Z',
+    '> Stocks rose \\<sharply\\> on Friday & bonds fell.',
+    '## [=HYPERLINK("http://evil.example")](<https://example.com/wire>)',
+    '**Wire** · not a date',
+  ].join('\n\n') + '\n');
+});
+
+test('exportArticles names the file after the list and the date', () => {
+  const file = exportArticles('rss', articles, { ...meta, filenameBase: 'headlines us/tech' });
+  expect(file.filename).toBe('headlines-us-tech-2024-03-02.rss.xml');
+  expect(file.mimeType).toBe('application/rss+xml');
+  expect(exportArticles('markdown', [], { generatedAt: '2024-03-02T08:00:00Z' }).filename).toBe('ocean-news-2024-03-02.md');
+  expect(() => exportArticles('pdf', articles)).toThrow(expect.objectContaining({ code: 'VALIDATION' }));
+});
@@ -0,0 +1,180 @@
+//
+// UI translations and locale-aware formatting.
+//
+// Messages live in per-language catalogs (./locales/*.js) keyed by dotted ids such as
+// 'nav.search'. A message can hold {placeholders} and, when it depends on a number, plural forms
+// chosen with Intl.PluralRules from the `count` variable. Keys missing from a catalog fall back to
+// English, and unknown keys show the key itself, so a gap is visible instead of crashing.
+//
+// The UI language is the `uiLanguage` setting when set, otherwise the first supported language
+// the browser prefers, otherwise English. Dates and numbers are formatted with the browser's own
+// tag for that language when it has one (en-GB dates for an en-GB browser), and every text
+// direction decision goes through textDirection so Arabic and Hebrew render right-to-left.
+//
+// Components use the useI18n hook; services (e.g. error messages in ./newsApi) use t(), which
+// reads the current setting.
+//
+import ar from './locales/ar';
+import de from './locales/de';
+import en from './locales/en';
+import es from './locales/es';
+import fr from './locales/fr';
+import he from './locales/he';
+import { getSettings } from './settings';
+
+const CATALOGS = { en, es, fr, de, ar, he };
+export const DEFAULT_LOCALE = 'en';
+// Languages offered in the switcher, by their own name.
+export const UI_LOCALES = {
+  en: 'English', es: 'Español', fr: 'Français', de: 'Deutsch', ar: 'العربية', he: 'עברית',
+};
+// Written right-to-left; 'ud' is NewsAPI's code for Urdu and 'iw' an old code for Hebrew.
+const RTL_LANGUAGES = new Set(['ar', 'he', 'iw', 'fa', 'ur', 'ud', 'yi', 'ps', 'sd', 'dv', 'ckb']);
+// NewsAPI language codes that differ from the standard ones Intl understands.
+const INTL_CODES = { ud: 'ur' };
+
+const DAY_MS = 86400000;
+// Largest unit first; a time is described in the first unit it spans at least once.
+const RELATIVE_UNITS = [
+  ['year', 365 * DAY_MS], ['month', 30 * DAY_MS], ['week', 7 * DAY_MS], ['day', DAY_MS],
+  ['hour', 3600000], ['minute', 60000],
+];
+
+const formatters = new Map();
+
+function cached(kind, locale, options, create) {
+  // Intl constructors are slow enough to matter when a list renders a hundred dates.
+  const key = `${kind}|${locale}|${JSON.stringify(options || {})}`;
+  if (!formatters.has(key)) formatters.set(key, create());
+  return formatters.get(key);
+}
+
+function baseLanguage(tag) {
+  return String(tag || '').toLowerCase().split(/[-_]/)[0];
+}
+
+function browserLanguages() {
+  if (typeof navigator === 'undefined') return [];
+  return navigator.languages?.length ? navigator.languages : [navigator.language].filter(Boolean);
+}
+
+function toDate(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const d = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+// PUBLIC_INTERFACE
+export function resolveLocale(preferred, languages = browserLanguages()) {
+  /** The UI language to use: `preferred` if a catalog exists for it, else the browser's first supported language, else English. */
+  const candidates = [preferred, ...languages].map(baseLanguage);
+  return candidates.find((code) => CATALOGS[code]) || DEFAULT_LOCALE;
+}
+
+// PUBLIC_INTERFACE
+export function getLocale(settings = getSettings()) {
+  /** The current UI language, from the uiLanguage setting or the browser. */
+  return resolveLocale(settings.uiLanguage);
+}
+
+// PUBLIC_INTERFACE
+export function textDirection(language) {
+  /** 'rtl' for right-to-left languages (Arabic, Hebrew, Persian, Urdu...), otherwise 'ltr'. Accepts tags like 'ar-EG'. */
+  return RTL_LANGUAGES.has(baseLanguage(language)) ? 'rtl' : 'ltr';
+}
+
+// PUBLIC_INTERFACE
+export function languageTag(code) {
+  /** Standard BCP 47 tag for a provider language code, for lang attributes and Intl (NewsAPI's 'ud' → 'ur'). */
+  return INTL_CODES[code] || code;
+}
+
+function interpolate(template, vars, locale) {
+  // Returns a string, or an array of parts when a variable is not a string or number (e.g. a React element).
+  const parts = String(template).split(/\{(\w+)\}/).map((part, i) => {
+    if (i % 2 === 0) return part;
+    const value = vars[part];
+    if (value === undefined || value === null) return `{${part}}`;
+    return typeof value === 'number' ? cached('number', locale, null, () => new Intl.NumberFormat(locale)).format(value) : value;
+  });
+  return parts.every((part) => typeof part === 'string') ? parts.join('') : parts.filter((part) => part !== '');
+}
+
+// PUBLIC_INTERFACE
+export function translate(locale, key, vars = {}) {
+  /**
+   * The message for key in locale (falling back to English, then to the key), with {placeholders}
+   * filled from vars. Plural messages pick their form from vars.count. Numbers are formatted for
+   * the locale. Returns a string, or an array of parts when a variable is a React element.
+   */
+  const catalog = CATALOGS[baseLanguage(locale)] || CATALOGS[DEFAULT_LOCALE];
+  let message = catalog[key] ?? CATALOGS[DEFAULT_LOCALE][key] ?? key;
+  if (typeof message === 'object') {
+    const rules = cached('plural', locale, null, () => new Intl.PluralRules(locale));
+    const count = Number(vars.count) || 0;
+    // An exact zero form wins when the catalog has one, even in languages whose rules don't use it.
+    message = (count === 0 && message.zero) || message[rules.select(count)] || message.other;
+  }
+  return interpolate(message, vars, locale);
+}
+
+// PUBLIC_INTERFACE
+export function t(key, vars) {
+  /** translate() in the current UI language; for code outside React (services, error messages). */
+  return translate(getLocale(), key, vars);
+}
+
+// PUBLIC_INTERFACE
+export function formatDateTime(value, locale, options = { dateStyle: 'medium', timeStyle: 'short' }) {
+  /** A date (ISO string, timestamp or Date) in the locale's format; '' when missing or invalid. */
+  const d = toDate(value);
+  if (!d) return '';
+  return cached('date', locale, options, () => new Intl.DateTimeFormat(locale, options)).format(d);
+}
+
+// PUBLIC_INTERFACE
+export function formatRelativeTime(value, locale, now = Date.now()) {
+  /**
+   * "3 hours ago", "in 2 days", "yesterday" or "now" in the locale, using the largest whole unit
+   * (minutes up to years). Anything under a minute away is "now". '' when missing or invalid.
+   */
+  const d = toDate(value);
+  if (!d) return '';
+  const rtf = cached('relative', locale, null, () => new Intl.RelativeTimeFormat(locale, { numeric: 'auto' }));
+  const diff = d.getTime() - now;
+  const unit = RELATIVE_UNITS.find(([, ms]) => Math.abs(diff) >= ms);
+  return unit ? rtf.format(Math.trunc(diff / unit[1]), unit[0]) : rtf.format(0, 'second');
+}
+
+// PUBLIC_INTERFACE
+export function displayName(locale, type, code, fallback = code) {
+  /** Localized name of a 'language' or 'region' code via Intl.DisplayNames, e.g. ('fr', 'region', 'de') → "Allemagne". */
+  if (!code || typeof Intl.DisplayNames !== 'function') return fallback;
+  try {
+    const intlCode = type === 'region' ? String(code).toUpperCase() : languageTag(code);
+    const names = cached('names', locale, { type }, () => new Intl.DisplayNames([locale], { type, fallback: 'none' }));
+    return names.of(intlCode) || fallback;
+  } catch {
+    return fallback;
+  }
+}
+
+// PUBLIC_INTERFACE
+export function createI18n(locale = getLocale(), languages = browserLanguages()) {
+  /**
+   * Everything a view needs for one UI language:
+   * { locale, formatLocale, dir, t, formatDate, formatRelative, displayName }.
+   * formatLocale is the browser's tag for the UI language when it has one (e.g. 'en-GB'), so dates
+   * follow the user's regional format.
+   */
+  const formatLocale = languages.find((tag) => baseLanguage(tag) === locale) || locale;
+  return {
+    locale,
+    formatLocale,
+    dir: textDirection(locale),
+    t: (key, vars) => translate(formatLocale, key, vars),
+    formatDate: (value, options) => formatDateTime(value, formatLocale, options),
+    formatRelative: (value, now) => formatRelativeTime(value, formatLocale, now),
+    displayName: (type, code, fallback) => displayName(formatLocale, type, code, fallback),
+  };
+}
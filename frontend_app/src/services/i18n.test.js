@@ -0,0 +1,60 @@
+import {
+  createI18n, displayName, formatRelativeTime, resolveLocale, t, textDirection, translate,
+} from './i18n';
+import { resetSettings, updateSettings } from './settings';
+
+const NOW = Date.parse('2024-05-10T12:00:00Z');
+
+afterEach(() => resetSettings());
+
+test('picks the setting, then the browser languages, then English', () => {
+  expect(resolveLocale('fr', ['de-DE'])).toBe('fr');
+  expect(resolveLocale(undefined, ['pt-BR', 'de-AT', 'en'])).toBe('de');
+  expect(resolveLocale('xx', ['ja'])).toBe('en');
+});
+
+test('fills placeholders, chooses plural forms and falls back to English', () => {
+  expect(translate('en', 'pager.status', { page: 2, pageCount: 5 })).toBe('Page 2 of 5');
+  expect(translate('en', 'list.sources', { count: 1 })).toBe('1 source');
+  expect(translate('en', 'list.sources', { count: 1200 })).toBe('1,200 sources');
+  expect(translate('ar', 'list.sources', { count: 2 })).toBe('مصدران');
+  expect(translate('he', 'nav.unread', { count: 1 })).toBe('פריט אחד שלא נקרא');
+  expect(translate('fr', 'no.such.key')).toBe('no.such.key');
+  // A React element (or any non-string) comes back as parts instead of being stringified.
+  const strong = { type: 'strong' };
+  expect(translate('en', 'headlines.fromSources', { sources: strong })).toEqual(['From ', strong, " (country and category don't apply)"]);
+});
+
+test('t() follows the uiLanguage setting', () => {
+  expect(t('nav.search')).toBe('Search');
+  updateSettings({ uiLanguage: 'es' });
+  expect(t('nav.search')).toBe('Buscar');
+  expect(t('errors.timeout', { seconds: 15 })).toBe('El servicio de noticias no respondió en 15 segundos.');
+});
+
+test('formats relative times with the largest whole unit', () => {
+  expect(formatRelativeTime(NOW - 20 * 1000, 'en', NOW)).toBe('now');
+  expect(formatRelativeTime(NOW - 5 * 60000, 'en', NOW)).toBe('5 minutes ago');
+  expect(formatRelativeTime(new Date(NOW - 3.5 * 3600000).toISOString(), 'en', NOW)).toBe('3 hours ago');
+  expect(formatRelativeTime(NOW - 26 * 3600000, 'en', NOW)).toBe('yesterday');
+  expect(formatRelativeTime(NOW + 2 * 86400000, 'en', NOW)).toBe('in 2 days');
+  expect(formatRelativeTime(NOW - 3 * 3600000, 'de', NOW)).toBe('vor 3 Stunden');
+  expect(formatRelativeTime('not a date', 'en', NOW)).toBe('');
+});
+
+test('knows which languages are right-to-left', () => {
+  expect(textDirection('ar')).toBe('rtl');
+  expect(textDirection('he-IL')).toBe('rtl');
+  expect(textDirection('ud')).toBe('rtl');
+  expect(textDirection('en')).toBe('ltr');
+  expect(createI18n('he', ['he-IL']).dir).toBe('rtl');
+});
+
+test('formats with the browser region for the UI language and names places and languages', () => {
+  const gb = createI18n('en', ['en-GB']);
+  expect(gb.formatLocale).toBe('en-GB');
+  expect(gb.formatDate('2024-05-10T12:00:00Z', { dateStyle: 'short', timeZone: 'UTC' })).toBe('10/05/2024');
+  expect(createI18n('en', ['en-US']).formatDate('2024-05-10T12:00:00Z', { dateStyle: 'short', timeZone: 'UTC' })).toBe('5/10/24');
+  expect(displayName('fr', 'region', 'de')).toBe('Allemagne');
+  expect(displayName('en', 'language', 'ud')).toBe('Urdu');
+});
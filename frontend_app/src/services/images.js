@@ -0,0 +1,62 @@
+//
+// Article images: where thumbnails are loaded from, and what happened when they were.
+//
+// Image URLs come straight from publishers. Some block hotlinking, some are plain http (blocked
+// as mixed content on an https deployment) and some are simply gone. Images are requested
+// without a referrer, which gets past most hotlink checks, and REACT_APP_IMAGE_PROXY can point
+// the app at an image endpoint that fetches them server-side instead, e.g. the reference
+// proxy's http://localhost:3010/api/news/image (the article's URL is passed as ?url=).
+//
+// Cards mount and unmount as the virtualized grid scrolls, so load results are remembered for the
+// session: a thumbnail that loaded before shows straight away, and one that failed goes directly
+// to the placeholder instead of being requested again.
+//
+const MAX_REMEMBERED = 500;
+
+const statuses = new Map();
+
+function readImageProxy(env = process.env) {
+  const raw = env.REACT_APP_IMAGE_PROXY;
+  if (!raw) return '';
+  try {
+    const url = new URL(raw);
+    return /^https?:$/.test(url.protocol) ? url.toString() : '';
+  } catch {
+    return '';
+  }
+}
+
+// PUBLIC_INTERFACE
+export function imageUrl(url, { proxy = readImageProxy() } = {}) {
+  /**
+   * The URL to load an article image from: the image itself, or the image endpoint given by
+   * proxy (default: REACT_APP_IMAGE_PROXY) with the image passed as ?url=. Returns null for
+   * anything that isn't an http(s) URL, so data: and javascript: values never reach the page.
+   */
+  let parsed;
+  try {
+    parsed = new URL(String(url ?? '').trim());
+  } catch {
+    return null;
+  }
+  if (!/^https?:$/.test(parsed.protocol)) return null;
+  if (!proxy) return parsed.toString();
+  const endpoint = new URL(proxy);
+  endpoint.searchParams.set('url', parsed.toString());
+  return endpoint.toString();
+}
+
+// PUBLIC_INTERFACE
+export function getImageStatus(src) {
+  /** 'loaded' or 'failed' for an image loaded earlier in this session, otherwise undefined. */
+  return statuses.get(src);
+}
+
+// PUBLIC_INTERFACE
+export function markImage(src, status) {
+  /** Remember that src loaded ('loaded') or couldn't be loaded ('failed'). Keeps the most recent few hundred. */
+  if (!src) return;
+  statuses.delete(src);
+  statuses.set(src, status);
+  if (statuses.size > MAX_REMEMBERED) statuses.delete(statuses.keys().next().value);
+}
@@ -0,0 +1,30 @@
+import { getImageStatus, imageUrl, markImage } from './images';
+
+afterEach(() => {
+  delete process.env.REACT_APP_IMAGE_PROXY;
+});
+
+test('imageUrl only lets http(s) images through and routes them via the proxy when configured', () => {
+  expect(imageUrl('https://cdn.example.com/a.jpg')).toBe('https://cdn.example.com/a.jpg');
+  expect(imageUrl(' http://cdn.example.com/a b.jpg ')).toBe('http://cdn.example.com/a%20b.jpg');
+  expect(imageUrl('ftp://cdn.example.com/a.jpg')).toBeNull();
+  expect(imageUrl('data:image/png;base64,AAAA')).toBeNull();
+  expect(imageUrl(null)).toBeNull();
+
+  process.env.REACT_APP_IMAGE_PROXY = 'http://localhost:3010/api/news/image';
+  expect(imageUrl('https://cdn.example.com/a.jpg?w=600&h=400')).toBe(
+    'http://localhost:3010/api/news/image?url=https%3A%2F%2Fcdn.example.com%2Fa.jpg%3Fw%3D600%26h%3D400'
+  );
+  process.env.REACT_APP_IMAGE_PROXY = 'not a url';
+  expect(imageUrl('https://cdn.example.com/a.jpg')).toBe('https://cdn.example.com/a.jpg');
+  expect(imageUrl('https://cdn.example.com/a.jpg', { proxy: 'https://images.example.org/fetch' }))
+    .toBe('https://images.example.org/fetch?url=https%3A%2F%2Fcdn.example.com%2Fa.jpg');
+});
+
+test('load results are remembered per image', () => {
+  expect(getImageStatus('https://cdn.example.com/b.jpg')).toBeUndefined();
+  markImage('https://cdn.example.com/b.jpg', 'failed');
+  expect(getImageStatus('https://cdn.example.com/b.jpg')).toBe('failed');
+  markImage('https://cdn.example.com/b.jpg', 'loaded');
+  expect(getImageStatus('https://cdn.example.com/b.jpg')).toBe('loaded');
+});
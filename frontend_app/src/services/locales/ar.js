@@ -0,0 +1,362 @@
+//
+// Arabic UI messages (right-to-left). Missing keys fall back to ./en.
+//
+const ar = {
+  'app.title': 'Ocean News',
+  'app.poweredBy': 'بدعم من {attribution}',
+  'nav.headlines': 'أهم العناوين',
+  'nav.compare': 'مقارنة',
+  'nav.search': 'بحث',
+  'nav.sources': 'المصادر',
+  'nav.watchlists': 'قوائم المتابعة',
+  'nav.saved': 'المحفوظات',
+  'nav.diagnostics': 'التشخيص',
+  'nav.network': 'الشبكة',
+  'nav.filters': 'عوامل التصفية',
+  'nav.settings': 'الإعدادات',
+  'nav.unread': {
+    zero: 'لا شيء غير مقروء', one: 'واحد غير مقروء', two: 'اثنان غير مقروءين', few: '{count} غير مقروءة', many: '{count} غير مقروء', other: '{count} غير مقروء',
+  },
+  'nav.uiLanguage': 'لغة الواجهة',
+  'nav.uiLanguageAuto': 'لغة المتصفح',
+  'nav.sections': 'الأقسام',
+  'nav.skip': 'الانتقال إلى المحتوى',
+  'theme.label': 'السمة',
+  'theme.system': 'النظام',
+  'theme.light': 'فاتح',
+  'theme.dark': 'داكن',
+  'theme.high-contrast': 'تباين عالٍ',
+
+  'search.placeholder': 'ابحث في المقالات...',
+  'search.placeholderLive': 'اكتب للبحث…',
+  'search.query': 'عبارة البحث',
+  'search.suggestions': 'اقتراحات',
+  'search.sortBy': 'الترتيب حسب',
+  'search.sort.publishedAt': 'الأحدث',
+  'search.sort.relevancy': 'الصلة',
+  'search.sort.popularity': 'الشعبية',
+  'search.language': 'اللغة',
+  'search.submit': 'بحث',
+  'search.advanced': 'خيارات متقدمة',
+  'search.clearFilters': 'مسح عوامل التصفية',
+  'search.matchIn': 'البحث عن الكلمات في',
+  'search.field.title': 'العنوان',
+  'search.field.description': 'الوصف',
+  'search.field.content': 'المحتوى',
+  'search.allFields': 'عند عدم تحديد أي حقل يتم البحث في كل الحقول.',
+  'search.sources': 'المصادر',
+  'search.domains': 'هذه النطاقات فقط',
+  'search.excludeDomains': 'استبعاد النطاقات',
+  'search.from': 'من',
+  'search.to': 'إلى',
+  'search.infinite': 'تمرير لا نهائي',
+  'search.live': 'البحث أثناء الكتابة',
+  'search.watch': 'متابعة',
+  'search.savePrompt': 'اسم عملية البحث',
+  'search.watchPrompt': 'اسم قائمة المتابعة',
+  'search.noResults': 'لا توجد نتائج لبحثك.',
+  'search.enterTerm': 'أدخل عبارة بحث للعثور على مقالات.',
+  'search.exportTitle': 'بحث Ocean News: {query}',
+
+  'headlines.country': 'الدولة',
+  'headlines.category': 'الفئة',
+  'headlines.allCategories': 'الكل',
+  'headlines.infinite': 'تمرير لا نهائي',
+  'headlines.watch': 'متابعة',
+  'headlines.watchPrompt': 'اسم قائمة المتابعة',
+  'headlines.watchName': 'العناوين: {filters}',
+  'headlines.exportTitle': 'أهم عناوين Ocean News: {filters}',
+  'headlines.fromSources': 'من {sources} (لا تنطبق الدولة والفئة)',
+  'headlines.clearSources': 'إزالة المصادر',
+  'headlines.changeSources': 'تغيير',
+  'category.business': 'أعمال',
+  'category.entertainment': 'ترفيه',
+  'category.general': 'عام',
+  'category.health': 'صحة',
+  'category.science': 'علوم',
+  'category.sports': 'رياضة',
+  'category.technology': 'تقنية',
+
+  'list.loading': 'جارٍ التحميل…',
+  'list.loadMore': 'تحميل المزيد',
+  'list.readMore': 'قراءة المقال كاملًا',
+  'list.unknownSource': 'مصدر غير معروف',
+  'list.sources': {
+    zero: 'لا مصادر', one: 'مصدر واحد', two: 'مصدران', few: '{count} مصادر', many: '{count} مصدرًا', other: '{count} مصدر',
+  },
+  'list.versions': {
+    zero: 'لا نسخ', one: 'نسخة واحدة', two: 'نسختان', few: '{count} نسخ', many: '{count} نسخة', other: '{count} نسخة',
+  },
+  'list.empty': 'لم يتم العثور على مقالات.',
+  'list.offline': 'غير متصل — عرض نتائج {time}',
+  'list.offlineEarlier': 'زيارة سابقة',
+  'list.caughtUp': 'لقد اطلعت على كل شيء.',
+  'list.announceLoading': 'جارٍ تحميل المقالات…',
+  'list.announceResults': {
+    zero: 'لا توجد مقالات لعرضها.', one: 'تم تحميل مقال واحد.', two: 'تم تحميل مقالين.', few: 'تم تحميل {count} مقالات.', many: 'تم تحميل {count} مقالًا.', other: 'تم تحميل {count} مقال.',
+  },
+  'pager.label': 'التنقل بين الصفحات',
+  'pager.previous': 'السابق',
+  'pager.next': 'التالي',
+  'pager.status': 'الصفحة {page} من {pageCount}',
+  'pager.capped': ' (أول {max} من {total} نتيجة)',
+  'cache.from': 'نتائج مخزنة من {time}',
+  'cache.refresh': 'تحديث',
+
+  'compare.countries': 'الدول',
+  'compare.categories': 'الفئات',
+  'compare.queued': 'في الانتظار…',
+  'compare.cancel': 'إلغاء',
+  'compare.cancelled': 'تم الإلغاء.',
+  'compare.load': 'تحميل',
+  'compare.sharedOnly': 'الأخبار الموجودة في عدة أعمدة فقط',
+  'compare.shared': {
+    zero: 'لا يظهر أي خبر في أكثر من عمود.', one: 'يظهر خبر واحد في أكثر من عمود.', two: 'يظهر خبران في أكثر من عمود.', few: 'تظهر {count} أخبار في أكثر من عمود.', many: 'يظهر {count} خبرًا في أكثر من عمود.', other: 'يظهر {count} خبر في أكثر من عمود.',
+  },
+  'compare.alsoIn': 'أيضًا في {regions}',
+  'compare.capped': 'تتم مقارنة أول {max} مجموعات فقط.',
+  'compare.empty': 'اختر دولة أو فئة واحدة على الأقل للمقارنة.',
+
+  'analytics.toggle': 'تحليلات',
+  'analytics.title': 'تحليلات',
+  'analytics.empty': 'تظهر التحليلات بعد تحميل المقالات.',
+  'analytics.basedOn': { other: 'استنادًا إلى {count} من المقالات المحمّلة.' },
+  'analytics.terms': 'المصطلحات الرائجة',
+  'analytics.noTerms': 'لا يظهر أي مصطلح في أكثر من مقال.',
+  'analytics.searchFor': 'البحث عن {term}',
+  'analytics.sources': 'المصادر',
+  'analytics.otherSources': { other: '{count} من المقالات الإضافية من مصادر أخرى' },
+  'analytics.timeline': 'النشر',
+  'analytics.bucket': { other: '{range}: {count} من المقالات' },
+  'analytics.undated': { other: '{count} من المقالات بلا تاريخ' },
+
+  'filters.title': 'عوامل تصفية المحتوى',
+  'filters.hidden': {
+    one: 'أخفت عوامل التصفية مقالًا واحدًا.', two: 'أخفت عوامل التصفية مقالين.', few: 'أخفت عوامل التصفية {count} مقالات.', many: 'أخفت عوامل التصفية {count} مقالًا.', other: 'أخفت عوامل التصفية {count} مقال.',
+  },
+  'filters.showHidden': 'إظهار المخفية',
+  'filters.hideAgain': 'إخفاء مجددًا',
+  'filters.manage': 'إدارة عوامل التصفية',
+  'filters.hiddenBy': 'أخفاه {reasons}',
+  'filters.rule': '{type} «{value}»',
+  'filters.type.source': 'المصدر',
+  'filters.type.domain': 'النطاق',
+  'filters.type.keyword': 'كلمة مفتاحية',
+  'filters.type.regex': 'تعبير نمطي',
+  'filters.reason.removed': 'مقال محذوف',
+  'filters.hideRemoved': 'إخفاء العناصر «[Removed]» للمقالات المحذوفة',
+  'filters.typeLabel': 'التصفية حسب',
+  'filters.value': 'المطابقة',
+  'filters.fields': 'البحث في',
+  'filters.add': 'إضافة عامل تصفية',
+  'filters.remove': 'إزالة',
+  'filters.enabled': 'تفعيل عامل التصفية {rule}',
+  'filters.none': 'لا توجد عوامل تصفية بعد. اكتم مصدرًا من قارئ المقالات أو أضف عامل تصفية أعلاه.',
+  'filters.import': 'استيراد JSON',
+  'filters.export': 'تصدير JSON',
+  'filters.imported': { zero: 'لم يتم استيراد عوامل تصفية جديدة.', other: 'تم استيراد عوامل التصفية: {count}.' },
+  'filters.close': 'إغلاق',
+  'filters.muteSource': 'كتم {source}',
+  'filters.muted': 'تم كتم المصدر',
+  'filters.error.type': 'نوع عامل تصفية غير معروف «{type}».',
+  'filters.error.empty': 'أدخل ما يجب أن يطابقه عامل التصفية.',
+  'filters.error.tooLong': 'يقتصر طول عوامل التصفية على {max} حرفًا.',
+  'filters.error.domain': 'أدخل نطاقًا مثل example.com.',
+  'filters.error.flags': 'علامات تعبير نمطي غير مدعومة «{flags}».',
+  'filters.error.regex': 'تعبير نمطي غير صالح: {message}',
+  'filters.error.slowRegex': 'يكرر هذا التعبير النمطي مجموعة تتكرر بالفعل أو تحتوي على بدائل، مما قد يجمّد الصفحة. بسّطه، مثلًا استبدل (a+)+ بـ a+ أو (a|b)+ بـ [ab]+.',
+  'filters.error.fields': 'اختر العنوان أو الوصف أو كليهما.',
+  'filters.error.notJson': 'الملف المحدد ليس JSON صالحًا.',
+  'filters.error.notFilters': 'لا يحتوي الملف المحدد على عوامل تصفية للمحتوى.',
+  'filters.error.version': 'إصدار التصدير {version} غير مدعوم. حدّث التطبيق وحاول مرة أخرى.',
+
+  'retry.rateLimited': 'تم تجاوز حد الطلبات. إعادة المحاولة خلال {seconds} ث… (المحاولة {attempt} من {max})',
+  'retry.failed': 'خطأ في خدمة الأخبار. إعادة المحاولة خلال {seconds} ث… (المحاولة {attempt} من {max})',
+  'bookmark.add': 'حفظ المقال',
+  'bookmark.remove': 'إزالة من المحفوظات',
+  'export.format': 'تصدير بتنسيق',
+  'export.formatLabel': 'تنسيق التصدير',
+  'export.allPages': 'كل الصفحات',
+  'export.collecting': 'جارٍ التجميع…',
+  'export.submit': 'تصدير',
+  'export.failed': 'تعذّر تحميل كل الصفحات.',
+  'builder.title': 'منشئ الاستعلام',
+  'builder.operator': 'عامل المصطلح {n}',
+  'builder.mustInclude': 'يجب أن يتضمن',
+  'builder.phrasePlaceholder': 'عبارة مطابقة',
+  'builder.wordsPlaceholder': 'كلمة أو كلمات',
+  'builder.term': 'المصطلح {n}',
+  'builder.exact': 'عبارة مطابقة',
+  'builder.remove': 'إزالة المصطلح {n}',
+  'builder.add': '+ إضافة مصطلح',
+  'builder.preview': 'معاينة الاستعلام',
+  'builder.apply': 'استخدام هذا الاستعلام',
+  'savedSearches.title': 'عمليات البحث المحفوظة',
+  'savedSearches.saveCurrent': '+ حفظ البحث الحالي',
+  'savedSearches.none': 'لا توجد عمليات بحث محفوظة بعد.',
+  'savedSearches.run': 'تشغيل «{query}»',
+  'savedSearches.filters': {
+    zero: 'بلا عوامل تصفية', one: 'عامل تصفية واحد', two: 'عاملا تصفية', few: '{count} عوامل تصفية', many: '{count} عامل تصفية', other: '{count} عامل تصفية',
+  },
+  'savedSearches.delete': 'حذف البحث المحفوظ {name}',
+  'saved.bookmarks': {
+    zero: 'لا مقالات محفوظة', one: 'مقال محفوظ واحد', two: 'مقالان محفوظان', few: '{count} مقالات محفوظة', many: '{count} مقالًا محفوظًا', other: '{count} مقال محفوظ',
+  },
+  'saved.import': 'استيراد JSON',
+  'saved.export': 'تصدير JSON',
+  'saved.importFile': 'استيراد ملف العناصر المحفوظة',
+  'saved.imported': 'تم استيراد {bookmarks} و{searches}.',
+  'saved.importedBookmarks': {
+    zero: 'لا إشارات مرجعية', one: 'إشارة مرجعية واحدة', two: 'إشارتان مرجعيتان', few: '{count} إشارات مرجعية', many: '{count} إشارة مرجعية', other: '{count} إشارة مرجعية',
+  },
+  'saved.importedSearches': {
+    zero: 'لا عمليات بحث محفوظة', one: 'بحث محفوظ واحد', two: 'بحثان محفوظان', few: '{count} عمليات بحث محفوظة', many: '{count} عملية بحث محفوظة', other: '{count} عملية بحث محفوظة',
+  },
+  'saved.importFailed': 'فشل الاستيراد.',
+  'saved.empty': 'لا توجد مقالات محفوظة بعد. استخدم ☆ على أي مقال لحفظه هنا.',
+  'saved.error.emptyQuery': 'أدخل عبارة بحث قبل الحفظ.',
+  'saved.error.noUrl': 'لا يمكن حفظ إلا المقالات التي لها عنوان URL.',
+  'saved.error.notJson': 'الملف المحدد ليس JSON صالحًا.',
+  'saved.error.notSaved': 'الملف المحدد لا يحتوي على عمليات بحث محفوظة أو إشارات مرجعية.',
+  'saved.error.version': 'إصدار التصدير {version} غير مدعوم. حدّث التطبيق وحاول مرة أخرى.',
+  'sources.all': 'الكل',
+  'sources.selected': 'المحددة:',
+  'sources.maximum': '(الحد الأقصى {max})',
+  'sources.pick': 'اختر مصادر لقراءة عناوينها أو للبحث فيها.',
+  'sources.showHeadlines': 'عرض العناوين',
+  'sources.useInSearch': 'استخدام في البحث',
+  'sources.clear': 'مسح',
+  'sources.none': 'لا توجد مصادر تطابق عوامل التصفية هذه.',
+  'sources.visit': 'زيارة الموقع',
+  'watchlists.search': 'مقالات تطابق «{query}»',
+  'watchlists.headlines': 'أهم العناوين',
+  'watchlists.sources': 'أهم العناوين من {sources}',
+  'watchlists.minutes': '{minutes} د',
+  'watchlists.hours': '{hours} س',
+  'watchlists.new': {
+    zero: 'لا جديد', one: 'واحد جديد', two: 'اثنان جديدان', few: '{count} جديدة', many: '{count} جديدًا', other: '{count} جديد',
+  },
+  'watchlists.every': 'كل {interval}',
+  'watchlists.checked': 'آخر فحص {time}',
+  'watchlists.notChecked': 'لم يُفحص بعد',
+  'watchlists.interval': 'الفاصل الزمني',
+  'watchlists.intervalFor': 'فاصل فحص {name}',
+  'watchlists.notify': 'إشعار',
+  'watchlists.checking': 'جارٍ الفحص…',
+  'watchlists.checkNow': 'افحص الآن',
+  'watchlists.open': 'فتح',
+  'watchlists.markRead': 'تعليم كمقروء',
+  'watchlists.remove': 'إزالة',
+  'watchlists.confirmRemove': 'إيقاف متابعة «{name}»؟',
+  'watchlists.notifyBlocked': 'الإشعارات محظورة لهذا الموقع؛ اسمح بها في المتصفح لتصلك.',
+  'watchlists.lastError': 'فشل الفحص الأخير: {message}',
+  'watchlists.noNew': 'لا مقالات جديدة منذ آخر زيارة.',
+  'watchlists.firstCheck': 'يسجّل الفحص الأول ما هو موجود بالفعل.',
+  'watchlists.query': 'الاستعلام',
+  'watchlists.queryPlaceholder': 'مثلًا "طاقة الرياح البحرية" AND توربينات',
+  'watchlists.name': 'الاسم',
+  'watchlists.optional': 'اختياري',
+  'watchlists.frequency': 'كل',
+  'watchlists.add': 'إضافة قائمة متابعة',
+  'watchlists.help': 'تُفحص قوائم المتابعة ما دام هذا التبويب ظاهرًا. كل فحص طلب واحد، لذا اجعل الفواصل طويلة في الخطط محدودة الطلبات. استخدم «{watch}» في العناوين أو البحث لمتابعة عوامل التصفية تلك.',
+  'watchlists.none': 'لا توجد قوائم متابعة بعد.',
+  'watchlists.notification': {
+    zero: 'لا مقالات جديدة في «{name}»', one: 'مقال جديد واحد في «{name}»', two: 'مقالان جديدان في «{name}»', few: '{count} مقالات جديدة في «{name}»', many: '{count} مقالًا جديدًا في «{name}»', other: '{count} مقال جديد في «{name}»',
+  },
+  'settings.close': 'إغلاق',
+  'settings.intro': 'تُحفظ في هذا المتصفح فقط. اترك الحقل فارغًا لاستخدام القيمة الافتراضية للبناء.',
+  'settings.connection': 'الاتصال',
+  'settings.mode': 'الوضع',
+  'settings.modeName': 'وضع {mode}',
+  'settings.mode.auto': 'تلقائي (من عنوان URL الأساسي)',
+  'settings.mode.direct': 'مباشر (يتصل المتصفح بالمزوّد باستخدام المفتاح)',
+  'settings.mode.proxy': 'وكيل (يبقى المفتاح على الخادم)',
+  'settings.default': 'الافتراضي ({value})',
+  'settings.base': 'عنوان URL الأساسي',
+  'settings.apiKey': 'مفتاح API',
+  'settings.buildKey': 'يُستخدم مفتاح البناء',
+  'settings.notSet': 'غير معيّن',
+  'settings.keyWarning': 'يُخزَّن المفتاح المُدخل هنا دون تشفير في هذا المتصفح ويُرسل مع كل طلب في الوضع المباشر، حيث يمكن لإضافات المتصفح ولأي شخص يستخدم هذا الملف الشخصي قراءته. يُفضَّل وضع الوكيل الذي يُبقي المفتاح على الخادم، وامسح هذا الحقل عندما لا تعود بحاجة إليه.',
+  'settings.defaults': 'الإعدادات الافتراضية',
+  'settings.country': 'بلد العناوين',
+  'settings.language': 'لغة البحث',
+  'settings.pageSize': 'حجم الصفحة',
+  'settings.blocked': 'مع هذه الإعدادات ستُحظر الطلبات:',
+  'settings.save': 'حفظ',
+  'settings.testing': 'جارٍ الاختبار…',
+  'settings.test': 'اختبار الاتصال',
+  'settings.reset': 'استعادة الإعدادات الافتراضية',
+  'settings.confirmReset': 'هل تريد إعادة كل الإعدادات إلى القيم الافتراضية للبناء؟',
+  'settings.saved': 'تم الحفظ.',
+  'settings.ms': '{ms} مللي ثانية',
+  'settings.connected': 'تم الاتصال خلال {time} ({where}).',
+  'settings.failed': 'فشل الاتصال: {message}',
+  'diagnostics.title': 'تشخيص الإعدادات',
+  'diagnostics.blocked': 'الطلبات محظورة حتى يتم إصلاح ما يلي:',
+  'diagnostics.valid': 'الإعدادات صالحة.',
+  'diagnostics.provider': 'المزوّد',
+  'diagnostics.keySet': 'معيّن',
+  'diagnostics.resolvedMode': '{mode} (المُعدّ: {configured})',
+  'diagnostics.paths': 'مسارات مخصّصة',
+  'diagnostics.headers': 'ترويسات إضافية',
+  'diagnostics.timeout': 'مهلة الانتظار',
+  'diagnostics.feedUrl': 'عنوان URL للخلاصة',
+  'diagnostics.overridden': 'مُعيّن في الإعدادات',
+
+  'reader.label': 'قارئ المقالات',
+  'reader.open': 'فتح في القارئ',
+  'reader.close': 'إغلاق',
+  'reader.by': 'بقلم {author}',
+  'reader.preview': 'معاينة',
+  'reader.truncated': { other: 'يشارك المزود بداية المقال فقط؛ يوجد {count} حرفًا إضافيًا على الموقع.' },
+  'reader.readOn': 'اقرأ على {source}',
+  'reader.share': 'مشاركة',
+  'reader.copyLink': 'نسخ الرابط',
+  'reader.copied': 'تم نسخ الرابط.',
+  'reader.copyFailed': 'تعذر نسخ الرابط.',
+  'reader.related': 'تغطية ذات صلة',
+  'reader.relatedQuery': 'وسائل إعلام أخرى تطابق {query}',
+  'reader.relatedNone': 'لم يتم العثور على وسائل إعلام أخرى لهذا الخبر.',
+  'reader.relatedUnavailable': 'العنوان عام جدًا للبحث عن تغطية ذات صلة.',
+
+  'errors.rateLimit': 'تم بلوغ حد الطلبات. يرجى الانتظار دقيقة قبل المحاولة مرة أخرى.',
+  'errors.auth': 'غير مصرح: تأكد من إعداد مفتاح {provider} صالح (الوضع المباشر) أو من تفويض الوكيل.',
+  'errors.unavailable': 'خدمة الأخبار غير متاحة حاليًا. يرجى المحاولة لاحقًا.',
+  'errors.upstream': 'حدث خطأ غير متوقع أثناء الاتصال بخدمة الأخبار.',
+  'errors.timeout': 'لم تستجب خدمة الأخبار خلال {seconds} ثانية.',
+  'errors.network': 'خطأ في الشبكة/CORS: تعذر الوصول إلى خدمة الأخبار ({mode}).',
+  'errors.unexpected': 'حدث خطأ غير متوقع.',
+  'errors.sourcesAndCategory': 'يمكن تصفية العناوين حسب المصادر أو حسب الفئة، وليس كليهما.',
+  'errors.noSourcesList': 'لا يوفر {provider} قائمة بالمصادر.',
+  'errors.unknownCategory': 'فئة غير معروفة "{category}". استخدم إحدى الفئات: {categories}.',
+  'errors.generic': 'حدث خطأ ما.',
+  'errors.tryAgain': 'إعادة المحاولة',
+  'errors.tryAgainIn': 'إعادة المحاولة بعد {seconds} ث',
+  'errors.openSettings': 'فتح الإعدادات',
+  'errors.hint.network': 'إذا كنت تستخدم وكيلًا (proxy)، فتأكد من أنه يعمل وأن REACT_APP_NEWS_API_BASE يشير إليه. وإلا فتحقق من اتصالك ومن إذن CORS لدى الخدمة.',
+  'errors.hint.timeout': 'قد تكون خدمة الأخبار مثقلة أو الاتصال بطيئًا. إعادة المحاولة تنجح عادةً.',
+  'errors.hint.config': 'إعدادات التطبيق غير مكتملة أو غير صالحة؛ تعرض الإعدادات ما يجب إصلاحه.',
+  'errors.hint.auth': 'لاستخدام NewsAPI مباشرةً، عيّن مفتاح REACT_APP_NEWS_API_KEY صالحًا. ولإبقاء المفتاح بعيدًا عن المتصفح، اجعل REACT_APP_NEWS_API_BASE يشير إلى الوكيل (مثل http://localhost:3010/api/news).',
+  'errors.hint.rateLimit': 'أُرسل عدد كبير جدًا من الطلبات في وقت قصير.',
+  'errors.query.empty': 'يرجى إدخال عبارة بحث.',
+  'errors.query.tooLong': 'الحد الأقصى لطول البحث {max} حرف (هذا البحث يحتوي على {length}).',
+  'errors.query.quote': 'يحتوي البحث على علامة اقتباس (") غير مغلقة.',
+  'errors.query.parentheses': 'الأقواس في البحث غير متوازنة.',
+  'errors.query.operator': 'تحتاج AND وOR وNOT إلى عبارة على كل جانب (ويمكن أن يبدأ البحث بـ NOT).',
+  'errors.filters.field': 'حقل بحث غير معروف "{field}". استخدم {fields}.',
+  'errors.filters.source': '"{source}" ليس معرّف مصدر صالحًا (مثل bbc-news).',
+  'errors.filters.tooManySources': 'يمكن البحث في {max} مصدر كحد أقصى في المرة الواحدة.',
+  'errors.filters.domain': '"{domain}" ليس نطاقًا صالحًا (مثل bbc.co.uk).',
+  'errors.filters.tooManyDomains': 'يمكن إدراج {max} نطاق كحد أقصى.',
+  'errors.filters.domainConflict': 'لا يمكن تضمين {domain} واستبعاده في الوقت نفسه.',
+  'errors.filters.date': '"{value}" ليس تاريخًا صالحًا للحقل "{field}". استخدم YYYY-MM-DD أو تاريخًا ووقتًا بتنسيق ISO 8601.',
+  'errors.filters.dateRange': 'يجب أن يكون تاريخ "{from}" في تاريخ "{to}" أو قبله.',
+  'errors.settings.base': 'يجب أن يبدأ عنوان URL الأساسي بـ http:// أو https://.',
+  'errors.settings.mode': 'يجب أن يكون الوضع أحد: {modes}.',
+  'errors.settings.country': 'استخدم رمز بلد من حرفين، مثل «{example}».',
+  'errors.settings.language': 'استخدم رمز لغة من حرفين، مثل «{example}».',
+  'errors.settings.pageSize': 'يجب أن يكون حجم الصفحة عددًا صحيحًا من 1 إلى {max}.',
+  'errors.settings.theme': 'يجب أن تكون السمة إحدى: {themes}.',
+};
+
+export default ar;
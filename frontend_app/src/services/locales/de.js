@@ -0,0 +1,340 @@
+//
+// German UI messages. Missing keys fall back to ./en.
+//
+const de = {
+  'app.title': 'Ocean News',
+  'app.poweredBy': 'Bereitgestellt von {attribution}',
+  'nav.headlines': 'Schlagzeilen',
+  'nav.compare': 'Vergleich',
+  'nav.search': 'Suche',
+  'nav.sources': 'Quellen',
+  'nav.watchlists': 'Beobachtungslisten',
+  'nav.saved': 'Gespeichert',
+  'nav.diagnostics': 'Diagnose',
+  'nav.network': 'Netzwerk',
+  'nav.filters': 'Filter',
+  'nav.settings': 'Einstellungen',
+  'nav.unread': { one: '{count} ungelesen', other: '{count} ungelesen' },
+  'nav.uiLanguage': 'Sprache der Oberfläche',
+  'nav.uiLanguageAuto': 'Browsersprache',
+  'nav.sections': 'Bereiche',
+  'nav.skip': 'Zum Inhalt springen',
+  'theme.label': 'Design',
+  'theme.system': 'System',
+  'theme.light': 'Hell',
+  'theme.dark': 'Dunkel',
+  'theme.high-contrast': 'Hoher Kontrast',
+
+  'search.placeholder': 'Artikel suchen...',
+  'search.placeholderLive': 'Tippen zum Suchen…',
+  'search.query': 'Suchbegriff',
+  'search.suggestions': 'Vorschläge',
+  'search.sortBy': 'Sortieren nach',
+  'search.sort.publishedAt': 'Neueste',
+  'search.sort.relevancy': 'Relevanz',
+  'search.sort.popularity': 'Beliebtheit',
+  'search.language': 'Sprache',
+  'search.submit': 'Suchen',
+  'search.advanced': 'Erweiterte Optionen',
+  'search.clearFilters': 'Filter zurücksetzen',
+  'search.matchIn': 'Begriffe suchen in',
+  'search.field.title': 'Titel',
+  'search.field.description': 'Beschreibung',
+  'search.field.content': 'Inhalt',
+  'search.allFields': 'Ohne Auswahl werden alle Felder durchsucht.',
+  'search.sources': 'Quellen',
+  'search.domains': 'Nur diese Domains',
+  'search.excludeDomains': 'Domains ausschließen',
+  'search.from': 'Von',
+  'search.to': 'Bis',
+  'search.infinite': 'Endlos scrollen',
+  'search.live': 'Beim Tippen suchen',
+  'search.watch': 'Beobachten',
+  'search.savePrompt': 'Name der Suche',
+  'search.watchPrompt': 'Name der Beobachtungsliste',
+  'search.noResults': 'Keine Ergebnisse für diese Suche.',
+  'search.enterTerm': 'Gib einen Suchbegriff ein, um Artikel zu finden.',
+  'search.exportTitle': 'Ocean News Suche: {query}',
+
+  'headlines.country': 'Land',
+  'headlines.category': 'Kategorie',
+  'headlines.allCategories': 'Alle',
+  'headlines.infinite': 'Endlos scrollen',
+  'headlines.watch': 'Beobachten',
+  'headlines.watchPrompt': 'Name der Beobachtungsliste',
+  'headlines.watchName': 'Schlagzeilen: {filters}',
+  'headlines.exportTitle': 'Ocean News Schlagzeilen: {filters}',
+  'headlines.fromSources': 'Von {sources} (Land und Kategorie gelten nicht)',
+  'headlines.clearSources': 'Quellen entfernen',
+  'headlines.changeSources': 'Ändern',
+  'category.business': 'Wirtschaft',
+  'category.entertainment': 'Unterhaltung',
+  'category.general': 'Allgemein',
+  'category.health': 'Gesundheit',
+  'category.science': 'Wissenschaft',
+  'category.sports': 'Sport',
+  'category.technology': 'Technik',
+
+  'list.loading': 'Wird geladen…',
+  'list.loadMore': 'Mehr laden',
+  'list.readMore': 'Ganzen Artikel lesen',
+  'list.unknownSource': 'Unbekannte Quelle',
+  'list.sources': { one: '{count} Quelle', other: '{count} Quellen' },
+  'list.versions': { one: '{count} Fassung', other: '{count} Fassungen' },
+  'list.empty': 'Keine Artikel gefunden.',
+  'list.offline': 'Offline – Ergebnisse von {time}',
+  'list.offlineEarlier': 'einem früheren Besuch',
+  'list.caughtUp': 'Du bist auf dem neuesten Stand.',
+  'list.announceLoading': 'Artikel werden geladen…',
+  'list.announceResults': { zero: 'Keine Artikel vorhanden.', one: '{count} Artikel geladen.', other: '{count} Artikel geladen.' },
+  'pager.label': 'Seitennavigation',
+  'pager.previous': 'Zurück',
+  'pager.next': 'Weiter',
+  'pager.status': 'Seite {page} von {pageCount}',
+  'pager.capped': ' (erste {max} von {total} Ergebnissen)',
+  'cache.from': 'Zwischengespeicherte Ergebnisse von {time}',
+  'cache.refresh': 'Aktualisieren',
+
+  'compare.countries': 'Länder',
+  'compare.categories': 'Kategorien',
+  'compare.queued': 'Wartet…',
+  'compare.cancel': 'Abbrechen',
+  'compare.cancelled': 'Abgebrochen.',
+  'compare.load': 'Laden',
+  'compare.sharedOnly': 'Nur Meldungen in mehreren Spalten',
+  'compare.shared': { zero: 'Keine Meldung erscheint in mehr als einer Spalte.', one: '{count} Meldung erscheint in mehr als einer Spalte.', other: '{count} Meldungen erscheinen in mehr als einer Spalte.' },
+  'compare.alsoIn': 'Auch in {regions}',
+  'compare.capped': 'Nur die ersten {max} Kombinationen werden verglichen.',
+  'compare.empty': 'Wählen Sie mindestens ein Land oder eine Kategorie zum Vergleichen.',
+
+  'analytics.toggle': 'Analyse',
+  'analytics.title': 'Analyse',
+  'analytics.empty': 'Die Analyse erscheint, sobald Artikel geladen sind.',
+  'analytics.basedOn': { one: 'Auf Grundlage von {count} geladenen Artikel.', other: 'Auf Grundlage der {count} geladenen Artikel.' },
+  'analytics.terms': 'Häufige Begriffe',
+  'analytics.noTerms': 'Kein Begriff kommt in mehr als einem Artikel vor.',
+  'analytics.searchFor': 'Nach {term} suchen',
+  'analytics.sources': 'Quellen',
+  'analytics.otherSources': { one: '{count} weiterer Artikel aus anderen Quellen', other: '{count} weitere Artikel aus anderen Quellen' },
+  'analytics.timeline': 'Veröffentlicht',
+  'analytics.bucket': { one: '{range}: {count} Artikel', other: '{range}: {count} Artikel' },
+  'analytics.undated': { one: '{count} Artikel ohne Datum', other: '{count} Artikel ohne Datum' },
+
+  'filters.title': 'Inhaltsfilter',
+  'filters.hidden': { one: '{count} Artikel durch deine Filter ausgeblendet.', other: '{count} Artikel durch deine Filter ausgeblendet.' },
+  'filters.showHidden': 'Ausgeblendete zeigen',
+  'filters.hideAgain': 'Wieder ausblenden',
+  'filters.manage': 'Filter verwalten',
+  'filters.hiddenBy': 'Ausgeblendet durch {reasons}',
+  'filters.rule': '{type} „{value}“',
+  'filters.type.source': 'Quelle',
+  'filters.type.domain': 'Domain',
+  'filters.type.keyword': 'Stichwort',
+  'filters.type.regex': 'Regulärer Ausdruck',
+  'filters.reason.removed': 'entfernter Artikel',
+  'filters.hideRemoved': '„[Removed]“-Platzhalter gelöschter Artikel ausblenden',
+  'filters.typeLabel': 'Filtern nach',
+  'filters.value': 'Treffer',
+  'filters.fields': 'Suchen in',
+  'filters.add': 'Filter hinzufügen',
+  'filters.remove': 'Entfernen',
+  'filters.enabled': 'Filter {rule} aktiv',
+  'filters.none': 'Noch keine Filter. Schalte eine Quelle in der Artikelansicht stumm oder füge oben einen Filter hinzu.',
+  'filters.import': 'JSON importieren',
+  'filters.export': 'JSON exportieren',
+  'filters.imported': { zero: 'Keine neuen Filter importiert.', one: '{count} Filter importiert.', other: '{count} Filter importiert.' },
+  'filters.close': 'Schließen',
+  'filters.muteSource': '{source} stummschalten',
+  'filters.muted': 'Quelle stummgeschaltet',
+  'filters.error.type': 'Unbekannter Filtertyp „{type}“.',
+  'filters.error.empty': 'Gib ein, worauf der Filter zutreffen soll.',
+  'filters.error.tooLong': 'Filter sind auf {max} Zeichen begrenzt.',
+  'filters.error.domain': 'Gib eine Domain wie example.com ein.',
+  'filters.error.flags': 'Nicht unterstützte Flags für reguläre Ausdrücke: „{flags}“.',
+  'filters.error.regex': 'Ungültiger regulärer Ausdruck: {message}',
+  'filters.error.slowRegex': 'Dieser reguläre Ausdruck wiederholt eine Gruppe, die sich selbst wiederholt oder Alternativen enthält, und kann die Seite einfrieren. Vereinfache ihn, z. B. (a+)+ zu a+ oder (a|b)+ zu [ab]+.',
+  'filters.error.fields': 'Wähle den Titel, die Beschreibung oder beides.',
+  'filters.error.notJson': 'Die ausgewählte Datei ist kein gültiges JSON.',
+  'filters.error.notFilters': 'Die ausgewählte Datei enthält keine Inhaltsfilter.',
+  'filters.error.version': 'Nicht unterstützte Exportversion {version}. Aktualisiere die App und versuche es erneut.',
+
+  'retry.rateLimited': 'Anfragelimit erreicht. Neuer Versuch in {seconds} s… (Versuch {attempt} von {max})',
+  'retry.failed': 'Fehler des Nachrichtendienstes. Neuer Versuch in {seconds} s… (Versuch {attempt} von {max})',
+  'bookmark.add': 'Artikel merken',
+  'bookmark.remove': 'Nicht mehr merken',
+  'export.format': 'Exportieren als',
+  'export.formatLabel': 'Exportformat',
+  'export.allPages': 'Alle Seiten',
+  'export.collecting': 'Wird gesammelt…',
+  'export.submit': 'Exportieren',
+  'export.failed': 'Nicht alle Seiten konnten geladen werden.',
+  'builder.title': 'Abfrage-Baukasten',
+  'builder.operator': 'Operator für Begriff {n}',
+  'builder.mustInclude': 'Muss enthalten',
+  'builder.phrasePlaceholder': 'genaue Wortfolge',
+  'builder.wordsPlaceholder': 'Wort/Wörter',
+  'builder.term': 'Begriff {n}',
+  'builder.exact': 'Genaue Wortfolge',
+  'builder.remove': 'Begriff {n} entfernen',
+  'builder.add': '+ Begriff hinzufügen',
+  'builder.preview': 'Abfragevorschau',
+  'builder.apply': 'Diese Abfrage verwenden',
+  'savedSearches.title': 'Gespeicherte Suchen',
+  'savedSearches.saveCurrent': '+ Aktuelle Suche speichern',
+  'savedSearches.none': 'Noch keine gespeicherten Suchen.',
+  'savedSearches.run': '„{query}“ ausführen',
+  'savedSearches.filters': { one: '{count} Filter', other: '{count} Filter' },
+  'savedSearches.delete': 'Gespeicherte Suche {name} löschen',
+  'saved.bookmarks': { one: '{count} gemerkter Artikel', other: '{count} gemerkte Artikel' },
+  'saved.import': 'JSON importieren',
+  'saved.export': 'JSON exportieren',
+  'saved.importFile': 'Datei mit gespeicherten Einträgen importieren',
+  'saved.imported': 'Importiert: {bookmarks} und {searches}.',
+  'saved.importedBookmarks': { one: '{count} Lesezeichen', other: '{count} Lesezeichen' },
+  'saved.importedSearches': { one: '{count} gespeicherte Suche', other: '{count} gespeicherte Suchen' },
+  'saved.importFailed': 'Import fehlgeschlagen.',
+  'saved.empty': 'Noch nichts gemerkt. Mit ☆ an einem Artikel landet er hier.',
+  'saved.error.emptyQuery': 'Gib vor dem Speichern einen Suchbegriff ein.',
+  'saved.error.noUrl': 'Nur Artikel mit einer URL können gemerkt werden.',
+  'saved.error.notJson': 'Die ausgewählte Datei ist kein gültiges JSON.',
+  'saved.error.notSaved': 'Die ausgewählte Datei enthält keine gespeicherten Suchen oder Lesezeichen.',
+  'saved.error.version': 'Exportversion {version} wird nicht unterstützt. Aktualisiere die App und versuche es erneut.',
+  'sources.all': 'Alle',
+  'sources.selected': 'Ausgewählt:',
+  'sources.maximum': '(höchstens {max})',
+  'sources.pick': 'Wähle Quellen, um ihre Schlagzeilen zu lesen oder in ihnen zu suchen.',
+  'sources.showHeadlines': 'Schlagzeilen anzeigen',
+  'sources.useInSearch': 'In der Suche verwenden',
+  'sources.clear': 'Auswahl aufheben',
+  'sources.none': 'Keine Quellen passen zu diesen Filtern.',
+  'sources.visit': 'Website besuchen',
+  'watchlists.search': 'Artikel zu „{query}“',
+  'watchlists.headlines': 'Schlagzeilen',
+  'watchlists.sources': 'Schlagzeilen von {sources}',
+  'watchlists.minutes': '{minutes} Min.',
+  'watchlists.hours': '{hours} Std.',
+  'watchlists.new': { one: '{count} neu', other: '{count} neu' },
+  'watchlists.every': 'alle {interval}',
+  'watchlists.checked': 'geprüft um {time}',
+  'watchlists.notChecked': 'noch nicht geprüft',
+  'watchlists.interval': 'Intervall',
+  'watchlists.intervalFor': 'Prüfintervall für {name}',
+  'watchlists.notify': 'Benachrichtigen',
+  'watchlists.checking': 'Wird geprüft…',
+  'watchlists.checkNow': 'Jetzt prüfen',
+  'watchlists.open': 'Öffnen',
+  'watchlists.markRead': 'Als gelesen markieren',
+  'watchlists.remove': 'Entfernen',
+  'watchlists.confirmRemove': '„{name}“ nicht mehr beobachten?',
+  'watchlists.notifyBlocked': 'Benachrichtigungen sind für diese Website blockiert; erlaube sie im Browser, um benachrichtigt zu werden.',
+  'watchlists.lastError': 'Letzte Prüfung fehlgeschlagen: {message}',
+  'watchlists.noNew': 'Keine neuen Artikel seit deinem letzten Besuch.',
+  'watchlists.firstCheck': 'Die erste Prüfung merkt sich, was schon da ist.',
+  'watchlists.query': 'Suchanfrage',
+  'watchlists.queryPlaceholder': 'z. B. "Offshore-Wind" AND Turbinen',
+  'watchlists.name': 'Name',
+  'watchlists.optional': 'Optional',
+  'watchlists.frequency': 'Alle',
+  'watchlists.add': 'Beobachtungsliste hinzufügen',
+  'watchlists.help': 'Beobachtungslisten werden geprüft, solange dieser Tab sichtbar ist. Jede Prüfung ist eine Anfrage, wähle also bei begrenzten Tarifen lange Intervalle. Mit „{watch}“ in den Schlagzeilen oder der Suche beobachtest du diese Filter.',
+  'watchlists.none': 'Noch keine Beobachtungslisten.',
+  'watchlists.notification': {
+    one: '{count} neuer Artikel in „{name}“', other: '{count} neue Artikel in „{name}“',
+  },
+  'settings.close': 'Schließen',
+  'settings.intro': 'Wird nur in diesem Browser gespeichert. Lass ein Feld leer, um den Standardwert des Builds zu verwenden.',
+  'settings.connection': 'Verbindung',
+  'settings.mode': 'Modus',
+  'settings.modeName': '{mode}-Modus',
+  'settings.mode.auto': 'Automatisch (aus der Basis-URL)',
+  'settings.mode.direct': 'Direkt (der Browser ruft den Anbieter mit dem Schlüssel auf)',
+  'settings.mode.proxy': 'Proxy (der Schlüssel bleibt auf dem Server)',
+  'settings.default': 'Standard ({value})',
+  'settings.base': 'Basis-URL',
+  'settings.apiKey': 'API-Schlüssel',
+  'settings.buildKey': 'Schlüssel aus dem Build wird verwendet',
+  'settings.notSet': 'Nicht gesetzt',
+  'settings.keyWarning': 'Ein hier eingegebener Schlüssel wird unverschlüsselt in diesem Browser gespeichert und mit jeder Anfrage im Direktmodus gesendet, wo Browsererweiterungen und alle, die dieses Profil nutzen, ihn lesen können. Nutze lieber den Proxymodus, der den Schlüssel auf dem Server behält, und leere dieses Feld, wenn du ihn nicht mehr brauchst.',
+  'settings.defaults': 'Standardwerte',
+  'settings.country': 'Land der Schlagzeilen',
+  'settings.language': 'Suchsprache',
+  'settings.pageSize': 'Seitengröße',
+  'settings.blocked': 'Mit diesen Einstellungen würden Anfragen blockiert:',
+  'settings.save': 'Speichern',
+  'settings.testing': 'Wird getestet…',
+  'settings.test': 'Verbindung testen',
+  'settings.reset': 'Auf Standardwerte zurücksetzen',
+  'settings.confirmReset': 'Alle Einstellungen auf die Standardwerte des Builds zurücksetzen?',
+  'settings.saved': 'Gespeichert.',
+  'settings.ms': '{ms} ms',
+  'settings.connected': 'Verbunden in {time} ({where}).',
+  'settings.failed': 'Verbindung fehlgeschlagen: {message}',
+  'diagnostics.title': 'Konfigurationsdiagnose',
+  'diagnostics.blocked': 'Anfragen sind blockiert, bis diese Punkte behoben sind:',
+  'diagnostics.valid': 'Die Konfiguration ist gültig.',
+  'diagnostics.provider': 'Anbieter',
+  'diagnostics.keySet': 'Gesetzt',
+  'diagnostics.resolvedMode': '{mode} (konfiguriert: {configured})',
+  'diagnostics.paths': 'Überschriebene Pfade',
+  'diagnostics.headers': 'Zusätzliche Header',
+  'diagnostics.timeout': 'Zeitlimit',
+  'diagnostics.feedUrl': 'Feed-URL',
+  'diagnostics.overridden': 'In den Einstellungen gesetzt',
+
+  'reader.label': 'Artikelansicht',
+  'reader.open': 'In der Artikelansicht öffnen',
+  'reader.close': 'Schließen',
+  'reader.by': 'Von {author}',
+  'reader.preview': 'Vorschau',
+  'reader.truncated': { one: 'Der Anbieter teilt nur den Anfang des Artikels; {count} weiteres Zeichen steht auf der Website.', other: 'Der Anbieter teilt nur den Anfang des Artikels; {count} weitere Zeichen stehen auf der Website.' },
+  'reader.readOn': 'Auf {source} lesen',
+  'reader.share': 'Teilen',
+  'reader.copyLink': 'Link kopieren',
+  'reader.copied': 'Link kopiert.',
+  'reader.copyFailed': 'Der Link konnte nicht kopiert werden.',
+  'reader.related': 'Weitere Berichte',
+  'reader.relatedQuery': 'Andere Medien zu {query}',
+  'reader.relatedNone': 'Keine anderen Medien zu dieser Meldung gefunden.',
+  'reader.relatedUnavailable': 'Der Titel ist zu allgemein, um nach weiteren Berichten zu suchen.',
+
+  'errors.rateLimit': 'Anfragelimit erreicht. Bitte warte eine Minute und versuche es dann erneut.',
+  'errors.auth': 'Nicht autorisiert: Bitte einen gültigen {provider}-Schlüssel konfigurieren (Direktmodus) oder den Proxy autorisieren.',
+  'errors.unavailable': 'Der Nachrichtendienst ist derzeit nicht verfügbar. Bitte später erneut versuchen.',
+  'errors.upstream': 'Unerwarteter Fehler beim Abruf vom Nachrichtendienst.',
+  'errors.timeout': 'Der Nachrichtendienst hat nicht innerhalb von {seconds} Sekunden geantwortet.',
+  'errors.network': 'Netzwerk-/CORS-Fehler: Der Nachrichtendienst ist nicht erreichbar ({mode}).',
+  'errors.unexpected': 'Ein unerwarteter Fehler ist aufgetreten.',
+  'errors.sourcesAndCategory': 'Schlagzeilen lassen sich nach Quellen oder nach Kategorie filtern, nicht nach beidem.',
+  'errors.noSourcesList': '{provider} bietet keine Quellenliste an.',
+  'errors.unknownCategory': 'Unbekannte Kategorie „{category}“. Erlaubt sind: {categories}.',
+  'errors.generic': 'Etwas ist schiefgelaufen.',
+  'errors.tryAgain': 'Erneut versuchen',
+  'errors.tryAgainIn': 'Erneut versuchen in {seconds} s',
+  'errors.openSettings': 'Einstellungen öffnen',
+  'errors.hint.network': 'Wenn du einen Proxy verwendest, prüfe, ob er läuft und REACT_APP_NEWS_API_BASE auf ihn zeigt. Andernfalls prüfe deine Verbindung und den CORS-Zugriff des Dienstes.',
+  'errors.hint.timeout': 'Der Nachrichtendienst ist eventuell überlastet oder die Verbindung ist langsam. Ein erneuter Versuch hilft meist.',
+  'errors.hint.config': 'Die App-Konfiguration ist unvollständig oder ungültig; die Einstellungen zeigen, was zu korrigieren ist.',
+  'errors.hint.auth': 'Für den direkten Zugriff auf NewsAPI setze einen gültigen REACT_APP_NEWS_API_KEY. Um den Schlüssel vom Browser fernzuhalten, lass REACT_APP_NEWS_API_BASE auf deinen Proxy zeigen (z. B. http://localhost:3010/api/news).',
+  'errors.hint.rateLimit': 'In kurzer Zeit wurden zu viele Anfragen gestellt.',
+  'errors.query.empty': 'Bitte gib einen Suchbegriff ein.',
+  'errors.query.tooLong': 'Suchanfragen sind auf {max} Zeichen begrenzt (diese hat {length}).',
+  'errors.query.quote': 'Die Suchanfrage enthält ein nicht geschlossenes Anführungszeichen (").',
+  'errors.query.parentheses': 'Die Klammern in der Suchanfrage sind nicht ausgeglichen.',
+  'errors.query.operator': 'AND, OR und NOT brauchen auf jeder Seite einen Begriff (NOT darf auch am Anfang stehen).',
+  'errors.filters.field': 'Unbekanntes Suchfeld „{field}“. Erlaubt sind: {fields}.',
+  'errors.filters.source': '„{source}“ ist keine gültige Quellen-ID (z. B. bbc-news).',
+  'errors.filters.tooManySources': 'Es können höchstens {max} Quellen gleichzeitig durchsucht werden.',
+  'errors.filters.domain': '„{domain}“ ist keine gültige Domain (z. B. bbc.co.uk).',
+  'errors.filters.tooManyDomains': 'Es können höchstens {max} Domains angegeben werden.',
+  'errors.filters.domainConflict': '{domain} kann nicht gleichzeitig ein- und ausgeschlossen sein.',
+  'errors.filters.date': '„{value}“ ist kein gültiges Datum für „{field}“. Verwende JJJJ-MM-TT oder ein ISO-8601-Datum mit Uhrzeit.',
+  'errors.filters.dateRange': 'Das Datum „{from}“ muss vor dem Datum „{to}“ oder auf demselben Tag liegen.',
+  'errors.settings.base': 'Die Basis-URL muss mit http:// oder https:// beginnen.',
+  'errors.settings.mode': 'Der Modus muss einer der folgenden sein: {modes}.',
+  'errors.settings.country': 'Verwende einen zweibuchstabigen Ländercode, z. B. „{example}“.',
+  'errors.settings.language': 'Verwende einen zweibuchstabigen Sprachcode, z. B. „{example}“.',
+  'errors.settings.pageSize': 'Die Seitengröße muss eine ganze Zahl von 1 bis {max} sein.',
+  'errors.settings.theme': 'Das Design muss eines der folgenden sein: {themes}.',
+};
+
+export default de;
@@ -0,0 +1,344 @@
+//
+// English UI messages: the reference catalog. Every key used in the app must exist here; other
+// catalogs may leave keys out and fall back to these.
+//
+// Values are strings with {placeholders}, or plural forms { one, other, ... } chosen by the
+// `count` variable (see translate in ../i18n).
+//
+const en = {
+  'app.title': 'Ocean News',
+  'app.poweredBy': 'Powered by {attribution}',
+  'nav.headlines': 'Top Headlines',
+  'nav.compare': 'Compare',
+  'nav.search': 'Search',
+  'nav.sources': 'Sources',
+  'nav.watchlists': 'Watchlists',
+  'nav.saved': 'Saved',
+  'nav.diagnostics': 'Diagnostics',
+  'nav.network': 'Network',
+  'nav.filters': 'Filters',
+  'nav.settings': 'Settings',
+  'nav.unread': { one: '{count} unread', other: '{count} unread' },
+  'nav.uiLanguage': 'Interface language',
+  'nav.uiLanguageAuto': 'Browser default',
+  'nav.sections': 'Sections',
+  'nav.skip': 'Skip to content',
+  'theme.label': 'Theme',
+  'theme.system': 'System',
+  'theme.light': 'Light',
+  'theme.dark': 'Dark',
+  'theme.high-contrast': 'High contrast',
+
+  'search.placeholder': 'Search articles...',
+  'search.placeholderLive': 'Type to search…',
+  'search.query': 'Search query',
+  'search.suggestions': 'Suggestions',
+  'search.sortBy': 'Sort by',
+  'search.sort.publishedAt': 'Latest',
+  'search.sort.relevancy': 'Relevancy',
+  'search.sort.popularity': 'Popularity',
+  'search.language': 'Language',
+  'search.submit': 'Search',
+  'search.advanced': 'Advanced options',
+  'search.clearFilters': 'Clear filters',
+  'search.matchIn': 'Match terms in',
+  'search.field.title': 'Title',
+  'search.field.description': 'Description',
+  'search.field.content': 'Content',
+  'search.allFields': 'None checked searches all fields.',
+  'search.sources': 'Sources',
+  'search.domains': 'Only these domains',
+  'search.excludeDomains': 'Exclude domains',
+  'search.from': 'From',
+  'search.to': 'To',
+  'search.infinite': 'Infinite scroll',
+  'search.live': 'Search as you type',
+  'search.watch': 'Watch',
+  'search.savePrompt': 'Name this search',
+  'search.watchPrompt': 'Name this watchlist',
+  'search.noResults': 'No results found for your query.',
+  'search.enterTerm': 'Enter a search term to find articles.',
+  'search.exportTitle': 'Ocean News search: {query}',
+
+  'headlines.country': 'Country',
+  'headlines.category': 'Category',
+  'headlines.allCategories': 'All',
+  'headlines.infinite': 'Infinite scroll',
+  'headlines.watch': 'Watch',
+  'headlines.watchPrompt': 'Name this watchlist',
+  'headlines.watchName': 'Headlines: {filters}',
+  'headlines.exportTitle': 'Ocean News top headlines: {filters}',
+  'headlines.fromSources': "From {sources} (country and category don't apply)",
+  'headlines.clearSources': 'Clear sources',
+  'headlines.changeSources': 'Change',
+  'category.business': 'Business',
+  'category.entertainment': 'Entertainment',
+  'category.general': 'General',
+  'category.health': 'Health',
+  'category.science': 'Science',
+  'category.sports': 'Sports',
+  'category.technology': 'Technology',
+
+  'list.loading': 'Loading…',
+  'list.loadMore': 'Load more',
+  'list.readMore': 'Read full article',
+  'list.unknownSource': 'Unknown source',
+  'list.sources': { one: '{count} source', other: '{count} sources' },
+  'list.versions': { one: '{count} version', other: '{count} versions' },
+  'list.empty': 'No articles found.',
+  'list.offline': 'Offline — showing results from {time}',
+  'list.offlineEarlier': 'an earlier visit',
+  'list.caughtUp': "You're all caught up.",
+  'list.announceLoading': 'Loading articles…',
+  'list.announceResults': { zero: 'No articles to show.', one: '{count} article loaded.', other: '{count} articles loaded.' },
+  'pager.label': 'Pagination',
+  'pager.previous': 'Previous',
+  'pager.next': 'Next',
+  'pager.status': 'Page {page} of {pageCount}',
+  'pager.capped': ' (first {max} of {total} results)',
+  'cache.from': 'Cached results from {time}',
+  'cache.refresh': 'Refresh',
+
+  'compare.countries': 'Countries',
+  'compare.categories': 'Categories',
+  'compare.queued': 'Waiting…',
+  'compare.cancel': 'Cancel',
+  'compare.cancelled': 'Cancelled.',
+  'compare.load': 'Load',
+  'compare.sharedOnly': 'Only stories in several columns',
+  'compare.shared': { zero: 'No story appears in more than one column.', one: '{count} story appears in more than one column.', other: '{count} stories appear in more than one column.' },
+  'compare.alsoIn': 'Also in {regions}',
+  'compare.capped': 'Only the first {max} combinations are compared.',
+  'compare.empty': 'Pick at least one country or category to compare.',
+
+  'analytics.toggle': 'Insights',
+  'analytics.title': 'Insights',
+  'analytics.empty': 'Insights appear once articles are loaded.',
+  'analytics.basedOn': { one: 'Based on the {count} loaded article.', other: 'Based on the {count} loaded articles.' },
+  'analytics.terms': 'Trending terms',
+  'analytics.noTerms': 'No term appears in more than one article.',
+  'analytics.searchFor': 'Search for {term}',
+  'analytics.sources': 'Sources',
+  'analytics.otherSources': { one: '{count} more article from other sources', other: '{count} more articles from other sources' },
+  'analytics.timeline': 'Published',
+  'analytics.bucket': { one: '{range}: {count} article', other: '{range}: {count} articles' },
+  'analytics.undated': { one: '{count} article without a date', other: '{count} articles without a date' },
+
+  'filters.title': 'Content filters',
+  'filters.hidden': { one: '{count} article hidden by your filters.', other: '{count} articles hidden by your filters.' },
+  'filters.showHidden': 'Show hidden',
+  'filters.hideAgain': 'Hide again',
+  'filters.manage': 'Manage filters',
+  'filters.hiddenBy': 'Hidden by {reasons}',
+  'filters.rule': '{type} “{value}”',
+  'filters.type.source': 'Source',
+  'filters.type.domain': 'Domain',
+  'filters.type.keyword': 'Keyword',
+  'filters.type.regex': 'Regular expression',
+  'filters.reason.removed': 'removed article',
+  'filters.hideRemoved': 'Hide “[Removed]” placeholders for deleted articles',
+  'filters.typeLabel': 'Filter by',
+  'filters.value': 'Match',
+  'filters.fields': 'Look in',
+  'filters.add': 'Add filter',
+  'filters.remove': 'Remove',
+  'filters.enabled': 'Filter {rule} on',
+  'filters.none': 'No filters yet. Mute a source from the article reader or add a filter above.',
+  'filters.import': 'Import JSON',
+  'filters.export': 'Export JSON',
+  'filters.imported': { zero: 'No new filters imported.', one: 'Imported {count} filter.', other: 'Imported {count} filters.' },
+  'filters.close': 'Close',
+  'filters.muteSource': 'Mute {source}',
+  'filters.muted': 'Source muted',
+  'filters.error.type': 'Unknown filter type "{type}".',
+  'filters.error.empty': 'Enter what the filter should match.',
+  'filters.error.tooLong': 'Filters are limited to {max} characters.',
+  'filters.error.domain': 'Enter a domain such as example.com.',
+  'filters.error.flags': 'Unsupported regular expression flags "{flags}".',
+  'filters.error.regex': 'Invalid regular expression: {message}',
+  'filters.error.slowRegex': 'This regular expression repeats a group that repeats itself or has alternatives, which can freeze the page. Simplify it, e.g. (a+)+ to a+ or (a|b)+ to [ab]+.',
+  'filters.error.fields': 'Pick the title, the description or both.',
+  'filters.error.notJson': 'The selected file is not valid JSON.',
+  'filters.error.notFilters': 'The selected file does not contain content filters.',
+  'filters.error.version': 'Unsupported export version {version}. Update the app and try again.',
+
+  'retry.rateLimited': 'Rate limited. Retrying in {seconds}s… (attempt {attempt} of {max})',
+  'retry.failed': 'News service error. Retrying in {seconds}s… (attempt {attempt} of {max})',
+  'bookmark.add': 'Bookmark article',
+  'bookmark.remove': 'Remove bookmark',
+  'export.format': 'Export as',
+  'export.formatLabel': 'Export format',
+  'export.allPages': 'All pages',
+  'export.collecting': 'Collecting…',
+  'export.submit': 'Export',
+  'export.failed': 'Could not load every page.',
+  'builder.title': 'Query builder',
+  'builder.operator': 'Operator for term {n}',
+  'builder.mustInclude': 'Must include',
+  'builder.phrasePlaceholder': 'exact phrase',
+  'builder.wordsPlaceholder': 'word(s)',
+  'builder.term': 'Term {n}',
+  'builder.exact': 'Exact phrase',
+  'builder.remove': 'Remove term {n}',
+  'builder.add': '+ Add term',
+  'builder.preview': 'Query preview',
+  'builder.apply': 'Use this query',
+  'savedSearches.title': 'Saved searches',
+  'savedSearches.saveCurrent': '+ Save current search',
+  'savedSearches.none': 'No saved searches yet.',
+  'savedSearches.run': 'Run "{query}"',
+  'savedSearches.filters': { one: '{count} filter', other: '{count} filters' },
+  'savedSearches.delete': 'Delete saved search {name}',
+  'saved.bookmarks': { one: '{count} bookmarked article', other: '{count} bookmarked articles' },
+  'saved.import': 'Import JSON',
+  'saved.export': 'Export JSON',
+  'saved.importFile': 'Import saved items file',
+  'saved.imported': 'Imported {bookmarks} and {searches}.',
+  'saved.importedBookmarks': { one: '{count} bookmark', other: '{count} bookmarks' },
+  'saved.importedSearches': { one: '{count} saved search', other: '{count} saved searches' },
+  'saved.importFailed': 'Import failed.',
+  'saved.empty': 'No bookmarks yet. Use ☆ on any article to save it here.',
+  'saved.error.emptyQuery': 'Please enter a search term before saving.',
+  'saved.error.noUrl': 'Only articles with a URL can be bookmarked.',
+  'saved.error.notJson': 'The selected file is not valid JSON.',
+  'saved.error.notSaved': 'The selected file does not contain saved searches or bookmarks.',
+  'saved.error.version': 'Unsupported export version {version}. Update the app and try again.',
+  'sources.all': 'All',
+  'sources.selected': 'Selected:',
+  'sources.maximum': '(maximum {max})',
+  'sources.pick': 'Pick sources to read their headlines or to search within them.',
+  'sources.showHeadlines': 'Show headlines',
+  'sources.useInSearch': 'Use in search',
+  'sources.clear': 'Clear',
+  'sources.none': 'No sources match these filters.',
+  'sources.visit': 'Visit site',
+  'watchlists.search': 'Articles matching "{query}"',
+  'watchlists.headlines': 'Top headlines',
+  'watchlists.sources': 'Top headlines from {sources}',
+  'watchlists.minutes': '{minutes} min',
+  'watchlists.hours': '{hours} h',
+  'watchlists.new': { one: '{count} new', other: '{count} new' },
+  'watchlists.every': 'every {interval}',
+  'watchlists.checked': 'checked {time}',
+  'watchlists.notChecked': 'not checked yet',
+  'watchlists.interval': 'Interval',
+  'watchlists.intervalFor': 'Check interval for {name}',
+  'watchlists.notify': 'Notify',
+  'watchlists.checking': 'Checking…',
+  'watchlists.checkNow': 'Check now',
+  'watchlists.open': 'Open',
+  'watchlists.markRead': 'Mark read',
+  'watchlists.remove': 'Remove',
+  'watchlists.confirmRemove': 'Stop watching "{name}"?',
+  'watchlists.notifyBlocked': 'Notifications are blocked for this site; allow them in the browser to be notified.',
+  'watchlists.lastError': 'Last check failed: {message}',
+  'watchlists.noNew': 'No new articles since you last looked.',
+  'watchlists.firstCheck': 'The first check records what is already there.',
+  'watchlists.query': 'Query',
+  'watchlists.queryPlaceholder': 'e.g. "offshore wind" AND turbines',
+  'watchlists.name': 'Name',
+  'watchlists.optional': 'Optional',
+  'watchlists.frequency': 'Every',
+  'watchlists.add': 'Add watchlist',
+  'watchlists.help': 'Watchlists are checked while this tab is visible. Each check is one request, so keep intervals long on rate-limited plans. Use "{watch}" on the headlines or search view to watch those filters.',
+  'watchlists.none': 'No watchlists yet.',
+  'watchlists.notification': {
+    one: '{count} new article in "{name}"', other: '{count} new articles in "{name}"',
+  },
+  'settings.close': 'Close',
+  'settings.intro': 'Saved in this browser only. Leave a field empty to use the build-time default.',
+  'settings.connection': 'Connection',
+  'settings.mode': 'Mode',
+  'settings.modeName': '{mode} mode',
+  'settings.mode.auto': 'Auto (from the base URL)',
+  'settings.mode.direct': 'Direct (browser calls the provider with the key)',
+  'settings.mode.proxy': 'Proxy (key stays on the server)',
+  'settings.default': 'Default ({value})',
+  'settings.base': 'Base URL',
+  'settings.apiKey': 'API key',
+  'settings.buildKey': 'Using the build-time key',
+  'settings.notSet': 'Not set',
+  'settings.keyWarning': 'A key entered here is stored unencrypted in this browser and sent with every direct-mode request, where browser extensions and anyone using this profile can read it. Prefer proxy mode, which keeps the key on the server, and clear this field when you no longer need it.',
+  'settings.defaults': 'Defaults',
+  'settings.country': 'Headlines country',
+  'settings.language': 'Search language',
+  'settings.pageSize': 'Page size',
+  'settings.blocked': 'With these settings requests would be blocked:',
+  'settings.save': 'Save',
+  'settings.testing': 'Testing…',
+  'settings.test': 'Test connection',
+  'settings.reset': 'Reset to defaults',
+  'settings.confirmReset': 'Reset all settings to the build-time defaults?',
+  'settings.saved': 'Saved.',
+  'settings.ms': '{ms} ms',
+  'settings.connected': 'Connected in {time} ({where}).',
+  'settings.failed': 'Connection failed: {message}',
+  'diagnostics.title': 'Configuration diagnostics',
+  'diagnostics.blocked': 'Requests are blocked until these are fixed:',
+  'diagnostics.valid': 'Configuration is valid.',
+  'diagnostics.provider': 'Provider',
+  'diagnostics.keySet': 'Set',
+  'diagnostics.resolvedMode': '{mode} (configured: {configured})',
+  'diagnostics.paths': 'Path overrides',
+  'diagnostics.headers': 'Extra headers',
+  'diagnostics.timeout': 'Timeout',
+  'diagnostics.feedUrl': 'Feed URL',
+  'diagnostics.overridden': 'Set in Settings',
+
+  'reader.label': 'Article reader',
+  'reader.open': 'Open in reader',
+  'reader.close': 'Close',
+  'reader.by': 'By {author}',
+  'reader.preview': 'Preview',
+  'reader.truncated': { one: 'The provider only shares the start of the article; {count} more character is on the site.', other: 'The provider only shares the start of the article; {count} more characters are on the site.' },
+  'reader.readOn': 'Read on {source}',
+  'reader.share': 'Share',
+  'reader.copyLink': 'Copy link',
+  'reader.copied': 'Link copied.',
+  'reader.copyFailed': "Couldn't copy the link.",
+  'reader.related': 'Related coverage',
+  'reader.relatedQuery': 'Other outlets matching {query}',
+  'reader.relatedNone': 'No other outlets found for this story.',
+  'reader.relatedUnavailable': 'The title is too generic to look for related coverage.',
+
+  'errors.rateLimit': 'Rate limit reached. Please wait a minute before trying again.',
+  'errors.auth': 'Unauthorized: Please ensure a valid {provider} key is configured (direct mode) or proxy is authorized.',
+  'errors.unavailable': 'News service is currently unavailable. Please try again later.',
+  'errors.upstream': 'Unexpected error contacting news service.',
+  'errors.timeout': 'The news service did not respond within {seconds} seconds.',
+  'errors.network': 'Network/CORS error: Unable to reach the news service ({mode}).',
+  'errors.unexpected': 'Unexpected error occurred.',
+  'errors.sourcesAndCategory': 'Top headlines can be filtered by sources or by category, not both.',
+  'errors.noSourcesList': '{provider} does not provide a list of sources.',
+  'errors.unknownCategory': 'Unknown category "{category}". Use one of: {categories}.',
+  'errors.generic': 'Something went wrong.',
+  'errors.tryAgain': 'Try again',
+  'errors.tryAgainIn': 'Try again in {seconds}s',
+  'errors.openSettings': 'Open settings',
+  'errors.hint.network': "If you're using a proxy, make sure it is running and REACT_APP_NEWS_API_BASE points to it. Otherwise check your connection and the service's CORS access.",
+  'errors.hint.timeout': 'The news service may be overloaded, or the connection is slow. Trying again usually helps.',
+  'errors.hint.config': 'The app configuration is incomplete or invalid; the settings list what needs fixing.',
+  'errors.hint.auth': 'For direct NewsAPI usage, set a valid REACT_APP_NEWS_API_KEY. To keep the key off the browser, set REACT_APP_NEWS_API_BASE to your proxy (e.g., http://localhost:3010/api/news).',
+  'errors.hint.rateLimit': 'Too many requests were made in a short time.',
+  'errors.query.empty': 'Please enter a search term.',
+  'errors.query.tooLong': 'Search queries are limited to {max} characters (this one has {length}).',
+  'errors.query.quote': 'The search query has an unmatched quote (").',
+  'errors.query.parentheses': 'The search query has unbalanced parentheses.',
+  'errors.query.operator': 'AND, OR and NOT need a term on each side (NOT may also start the query).',
+  'errors.filters.field': 'Unknown search field "{field}". Use {fields}.',
+  'errors.filters.source': '"{source}" is not a valid source id (e.g. bbc-news).',
+  'errors.filters.tooManySources': 'At most {max} sources can be searched at once.',
+  'errors.filters.domain': '"{domain}" is not a valid domain (e.g. bbc.co.uk).',
+  'errors.filters.tooManyDomains': 'At most {max} domains can be listed.',
+  'errors.filters.domainConflict': "{domain} can't be both included and excluded.",
+  'errors.filters.date': '"{value}" is not a valid "{field}" date. Use YYYY-MM-DD or an ISO 8601 date-time.',
+  'errors.filters.dateRange': 'The "{from}" date must be on or before the "{to}" date.',
+  'errors.settings.base': 'The base URL must start with http:// or https://.',
+  'errors.settings.mode': 'Mode must be one of: {modes}.',
+  'errors.settings.country': 'Use a 2-letter country code, e.g. "{example}".',
+  'errors.settings.language': 'Use a 2-letter language code, e.g. "{example}".',
+  'errors.settings.pageSize': 'Page size must be a whole number from 1 to {max}.',
+  'errors.settings.theme': 'Theme must be one of: {themes}.',
+};
+
+export default en;
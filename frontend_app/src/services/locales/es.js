@@ -0,0 +1,340 @@
+//
+// Spanish UI messages. Missing keys fall back to ./en.
+//
+const es = {
+  'app.title': 'Ocean News',
+  'app.poweredBy': 'Con la tecnología de {attribution}',
+  'nav.headlines': 'Titulares',
+  'nav.compare': 'Comparar',
+  'nav.search': 'Buscar',
+  'nav.sources': 'Fuentes',
+  'nav.watchlists': 'Seguimientos',
+  'nav.saved': 'Guardados',
+  'nav.diagnostics': 'Diagnóstico',
+  'nav.network': 'Red',
+  'nav.filters': 'Filtros',
+  'nav.settings': 'Ajustes',
+  'nav.unread': { one: '{count} sin leer', other: '{count} sin leer' },
+  'nav.uiLanguage': 'Idioma de la interfaz',
+  'nav.uiLanguageAuto': 'Idioma del navegador',
+  'nav.sections': 'Secciones',
+  'nav.skip': 'Saltar al contenido',
+  'theme.label': 'Tema',
+  'theme.system': 'Sistema',
+  'theme.light': 'Claro',
+  'theme.dark': 'Oscuro',
+  'theme.high-contrast': 'Alto contraste',
+
+  'search.placeholder': 'Buscar artículos...',
+  'search.placeholderLive': 'Escribe para buscar…',
+  'search.query': 'Consulta de búsqueda',
+  'search.suggestions': 'Sugerencias',
+  'search.sortBy': 'Ordenar por',
+  'search.sort.publishedAt': 'Más recientes',
+  'search.sort.relevancy': 'Relevancia',
+  'search.sort.popularity': 'Popularidad',
+  'search.language': 'Idioma',
+  'search.submit': 'Buscar',
+  'search.advanced': 'Opciones avanzadas',
+  'search.clearFilters': 'Borrar filtros',
+  'search.matchIn': 'Buscar términos en',
+  'search.field.title': 'Título',
+  'search.field.description': 'Descripción',
+  'search.field.content': 'Contenido',
+  'search.allFields': 'Si no marcas ninguno, se busca en todos los campos.',
+  'search.sources': 'Fuentes',
+  'search.domains': 'Solo estos dominios',
+  'search.excludeDomains': 'Excluir dominios',
+  'search.from': 'Desde',
+  'search.to': 'Hasta',
+  'search.infinite': 'Desplazamiento infinito',
+  'search.live': 'Buscar mientras escribes',
+  'search.watch': 'Seguir',
+  'search.savePrompt': 'Nombre de la búsqueda',
+  'search.watchPrompt': 'Nombre del seguimiento',
+  'search.noResults': 'No hay resultados para tu búsqueda.',
+  'search.enterTerm': 'Escribe un término para buscar artículos.',
+  'search.exportTitle': 'Búsqueda en Ocean News: {query}',
+
+  'headlines.country': 'País',
+  'headlines.category': 'Categoría',
+  'headlines.allCategories': 'Todas',
+  'headlines.infinite': 'Desplazamiento infinito',
+  'headlines.watch': 'Seguir',
+  'headlines.watchPrompt': 'Nombre del seguimiento',
+  'headlines.watchName': 'Titulares: {filters}',
+  'headlines.exportTitle': 'Titulares de Ocean News: {filters}',
+  'headlines.fromSources': 'De {sources} (no se aplican país ni categoría)',
+  'headlines.clearSources': 'Quitar fuentes',
+  'headlines.changeSources': 'Cambiar',
+  'category.business': 'Negocios',
+  'category.entertainment': 'Entretenimiento',
+  'category.general': 'General',
+  'category.health': 'Salud',
+  'category.science': 'Ciencia',
+  'category.sports': 'Deportes',
+  'category.technology': 'Tecnología',
+
+  'list.loading': 'Cargando…',
+  'list.loadMore': 'Cargar más',
+  'list.readMore': 'Leer el artículo completo',
+  'list.unknownSource': 'Fuente desconocida',
+  'list.sources': { one: '{count} fuente', other: '{count} fuentes' },
+  'list.versions': { one: '{count} versión', other: '{count} versiones' },
+  'list.empty': 'No se encontraron artículos.',
+  'list.offline': 'Sin conexión: resultados de {time}',
+  'list.offlineEarlier': 'una visita anterior',
+  'list.caughtUp': 'Ya estás al día.',
+  'list.announceLoading': 'Cargando artículos…',
+  'list.announceResults': { zero: 'No hay artículos que mostrar.', one: '{count} artículo cargado.', other: '{count} artículos cargados.' },
+  'pager.label': 'Paginación',
+  'pager.previous': 'Anterior',
+  'pager.next': 'Siguiente',
+  'pager.status': 'Página {page} de {pageCount}',
+  'pager.capped': ' (primeros {max} de {total} resultados)',
+  'cache.from': 'Resultados en caché de {time}',
+  'cache.refresh': 'Actualizar',
+
+  'compare.countries': 'Países',
+  'compare.categories': 'Categorías',
+  'compare.queued': 'En espera…',
+  'compare.cancel': 'Cancelar',
+  'compare.cancelled': 'Cancelado.',
+  'compare.load': 'Cargar',
+  'compare.sharedOnly': 'Solo noticias en varias columnas',
+  'compare.shared': { zero: 'Ninguna noticia aparece en más de una columna.', one: '{count} noticia aparece en más de una columna.', other: '{count} noticias aparecen en más de una columna.' },
+  'compare.alsoIn': 'También en {regions}',
+  'compare.capped': 'Solo se comparan las primeras {max} combinaciones.',
+  'compare.empty': 'Elige al menos un país o una categoría para comparar.',
+
+  'analytics.toggle': 'Análisis',
+  'analytics.title': 'Análisis',
+  'analytics.empty': 'El análisis aparece cuando se cargan artículos.',
+  'analytics.basedOn': { one: 'Basado en {count} artículo cargado.', other: 'Basado en los {count} artículos cargados.' },
+  'analytics.terms': 'Términos destacados',
+  'analytics.noTerms': 'Ningún término aparece en más de un artículo.',
+  'analytics.searchFor': 'Buscar {term}',
+  'analytics.sources': 'Fuentes',
+  'analytics.otherSources': { one: '{count} artículo más de otras fuentes', other: '{count} artículos más de otras fuentes' },
+  'analytics.timeline': 'Publicación',
+  'analytics.bucket': { one: '{range}: {count} artículo', other: '{range}: {count} artículos' },
+  'analytics.undated': { one: '{count} artículo sin fecha', other: '{count} artículos sin fecha' },
+
+  'filters.title': 'Filtros de contenido',
+  'filters.hidden': { one: '{count} artículo oculto por tus filtros.', other: '{count} artículos ocultos por tus filtros.' },
+  'filters.showHidden': 'Mostrar ocultos',
+  'filters.hideAgain': 'Volver a ocultar',
+  'filters.manage': 'Gestionar filtros',
+  'filters.hiddenBy': 'Oculto por {reasons}',
+  'filters.rule': '{type} «{value}»',
+  'filters.type.source': 'Fuente',
+  'filters.type.domain': 'Dominio',
+  'filters.type.keyword': 'Palabra clave',
+  'filters.type.regex': 'Expresión regular',
+  'filters.reason.removed': 'artículo eliminado',
+  'filters.hideRemoved': 'Ocultar los marcadores «[Removed]» de artículos eliminados',
+  'filters.typeLabel': 'Filtrar por',
+  'filters.value': 'Coincidencia',
+  'filters.fields': 'Buscar en',
+  'filters.add': 'Añadir filtro',
+  'filters.remove': 'Eliminar',
+  'filters.enabled': 'Filtro {rule} activo',
+  'filters.none': 'Aún no hay filtros. Silencia una fuente desde el lector o añade un filtro arriba.',
+  'filters.import': 'Importar JSON',
+  'filters.export': 'Exportar JSON',
+  'filters.imported': { zero: 'No se importaron filtros nuevos.', one: 'Se importó {count} filtro.', other: 'Se importaron {count} filtros.' },
+  'filters.close': 'Cerrar',
+  'filters.muteSource': 'Silenciar {source}',
+  'filters.muted': 'Fuente silenciada',
+  'filters.error.type': 'Tipo de filtro desconocido "{type}".',
+  'filters.error.empty': 'Escribe qué debe coincidir con el filtro.',
+  'filters.error.tooLong': 'Los filtros admiten como máximo {max} caracteres.',
+  'filters.error.domain': 'Escribe un dominio como example.com.',
+  'filters.error.flags': 'Indicadores de expresión regular no admitidos "{flags}".',
+  'filters.error.regex': 'Expresión regular no válida: {message}',
+  'filters.error.slowRegex': 'Esta expresión regular repite un grupo que ya se repite o tiene alternativas, lo que puede bloquear la página. Simplifícala, p. ej. (a+)+ por a+ o (a|b)+ por [ab]+.',
+  'filters.error.fields': 'Elige el título, la descripción o ambos.',
+  'filters.error.notJson': 'El archivo seleccionado no es un JSON válido.',
+  'filters.error.notFilters': 'El archivo seleccionado no contiene filtros de contenido.',
+  'filters.error.version': 'Versión de exportación {version} no admitida. Actualiza la aplicación e inténtalo de nuevo.',
+
+  'retry.rateLimited': 'Límite de solicitudes alcanzado. Reintentando en {seconds} s… (intento {attempt} de {max})',
+  'retry.failed': 'Error del servicio de noticias. Reintentando en {seconds} s… (intento {attempt} de {max})',
+  'bookmark.add': 'Guardar artículo',
+  'bookmark.remove': 'Quitar de guardados',
+  'export.format': 'Exportar como',
+  'export.formatLabel': 'Formato de exportación',
+  'export.allPages': 'Todas las páginas',
+  'export.collecting': 'Recopilando…',
+  'export.submit': 'Exportar',
+  'export.failed': 'No se pudieron cargar todas las páginas.',
+  'builder.title': 'Generador de consultas',
+  'builder.operator': 'Operador del término {n}',
+  'builder.mustInclude': 'Debe incluir',
+  'builder.phrasePlaceholder': 'frase exacta',
+  'builder.wordsPlaceholder': 'palabra(s)',
+  'builder.term': 'Término {n}',
+  'builder.exact': 'Frase exacta',
+  'builder.remove': 'Quitar el término {n}',
+  'builder.add': '+ Añadir término',
+  'builder.preview': 'Vista previa de la consulta',
+  'builder.apply': 'Usar esta consulta',
+  'savedSearches.title': 'Búsquedas guardadas',
+  'savedSearches.saveCurrent': '+ Guardar la búsqueda actual',
+  'savedSearches.none': 'Aún no hay búsquedas guardadas.',
+  'savedSearches.run': 'Ejecutar "{query}"',
+  'savedSearches.filters': { one: '{count} filtro', other: '{count} filtros' },
+  'savedSearches.delete': 'Eliminar la búsqueda guardada {name}',
+  'saved.bookmarks': { one: '{count} artículo guardado', other: '{count} artículos guardados' },
+  'saved.import': 'Importar JSON',
+  'saved.export': 'Exportar JSON',
+  'saved.importFile': 'Importar archivo de elementos guardados',
+  'saved.imported': 'Importados: {bookmarks} y {searches}.',
+  'saved.importedBookmarks': { one: '{count} artículo guardado', other: '{count} artículos guardados' },
+  'saved.importedSearches': { one: '{count} búsqueda guardada', other: '{count} búsquedas guardadas' },
+  'saved.importFailed': 'La importación falló.',
+  'saved.empty': 'Aún no hay artículos guardados. Usa ☆ en cualquier artículo para guardarlo aquí.',
+  'saved.error.emptyQuery': 'Escribe un término de búsqueda antes de guardar.',
+  'saved.error.noUrl': 'Solo se pueden guardar artículos con una URL.',
+  'saved.error.notJson': 'El archivo seleccionado no es un JSON válido.',
+  'saved.error.notSaved': 'El archivo seleccionado no contiene búsquedas ni artículos guardados.',
+  'saved.error.version': 'Versión de exportación {version} no compatible. Actualiza la aplicación e inténtalo de nuevo.',
+  'sources.all': 'Todos',
+  'sources.selected': 'Seleccionadas:',
+  'sources.maximum': '(máximo {max})',
+  'sources.pick': 'Elige fuentes para leer sus titulares o buscar en ellas.',
+  'sources.showHeadlines': 'Ver titulares',
+  'sources.useInSearch': 'Usar en la búsqueda',
+  'sources.clear': 'Borrar',
+  'sources.none': 'Ninguna fuente coincide con estos filtros.',
+  'sources.visit': 'Visitar el sitio',
+  'watchlists.search': 'Artículos que coinciden con "{query}"',
+  'watchlists.headlines': 'Titulares',
+  'watchlists.sources': 'Titulares de {sources}',
+  'watchlists.minutes': '{minutes} min',
+  'watchlists.hours': '{hours} h',
+  'watchlists.new': { one: '{count} nuevo', other: '{count} nuevos' },
+  'watchlists.every': 'cada {interval}',
+  'watchlists.checked': 'revisado a las {time}',
+  'watchlists.notChecked': 'aún sin revisar',
+  'watchlists.interval': 'Intervalo',
+  'watchlists.intervalFor': 'Intervalo de revisión de {name}',
+  'watchlists.notify': 'Notificar',
+  'watchlists.checking': 'Revisando…',
+  'watchlists.checkNow': 'Revisar ahora',
+  'watchlists.open': 'Abrir',
+  'watchlists.markRead': 'Marcar como leído',
+  'watchlists.remove': 'Quitar',
+  'watchlists.confirmRemove': '¿Dejar de seguir "{name}"?',
+  'watchlists.notifyBlocked': 'Las notificaciones están bloqueadas para este sitio; permítelas en el navegador para recibirlas.',
+  'watchlists.lastError': 'La última revisión falló: {message}',
+  'watchlists.noNew': 'No hay artículos nuevos desde tu última visita.',
+  'watchlists.firstCheck': 'La primera revisión registra lo que ya existe.',
+  'watchlists.query': 'Consulta',
+  'watchlists.queryPlaceholder': 'p. ej. "eólica marina" AND turbinas',
+  'watchlists.name': 'Nombre',
+  'watchlists.optional': 'Opcional',
+  'watchlists.frequency': 'Cada',
+  'watchlists.add': 'Añadir seguimiento',
+  'watchlists.help': 'Los seguimientos se revisan mientras esta pestaña está visible. Cada revisión es una solicitud, así que usa intervalos largos en planes con límite de solicitudes. Usa "{watch}" en los titulares o en la búsqueda para seguir esos filtros.',
+  'watchlists.none': 'Aún no hay seguimientos.',
+  'watchlists.notification': {
+    one: '{count} artículo nuevo en "{name}"', other: '{count} artículos nuevos en "{name}"',
+  },
+  'settings.close': 'Cerrar',
+  'settings.intro': 'Se guarda solo en este navegador. Deja un campo vacío para usar el valor predeterminado de la compilación.',
+  'settings.connection': 'Conexión',
+  'settings.mode': 'Modo',
+  'settings.modeName': 'modo {mode}',
+  'settings.mode.auto': 'Automático (según la URL base)',
+  'settings.mode.direct': 'Directo (el navegador llama al proveedor con la clave)',
+  'settings.mode.proxy': 'Proxy (la clave se queda en el servidor)',
+  'settings.default': 'Predeterminado ({value})',
+  'settings.base': 'URL base',
+  'settings.apiKey': 'Clave de API',
+  'settings.buildKey': 'Se usa la clave de la compilación',
+  'settings.notSet': 'Sin definir',
+  'settings.keyWarning': 'Una clave introducida aquí se guarda sin cifrar en este navegador y se envía con cada solicitud en modo directo, donde las extensiones del navegador y cualquiera que use este perfil pueden leerla. Es preferible el modo proxy, que mantiene la clave en el servidor; borra este campo cuando ya no la necesites.',
+  'settings.defaults': 'Valores predeterminados',
+  'settings.country': 'País de los titulares',
+  'settings.language': 'Idioma de búsqueda',
+  'settings.pageSize': 'Tamaño de página',
+  'settings.blocked': 'Con estos ajustes las solicitudes quedarían bloqueadas:',
+  'settings.save': 'Guardar',
+  'settings.testing': 'Probando…',
+  'settings.test': 'Probar la conexión',
+  'settings.reset': 'Restablecer valores predeterminados',
+  'settings.confirmReset': '¿Restablecer todos los ajustes a los valores predeterminados de la compilación?',
+  'settings.saved': 'Guardado.',
+  'settings.ms': '{ms} ms',
+  'settings.connected': 'Conectado en {time} ({where}).',
+  'settings.failed': 'Error de conexión: {message}',
+  'diagnostics.title': 'Diagnóstico de la configuración',
+  'diagnostics.blocked': 'Las solicitudes están bloqueadas hasta que se corrija lo siguiente:',
+  'diagnostics.valid': 'La configuración es válida.',
+  'diagnostics.provider': 'Proveedor',
+  'diagnostics.keySet': 'Definida',
+  'diagnostics.resolvedMode': '{mode} (configurado: {configured})',
+  'diagnostics.paths': 'Rutas personalizadas',
+  'diagnostics.headers': 'Cabeceras adicionales',
+  'diagnostics.timeout': 'Tiempo de espera',
+  'diagnostics.feedUrl': 'URL del feed',
+  'diagnostics.overridden': 'Definido en Ajustes',
+
+  'reader.label': 'Lector de artículos',
+  'reader.open': 'Abrir en el lector',
+  'reader.close': 'Cerrar',
+  'reader.by': 'Por {author}',
+  'reader.preview': 'Vista previa',
+  'reader.truncated': { one: 'El proveedor solo comparte el inicio del artículo; queda {count} carácter más en el sitio.', other: 'El proveedor solo comparte el inicio del artículo; quedan {count} caracteres más en el sitio.' },
+  'reader.readOn': 'Leer en {source}',
+  'reader.share': 'Compartir',
+  'reader.copyLink': 'Copiar enlace',
+  'reader.copied': 'Enlace copiado.',
+  'reader.copyFailed': 'No se pudo copiar el enlace.',
+  'reader.related': 'Cobertura relacionada',
+  'reader.relatedQuery': 'Otros medios que coinciden con {query}',
+  'reader.relatedNone': 'No se encontraron otros medios para esta noticia.',
+  'reader.relatedUnavailable': 'El título es demasiado genérico para buscar cobertura relacionada.',
+
+  'errors.rateLimit': 'Se alcanzó el límite de solicitudes. Espera un minuto antes de volver a intentarlo.',
+  'errors.auth': 'No autorizado: configura una clave válida de {provider} (modo directo) o autoriza el proxy.',
+  'errors.unavailable': 'El servicio de noticias no está disponible. Inténtalo de nuevo más tarde.',
+  'errors.upstream': 'Error inesperado al contactar con el servicio de noticias.',
+  'errors.timeout': 'El servicio de noticias no respondió en {seconds} segundos.',
+  'errors.network': 'Error de red/CORS: no se puede acceder al servicio de noticias ({mode}).',
+  'errors.unexpected': 'Se produjo un error inesperado.',
+  'errors.sourcesAndCategory': 'Los titulares se pueden filtrar por fuentes o por categoría, no por ambas.',
+  'errors.noSourcesList': '{provider} no ofrece una lista de fuentes.',
+  'errors.unknownCategory': 'Categoría desconocida "{category}". Usa una de: {categories}.',
+  'errors.generic': 'Algo salió mal.',
+  'errors.tryAgain': 'Reintentar',
+  'errors.tryAgainIn': 'Reintentar en {seconds} s',
+  'errors.openSettings': 'Abrir ajustes',
+  'errors.hint.network': 'Si usas un proxy, comprueba que esté en marcha y que REACT_APP_NEWS_API_BASE apunte a él. Si no, revisa tu conexión y el acceso CORS del servicio.',
+  'errors.hint.timeout': 'Puede que el servicio de noticias esté saturado o que la conexión sea lenta. Volver a intentarlo suele funcionar.',
+  'errors.hint.config': 'La configuración de la aplicación está incompleta o no es válida; los ajustes indican qué hay que corregir.',
+  'errors.hint.auth': 'Para usar NewsAPI directamente, define una REACT_APP_NEWS_API_KEY válida. Para no exponer la clave en el navegador, apunta REACT_APP_NEWS_API_BASE a tu proxy (p. ej., http://localhost:3010/api/news).',
+  'errors.hint.rateLimit': 'Se hicieron demasiadas solicitudes en poco tiempo.',
+  'errors.query.empty': 'Escribe un término de búsqueda.',
+  'errors.query.tooLong': 'Las búsquedas admiten como máximo {max} caracteres (esta tiene {length}).',
+  'errors.query.quote': 'La búsqueda tiene unas comillas (") sin cerrar.',
+  'errors.query.parentheses': 'La búsqueda tiene paréntesis desequilibrados.',
+  'errors.query.operator': 'AND, OR y NOT necesitan un término a cada lado (NOT también puede iniciar la búsqueda).',
+  'errors.filters.field': 'Campo de búsqueda desconocido "{field}". Usa {fields}.',
+  'errors.filters.source': '"{source}" no es un id de fuente válido (p. ej., bbc-news).',
+  'errors.filters.tooManySources': 'Se pueden buscar como máximo {max} fuentes a la vez.',
+  'errors.filters.domain': '"{domain}" no es un dominio válido (p. ej., bbc.co.uk).',
+  'errors.filters.tooManyDomains': 'Se pueden indicar como máximo {max} dominios.',
+  'errors.filters.domainConflict': '{domain} no puede estar incluido y excluido a la vez.',
+  'errors.filters.date': '"{value}" no es una fecha "{field}" válida. Usa AAAA-MM-DD o una fecha y hora ISO 8601.',
+  'errors.filters.dateRange': 'La fecha "{from}" debe ser igual o anterior a la fecha "{to}".',
+  'errors.settings.base': 'La URL base debe empezar por http:// o https://.',
+  'errors.settings.mode': 'El modo debe ser uno de: {modes}.',
+  'errors.settings.country': 'Usa un código de país de 2 letras, p. ej. "{example}".',
+  'errors.settings.language': 'Usa un código de idioma de 2 letras, p. ej. "{example}".',
+  'errors.settings.pageSize': 'El tamaño de página debe ser un número entero de 1 a {max}.',
+  'errors.settings.theme': 'El tema debe ser uno de: {themes}.',
+};
+
+export default es;
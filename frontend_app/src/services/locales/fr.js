@@ -0,0 +1,342 @@
+//
+// French UI messages. Missing keys fall back to ./en.
+//
+const fr = {
+  'app.title': 'Ocean News',
+  'app.poweredBy': 'Propulsé par {attribution}',
+  'nav.headlines': 'À la une',
+  'nav.compare': 'Comparer',
+  'nav.search': 'Rechercher',
+  'nav.sources': 'Sources',
+  'nav.watchlists': 'Veilles',
+  'nav.saved': 'Enregistrés',
+  'nav.diagnostics': 'Diagnostic',
+  'nav.network': 'Réseau',
+  'nav.filters': 'Filtres',
+  'nav.settings': 'Paramètres',
+  'nav.unread': { one: '{count} non lu', other: '{count} non lus' },
+  'nav.uiLanguage': "Langue de l'interface",
+  'nav.uiLanguageAuto': 'Langue du navigateur',
+  'nav.sections': 'Rubriques',
+  'nav.skip': 'Aller au contenu',
+  'theme.label': 'Thème',
+  'theme.system': 'Système',
+  'theme.light': 'Clair',
+  'theme.dark': 'Sombre',
+  'theme.high-contrast': 'Contraste élevé',
+
+  'search.placeholder': 'Rechercher des articles...',
+  'search.placeholderLive': 'Tapez pour rechercher…',
+  'search.query': 'Requête de recherche',
+  'search.suggestions': 'Suggestions',
+  'search.sortBy': 'Trier par',
+  'search.sort.publishedAt': 'Plus récents',
+  'search.sort.relevancy': 'Pertinence',
+  'search.sort.popularity': 'Popularité',
+  'search.language': 'Langue',
+  'search.submit': 'Rechercher',
+  'search.advanced': 'Options avancées',
+  'search.clearFilters': 'Effacer les filtres',
+  'search.matchIn': 'Chercher les termes dans',
+  'search.field.title': 'Titre',
+  'search.field.description': 'Description',
+  'search.field.content': 'Contenu',
+  'search.allFields': 'Si aucune case n’est cochée, tous les champs sont recherchés.',
+  'search.sources': 'Sources',
+  'search.domains': 'Uniquement ces domaines',
+  'search.excludeDomains': 'Exclure des domaines',
+  'search.from': 'Du',
+  'search.to': 'Au',
+  'search.infinite': 'Défilement infini',
+  'search.live': 'Rechercher pendant la saisie',
+  'search.watch': 'Suivre',
+  'search.savePrompt': 'Nom de la recherche',
+  'search.watchPrompt': 'Nom de la veille',
+  'search.noResults': 'Aucun résultat pour cette recherche.',
+  'search.enterTerm': 'Saisissez un terme pour rechercher des articles.',
+  'search.exportTitle': 'Recherche Ocean News : {query}',
+
+  'headlines.country': 'Pays',
+  'headlines.category': 'Catégorie',
+  'headlines.allCategories': 'Toutes',
+  'headlines.infinite': 'Défilement infini',
+  'headlines.watch': 'Suivre',
+  'headlines.watchPrompt': 'Nom de la veille',
+  'headlines.watchName': 'À la une : {filters}',
+  'headlines.exportTitle': 'Ocean News, à la une : {filters}',
+  'headlines.fromSources': 'De {sources} (pays et catégorie ne s’appliquent pas)',
+  'headlines.clearSources': 'Retirer les sources',
+  'headlines.changeSources': 'Modifier',
+  'category.business': 'Économie',
+  'category.entertainment': 'Divertissement',
+  'category.general': 'Général',
+  'category.health': 'Santé',
+  'category.science': 'Sciences',
+  'category.sports': 'Sport',
+  'category.technology': 'Technologie',
+
+  'list.loading': 'Chargement…',
+  'list.loadMore': 'Charger plus',
+  'list.readMore': "Lire l'article complet",
+  'list.unknownSource': 'Source inconnue',
+  'list.sources': { one: '{count} source', other: '{count} sources' },
+  'list.versions': { one: '{count} version', other: '{count} versions' },
+  'list.empty': 'Aucun article trouvé.',
+  'list.offline': 'Hors ligne — résultats du {time}',
+  'list.offlineEarlier': "d'une visite précédente",
+  'list.caughtUp': 'Vous êtes à jour.',
+  'list.announceLoading': 'Chargement des articles…',
+  'list.announceResults': { zero: 'Aucun article à afficher.', one: '{count} article chargé.', other: '{count} articles chargés.' },
+  'pager.label': 'Pagination',
+  'pager.previous': 'Précédent',
+  'pager.next': 'Suivant',
+  'pager.status': 'Page {page} sur {pageCount}',
+  'pager.capped': ' ({max} premiers résultats sur {total})',
+  'cache.from': 'Résultats en cache de {time}',
+  'cache.refresh': 'Actualiser',
+
+  'compare.countries': 'Pays',
+  'compare.categories': 'Catégories',
+  'compare.queued': 'En attente…',
+  'compare.cancel': 'Annuler',
+  'compare.cancelled': 'Annulé.',
+  'compare.load': 'Charger',
+  'compare.sharedOnly': 'Seulement les sujets présents dans plusieurs colonnes',
+  'compare.shared': { zero: 'Aucun sujet n’apparaît dans plusieurs colonnes.', one: '{count} sujet apparaît dans plusieurs colonnes.', other: '{count} sujets apparaissent dans plusieurs colonnes.' },
+  'compare.alsoIn': 'Aussi dans {regions}',
+  'compare.capped': 'Seules les {max} premières combinaisons sont comparées.',
+  'compare.empty': 'Choisissez au moins un pays ou une catégorie à comparer.',
+
+  'analytics.toggle': 'Analyse',
+  'analytics.title': 'Analyse',
+  'analytics.empty': 'L’analyse apparaît une fois les articles chargés.',
+  'analytics.basedOn': { one: 'Sur la base de {count} article chargé.', other: 'Sur la base des {count} articles chargés.' },
+  'analytics.terms': 'Termes tendance',
+  'analytics.noTerms': 'Aucun terme n’apparaît dans plus d’un article.',
+  'analytics.searchFor': 'Rechercher {term}',
+  'analytics.sources': 'Sources',
+  'analytics.otherSources': { one: '{count} autre article d’autres sources', other: '{count} autres articles d’autres sources' },
+  'analytics.timeline': 'Publication',
+  'analytics.bucket': { one: '{range} : {count} article', other: '{range} : {count} articles' },
+  'analytics.undated': { one: '{count} article sans date', other: '{count} articles sans date' },
+
+  'filters.title': 'Filtres de contenu',
+  'filters.hidden': { one: '{count} article masqué par vos filtres.', other: '{count} articles masqués par vos filtres.' },
+  'filters.showHidden': 'Afficher les masqués',
+  'filters.hideAgain': 'Masquer à nouveau',
+  'filters.manage': 'Gérer les filtres',
+  'filters.hiddenBy': 'Masqué par {reasons}',
+  'filters.rule': '{type} « {value} »',
+  'filters.type.source': 'Source',
+  'filters.type.domain': 'Domaine',
+  'filters.type.keyword': 'Mot-clé',
+  'filters.type.regex': 'Expression régulière',
+  'filters.reason.removed': 'article supprimé',
+  'filters.hideRemoved': 'Masquer les espaces réservés « [Removed] » des articles supprimés',
+  'filters.typeLabel': 'Filtrer par',
+  'filters.value': 'Correspondance',
+  'filters.fields': 'Chercher dans',
+  'filters.add': 'Ajouter un filtre',
+  'filters.remove': 'Supprimer',
+  'filters.enabled': 'Filtre {rule} actif',
+  'filters.none': 'Aucun filtre pour l’instant. Masquez une source depuis le lecteur ou ajoutez un filtre ci-dessus.',
+  'filters.import': 'Importer JSON',
+  'filters.export': 'Exporter JSON',
+  'filters.imported': { zero: 'Aucun nouveau filtre importé.', one: '{count} filtre importé.', other: '{count} filtres importés.' },
+  'filters.close': 'Fermer',
+  'filters.muteSource': 'Masquer {source}',
+  'filters.muted': 'Source masquée',
+  'filters.error.type': 'Type de filtre inconnu « {type} ».',
+  'filters.error.empty': 'Indiquez ce que le filtre doit détecter.',
+  'filters.error.tooLong': 'Les filtres sont limités à {max} caractères.',
+  'filters.error.domain': 'Saisissez un domaine comme example.com.',
+  'filters.error.flags': 'Options d’expression régulière non prises en charge « {flags} ».',
+  'filters.error.regex': 'Expression régulière invalide : {message}',
+  'filters.error.slowRegex': 'Cette expression régulière répète un groupe qui se répète déjà ou contient des alternatives, ce qui peut bloquer la page. Simplifiez-la, par ex. (a+)+ en a+ ou (a|b)+ en [ab]+.',
+  'filters.error.fields': 'Choisissez le titre, la description ou les deux.',
+  'filters.error.notJson': 'Le fichier sélectionné n’est pas un JSON valide.',
+  'filters.error.notFilters': 'Le fichier sélectionné ne contient pas de filtres de contenu.',
+  'filters.error.version': 'Version d’export {version} non prise en charge. Mettez l’application à jour et réessayez.',
+
+  'retry.rateLimited': 'Limite de requêtes atteinte. Nouvel essai dans {seconds} s… (tentative {attempt} sur {max})',
+  'retry.failed': 'Erreur du service d’actualités. Nouvel essai dans {seconds} s… (tentative {attempt} sur {max})',
+  'bookmark.add': 'Ajouter aux favoris',
+  'bookmark.remove': 'Retirer des favoris',
+  'export.format': 'Exporter en',
+  'export.formatLabel': 'Format d’export',
+  'export.allPages': 'Toutes les pages',
+  'export.collecting': 'Collecte…',
+  'export.submit': 'Exporter',
+  'export.failed': 'Impossible de charger toutes les pages.',
+  'builder.title': 'Générateur de requête',
+  'builder.operator': 'Opérateur du terme {n}',
+  'builder.mustInclude': 'Doit contenir',
+  'builder.phrasePlaceholder': 'expression exacte',
+  'builder.wordsPlaceholder': 'mot(s)',
+  'builder.term': 'Terme {n}',
+  'builder.exact': 'Expression exacte',
+  'builder.remove': 'Supprimer le terme {n}',
+  'builder.add': '+ Ajouter un terme',
+  'builder.preview': 'Aperçu de la requête',
+  'builder.apply': 'Utiliser cette requête',
+  'savedSearches.title': 'Recherches enregistrées',
+  'savedSearches.saveCurrent': '+ Enregistrer la recherche actuelle',
+  'savedSearches.none': 'Aucune recherche enregistrée pour l’instant.',
+  'savedSearches.run': 'Lancer « {query} »',
+  'savedSearches.filters': { one: '{count} filtre', other: '{count} filtres' },
+  'savedSearches.delete': 'Supprimer la recherche enregistrée {name}',
+  'saved.bookmarks': { one: '{count} article en favori', other: '{count} articles en favoris' },
+  'saved.import': 'Importer JSON',
+  'saved.export': 'Exporter JSON',
+  'saved.importFile': 'Importer un fichier d’éléments enregistrés',
+  'saved.imported': 'Importé : {bookmarks} et {searches}.',
+  'saved.importedBookmarks': { one: '{count} favori', other: '{count} favoris' },
+  'saved.importedSearches': {
+    one: '{count} recherche enregistrée', other: '{count} recherches enregistrées',
+  },
+  'saved.importFailed': 'Échec de l’importation.',
+  'saved.empty': 'Aucun favori pour l’instant. Utilisez ☆ sur un article pour l’enregistrer ici.',
+  'saved.error.emptyQuery': 'Saisissez un terme de recherche avant d’enregistrer.',
+  'saved.error.noUrl': 'Seuls les articles avec une URL peuvent être ajoutés aux favoris.',
+  'saved.error.notJson': 'Le fichier sélectionné n’est pas un JSON valide.',
+  'saved.error.notSaved': 'Le fichier sélectionné ne contient ni recherches enregistrées ni favoris.',
+  'saved.error.version': 'Version d’export {version} non prise en charge. Mettez à jour l’application et réessayez.',
+  'sources.all': 'Tous',
+  'sources.selected': 'Sélection :',
+  'sources.maximum': '(maximum {max})',
+  'sources.pick': 'Choisissez des sources pour lire leurs titres ou y effectuer une recherche.',
+  'sources.showHeadlines': 'Afficher les titres',
+  'sources.useInSearch': 'Utiliser dans la recherche',
+  'sources.clear': 'Effacer',
+  'sources.none': 'Aucune source ne correspond à ces filtres.',
+  'sources.visit': 'Visiter le site',
+  'watchlists.search': 'Articles correspondant à « {query} »',
+  'watchlists.headlines': 'À la une',
+  'watchlists.sources': 'À la une de {sources}',
+  'watchlists.minutes': '{minutes} min',
+  'watchlists.hours': '{hours} h',
+  'watchlists.new': { one: '{count} nouveau', other: '{count} nouveaux' },
+  'watchlists.every': 'toutes les {interval}',
+  'watchlists.checked': 'vérifiée à {time}',
+  'watchlists.notChecked': 'pas encore vérifiée',
+  'watchlists.interval': 'Intervalle',
+  'watchlists.intervalFor': 'Intervalle de vérification de {name}',
+  'watchlists.notify': 'Notifier',
+  'watchlists.checking': 'Vérification…',
+  'watchlists.checkNow': 'Vérifier maintenant',
+  'watchlists.open': 'Ouvrir',
+  'watchlists.markRead': 'Marquer comme lu',
+  'watchlists.remove': 'Supprimer',
+  'watchlists.confirmRemove': 'Ne plus surveiller « {name} » ?',
+  'watchlists.notifyBlocked': 'Les notifications sont bloquées pour ce site ; autorisez-les dans le navigateur pour être averti.',
+  'watchlists.lastError': 'La dernière vérification a échoué : {message}',
+  'watchlists.noNew': 'Aucun nouvel article depuis votre dernière visite.',
+  'watchlists.firstCheck': 'La première vérification enregistre ce qui existe déjà.',
+  'watchlists.query': 'Requête',
+  'watchlists.queryPlaceholder': 'ex. "éolien en mer" AND turbines',
+  'watchlists.name': 'Nom',
+  'watchlists.optional': 'Facultatif',
+  'watchlists.frequency': 'Toutes les',
+  'watchlists.add': 'Ajouter une veille',
+  'watchlists.help': 'Les veilles sont vérifiées tant que cet onglet est visible. Chaque vérification est une requête : gardez des intervalles longs sur les offres limitées. Utilisez « {watch} » dans les titres ou la recherche pour suivre ces filtres.',
+  'watchlists.none': 'Aucune veille pour l’instant.',
+  'watchlists.notification': {
+    one: '{count} nouvel article dans « {name} »', other: '{count} nouveaux articles dans « {name} »',
+  },
+  'settings.close': 'Fermer',
+  'settings.intro': 'Enregistré dans ce navigateur uniquement. Laissez un champ vide pour utiliser la valeur par défaut de la compilation.',
+  'settings.connection': 'Connexion',
+  'settings.mode': 'Mode',
+  'settings.modeName': 'mode {mode}',
+  'settings.mode.auto': 'Auto (d’après l’URL de base)',
+  'settings.mode.direct': 'Direct (le navigateur appelle le fournisseur avec la clé)',
+  'settings.mode.proxy': 'Proxy (la clé reste sur le serveur)',
+  'settings.default': 'Par défaut ({value})',
+  'settings.base': 'URL de base',
+  'settings.apiKey': 'Clé d’API',
+  'settings.buildKey': 'Clé de la compilation utilisée',
+  'settings.notSet': 'Non défini',
+  'settings.keyWarning': 'Une clé saisie ici est stockée en clair dans ce navigateur et envoyée avec chaque requête en mode direct, où les extensions du navigateur et toute personne utilisant ce profil peuvent la lire. Préférez le mode proxy, qui garde la clé sur le serveur, et videz ce champ quand vous n’en avez plus besoin.',
+  'settings.defaults': 'Valeurs par défaut',
+  'settings.country': 'Pays de la une',
+  'settings.language': 'Langue de recherche',
+  'settings.pageSize': 'Taille de page',
+  'settings.blocked': 'Avec ces paramètres, les requêtes seraient bloquées :',
+  'settings.save': 'Enregistrer',
+  'settings.testing': 'Test en cours…',
+  'settings.test': 'Tester la connexion',
+  'settings.reset': 'Rétablir les valeurs par défaut',
+  'settings.confirmReset': 'Rétablir tous les paramètres aux valeurs par défaut de la compilation ?',
+  'settings.saved': 'Enregistré.',
+  'settings.ms': '{ms} ms',
+  'settings.connected': 'Connecté en {time} ({where}).',
+  'settings.failed': 'Échec de la connexion : {message}',
+  'diagnostics.title': 'Diagnostic de la configuration',
+  'diagnostics.blocked': 'Les requêtes sont bloquées tant que ces points ne sont pas corrigés :',
+  'diagnostics.valid': 'La configuration est valide.',
+  'diagnostics.provider': 'Fournisseur',
+  'diagnostics.keySet': 'Définie',
+  'diagnostics.resolvedMode': '{mode} (configuré : {configured})',
+  'diagnostics.paths': 'Chemins personnalisés',
+  'diagnostics.headers': 'En-têtes supplémentaires',
+  'diagnostics.timeout': 'Délai d’expiration',
+  'diagnostics.feedUrl': 'URL du flux',
+  'diagnostics.overridden': 'Défini dans les paramètres',
+
+  'reader.label': "Lecteur d'article",
+  'reader.open': 'Ouvrir dans le lecteur',
+  'reader.close': 'Fermer',
+  'reader.by': 'Par {author}',
+  'reader.preview': 'Aperçu',
+  'reader.truncated': { one: "Le fournisseur ne partage que le début de l'article ; {count} caractère de plus est sur le site.", other: "Le fournisseur ne partage que le début de l'article ; {count} caractères de plus sont sur le site." },
+  'reader.readOn': 'Lire sur {source}',
+  'reader.share': 'Partager',
+  'reader.copyLink': 'Copier le lien',
+  'reader.copied': 'Lien copié.',
+  'reader.copyFailed': 'Impossible de copier le lien.',
+  'reader.related': 'Couverture associée',
+  'reader.relatedQuery': 'Autres médias correspondant à {query}',
+  'reader.relatedNone': 'Aucun autre média trouvé pour ce sujet.',
+  'reader.relatedUnavailable': 'Le titre est trop général pour chercher une couverture associée.',
+
+  'errors.rateLimit': 'Limite de requêtes atteinte. Attendez une minute avant de réessayer.',
+  'errors.auth': 'Non autorisé : configurez une clé {provider} valide (mode direct) ou autorisez le proxy.',
+  'errors.unavailable': "Le service d'actualités est indisponible. Réessayez plus tard.",
+  'errors.upstream': "Erreur inattendue lors de l'appel au service d'actualités.",
+  'errors.timeout': "Le service d'actualités n'a pas répondu en {seconds} secondes.",
+  'errors.network': "Erreur réseau/CORS : impossible de joindre le service d'actualités ({mode}).",
+  'errors.unexpected': 'Une erreur inattendue est survenue.',
+  'errors.sourcesAndCategory': 'Les titres peuvent être filtrés par sources ou par catégorie, pas les deux.',
+  'errors.noSourcesList': '{provider} ne fournit pas de liste de sources.',
+  'errors.unknownCategory': 'Catégorie inconnue « {category} ». Utilisez : {categories}.',
+  'errors.generic': 'Une erreur s’est produite.',
+  'errors.tryAgain': 'Réessayer',
+  'errors.tryAgainIn': 'Réessayer dans {seconds} s',
+  'errors.openSettings': 'Ouvrir les paramètres',
+  'errors.hint.network': 'Si vous utilisez un proxy, vérifiez qu’il est lancé et que REACT_APP_NEWS_API_BASE pointe vers lui. Sinon, vérifiez votre connexion et l’accès CORS du service.',
+  'errors.hint.timeout': 'Le service d’actualités est peut-être surchargé, ou la connexion est lente. Réessayer suffit souvent.',
+  'errors.hint.config': 'La configuration de l’application est incomplète ou invalide ; les paramètres indiquent ce qu’il faut corriger.',
+  'errors.hint.auth': 'Pour utiliser NewsAPI directement, définissez une REACT_APP_NEWS_API_KEY valide. Pour garder la clé hors du navigateur, faites pointer REACT_APP_NEWS_API_BASE vers votre proxy (p. ex. http://localhost:3010/api/news).',
+  'errors.hint.rateLimit': 'Trop de requêtes ont été envoyées en peu de temps.',
+  'errors.query.empty': 'Saisissez un terme de recherche.',
+  'errors.query.tooLong': 'Les recherches sont limitées à {max} caractères (celle-ci en compte {length}).',
+  'errors.query.quote': 'La recherche contient un guillemet (") non fermé.',
+  'errors.query.parentheses': 'La recherche contient des parenthèses non équilibrées.',
+  'errors.query.operator': 'AND, OR et NOT doivent avoir un terme de chaque côté (NOT peut aussi commencer la recherche).',
+  'errors.filters.field': 'Champ de recherche inconnu « {field} ». Utilisez {fields}.',
+  'errors.filters.source': '« {source} » n’est pas un identifiant de source valide (p. ex. bbc-news).',
+  'errors.filters.tooManySources': 'Au plus {max} sources peuvent être recherchées à la fois.',
+  'errors.filters.domain': '« {domain} » n’est pas un domaine valide (p. ex. bbc.co.uk).',
+  'errors.filters.tooManyDomains': 'Au plus {max} domaines peuvent être indiqués.',
+  'errors.filters.domainConflict': '{domain} ne peut pas être à la fois inclus et exclu.',
+  'errors.filters.date': '« {value} » n’est pas une date « {field} » valide. Utilisez AAAA-MM-JJ ou une date-heure ISO 8601.',
+  'errors.filters.dateRange': 'La date « {from} » doit être antérieure ou égale à la date « {to} ».',
+  'errors.settings.base': 'L’URL de base doit commencer par http:// ou https://.',
+  'errors.settings.mode': 'Le mode doit être l’un des suivants : {modes}.',
+  'errors.settings.country': 'Utilisez un code pays à 2 lettres, par ex. « {example} ».',
+  'errors.settings.language': 'Utilisez un code de langue à 2 lettres, par ex. « {example} ».',
+  'errors.settings.pageSize': 'La taille de page doit être un nombre entier de 1 à {max}.',
+  'errors.settings.theme': 'Le thème doit être l’un des suivants : {themes}.',
+};
+
+export default fr;
@@ -0,0 +1,342 @@
+//
+// Hebrew UI messages (right-to-left). Missing keys fall back to ./en.
+//
+const he = {
+  'app.title': 'Ocean News',
+  'app.poweredBy': 'מופעל על ידי {attribution}',
+  'nav.headlines': 'כותרות ראשיות',
+  'nav.compare': 'השוואה',
+  'nav.search': 'חיפוש',
+  'nav.sources': 'מקורות',
+  'nav.watchlists': 'רשימות מעקב',
+  'nav.saved': 'שמורים',
+  'nav.diagnostics': 'אבחון',
+  'nav.network': 'רשת',
+  'nav.filters': 'מסננים',
+  'nav.settings': 'הגדרות',
+  'nav.unread': { one: 'פריט אחד שלא נקרא', other: '{count} שלא נקראו' },
+  'nav.uiLanguage': 'שפת הממשק',
+  'nav.uiLanguageAuto': 'שפת הדפדפן',
+  'nav.sections': 'מדורים',
+  'nav.skip': 'דילוג לתוכן',
+  'theme.label': 'ערכת נושא',
+  'theme.system': 'מערכת',
+  'theme.light': 'בהיר',
+  'theme.dark': 'כהה',
+  'theme.high-contrast': 'ניגודיות גבוהה',
+
+  'search.placeholder': 'חיפוש כתבות...',
+  'search.placeholderLive': 'הקלידו כדי לחפש…',
+  'search.query': 'שאילתת חיפוש',
+  'search.suggestions': 'הצעות',
+  'search.sortBy': 'מיון לפי',
+  'search.sort.publishedAt': 'החדשות ביותר',
+  'search.sort.relevancy': 'רלוונטיות',
+  'search.sort.popularity': 'פופולריות',
+  'search.language': 'שפה',
+  'search.submit': 'חיפוש',
+  'search.advanced': 'אפשרויות מתקדמות',
+  'search.clearFilters': 'ניקוי מסננים',
+  'search.matchIn': 'חיפוש המונחים ב',
+  'search.field.title': 'כותרת',
+  'search.field.description': 'תיאור',
+  'search.field.content': 'תוכן',
+  'search.allFields': 'אם לא מסומן דבר, החיפוש הוא בכל השדות.',
+  'search.sources': 'מקורות',
+  'search.domains': 'רק הדומיינים האלה',
+  'search.excludeDomains': 'החרגת דומיינים',
+  'search.from': 'מתאריך',
+  'search.to': 'עד תאריך',
+  'search.infinite': 'גלילה אינסופית',
+  'search.live': 'חיפוש תוך כדי הקלדה',
+  'search.watch': 'מעקב',
+  'search.savePrompt': 'שם החיפוש',
+  'search.watchPrompt': 'שם רשימת המעקב',
+  'search.noResults': 'לא נמצאו תוצאות לחיפוש.',
+  'search.enterTerm': 'הקלידו מונח חיפוש כדי למצוא כתבות.',
+  'search.exportTitle': 'חיפוש ב-Ocean News: {query}',
+
+  'headlines.country': 'מדינה',
+  'headlines.category': 'קטגוריה',
+  'headlines.allCategories': 'הכול',
+  'headlines.infinite': 'גלילה אינסופית',
+  'headlines.watch': 'מעקב',
+  'headlines.watchPrompt': 'שם רשימת המעקב',
+  'headlines.watchName': 'כותרות: {filters}',
+  'headlines.exportTitle': 'כותרות ראשיות של Ocean News: {filters}',
+  'headlines.fromSources': 'מ־{sources} (מדינה וקטגוריה אינן חלות)',
+  'headlines.clearSources': 'ניקוי מקורות',
+  'headlines.changeSources': 'שינוי',
+  'category.business': 'עסקים',
+  'category.entertainment': 'בידור',
+  'category.general': 'כללי',
+  'category.health': 'בריאות',
+  'category.science': 'מדע',
+  'category.sports': 'ספורט',
+  'category.technology': 'טכנולוגיה',
+
+  'list.loading': 'בטעינה…',
+  'list.loadMore': 'טעינת עוד',
+  'list.readMore': 'לכתבה המלאה',
+  'list.unknownSource': 'מקור לא ידוע',
+  'list.sources': { one: 'מקור אחד', two: 'שני מקורות', other: '{count} מקורות' },
+  'list.versions': { one: 'גרסה אחת', two: 'שתי גרסאות', other: '{count} גרסאות' },
+  'list.empty': 'לא נמצאו כתבות.',
+  'list.offline': 'לא מקוון — מוצגות תוצאות מ־{time}',
+  'list.offlineEarlier': 'ביקור קודם',
+  'list.caughtUp': 'ראיתם הכול.',
+  'list.announceLoading': 'טוען כתבות…',
+  'list.announceResults': { zero: 'אין כתבות להצגה.', one: 'נטענה כתבה אחת.', other: 'נטענו {count} כתבות.' },
+  'pager.label': 'ניווט בין עמודים',
+  'pager.previous': 'הקודם',
+  'pager.next': 'הבא',
+  'pager.status': 'עמוד {page} מתוך {pageCount}',
+  'pager.capped': ' ({max} הראשונות מתוך {total} תוצאות)',
+  'cache.from': 'תוצאות שמורות מ־{time}',
+  'cache.refresh': 'רענון',
+
+  'compare.countries': 'מדינות',
+  'compare.categories': 'קטגוריות',
+  'compare.queued': 'בהמתנה…',
+  'compare.cancel': 'ביטול',
+  'compare.cancelled': 'בוטל.',
+  'compare.load': 'טעינה',
+  'compare.sharedOnly': 'רק ידיעות שמופיעות בכמה עמודות',
+  'compare.shared': { one: 'ידיעה אחת מופיעה ביותר מעמודה אחת.', other: '{count} ידיעות מופיעות ביותר מעמודה אחת.' },
+  'compare.alsoIn': 'מופיע גם ב־{regions}',
+  'compare.capped': 'רק {max} הצירופים הראשונים מושווים.',
+  'compare.empty': 'בחרו לפחות מדינה או קטגוריה אחת להשוואה.',
+
+  'analytics.toggle': 'תובנות',
+  'analytics.title': 'תובנות',
+  'analytics.empty': 'התובנות יופיעו לאחר טעינת כתבות.',
+  'analytics.basedOn': { one: 'על סמך כתבה אחת שנטענה.', other: 'על סמך {count} הכתבות שנטענו.' },
+  'analytics.terms': 'מונחים בולטים',
+  'analytics.noTerms': 'אף מונח אינו מופיע ביותר מכתבה אחת.',
+  'analytics.searchFor': 'חיפוש {term}',
+  'analytics.sources': 'מקורות',
+  'analytics.otherSources': { one: 'כתבה נוספת ממקורות אחרים', other: '{count} כתבות נוספות ממקורות אחרים' },
+  'analytics.timeline': 'פרסום',
+  'analytics.bucket': { one: '{range}: כתבה אחת', other: '{range}: {count} כתבות' },
+  'analytics.undated': { one: 'כתבה אחת ללא תאריך', other: '{count} כתבות ללא תאריך' },
+
+  'filters.title': 'מסנני תוכן',
+  'filters.hidden': { one: 'כתבה אחת הוסתרה על ידי המסננים שלך.', other: '{count} כתבות הוסתרו על ידי המסננים שלך.' },
+  'filters.showHidden': 'הצגת המוסתרות',
+  'filters.hideAgain': 'הסתרה מחדש',
+  'filters.manage': 'ניהול מסננים',
+  'filters.hiddenBy': 'הוסתר על ידי {reasons}',
+  'filters.rule': '{type} "{value}"',
+  'filters.type.source': 'מקור',
+  'filters.type.domain': 'דומיין',
+  'filters.type.keyword': 'מילת מפתח',
+  'filters.type.regex': 'ביטוי רגולרי',
+  'filters.reason.removed': 'כתבה שנמחקה',
+  'filters.hideRemoved': 'הסתרת מצייני "[Removed]" של כתבות שנמחקו',
+  'filters.typeLabel': 'סינון לפי',
+  'filters.value': 'התאמה',
+  'filters.fields': 'חיפוש ב',
+  'filters.add': 'הוספת מסנן',
+  'filters.remove': 'הסרה',
+  'filters.enabled': 'המסנן {rule} פעיל',
+  'filters.none': 'אין עדיין מסננים. השתיקו מקור מקורא הכתבות או הוסיפו מסנן למעלה.',
+  'filters.import': 'ייבוא JSON',
+  'filters.export': 'ייצוא JSON',
+  'filters.imported': { zero: 'לא יובאו מסננים חדשים.', one: 'יובא מסנן אחד.', other: 'יובאו {count} מסננים.' },
+  'filters.close': 'סגירה',
+  'filters.muteSource': 'השתקת {source}',
+  'filters.muted': 'המקור הושתק',
+  'filters.error.type': 'סוג מסנן לא ידוע "{type}".',
+  'filters.error.empty': 'הזן את מה שהמסנן צריך להתאים.',
+  'filters.error.tooLong': 'מסננים מוגבלים ל-{max} תווים.',
+  'filters.error.domain': 'הזן דומיין כמו example.com.',
+  'filters.error.flags': 'דגלי ביטוי רגולרי לא נתמכים "{flags}".',
+  'filters.error.regex': 'ביטוי רגולרי לא תקין: {message}',
+  'filters.error.slowRegex': 'ביטוי רגולרי זה חוזר על קבוצה שכבר חוזרת על עצמה או מכילה חלופות, מה שעלול להקפיא את הדף. פשט אותו, למשל החלף את (a+)+ ב-a+ או את (a|b)+ ב-[ab]+.',
+  'filters.error.fields': 'בחר בכותרת, בתיאור או בשניהם.',
+  'filters.error.notJson': 'הקובץ שנבחר אינו JSON תקין.',
+  'filters.error.notFilters': 'הקובץ שנבחר אינו מכיל מסנני תוכן.',
+  'filters.error.version': 'גרסת ייצוא {version} אינה נתמכת. עדכן את האפליקציה ונסה שוב.',
+
+  'retry.rateLimited': 'חריגה ממגבלת הבקשות. ניסיון חוזר בעוד {seconds} שנ׳… (ניסיון {attempt} מתוך {max})',
+  'retry.failed': 'שגיאה בשירות החדשות. ניסיון חוזר בעוד {seconds} שנ׳… (ניסיון {attempt} מתוך {max})',
+  'bookmark.add': 'שמירת הכתבה',
+  'bookmark.remove': 'הסרה מהשמורים',
+  'export.format': 'ייצוא בתור',
+  'export.formatLabel': 'תבנית ייצוא',
+  'export.allPages': 'כל העמודים',
+  'export.collecting': 'מאסף…',
+  'export.submit': 'ייצוא',
+  'export.failed': 'לא ניתן היה לטעון את כל העמודים.',
+  'builder.title': 'בונה שאילתות',
+  'builder.operator': 'אופרטור למונח {n}',
+  'builder.mustInclude': 'חייב לכלול',
+  'builder.phrasePlaceholder': 'ביטוי מדויק',
+  'builder.wordsPlaceholder': 'מילה או מילים',
+  'builder.term': 'מונח {n}',
+  'builder.exact': 'ביטוי מדויק',
+  'builder.remove': 'הסרת מונח {n}',
+  'builder.add': '+ הוספת מונח',
+  'builder.preview': 'תצוגה מקדימה של השאילתה',
+  'builder.apply': 'שימוש בשאילתה זו',
+  'savedSearches.title': 'חיפושים שמורים',
+  'savedSearches.saveCurrent': '+ שמירת החיפוש הנוכחי',
+  'savedSearches.none': 'אין עדיין חיפושים שמורים.',
+  'savedSearches.run': 'הרצת "{query}"',
+  'savedSearches.filters': { one: 'מסנן אחד', two: 'שני מסננים', other: '{count} מסננים' },
+  'savedSearches.delete': 'מחיקת החיפוש השמור {name}',
+  'saved.bookmarks': { one: 'כתבה שמורה אחת', two: 'שתי כתבות שמורות', other: '{count} כתבות שמורות' },
+  'saved.import': 'ייבוא JSON',
+  'saved.export': 'ייצוא JSON',
+  'saved.importFile': 'ייבוא קובץ פריטים שמורים',
+  'saved.imported': 'יובאו: {bookmarks} ו־{searches}.',
+  'saved.importedBookmarks': { one: 'סימנייה אחת', two: 'שתי סימניות', other: '{count} סימניות' },
+  'saved.importedSearches': {
+    one: 'חיפוש שמור אחד', two: 'שני חיפושים שמורים', other: '{count} חיפושים שמורים',
+  },
+  'saved.importFailed': 'הייבוא נכשל.',
+  'saved.empty': 'אין עדיין כתבות שמורות. לחצו על ☆ בכל כתבה כדי לשמור אותה כאן.',
+  'saved.error.emptyQuery': 'הזינו מונח חיפוש לפני השמירה.',
+  'saved.error.noUrl': 'אפשר לשמור רק כתבות עם כתובת URL.',
+  'saved.error.notJson': 'הקובץ שנבחר אינו JSON תקין.',
+  'saved.error.notSaved': 'הקובץ שנבחר אינו מכיל חיפושים שמורים או סימניות.',
+  'saved.error.version': 'גרסת הייצוא {version} אינה נתמכת. עדכנו את האפליקציה ונסו שוב.',
+  'sources.all': 'הכול',
+  'sources.selected': 'נבחרו:',
+  'sources.maximum': '(לכל היותר {max})',
+  'sources.pick': 'בחרו מקורות כדי לקרוא את הכותרות שלהם או לחפש בהם.',
+  'sources.showHeadlines': 'הצגת כותרות',
+  'sources.useInSearch': 'שימוש בחיפוש',
+  'sources.clear': 'ניקוי',
+  'sources.none': 'אין מקורות שתואמים למסננים האלה.',
+  'sources.visit': 'מעבר לאתר',
+  'watchlists.search': 'כתבות שתואמות ל"{query}"',
+  'watchlists.headlines': 'כותרות ראשיות',
+  'watchlists.sources': 'כותרות ראשיות מ־{sources}',
+  'watchlists.minutes': '{minutes} דק׳',
+  'watchlists.hours': '{hours} שע׳',
+  'watchlists.new': { one: 'חדש אחד', two: 'שניים חדשים', other: '{count} חדשים' },
+  'watchlists.every': 'כל {interval}',
+  'watchlists.checked': 'נבדקה ב־{time}',
+  'watchlists.notChecked': 'טרם נבדקה',
+  'watchlists.interval': 'מרווח',
+  'watchlists.intervalFor': 'מרווח בדיקה עבור {name}',
+  'watchlists.notify': 'התראות',
+  'watchlists.checking': 'בודק…',
+  'watchlists.checkNow': 'בדיקה עכשיו',
+  'watchlists.open': 'פתיחה',
+  'watchlists.markRead': 'סימון כנקרא',
+  'watchlists.remove': 'הסרה',
+  'watchlists.confirmRemove': 'להפסיק לעקוב אחרי "{name}"?',
+  'watchlists.notifyBlocked': 'ההתראות חסומות לאתר הזה; אפשרו אותן בדפדפן כדי לקבל התראות.',
+  'watchlists.lastError': 'הבדיקה האחרונה נכשלה: {message}',
+  'watchlists.noNew': 'אין כתבות חדשות מאז הביקור האחרון.',
+  'watchlists.firstCheck': 'הבדיקה הראשונה רושמת את מה שכבר קיים.',
+  'watchlists.query': 'שאילתה',
+  'watchlists.queryPlaceholder': 'למשל "רוח ימית" AND טורבינות',
+  'watchlists.name': 'שם',
+  'watchlists.optional': 'אופציונלי',
+  'watchlists.frequency': 'כל',
+  'watchlists.add': 'הוספת רשימת מעקב',
+  'watchlists.help': 'רשימות המעקב נבדקות כל עוד הכרטיסייה הזו גלויה. כל בדיקה היא בקשה אחת, לכן כדאי לבחור מרווחים ארוכים בתוכניות עם מגבלת בקשות. השתמשו ב"{watch}" בכותרות או בחיפוש כדי לעקוב אחרי המסננים האלה.',
+  'watchlists.none': 'אין עדיין רשימות מעקב.',
+  'watchlists.notification': {
+    one: 'כתבה חדשה אחת ב"{name}"', two: 'שתי כתבות חדשות ב"{name}"', other: '{count} כתבות חדשות ב"{name}"',
+  },
+  'settings.close': 'סגירה',
+  'settings.intro': 'נשמר בדפדפן הזה בלבד. השאירו שדה ריק כדי להשתמש בברירת המחדל של הבנייה.',
+  'settings.connection': 'חיבור',
+  'settings.mode': 'מצב',
+  'settings.modeName': 'מצב {mode}',
+  'settings.mode.auto': 'אוטומטי (לפי כתובת הבסיס)',
+  'settings.mode.direct': 'ישיר (הדפדפן פונה לספק עם המפתח)',
+  'settings.mode.proxy': 'פרוקסי (המפתח נשאר בשרת)',
+  'settings.default': 'ברירת מחדל ({value})',
+  'settings.base': 'כתובת בסיס',
+  'settings.apiKey': 'מפתח API',
+  'settings.buildKey': 'נעשה שימוש במפתח של הבנייה',
+  'settings.notSet': 'לא הוגדר',
+  'settings.keyWarning': 'מפתח שמוזן כאן נשמר בדפדפן הזה ללא הצפנה ונשלח עם כל בקשה במצב ישיר, שם תוספי דפדפן וכל מי שמשתמש בפרופיל הזה יכולים לקרוא אותו. עדיף להשתמש במצב פרוקסי, שבו המפתח נשאר בשרת, ולנקות את השדה הזה כשאין בו עוד צורך.',
+  'settings.defaults': 'ברירות מחדל',
+  'settings.country': 'מדינת הכותרות',
+  'settings.language': 'שפת החיפוש',
+  'settings.pageSize': 'גודל עמוד',
+  'settings.blocked': 'עם ההגדרות האלה הבקשות ייחסמו:',
+  'settings.save': 'שמירה',
+  'settings.testing': 'בודק…',
+  'settings.test': 'בדיקת חיבור',
+  'settings.reset': 'איפוס לברירות המחדל',
+  'settings.confirmReset': 'לאפס את כל ההגדרות לברירות המחדל של הבנייה?',
+  'settings.saved': 'נשמר.',
+  'settings.ms': '{ms} אלפיות שנייה',
+  'settings.connected': 'החיבור הצליח תוך {time} ({where}).',
+  'settings.failed': 'החיבור נכשל: {message}',
+  'diagnostics.title': 'אבחון התצורה',
+  'diagnostics.blocked': 'הבקשות חסומות עד שהבעיות האלה יתוקנו:',
+  'diagnostics.valid': 'התצורה תקינה.',
+  'diagnostics.provider': 'ספק',
+  'diagnostics.keySet': 'הוגדר',
+  'diagnostics.resolvedMode': '{mode} (מוגדר: {configured})',
+  'diagnostics.paths': 'נתיבים מותאמים',
+  'diagnostics.headers': 'כותרות HTTP נוספות',
+  'diagnostics.timeout': 'זמן קצוב',
+  'diagnostics.feedUrl': 'כתובת הפיד',
+  'diagnostics.overridden': 'הוגדר בהגדרות',
+
+  'reader.label': 'קורא כתבות',
+  'reader.open': 'פתיחה בקורא',
+  'reader.close': 'סגירה',
+  'reader.by': 'מאת {author}',
+  'reader.preview': 'תצוגה מקדימה',
+  'reader.truncated': { one: 'הספק משתף רק את תחילת הכתבה; תו אחד נוסף נמצא באתר.', other: 'הספק משתף רק את תחילת הכתבה; {count} תווים נוספים נמצאים באתר.' },
+  'reader.readOn': 'לקריאה ב־{source}',
+  'reader.share': 'שיתוף',
+  'reader.copyLink': 'העתקת קישור',
+  'reader.copied': 'הקישור הועתק.',
+  'reader.copyFailed': 'לא ניתן היה להעתיק את הקישור.',
+  'reader.related': 'סיקור קשור',
+  'reader.relatedQuery': 'כלי תקשורת נוספים שתואמים ל־{query}',
+  'reader.relatedNone': 'לא נמצאו כלי תקשורת נוספים עבור הידיעה.',
+  'reader.relatedUnavailable': 'הכותרת כללית מדי לחיפוש סיקור קשור.',
+
+  'errors.rateLimit': 'הגעתם למגבלת הבקשות. המתינו דקה ונסו שוב.',
+  'errors.auth': 'אין הרשאה: ודאו שהוגדר מפתח {provider} תקין (מצב ישיר) או שהפרוקסי מורשה.',
+  'errors.unavailable': 'שירות החדשות אינו זמין כרגע. נסו שוב מאוחר יותר.',
+  'errors.upstream': 'שגיאה לא צפויה בפנייה לשירות החדשות.',
+  'errors.timeout': 'שירות החדשות לא הגיב תוך {seconds} שניות.',
+  'errors.network': 'שגיאת רשת/CORS: לא ניתן להגיע לשירות החדשות ({mode}).',
+  'errors.unexpected': 'אירעה שגיאה לא צפויה.',
+  'errors.sourcesAndCategory': 'אפשר לסנן כותרות לפי מקורות או לפי קטגוריה, לא את שניהם.',
+  'errors.noSourcesList': '{provider} אינו מספק רשימת מקורות.',
+  'errors.unknownCategory': 'קטגוריה לא ידועה "{category}". השתמשו באחת מאלה: {categories}.',
+  'errors.generic': 'משהו השתבש.',
+  'errors.tryAgain': 'ניסיון נוסף',
+  'errors.tryAgainIn': 'ניסיון נוסף בעוד {seconds} ש׳',
+  'errors.openSettings': 'פתיחת ההגדרות',
+  'errors.hint.network': 'אם אתם משתמשים בפרוקסי, ודאו שהוא פועל ושה-REACT_APP_NEWS_API_BASE מפנה אליו. אחרת, בדקו את החיבור ואת הרשאות ה-CORS של השירות.',
+  'errors.hint.timeout': 'ייתכן ששירות החדשות עמוס או שהחיבור איטי. ניסיון נוסף בדרך כלל עוזר.',
+  'errors.hint.config': 'הגדרות האפליקציה חסרות או לא תקינות; חלון ההגדרות מפרט מה צריך לתקן.',
+  'errors.hint.auth': 'לשימוש ישיר ב-NewsAPI, הגדירו REACT_APP_NEWS_API_KEY תקין. כדי להרחיק את המפתח מהדפדפן, הפנו את REACT_APP_NEWS_API_BASE לפרוקסי שלכם (למשל http://localhost:3010/api/news).',
+  'errors.hint.rateLimit': 'נשלחו יותר מדי בקשות בזמן קצר.',
+  'errors.query.empty': 'נא להקליד מונח חיפוש.',
+  'errors.query.tooLong': 'אורך החיפוש מוגבל ל-{max} תווים (בחיפוש הזה יש {length}).',
+  'errors.query.quote': 'בחיפוש יש מירכאות (") שלא נסגרו.',
+  'errors.query.parentheses': 'הסוגריים בחיפוש אינם מאוזנים.',
+  'errors.query.operator': 'AND, OR ו-NOT צריכים מונח משני הצדדים (NOT יכול גם לפתוח את החיפוש).',
+  'errors.filters.field': 'שדה חיפוש לא ידוע "{field}". השתמשו ב: {fields}.',
+  'errors.filters.source': '"{source}" אינו מזהה מקור תקין (למשל bbc-news).',
+  'errors.filters.tooManySources': 'אפשר לחפש בעד {max} מקורות בבת אחת.',
+  'errors.filters.domain': '"{domain}" אינו דומיין תקין (למשל bbc.co.uk).',
+  'errors.filters.tooManyDomains': 'אפשר לציין עד {max} דומיינים.',
+  'errors.filters.domainConflict': 'אי אפשר לכלול ולהחריג את {domain} בו-זמנית.',
+  'errors.filters.date': '"{value}" אינו תאריך תקין עבור "{field}". השתמשו בתבנית YYYY-MM-DD או בתאריך ושעה לפי ISO 8601.',
+  'errors.filters.dateRange': 'התאריך "{from}" צריך להיות לפני התאריך "{to}" או זהה לו.',
+  'errors.settings.base': 'כתובת הבסיס חייבת להתחיל ב־http:// או ב־https://.',
+  'errors.settings.mode': 'המצב חייב להיות אחד מאלה: {modes}.',
+  'errors.settings.country': 'השתמשו בקוד מדינה בן 2 אותיות, למשל "{example}".',
+  'errors.settings.language': 'השתמשו בקוד שפה בן 2 אותיות, למשל "{example}".',
+  'errors.settings.pageSize': 'גודל העמוד חייב להיות מספר שלם מ־1 עד {max}.',
+  'errors.settings.theme': 'ערכת הנושא חייבת להיות אחת מאלה: {themes}.',
+};
+
+export default he;
@@ -0,0 +1,52 @@
+//
+// In-memory log of recent news service requests for the network inspector, fed by ./telemetry.
+//
+// Entries are the telemetry events merged per request id, newest first, with a `state` of
+// 'pending' | 'ok' | 'error'. Only the last MAX_ENTRIES requests are kept, and nothing is persisted:
+// the log may include search terms and is meant for the current debugging session only.
+//
+import { addRequestListener } from './telemetry';
+
+export const MAX_ENTRIES = 50;
+
+const listeners = new Set();
+let entries = [];
+
+function commit(next) {
+  entries = next;
+  listeners.forEach((listener) => listener());
+}
+
+function upsert(event, state) {
+  const index = entries.findIndex((entry) => entry.id === event.id);
+  if (index === -1) {
+    commit([{ ...event, state }, ...entries].slice(0, MAX_ENTRIES));
+  } else {
+    commit(entries.map((entry, i) => (i === index ? { ...entry, ...event, state } : entry)));
+  }
+}
+
+addRequestListener({
+  onRequest: (event) => upsert(event, 'pending'),
+  onResponse: (event) => upsert(event, 'ok'),
+  onError: (event) => upsert(event, 'error'),
+});
+
+// PUBLIC_INTERFACE
+export function getNetworkLog() {
+  /** Recent requests, newest first. */
+  return entries;
+}
+
+// PUBLIC_INTERFACE
+export function subscribeNetworkLog(listener) {
+  /** Call listener whenever the log changes. Returns an unsubscribe function. */
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// PUBLIC_INTERFACE
+export function clearNetworkLog() {
+  /** Forget all logged requests. */
+  commit([]);
+}
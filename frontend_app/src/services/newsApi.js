@@ -8,43 +8,157 @@
 // must remain on the server and should NOT be sent from the browser.
 //
 // This module adds robust error handling for network/CORS problems and clearer diagnostics.
-// It supports two modes:
-//  - Direct mode (base includes newsapi.org): endpoints 'top-headlines' and 'everything' with X-Api-Key header
-//  - Proxy mode (custom base, e.g., http://localhost:3010/api/news): endpoints 'top-headlines' and 'search' with NO API key header
+// It supports two modes, selected with REACT_APP_NEWS_API_MODE (see ./config) or the settings panel:
+//  - Direct mode: endpoints 'top-headlines' and 'everything' with X-Api-Key header
+//  - Proxy mode (e.g., http://localhost:3010/api/news): endpoints 'top-headlines' and 'search' with NO API key header
 //
-const DEFAULT_BASE = 'https://newsapi.org/v2';
+// The backend is chosen with REACT_APP_NEWS_PROVIDER (default 'newsapi'); see ./providers for the
+// adapter interface and the GNews, Guardian and RSS/Atom adapters. Whatever the provider, the
+// public functions resolve to NewsAPI-shaped { totalResults, articles }.
+//
+// Successful responses are cached (see ./newsCache). By default fresh entries are served without a
+// request and stale ones are returned immediately while a background request refreshes them.
+//
+// When the service can't be reached at all, the last response saved for the same request (see
+// ./offlineSnapshots) is returned instead, marked `offline`, so headlines and searches seen before
+// stay readable without a connection.
+//
+// Rate-limit (429) and server (5xx) failures are retried with exponential backoff (see ./retry),
+// honouring a Retry-After header when the upstream or proxy passes one through.
+//
+// Every request is reported to the instrumentation hooks in ./telemetry (URL, mode, status,
+// timing, cache use and rate-limit state, with credentials redacted).
+//
+// Failures reject with the typed errors from ./errors (re-exported here): NetworkError,
+// TimeoutError, ConfigError, ValidationError, AuthError, RateLimitError and UpstreamError.
+// Their messages are in the current UI language (see ./i18n); views can still branch on `code`.
+// A request cancelled by the caller's signal rejects with a plain AbortError.
+//
+import { describeNewsConfig, readNewsConfig, resolveMode, validateNewsConfig } from './config';
+import {
+  AuthError, ConfigError, NetworkError, NewsError, RateLimitError, TimeoutError, UpstreamError, ValidationError,
+  isAbortError, toNewsError,
+} from './errors';
+import { t } from './i18n';
+import { createCacheKey, createNewsCache } from './newsCache';
+import { readSnapshot, saveSnapshot } from './offlineSnapshots';
+import { findProvider, getProvider } from './providers';
+import { computeRetryDelay, createAbortError, isRetryableStatus, parseRetryAfter, sleep } from './retry';
+import { normalizeAdvancedSearch, validateQuery } from './searchQuery';
+import { getSettings } from './settings';
+import { readRateLimit, traceRequest } from './telemetry';
 
-function stripTrailingSlashes(s) {
-  return String(s || '').replace(/\/*$/, '');
-}
+export {
+  AuthError, ConfigError, NetworkError, NewsError, RateLimitError, TimeoutError, UpstreamError, ValidationError,
+  isAbortError, toNewsError,
+} from './errors';
 
-function isProxyBase(base) {
-  // Heuristic: if the base includes newsapi.org, treat as direct mode; else proxy mode.
-  return !/newsapi\.org/i.test(base || '');
-}
+// Endpoints whose latest responses are kept for offline use, and the failures that fall back to them.
+const OFFLINE_ENDPOINTS = ['top-headlines', 'search'];
+const UNREACHABLE = ['NETWORK', 'TIMEOUT'];
+
+export const CATEGORIES = ['business', 'entertainment', 'general', 'health', 'science', 'sports', 'technology'];
+// Languages NewsAPI can search in, by NewsAPI's code ('ud' is its code for Urdu).
+export const LANGUAGES = {
+  ar: 'Arabic', de: 'German', en: 'English', es: 'Spanish', fr: 'French', he: 'Hebrew', it: 'Italian',
+  nl: 'Dutch', no: 'Norwegian', pt: 'Portuguese', ru: 'Russian', sv: 'Swedish', ud: 'Urdu', zh: 'Chinese',
+};
 
 // PUBLIC_INTERFACE
 export function getNewsApiConfig() {
-  /** Get NewsAPI configuration from environment variables with safe defaults.
+  /** Get the news service configuration from environment variables with safe defaults.
    *
    * PUBLIC ENV VARS (CRA exposes only REACT_APP_*):
    * - REACT_APP_NEWS_API_BASE: Preferred base URL (proxy like http://localhost:3010/api/news or direct https://newsapi.org/v2)
+   * - REACT_APP_NEWS_API_MODE: 'direct' | 'proxy' | 'auto' (default; inferred from the base URL host)
    * - REACT_APP_NEWS_API_KEY:  Only required in direct mode; do not set/use in proxy mode.
+   * - REACT_APP_NEWS_PROVIDER: 'newsapi' (default) | 'gnews' | 'guardian' | 'rss'. The base defaults to the provider's API.
+   * - See ./config for path overrides, extra headers, timeout and the RSS feed URL.
+   *
+   * Base URL, mode and key saved in the settings panel (./settings) take precedence over the variables.
    *
    * Deprecated/misnamed variables (ignored): REACT_APP_NEWS_APP_BASE, REACT_APP_API_BASE, REACT_APP_REACT_APP_NEWSAPI_KEY, REACT_APP_REACT_APP_NEWS_API_BASE
    */
-  // Standardize: prefer REACT_APP_NEWS_API_BASE. Fallback to legacy names only if strictly necessary.
-  const legacyBase =
-    process.env.REACT_APP_REACT_APP_NEWS_API_BASE ||
-    process.env.REACT_APP_API_BASE ||
-    process.env.REACT_APP_NEWS_APP_BASE;
-  const baseRaw = process.env.REACT_APP_NEWS_API_BASE || legacyBase || DEFAULT_BASE;
-  const base = stripTrailingSlashes(baseRaw);
+  return readNewsConfig(process.env, getSettings());
+}
+
+// PUBLIC_INTERFACE
+export function getConfigDiagnostics(overrides = getSettings()) {
+  /**
+   * Validate the configuration: { config (display-safe summary), errors, warnings }.
+   * overrides defaults to the saved settings; pass {} for the build-time configuration alone, or
+   * unsaved settings to preview them.
+   */
+  const config = readNewsConfig(process.env, overrides);
+  return { config: describeNewsConfig(config), ...validateNewsConfig(config) };
+}
+
+// PUBLIC_INTERFACE
+export function getProviderInfo() {
+  /**
+   * Active provider as { id, label, attribution, maxResults }; falls back to NewsAPI when the
+   * configured id is unknown. maxResults is how many results of a query can be paged through
+   * (Infinity when the provider has no limit).
+   */
+  const { id, label, attribution, maxResults = Infinity } = findProvider(getNewsApiConfig().provider) || getProvider();
+  return { id, label, attribution, maxResults };
+}
+
+function readCacheEnv() {
+  /** Cache defaults from REACT_APP_NEWS_CACHE_TTL (seconds), REACT_APP_NEWS_CACHE_PERSIST and REACT_APP_NEWS_CACHE_SWR. */
+  const ttlSeconds = Number(process.env.REACT_APP_NEWS_CACHE_TTL);
+  return {
+    ttlMs: Number.isFinite(ttlSeconds) && ttlSeconds >= 0 ? ttlSeconds * 1000 : 5 * 60 * 1000,
+    persist: process.env.REACT_APP_NEWS_CACHE_PERSIST || 'memory',
+    staleWhileRevalidate: process.env.REACT_APP_NEWS_CACHE_SWR !== 'false',
+  };
+}
+
+let cacheConfig = readCacheEnv();
+let responseCache = createNewsCache(cacheConfig);
+
+// PUBLIC_INTERFACE
+export function configureNewsCache(options = {}) {
+  /** Replace the response cache configuration.
+   *
+   * Options (all optional; unspecified values keep their current setting):
+   * - ttlMs: how long a response is considered fresh (0 disables serving cached data as fresh)
+   * - maxStaleMs: how long past ttlMs a stale response may still be served while revalidating
+   * - persist: 'memory' | 'localStorage' | 'indexedDB'
+   * - staleWhileRevalidate: return stale data immediately and refresh in the background
+   *
+   * Reconfiguring starts with an empty in-memory cache; persisted entries are picked up again on read.
+   */
+  cacheConfig = { ...cacheConfig, ...options };
+  responseCache = createNewsCache(cacheConfig);
+  return { ...cacheConfig };
+}
 
-  // Note: CRA only exposes REACT_APP_* vars to the browser
-  const apiKey = process.env.REACT_APP_NEWS_API_KEY || undefined; // do NOT read misnamed duplicates
+// PUBLIC_INTERFACE
+export function invalidateNewsCache(endpoint) {
+  /** Drop cached responses for a logical endpoint ('top-headlines' | 'search'), or all of them when omitted. */
+  return responseCache.invalidate(endpoint);
+}
 
-  return { base, apiKey };
+function readRetryEnv() {
+  /** Retry defaults; REACT_APP_NEWS_RETRY_MAX_ATTEMPTS counts the initial request (1 disables retries). */
+  const attempts = Number(process.env.REACT_APP_NEWS_RETRY_MAX_ATTEMPTS);
+  return {
+    maxAttempts: Number.isInteger(attempts) && attempts >= 1 ? attempts : 3,
+    baseDelayMs: 500,
+    maxDelayMs: 8000,
+    // Don't keep a view waiting on a Retry-After longer than this; fail with the rate-limit error instead.
+    maxRetryAfterMs: 30000,
+  };
+}
+
+let retryConfig = readRetryEnv();
+
+// PUBLIC_INTERFACE
+export function configureRetry(options = {}) {
+  /** Override the retry policy: { maxAttempts, baseDelayMs, maxDelayMs, maxRetryAfterMs }. Returns the merged policy. */
+  retryConfig = { ...retryConfig, ...options };
+  return { ...retryConfig };
 }
 
 function buildQuery(params = {}) {
@@ -56,19 +170,20 @@ function buildQuery(params = {}) {
   return searchParams.toString();
 }
 
-function mapApiError(status, payload) {
-  // Provide user-friendly error messages, including 429 handling.
+function mapApiError(status, payload, { providerLabel = 'NewsAPI', retryAfterMs, details } = {}) {
+  // User-friendly message and error type for a failed response.
+  const options = { status, details };
   if (status === 429) {
-    return 'Rate limit reached. Please wait a minute before trying again.';
-  }
-  const message = payload?.message || payload?.error || 'Unexpected error contacting news service.';
-  if (status >= 500) {
-    return 'News service is currently unavailable. Please try again later.';
+    return new RateLimitError(t('errors.rateLimit'), { ...options, retryAfterMs });
   }
   if (status === 401 || status === 403) {
-    return 'Unauthorized: Please ensure a valid NewsAPI key is configured (direct mode) or proxy is authorized.';
+    return new AuthError(t('errors.auth', { provider: providerLabel }), options);
   }
-  return message;
+  if (status >= 500) {
+    return new UpstreamError(t('errors.unavailable'), options);
+  }
+  // The provider's own message is passed through untranslated.
+  return new UpstreamError(payload?.message || payload?.error || t('errors.upstream'), options);
 }
 
 /**
@@ -89,56 +204,42 @@ function isNetworkOrCORSError(err) {
 
 /**
  * Generate a concise, user-friendly error suitable for UI display without leaking secrets.
+ * A caller's abort passes through untouched; our own timeout becomes a TimeoutError.
  */
-function toUserFacingError(err, url, mode) {
+function toUserFacingError(err, { url, mode, timedOut, timeoutMs }) {
+  if (timedOut) {
+    return new TimeoutError(t('errors.timeout', { seconds: Math.round(timeoutMs / 1000) }), {
+      timeoutMs,
+      details: { url, mode },
+      cause: err,
+    });
+  }
+  if (err?.name === 'AbortError') return err;
   if (isNetworkOrCORSError(err)) {
     // Provide guidance on common causes
-    const e = new Error(
-      `Network/CORS error: Unable to reach the news service (${mode}). If using a proxy, ensure REACT_APP_NEWS_API_BASE points to it and that the proxy is running. Otherwise verify CORS/network access and try again.`
-    );
-    e.code = 'NETWORK';
-    e.details = { url, mode };
-    return e;
+    return new NetworkError(t('errors.network', { mode }), {
+      details: { url, mode },
+      cause: err,
+    });
   }
-  return err instanceof Error ? err : new Error('Unexpected error occurred.');
+  // Anything else (e.g. a malformed URL from a provider adapter) is a bug, not a connection problem.
+  return new NewsError(err?.message || t('errors.unexpected'), { code: 'UNKNOWN', details: { url, mode }, cause: err });
 }
 
 /**
- * Internal fetch with mode-aware endpoint resolution and headers.
- * Supported logical endpoints:
- *  - 'top-headlines'
- *  - 'search' (maps to 'search' in proxy mode, 'everything' in direct mode)
+ * Perform the HTTP request with timeout/abort linking and map failures to user-facing errors.
+ * request: { url, displayUrl, headers, mode, responseType, provider, timeoutMs }. displayUrl omits query-string credentials.
+ * stats, when given, collects { attempts, status, rateLimit } for the request trace (see ./telemetry).
  */
-async function doFetch(endpoint, params, externalSignal) {
-  const { base, apiKey } = getNewsApiConfig();
-  const proxy = isProxyBase(base);
-  const mode = proxy ? 'proxy' : 'direct';
-
-  if (!/^https?:\/\//i.test(base)) {
-    const e = new Error('Invalid NewsAPI base URL. Ensure REACT_APP_NEWS_API_BASE starts with http(s)://');
-    e.code = 'CONFIG';
-    throw e;
-  }
-
-  // In direct mode, API key is required; in proxy mode, do not require or send key.
-  if (!proxy && !apiKey) {
-    const e = new Error('NewsAPI key is missing. Set REACT_APP_NEWS_API_KEY in your environment or use the proxy.');
-    e.code = 'CONFIG';
-    throw e;
-  }
-
-  // Resolve actual path based on mode
-  const path =
-    endpoint === 'search'
-      ? (proxy ? 'search' : 'everything')
-      : endpoint; // 'top-headlines' passes through
-
-  const query = buildQuery(params);
-  const url = `${base}/${path}${query ? `?${query}` : ''}`;
-
+async function requestJson(request, externalSignal, stats) {
+  const { url, displayUrl, headers, mode, responseType, provider, timeoutMs } = request;
   // Merge signals and provide a default timeout to prevent hanging requests
   const controller = new AbortController();
-  const timeout = setTimeout(() => controller.abort(), 15000); // 15s timeout
+  let timedOut = false;
+  const timeout = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
   const linkSignal = (sig) => {
     if (sig) {
       if (sig.aborted) controller.abort();
@@ -148,85 +249,250 @@ async function doFetch(endpoint, params, externalSignal) {
   linkSignal(externalSignal);
 
   let res;
+  if (stats) stats.attempts += 1;
   try {
     res = await fetch(url, {
       method: 'GET',
-      headers: proxy
-        ? {} // No key sent in proxy mode
-        : {
-            'X-Api-Key': apiKey,
-          },
+      headers,
       signal: controller.signal,
     });
   } catch (err) {
     clearTimeout(timeout);
-    throw toUserFacingError(err, url, mode);
+    throw toUserFacingError(err, { url: displayUrl, mode, timedOut: timedOut && !externalSignal?.aborted, timeoutMs });
   }
   clearTimeout(timeout);
+  if (stats) {
+    stats.status = res.status;
+    stats.rateLimit = readRateLimit(res.status, res.headers) || stats.rateLimit;
+  }
 
   let data;
   try {
-    data = await res.json();
+    data = responseType === 'text' ? await res.text() : await res.json();
   } catch {
     data = null;
   }
 
-  if (!res.ok || data?.status === 'error') {
-    const errMsg = mapApiError(res.status, data);
-    const e = new Error(errMsg);
-    e.status = res.status;
-    e.details = data;
+  const bodyError = provider.getError(data);
+  if (!res.ok || bodyError) {
+    const retryAfterMs = parseRetryAfter(res.headers?.get?.('Retry-After'));
+    const e = mapApiError(res.status, bodyError || data, { providerLabel: provider.label, retryAfterMs, details: data });
+    // Also kept on 5xx errors: a 503 may say when to come back, and requestWithRetry honours it.
+    e.retryAfterMs = retryAfterMs;
     throw e;
   }
   return data;
 }
 
+/**
+ * requestJson with retries for 429/5xx. Waiting between attempts is cancelled by the caller's
+ * signal, and onRetry({ attempt, maxAttempts, delayMs, retryAt, error }) is reported before each wait.
+ */
+async function requestWithRetry(request, externalSignal, onRetry, stats) {
+  const { maxAttempts, baseDelayMs, maxDelayMs, maxRetryAfterMs } = retryConfig;
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      return await requestJson(request, externalSignal, stats);
+    } catch (err) {
+      const retryable = isRetryableStatus(err?.status) && !externalSignal?.aborted;
+      if (!retryable || attempt >= maxAttempts) throw err;
+      if (err.retryAfterMs !== undefined && err.retryAfterMs > maxRetryAfterMs) throw err;
+      const delayMs = computeRetryDelay(attempt, { baseDelayMs, maxDelayMs, retryAfterMs: err.retryAfterMs });
+      onRetry?.({ attempt, maxAttempts, delayMs, retryAt: Date.now() + delayMs, error: err });
+      await sleep(delayMs, externalSignal);
+    }
+  }
+}
+
+/**
+ * Internal fetch with provider/mode-aware endpoint resolution, headers and response caching.
+ * Supported logical endpoints:
+ *  - 'top-headlines'
+ *  - 'search' (for NewsAPI: 'search' in proxy mode, 'everything' in direct mode; other providers map their own)
+ *  - 'sources' (NewsAPI only: 'sources' in proxy mode, 'top-headlines/sources' in direct mode)
+ *
+ * Options:
+ *  - cache: 'default' (use cache), 'reload' (skip the cache read, store the response), 'no-store' (bypass entirely)
+ *  - onRevalidate(result): called with the refreshed result when a stale entry was served
+ *  - onRetry(info): called before waiting to retry a 429/5xx failure (see requestWithRetry)
+ *  - config: use this configuration instead of the current one (see testConnection)
+ *  - retry: false makes a single attempt
+ *
+ * Raw bodies are cached; resolves to { data, fromCache, fetchedAt, offline } with data normalized by
+ * the provider. Headlines and search responses are also saved as offline snapshots, and returned
+ * with offline: true when a request fails with a NETWORK or TIMEOUT error.
+ *
+ * Each call is traced (see ./telemetry), and so is a background revalidation. A request that fell
+ * back to an offline snapshot is reported through onError, with offline: true.
+ */
+async function doFetch(
+  endpoint,
+  params,
+  externalSignal,
+  { cache = 'default', onRevalidate, onRetry, config = getNewsApiConfig(), retry = true } = {}
+) {
+  const { errors } = validateNewsConfig(config);
+  if (errors.length) {
+    throw new ConfigError(errors[0].message, { details: { errors } });
+  }
+  const { base } = config;
+  const provider = getProvider(config.provider);
+  const mode = resolveMode(config);
+  const proxy = mode === 'proxy';
+
+  // Resolve actual path, params and auth for the provider and mode
+  const { path: providerPath, query: providerParams, headers, authQuery } = provider.buildRequest(endpoint, params, { ...config, proxy });
+  const path = String(config.paths?.[endpoint] || providerPath).replace(/^\/+/, '');
+  const query = buildQuery(providerParams);
+  const url = `${base}/${path}${query ? `?${query}` : ''}`;
+  const auth = authQuery ? buildQuery(authQuery) : '';
+  const request = {
+    url: auth ? `${url}${query ? '&' : '?'}${auth}` : url,
+    displayUrl: url,
+    headers: { ...config.headers, ...headers },
+    mode,
+    timeoutMs: config.timeoutMs,
+    responseType: provider.responseType,
+    provider,
+  };
+  const normalize = (data) => provider.normalize(endpoint, data, params);
+
+  const cacheKey = createCacheKey(endpoint, url);
+  const cacheRef = responseCache; // keep writes on the cache this request started with
+  const snapshots = cache !== 'no-store' && OFFLINE_ENDPOINTS.includes(endpoint);
+  const traceInfo = { endpoint, url, mode, provider: provider.id, headers: request.headers, cache };
+  const fetchAndStore = async (signal, retryListener, trace) => {
+    const stats = { attempts: 0, retries: 0 };
+    const onAttemptRetry = (info) => {
+      stats.retries += 1;
+      retryListener?.(info);
+    };
+    let data;
+    try {
+      data = retry ? await requestWithRetry(request, signal, onAttemptRetry, stats) : await requestJson(request, signal, stats);
+    } catch (err) {
+      const snapshot = snapshots && UNREACHABLE.includes(err?.code) ? readSnapshot(cacheKey) : undefined;
+      trace.error(err, { ...stats, offline: Boolean(snapshot) });
+      if (!snapshot) throw err;
+      return { data: normalize(snapshot.data), fromCache: true, fetchedAt: snapshot.fetchedAt, offline: true };
+    }
+    trace.response({ ...stats, fromCache: false });
+    if (cache === 'no-store') return { data: normalize(data), fromCache: false, fetchedAt: Date.now() };
+    const entry = await cacheRef.write(cacheKey, data);
+    if (snapshots) saveSnapshot(cacheKey, data, entry.fetchedAt);
+    return { data: normalize(data), fromCache: false, fetchedAt: entry.fetchedAt };
+  };
+
+  const trace = traceRequest(traceInfo);
+  if (cache === 'default') {
+    const hit = await cacheRef.read(cacheKey);
+    if (hit && (hit.fresh || cacheConfig.staleWhileRevalidate)) {
+      if (!hit.fresh) {
+        // Stale-while-revalidate: refresh independently of the caller's signal so the cache is
+        // updated even if the view moved on, but only notify callers that are still interested.
+        fetchAndStore(undefined, undefined, traceRequest({ ...traceInfo, background: true }))
+          .then((result) => {
+            if (!externalSignal?.aborted) onRevalidate?.(result);
+          })
+          .catch(() => {});
+      }
+      trace.response({ fromCache: true, stale: !hit.fresh, attempts: 0 });
+      return { data: normalize(hit.data), fromCache: true, fetchedAt: hit.fetchedAt };
+    }
+  }
+
+  return fetchAndStore(externalSignal, onRetry, trace);
+}
+
+function withCacheInfo({ data, fromCache, fetchedAt, offline = false }) {
+  return { ...data, fromCache, fetchedAt, offline };
+}
+
+async function fetchArticles(endpoint, params, signal, options = {}) {
+  const { onRevalidate } = options;
+  const result = await doFetch(endpoint, params, signal, {
+    ...options,
+    onRevalidate: onRevalidate && ((fresh) => onRevalidate(withCacheInfo(fresh))),
+  });
+  // Latest wins: once the caller has aborted (e.g. a newer query superseded this one) never hand
+  // back a result, even if it arrived from the cache or finished parsing after the abort.
+  if (signal?.aborted) throw createAbortError();
+  return withCacheInfo(result);
+}
+
 // PUBLIC_INTERFACE
 export async function getTopHeadlines(
-  { country = 'us', category, pageSize = 10, page = 1 } = {},
-  signal
+  { country = 'us', category, sources, pageSize = 10, page = 1 } = {},
+  signal,
+  options
 ) {
   /**
    * Fetch top headlines with optional filters.
    * - country: 2-letter code (e.g., 'us', 'gb'). Defaults to 'us'.
    * - category: business, entertainment, general, health, science, sports, technology
+   * - sources: source ids (array or comma-separated, max 20). NewsAPI can't combine sources with
+   *   country/category, so country is dropped and an explicit category is a VALIDATION error.
    * - pageSize: max 100 (NewsAPI limit)
    * - page: page number
+   *
+   * options: { cache, onRevalidate, onRetry } — see doFetch. The result also carries fromCache/fetchedAt/offline.
    */
   const safePageSize = Math.min(Math.max(1, Number(pageSize) || 10), 100);
   const safePage = Math.max(1, Number(page) || 1);
-  const params = {
-    country,
-    pageSize: safePageSize,
-    page: safePage,
-  };
+  const { sources: sourceIds } = normalizeAdvancedSearch({ sources });
+  if (sourceIds && category) {
+    throw new ValidationError(t('errors.sourcesAndCategory'), { field: 'sources' });
+  }
+  const params = sourceIds
+    ? { sources: sourceIds, pageSize: safePageSize, page: safePage }
+    : { country, pageSize: safePageSize, page: safePage };
   if (category) params.category = category;
-  const data = await doFetch('top-headlines', params, signal);
-  return {
-    totalResults: data?.totalResults || 0,
-    articles: Array.isArray(data?.articles) ? data.articles : [],
-  };
+  return fetchArticles('top-headlines', params, signal, options);
+}
+
+// PUBLIC_INTERFACE
+export async function getSources({ category, language, country } = {}, signal, options) {
+  /**
+   * List the publishers the provider indexes, optionally filtered (all filters are optional).
+   * - category: one of CATEGORIES
+   * - language: 2-letter code, e.g. 'en'
+   * - country: 2-letter code, e.g. 'gb'
+   *
+   * Resolves to { sources, fromCache, fetchedAt }, each source being
+   * { id, name, description, url, category, language, country }. Only NewsAPI has a publisher
+   * directory; other providers reject with a CONFIG error.
+   * options: { cache, onRevalidate, onRetry } — see doFetch.
+   */
+  const provider = findProvider(getNewsApiConfig().provider);
+  if (provider && !provider.supportsSources) {
+    throw new ConfigError(t('errors.noSourcesList', { provider: provider.label }));
+  }
+  if (category && !CATEGORIES.includes(category)) {
+    throw new ValidationError(t('errors.unknownCategory', { category, categories: CATEGORIES.join(', ') }), { field: 'category' });
+  }
+  return fetchArticles('sources', { category, language, country }, signal, options);
 }
 
 // PUBLIC_INTERFACE
 export async function searchEverything(
-  { q, sortBy = 'publishedAt', language = 'en', pageSize = 10, page = 1 } = {},
-  signal
+  { q, sortBy = 'publishedAt', language = 'en', pageSize = 10, page = 1, ...advanced } = {},
+  signal,
+  options
 ) {
   /**
    * Search for news across all articles.
-   * - q: search query string (required)
+   * - q: search query string (required); supports AND/OR/NOT, "quoted phrases" and parentheses
    * - sortBy: relevancy, popularity, publishedAt
    * - language: e.g., 'en', 'de', 'fr'
+   * - searchIn, sources, domains, excludeDomains, from, to: advanced filters, see ./searchQuery
+   *
+   * Invalid input is rejected with a VALIDATION error before any request is made.
    *
    * In proxy mode, this calls '/search'; in direct mode, this calls '/everything'.
+   * options: { cache, onRevalidate, onRetry } — see doFetch.
    */
-  const query = String(q || '').trim();
-  if (!query) {
-    const e = new Error('Please enter a search term.');
-    e.code = 'VALIDATION';
-    throw e;
-  }
+  const query = validateQuery(q);
+  const filters = normalizeAdvancedSearch(advanced);
   const allowedSort = new Set(['relevancy', 'popularity', 'publishedAt']);
   const sort = allowedSort.has(sortBy) ? sortBy : 'publishedAt';
 
@@ -237,12 +503,36 @@ export async function searchEverything(
     q: query,
     sortBy: sort,
     language,
+    ...filters,
     pageSize: safePageSize,
     page: safePage,
   };
-  const data = await doFetch('search', params, signal); // logical 'search' maps by mode
-  return {
-    totalResults: data?.totalResults || 0,
-    articles: Array.isArray(data?.articles) ? data.articles : [],
-  };
+  return fetchArticles('search', params, signal, options); // logical 'search' maps by mode
+}
+
+// PUBLIC_INTERFACE
+export async function testConnection(overrides = getSettings(), signal) {
+  /**
+   * Probe the news service with a one-article top-headlines request, using the build-time
+   * configuration with `overrides` (unsaved settings { base, mode, apiKey, country }) applied.
+   * Bypasses the cache and makes a single attempt.
+   *
+   * Resolves to { ok, mode, base, latencyMs, error } where mode is the resolved 'direct' | 'proxy'
+   * and error is a NewsError when ok is false. Only rejects when the caller aborts.
+   */
+  const config = readNewsConfig(process.env, overrides);
+  const { errors } = validateNewsConfig(config);
+  if (errors.length) {
+    return { ok: false, base: config.base, error: new ConfigError(errors[0].message, { details: { errors } }) };
+  }
+  const mode = resolveMode(config);
+  const params = { country: overrides.country || 'us', pageSize: 1, page: 1 };
+  const started = Date.now();
+  try {
+    await doFetch('top-headlines', params, signal, { cache: 'no-store', config, retry: false });
+    return { ok: true, mode, base: config.base, latencyMs: Date.now() - started };
+  } catch (err) {
+    if (isAbortError(err) && signal?.aborted) throw err;
+    return { ok: false, mode, base: config.base, latencyMs: Date.now() - started, error: toNewsError(err) };
+  }
 }
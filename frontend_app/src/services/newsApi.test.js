@@ -0,0 +1,266 @@
+import {
+  AuthError, configureNewsCache, configureRetry, getSources, getTopHeadlines, invalidateNewsCache, NetworkError,
+  NewsError, RateLimitError, searchEverything, testConnection, TimeoutError, UpstreamError, ValidationError,
+} from './newsApi';
+import { clearSnapshots } from './offlineSnapshots';
+
+const page = (title) => ({ status: 'ok', totalResults: 1, articles: [{ title, url: `https://example.com/${title}` }] });
+
+function mockFetchSequence(...bodies) {
+  global.fetch = jest.fn();
+  bodies.forEach((body) => {
+    global.fetch.mockResolvedValueOnce({ ok: true, status: 200, json: async () => body });
+  });
+}
+
+const failure = (status, retryAfter) => ({
+  ok: false,
+  status,
+  headers: { get: (name) => (name === 'Retry-After' ? retryAfter : null) },
+  json: async () => ({ status: 'error', message: 'upstream failed' }),
+});
+
+beforeEach(() => {
+  process.env.REACT_APP_NEWS_API_BASE = 'http://localhost:3010/api/news';
+  configureNewsCache({ ttlMs: 60000, staleWhileRevalidate: true, persist: 'memory' });
+  configureRetry({ maxAttempts: 3, baseDelayMs: 1, maxDelayMs: 5 });
+});
+
+test('serves repeated requests from the cache regardless of param order', async () => {
+  mockFetchSequence(page('first'));
+  const a = await getTopHeadlines({ country: 'gb', category: 'technology' });
+  const b = await getTopHeadlines({ category: 'technology', country: 'gb' });
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+  expect(a.fromCache).toBe(false);
+  expect(b.fromCache).toBe(true);
+  expect(b.articles[0].title).toBe('first');
+});
+
+test('returns stale data immediately and revalidates in the background', async () => {
+  configureNewsCache({ ttlMs: 0 });
+  mockFetchSequence(page('old'), page('new'));
+  await getTopHeadlines({ country: 'us' });
+
+  const revalidated = new Promise((resolve) => {
+    getTopHeadlines({ country: 'us' }, undefined, { onRevalidate: resolve }).then((res) => {
+      expect(res.fromCache).toBe(true);
+      expect(res.articles[0].title).toBe('old');
+    });
+  });
+  const fresh = await revalidated;
+  expect(fresh.fromCache).toBe(false);
+  expect(fresh.articles[0].title).toBe('new');
+  expect(global.fetch).toHaveBeenCalledTimes(2);
+});
+
+test('invalidateNewsCache forces the next request to hit the network', async () => {
+  mockFetchSequence(page('one'), page('two'));
+  await getTopHeadlines({ country: 'us' });
+  await invalidateNewsCache('top-headlines');
+  const res = await getTopHeadlines({ country: 'us' });
+  expect(res.fromCache).toBe(false);
+  expect(res.articles[0].title).toBe('two');
+});
+
+test('retries 429 responses, honouring Retry-After, then succeeds', async () => {
+  global.fetch = jest.fn()
+    .mockResolvedValueOnce(failure(429, '0'))
+    .mockResolvedValueOnce({ ok: true, status: 200, json: async () => page('recovered') });
+  const onRetry = jest.fn();
+  const res = await getTopHeadlines({ country: 'de' }, undefined, { onRetry });
+  expect(res.articles[0].title).toBe('recovered');
+  expect(onRetry).toHaveBeenCalledWith(expect.objectContaining({ attempt: 1, maxAttempts: 3, delayMs: 0 }));
+});
+
+test('gives up after maxAttempts and does not retry client errors', async () => {
+  global.fetch = jest.fn().mockResolvedValue(failure(503));
+  await expect(getTopHeadlines({ country: 'fr' })).rejects.toMatchObject({ status: 503 });
+  expect(global.fetch).toHaveBeenCalledTimes(3);
+
+  global.fetch = jest.fn().mockResolvedValue(failure(400));
+  await expect(getTopHeadlines({ country: 'it' })).rejects.toMatchObject({ status: 400 });
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+});
+
+test('aborting the signal cancels a pending retry', async () => {
+  configureRetry({ baseDelayMs: 10000, maxDelayMs: 10000 });
+  global.fetch = jest.fn().mockResolvedValue(failure(500));
+  const controller = new AbortController();
+  const pending = getTopHeadlines({ country: 'jp' }, controller.signal, { onRetry: () => controller.abort() });
+  await expect(pending).rejects.toMatchObject({ name: 'AbortError' });
+  expect(global.fetch).toHaveBeenCalledTimes(1);
+});
+
+test('applies path overrides, extra headers and blocks requests on invalid config', async () => {
+  process.env.REACT_APP_NEWS_API_MODE = 'proxy';
+  process.env.REACT_APP_NEWS_API_SEARCH_PATH = 'everything';
+  process.env.REACT_APP_NEWS_API_HEADERS = '{"X-Tenant":"newsroom"}';
+  mockFetchSequence(page('hit'));
+  try {
+    await searchEverything({ q: 'ocean' });
+    const [url, init] = global.fetch.mock.calls[0];
+    expect(url).toMatch(/^http:\/\/localhost:3010\/api\/news\/everything\?/);
+    expect(init.headers).toEqual({ 'X-Tenant': 'newsroom' });
+
+    process.env.REACT_APP_NEWS_API_TIMEOUT_MS = '5';
+    await expect(searchEverything({ q: 'ocean' })).rejects.toMatchObject({ code: 'CONFIG' });
+  } finally {
+    delete process.env.REACT_APP_NEWS_API_MODE;
+    delete process.env.REACT_APP_NEWS_API_SEARCH_PATH;
+    delete process.env.REACT_APP_NEWS_API_HEADERS;
+    delete process.env.REACT_APP_NEWS_API_TIMEOUT_MS;
+  }
+});
+
+test('sends advanced search filters and rejects invalid ones before fetching', async () => {
+  process.env.REACT_APP_NEWS_API_MODE = 'proxy';
+  mockFetchSequence(page('filtered'));
+  try {
+    await searchEverything({
+      q: '"wind farm" AND offshore',
+      searchIn: ['title', 'description'],
+      domains: 'www.bbc.co.uk, reuters.com',
+      from: '2024-03-01',
+      to: '2024-03-31',
+    });
+    const params = new URL(global.fetch.mock.calls[0][0]).searchParams;
+    expect(params.get('searchIn')).toBe('title,description');
+    expect(params.get('domains')).toBe('bbc.co.uk,reuters.com');
+    expect(params.get('from')).toBe('2024-03-01');
+    expect(params.get('to')).toBe('2024-03-31');
+
+    await expect(searchEverything({ q: 'ocean', from: '2024-04-01', to: '2024-03-01' })).rejects.toMatchObject({
+      code: 'VALIDATION',
+    });
+    await expect(searchEverything({ q: 'ocean', domains: 'bbc.co.uk', excludeDomains: 'bbc.co.uk' })).rejects.toMatchObject({
+      code: 'VALIDATION',
+    });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  } finally {
+    delete process.env.REACT_APP_NEWS_API_MODE;
+  }
+});
+
+test('lists sources and filters top headlines by source', async () => {
+  process.env.REACT_APP_NEWS_API_MODE = 'proxy';
+  mockFetchSequence({ status: 'ok', sources: [{ id: 'bbc-news', name: 'BBC News', category: 'general' }] }, page('bbc'));
+  try {
+    const { sources } = await getSources({ category: 'general', country: 'gb' });
+    expect(sources[0].name).toBe('BBC News');
+    expect(global.fetch.mock.calls[0][0]).toBe('http://localhost:3010/api/news/sources?category=general&country=gb');
+
+    await getTopHeadlines({ country: 'gb', sources: ['bbc-news', 'reuters'] });
+    const params = new URL(global.fetch.mock.calls[1][0]).searchParams;
+    expect(params.get('sources')).toBe('bbc-news,reuters');
+    expect(params.has('country')).toBe(false);
+
+    await expect(getTopHeadlines({ sources: 'bbc-news', category: 'sports' })).rejects.toMatchObject({ code: 'VALIDATION' });
+    process.env.REACT_APP_NEWS_PROVIDER = 'rss';
+    await expect(getSources()).rejects.toMatchObject({ code: 'CONFIG' });
+  } finally {
+    delete process.env.REACT_APP_NEWS_API_MODE;
+    delete process.env.REACT_APP_NEWS_PROVIDER;
+  }
+});
+
+test('never resolves a request after its caller aborted, even from the cache', async () => {
+  mockFetchSequence(page('cached'));
+  await getTopHeadlines({ country: 'nz' });
+  const controller = new AbortController();
+  const pending = getTopHeadlines({ country: 'nz' }, controller.signal);
+  controller.abort();
+  await expect(pending).rejects.toMatchObject({ name: 'AbortError' });
+});
+
+test('maps failures onto the typed error hierarchy', async () => {
+  configureRetry({ maxAttempts: 1 });
+  global.fetch = jest.fn()
+    .mockResolvedValueOnce(failure(401))
+    .mockResolvedValueOnce(failure(429, '12'))
+    .mockResolvedValueOnce(failure(502))
+    .mockRejectedValueOnce(new TypeError('Failed to fetch'));
+
+  const auth = await getTopHeadlines({ country: 'e1' }).catch((e) => e);
+  expect(auth).toBeInstanceOf(AuthError);
+  expect(auth).toMatchObject({ code: 'AUTH', status: 401 });
+  const limited = await getTopHeadlines({ country: 'e2' }).catch((e) => e);
+  expect(limited).toBeInstanceOf(RateLimitError);
+  expect(limited.retryAfterMs).toBe(12000);
+  await expect(getTopHeadlines({ country: 'e3' })).rejects.toBeInstanceOf(UpstreamError);
+  const network = await getTopHeadlines({ country: 'e4' }).catch((e) => e);
+  expect(network).toBeInstanceOf(NetworkError);
+  expect(network).toBeInstanceOf(NewsError);
+  expect(network.code).toBe('NETWORK');
+
+  const invalid = await searchEverything({ q: ' ' }).catch((e) => e);
+  expect(invalid).toBeInstanceOf(ValidationError);
+  expect(invalid.field).toBe('q');
+});
+
+test('reports failures other than an unreachable service as UNKNOWN, not NETWORK', async () => {
+  configureRetry({ maxAttempts: 1 });
+  global.fetch = jest.fn().mockRejectedValue(new TypeError("Failed to parse URL from http://[bad/top-headlines"));
+  const err = await getTopHeadlines({ country: 'e5' }).catch((e) => e);
+  expect(err).toBeInstanceOf(NewsError);
+  expect(err).not.toBeInstanceOf(NetworkError);
+  expect(err.code).toBe('UNKNOWN');
+  expect(err.cause).toBeInstanceOf(TypeError);
+});
+
+test('reports the request timeout as a TimeoutError, not a cancellation', async () => {
+  process.env.REACT_APP_NEWS_API_TIMEOUT_MS = '1000';
+  global.fetch = jest.fn((url, { signal }) => new Promise((resolve, reject) => {
+    signal.addEventListener('abort', () => {
+      const e = new Error('The operation was aborted.');
+      e.name = 'AbortError';
+      reject(e);
+    });
+  }));
+  try {
+    const err = await getTopHeadlines({ country: 'to' }).catch((e) => e);
+    expect(err).toBeInstanceOf(TimeoutError);
+    expect(err).toMatchObject({ code: 'TIMEOUT', timeoutMs: 1000 });
+  } finally {
+    delete process.env.REACT_APP_NEWS_API_TIMEOUT_MS;
+  }
+});
+
+test('testConnection probes with unsaved settings and reports the mode and latency', async () => {
+  mockFetchSequence(page('probe'));
+  const result = await testConnection({ base: 'https://staging.example/api/news', mode: 'proxy', country: 'gb' });
+  expect(result).toMatchObject({ ok: true, mode: 'proxy', base: 'https://staging.example/api/news' });
+  expect(result.latencyMs).toBeGreaterThanOrEqual(0);
+  const [url, init] = global.fetch.mock.calls[0];
+  expect(url).toBe('https://staging.example/api/news/top-headlines?country=gb&pageSize=1&page=1');
+  expect(init.headers['X-Api-Key']).toBeUndefined();
+
+  global.fetch = jest.fn().mockResolvedValue(failure(503));
+  const failed = await testConnection({ mode: 'proxy' });
+  expect(global.fetch).toHaveBeenCalledTimes(1); // no retries
+  expect(failed).toMatchObject({ ok: false, mode: 'proxy' });
+  expect(failed.error).toBeInstanceOf(UpstreamError);
+
+  const invalid = await testConnection({ mode: 'direct', base: 'https://newsapi.org/v2' });
+  expect(invalid.ok).toBe(false);
+  expect(invalid.error.code).toBe('CONFIG');
+});
+
+test('falls back to the last snapshot when the service is unreachable', async () => {
+  clearSnapshots();
+  configureRetry({ maxAttempts: 1 });
+  mockFetchSequence(page('before-outage'));
+  const online = await getTopHeadlines({ country: 'nz' });
+  expect(online.offline).toBe(false);
+
+  await invalidateNewsCache(); // a reload: the response cache is gone, the snapshot isn't
+  global.fetch = jest.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+  const offline = await getTopHeadlines({ country: 'nz' });
+  expect(offline).toMatchObject({ offline: true, fromCache: true, fetchedAt: online.fetchedAt });
+  expect(offline.articles[0].title).toBe('before-outage');
+
+  // Only unreachable-service failures use snapshots, and only for requests seen before.
+  global.fetch = jest.fn().mockResolvedValue(failure(401));
+  await expect(getTopHeadlines({ country: 'nz' })).rejects.toBeInstanceOf(AuthError);
+  global.fetch = jest.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+  await expect(getTopHeadlines({ country: 'nl' })).rejects.toBeInstanceOf(NetworkError);
+});
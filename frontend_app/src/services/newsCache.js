@@ -0,0 +1,144 @@
+//
+// Response cache for the news service.
+//
+// Entries are keyed on the resolved request (logical endpoint + URL with sorted query), so the
+// same filters hit the same entry regardless of the order the view assembled its params in.
+// An in-memory Map always sits in front; an optional persistent store (localStorage or
+// IndexedDB) lets cached responses survive reloads. Persistent stores are best-effort: any
+// storage failure (quota, private mode, missing API) degrades to memory-only caching.
+//
+const STORAGE_PREFIX = 'oceanNews.cache:';
+const IDB_NAME = 'ocean-news-cache';
+const IDB_STORE = 'responses';
+
+function createLocalStorageStore() {
+  const storage = typeof window !== 'undefined' ? window.localStorage : undefined;
+  if (!storage) return null;
+  return {
+    async get(key) {
+      try {
+        const raw = storage.getItem(STORAGE_PREFIX + key);
+        return raw ? JSON.parse(raw) : undefined;
+      } catch {
+        return undefined;
+      }
+    },
+    async set(key, entry) {
+      try {
+        storage.setItem(STORAGE_PREFIX + key, JSON.stringify(entry));
+      } catch {
+        // Quota exceeded or storage disabled; memory cache still holds the entry.
+      }
+    },
+    async delete(key) {
+      storage.removeItem(STORAGE_PREFIX + key);
+    },
+    async keys() {
+      const out = [];
+      for (let i = 0; i < storage.length; i += 1) {
+        const k = storage.key(i);
+        if (k && k.startsWith(STORAGE_PREFIX)) out.push(k.slice(STORAGE_PREFIX.length));
+      }
+      return out;
+    },
+  };
+}
+
+function createIndexedDbStore() {
+  const idb = typeof window !== 'undefined' ? window.indexedDB : undefined;
+  if (!idb) return null;
+  let dbPromise;
+  const open = () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const req = idb.open(IDB_NAME, 1);
+        req.onupgradeneeded = () => req.result.createObjectStore(IDB_STORE);
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+    }
+    return dbPromise;
+  };
+  const run = async (mode, fn) => {
+    try {
+      const db = await open();
+      return await new Promise((resolve, reject) => {
+        const req = fn(db.transaction(IDB_STORE, mode).objectStore(IDB_STORE));
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => reject(req.error);
+      });
+    } catch {
+      return undefined;
+    }
+  };
+  return {
+    get: (key) => run('readonly', (s) => s.get(key)),
+    set: (key, entry) => run('readwrite', (s) => s.put(entry, key)),
+    delete: (key) => run('readwrite', (s) => s.delete(key)),
+    keys: async () => (await run('readonly', (s) => s.getAllKeys())) || [],
+  };
+}
+
+function createPersistentStore(persist) {
+  if (persist === 'localStorage') return createLocalStorageStore();
+  if (persist === 'indexedDB') return createIndexedDbStore();
+  return null;
+}
+
+// PUBLIC_INTERFACE
+export function createCacheKey(endpoint, url) {
+  /** Build a stable cache key from the logical endpoint and the fully resolved request URL. */
+  const [path, query = ''] = String(url).split('?');
+  const sorted = new URLSearchParams(query);
+  sorted.sort();
+  const qs = sorted.toString();
+  return `${endpoint}|${path}${qs ? `?${qs}` : ''}`;
+}
+
+// PUBLIC_INTERFACE
+export function createNewsCache({ ttlMs = 5 * 60 * 1000, maxStaleMs = 60 * 60 * 1000, persist = 'memory', now = Date.now } = {}) {
+  /**
+   * Create a response cache.
+   * - ttlMs: entries younger than this are fresh and served without a request.
+   * - maxStaleMs: stale entries older than ttlMs + maxStaleMs are discarded (bounds stale-while-revalidate).
+   * - persist: 'memory' | 'localStorage' | 'indexedDB'
+   *
+   * read(key) resolves to { data, fetchedAt, fresh } or undefined.
+   */
+  const memory = new Map();
+  const store = createPersistentStore(persist);
+
+  const read = async (key) => {
+    let entry = memory.get(key);
+    if (!entry && store) {
+      entry = await store.get(key);
+      if (entry) memory.set(key, entry);
+    }
+    if (!entry) return undefined;
+    const age = now() - entry.fetchedAt;
+    if (age > ttlMs + maxStaleMs) {
+      memory.delete(key);
+      if (store) store.delete(key);
+      return undefined;
+    }
+    return { data: entry.data, fetchedAt: entry.fetchedAt, fresh: age < ttlMs };
+  };
+
+  const write = async (key, data) => {
+    const entry = { data, fetchedAt: now() };
+    memory.set(key, entry);
+    if (store) await store.set(key, entry);
+    return entry;
+  };
+
+  const invalidate = async (endpoint) => {
+    const matches = (key) => !endpoint || key.startsWith(`${endpoint}|`);
+    [...memory.keys()].filter(matches).forEach((key) => memory.delete(key));
+    if (store) {
+      const keys = await store.keys();
+      await Promise.all(keys.filter(matches).map((key) => store.delete(key)));
+    }
+  };
+
+  return { read, write, invalidate };
+}
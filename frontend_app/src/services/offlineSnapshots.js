@@ -0,0 +1,63 @@
+//
+// Offline snapshots of the most recent news responses, persisted in localStorage.
+//
+// Separate from the response cache (./newsCache): the cache decides what is fresh enough to
+// serve instead of a request, while snapshots are only read when a request could not reach the
+// service at all (offline, DNS, proxy down, timeout). They are kept whatever the cache's TTL and
+// persistence settings are, so the last results seen stay available after a reload.
+//
+// Entries are keyed like the cache (see createCacheKey) and capped at MAX_SNAPSHOTS, dropping the
+// least recently saved first. Storage failures just mean fewer snapshots.
+//
+const STORAGE_KEY = 'oceanNews.offline';
+export const MAX_SNAPSHOTS = 20;
+
+function load() {
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(parsed) ? parsed.filter((e) => e && typeof e.key === 'string') : [];
+  } catch {
+    return [];
+  }
+}
+
+function store(entries) {
+  // On quota errors, retry with fewer entries until it fits (or nothing is left).
+  for (let list = entries; list.length; list = list.slice(0, -1)) {
+    try {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(list));
+      return;
+    } catch {
+      // try again with one entry less
+    }
+  }
+  try {
+    window.localStorage.removeItem(STORAGE_KEY);
+  } catch {
+    // storage disabled
+  }
+}
+
+// PUBLIC_INTERFACE
+export function saveSnapshot(key, data, fetchedAt = Date.now()) {
+  /** Keep the raw response for key as the most recent snapshot. */
+  const entries = load().filter((e) => e.key !== key);
+  store([{ key, data, fetchedAt }, ...entries].slice(0, MAX_SNAPSHOTS));
+}
+
+// PUBLIC_INTERFACE
+export function readSnapshot(key) {
+  /** The saved { data, fetchedAt } for key, or undefined. */
+  const entry = load().find((e) => e.key === key);
+  return entry ? { data: entry.data, fetchedAt: entry.fetchedAt } : undefined;
+}
+
+// PUBLIC_INTERFACE
+export function clearSnapshots() {
+  /** Forget all snapshots. */
+  try {
+    window.localStorage.removeItem(STORAGE_KEY);
+  } catch {
+    // Nothing to clear.
+  }
+}
@@ -0,0 +1,55 @@
+//
+// Pagination helpers shared by the headlines and search views.
+//
+// Providers report `totalResults` for the whole query, but some only let clients page through
+// part of it (NewsAPI's free tier stops at 100 results; see the adapters' maxResults). The
+// page count exposed to the UI is therefore capped so the pager and infinite scroll stop
+// at the last page that can actually be fetched.
+//
+import { getProviderInfo } from './newsApi';
+
+// PUBLIC_INTERFACE
+export function getPageCount(totalResults, pageSize, maxResults = getProviderInfo().maxResults) {
+  /** Number of fetchable pages for a result set, honoring the active provider's result cap. */
+  const size = Math.max(1, Number(pageSize) || 1);
+  const total = Math.max(0, Number(totalResults) || 0);
+  const byTotal = Math.ceil(total / size);
+  const byCap = Math.max(1, Math.floor(Math.max(0, Number(maxResults) || 0) / size));
+  return Math.min(byTotal, byCap);
+}
+
+// PUBLIC_INTERFACE
+export function mergeArticles(existing, incoming) {
+  /** Append a page of articles, dropping any whose URL is already present. Articles without a URL are kept. */
+  const seen = new Set();
+  const out = [];
+  [...(existing || []), ...(incoming || [])].forEach((a) => {
+    if (!a) return;
+    if (a.url) {
+      if (seen.has(a.url)) return;
+      seen.add(a.url);
+    }
+    out.push(a);
+  });
+  return out;
+}
+
+// PUBLIC_INTERFACE
+export async function fetchAllPages(fetchPage, params, { pageSize = 100, maxResults = getProviderInfo().maxResults, signal } = {}) {
+  /**
+   * Fetch every fetchable page of a result set, e.g. for exports.
+   * fetchPage is a service function like getTopHeadlines, called as fetchPage({ ...params, pageSize, page }, signal).
+   * Stops at an empty page, or once totalResults (capped at maxResults) have arrived; returns the
+   * merged articles. A short page alone doesn't stop it: some providers (GNews, the Guardian) cap
+   * the page size below what was asked for.
+   */
+  let articles = [];
+  let received = 0;
+  for (let page = 1; ; page += 1) {
+    const res = await fetchPage({ ...params, pageSize, page }, signal);
+    if (!res.articles.length) return articles;
+    received += res.articles.length;
+    articles = mergeArticles(articles, res.articles);
+    if (received >= Math.min(Number(res.totalResults) || 0, maxResults)) return articles;
+  }
+}
@@ -0,0 +1,53 @@
+import { fetchAllPages, getPageCount, mergeArticles } from './pagination';
+
+const env = { ...process.env };
+afterEach(() => {
+  process.env = { ...env };
+});
+
+test('page count follows totalResults and is capped at 100 results for NewsAPI', () => {
+  expect(getPageCount(0, 12)).toBe(0);
+  expect(getPageCount(30, 12)).toBe(3);
+  // 8 * 12 = 96; page 9 would request results past the free-tier cap.
+  expect(getPageCount(5000, 12)).toBe(8);
+  expect(getPageCount(5000, 100)).toBe(1);
+});
+
+test('providers without a result cap page through everything', () => {
+  process.env.REACT_APP_NEWS_PROVIDER = 'guardian';
+  expect(getPageCount(5000, 12)).toBe(417);
+});
+
+test('mergeArticles appends pages and drops duplicate URLs', () => {
+  const merged = mergeArticles(
+    [{ url: 'a', title: 'A' }, { title: 'no url' }],
+    [{ url: 'a', title: 'A again' }, { url: 'b', title: 'B' }, { title: 'no url' }]
+  );
+  expect(merged.map((a) => a.title)).toEqual(['A', 'no url', 'B', 'no url']);
+});
+
+test('fetchAllPages collects pages until the last fetchable one', async () => {
+  const fetchPage = jest.fn(async ({ page }) => ({
+    totalResults: 250,
+    articles: [{ url: `p${page}-a` }, { url: `p${page}-b` }],
+  }));
+  const articles = await fetchAllPages(fetchPage, { q: 'x' }, { pageSize: 2, maxResults: 6 });
+  expect(fetchPage).toHaveBeenCalledTimes(3);
+  expect(fetchPage).toHaveBeenLastCalledWith({ q: 'x', pageSize: 2, page: 3 }, undefined);
+  expect(articles.map((a) => a.url)).toEqual(['p1-a', 'p1-b', 'p2-a', 'p2-b', 'p3-a', 'p3-b']);
+
+  const empty = jest.fn(async ({ page }) => ({ totalResults: 250, articles: page === 1 ? [{ url: 'only' }] : [] }));
+  expect(await fetchAllPages(empty, {}, { pageSize: 2 })).toHaveLength(1);
+  expect(empty).toHaveBeenCalledTimes(2);
+});
+
+test('fetchAllPages keeps going when the provider caps the page size', async () => {
+  // Asked for 100 per page, the provider sends 10 at a time (like GNews' free tier).
+  const capped = jest.fn(async ({ page }) => ({
+    totalResults: 35,
+    articles: Array.from({ length: Math.max(0, Math.min(10, 35 - (page - 1) * 10)) }, (_, i) => ({ url: `p${page}-${i}` })),
+  }));
+  const articles = await fetchAllPages(capped, {}, { pageSize: 100 });
+  expect(articles).toHaveLength(35);
+  expect(capped).toHaveBeenCalledTimes(4);
+});
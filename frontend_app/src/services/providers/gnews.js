@@ -0,0 +1,78 @@
+//
+// GNews (https://gnews.io) adapter.
+//
+// GNews authenticates with an `apikey` query parameter, names its page size `max` and its
+// language `lang`, and returns { totalArticles, articles[] } with `image` instead of `urlToImage`.
+// Search supports field scoping (`in`) and a date range; source and domain filters are ignored.
+//
+const SORT = { publishedAt: 'publishedAt', relevancy: 'relevance', popularity: 'relevance' };
+
+// GNews wants full ISO 8601 timestamps; widen plain dates to cover the whole day.
+function toTimestamp(value, endOfDay) {
+  if (!value || value.includes('T')) return value;
+  return `${value}T${endOfDay ? '23:59:59' : '00:00:00'}Z`;
+}
+
+function toArticle(a) {
+  return {
+    source: { id: null, name: a?.source?.name || '' },
+    author: null,
+    title: a?.title || '',
+    description: a?.description || '',
+    url: a?.url || '',
+    urlToImage: a?.image || null,
+    publishedAt: a?.publishedAt || '',
+    content: a?.content || '',
+  };
+}
+
+const gnews = {
+  id: 'gnews',
+  label: 'GNews',
+  attribution: 'GNews.io',
+  defaultBase: 'https://gnews.io/api/v4',
+  requiresKey: true,
+
+  isDirectBase(base) {
+    return /gnews\.io/i.test(base || '');
+  },
+
+  buildRequest(endpoint, params, { apiKey, proxy }) {
+    const { q, sortBy, language, country, category, pageSize, page, searchIn, from, to } = params;
+    const query = { max: pageSize, page };
+    if (endpoint === 'search') {
+      Object.assign(query, {
+        q,
+        lang: language,
+        sortby: SORT[sortBy] || 'publishedAt',
+        in: searchIn,
+        from: toTimestamp(from, false),
+        to: toTimestamp(to, true),
+      });
+    } else {
+      Object.assign(query, { country, category: category || 'general' });
+    }
+    return {
+      path: endpoint,
+      query,
+      headers: {},
+      authQuery: proxy ? undefined : { apikey: apiKey },
+    };
+  },
+
+  getError(data) {
+    const errors = data?.errors;
+    if (!errors) return undefined;
+    const list = Array.isArray(errors) ? errors : Object.values(errors);
+    return { message: list.join(' ') };
+  },
+
+  normalize(endpoint, data) {
+    return {
+      totalResults: data?.totalArticles || 0,
+      articles: Array.isArray(data?.articles) ? data.articles.map(toArticle) : [],
+    };
+  },
+};
+
+export default gnews;
@@ -0,0 +1,87 @@
+//
+// The Guardian Open Platform (https://open-platform.theguardian.com) adapter.
+//
+// Everything goes through the Content API '/search' endpoint. "Top headlines" are the newest
+// items, optionally narrowed to the Guardian section matching the NewsAPI category. The
+// Guardian has no country filter, so `country` is ignored. Search maps field scoping and the
+// date range; source and domain filters have no Guardian equivalent and are ignored.
+//
+const SECTIONS = {
+  business: 'business',
+  entertainment: 'culture',
+  health: 'society',
+  science: 'science',
+  sports: 'sport',
+  technology: 'technology',
+};
+
+const SHOW_FIELDS = 'trailText,thumbnail,byline,bodyText';
+const QUERY_FIELDS = { title: 'headline', description: 'standfirst', content: 'body' };
+
+function stripHtml(s) {
+  return String(s || '').replace(/<[^>]*>/g, '').trim();
+}
+
+function toArticle(r) {
+  return {
+    source: { id: 'the-guardian', name: 'The Guardian' },
+    author: r?.fields?.byline || null,
+    title: r?.webTitle || '',
+    description: stripHtml(r?.fields?.trailText),
+    url: r?.webUrl || '',
+    urlToImage: r?.fields?.thumbnail || null,
+    publishedAt: r?.webPublicationDate || '',
+    content: r?.fields?.bodyText ? r.fields.bodyText.slice(0, 500) : '',
+  };
+}
+
+const guardian = {
+  id: 'guardian',
+  label: 'The Guardian',
+  attribution: 'The Guardian Open Platform',
+  defaultBase: 'https://content.guardianapis.com',
+  requiresKey: true,
+
+  isDirectBase(base) {
+    return /guardianapis\.com/i.test(base || '');
+  },
+
+  buildRequest(endpoint, params, { apiKey, proxy }) {
+    const { q, sortBy, language, category, pageSize, page, searchIn, from, to } = params;
+    const query = { 'page-size': pageSize, page, 'show-fields': SHOW_FIELDS };
+    if (endpoint === 'search') {
+      Object.assign(query, {
+        q,
+        lang: language,
+        'order-by': sortBy === 'publishedAt' ? 'newest' : 'relevance',
+        'query-fields': searchIn ? searchIn.split(',').map((f) => QUERY_FIELDS[f]).join(',') : undefined,
+        'from-date': from ? from.slice(0, 10) : undefined,
+        'to-date': to ? to.slice(0, 10) : undefined,
+      });
+    } else {
+      Object.assign(query, { section: SECTIONS[category], 'order-by': 'newest' });
+    }
+    return {
+      path: 'search',
+      query,
+      headers: {},
+      authQuery: proxy ? undefined : { 'api-key': apiKey },
+    };
+  },
+
+  getError(data) {
+    if (data?.response?.status === 'error') return { message: data.response.message };
+    if (data && !data.response && data.message) return { message: data.message };
+    return undefined;
+  },
+
+  normalize(endpoint, data) {
+    const response = data?.response;
+    return {
+      totalResults: response?.total || 0,
+      articles: Array.isArray(response?.results) ? response.results.map(toArticle) : [],
+    };
+  },
+};
+
+export default guardian;
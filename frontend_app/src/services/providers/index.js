@@ -0,0 +1,48 @@
+//
+// News provider registry.
+//
+// Every adapter implements the same interface so the service can stay provider-agnostic:
+//  - id, label, attribution, defaultBase, requiresKey, proxyOnly?, responseType ('json' default | 'text')
+//  - supportsSources?: whether the 'sources' endpoint (publisher directory) is available
+//  - maxResults?: how far into a result set the provider lets clients page (omitted: no limit)
+//  - isDirectBase(base): whether a base URL is the provider's own API; only consulted in 'auto' mode
+//  - validateConfig(config)?: optional extra config check; returns an error message or undefined
+//  - buildRequest(endpoint, params, { apiKey, proxy, feedUrl }): { path, query, headers, authQuery? }
+//      endpoint is the logical 'top-headlines' | 'search' | 'sources'; params use NewsAPI names (q,
+//      sortBy, language, country, category, sources, pageSize, page). authQuery holds credentials that travel in the
+//      query string; it is kept out of cache keys and error details.
+//  - getError(body): { message, code? } when a 2xx body actually reports an error, else undefined
+//  - normalize(endpoint, body, params): { totalResults, articles } in NewsAPI's article shape, or
+//      { sources } in NewsAPI's source shape for the 'sources' endpoint
+//
+import { ConfigError } from '../errors';
+import gnews from './gnews';
+import guardian from './guardian';
+import newsapi from './newsapi';
+import rss from './rss';
+
+const providers = { newsapi, gnews, guardian, rss };
+
+export const DEFAULT_PROVIDER = 'newsapi';
+
+// PUBLIC_INTERFACE
+export function findProvider(id = DEFAULT_PROVIDER) {
+  /** Look up a provider adapter by id; undefined when unknown. */
+  return providers[String(id || DEFAULT_PROVIDER).toLowerCase()];
+}
+
+// PUBLIC_INTERFACE
+export function getProvider(id = DEFAULT_PROVIDER) {
+  /** Look up a provider adapter by id. Throws a CONFIG-coded error for unknown ids. */
+  const provider = findProvider(id);
+  if (!provider) {
+    throw new ConfigError(`Unknown news provider "${id}". Use one of: ${Object.keys(providers).join(', ')}.`);
+  }
+  return provider;
+}
+
+// PUBLIC_INTERFACE
+export function listProviders() {
+  /** All registered adapters as { id, label }. */
+  return Object.values(providers).map(({ id, label }) => ({ id, label }));
+}
@@ -0,0 +1,51 @@
+//
+// NewsAPI.org adapter (the default provider).
+//
+// Direct mode calls https://newsapi.org/v2 with the key in the X-Api-Key header; proxy mode
+// calls our backend, which exposes '/search' in place of NewsAPI's '/everything' and keeps
+// the key server-side. Responses are already in the app's { totalResults, articles } shape.
+// NewsAPI is the only provider with a publisher directory: '/top-headlines/sources' directly, or
+// '/sources' through the proxy. The free (developer) tier refuses to page past the first 100
+// results of a query and answers with a `maximumResultsReached` error.
+//
+// Logical endpoint -> [direct path, proxy path]
+const PATHS = {
+  search: ['everything', 'search'],
+  sources: ['top-headlines/sources', 'sources'],
+};
+
+const newsapi = {
+  id: 'newsapi',
+  label: 'NewsAPI',
+  attribution: 'NewsAPI.org',
+  defaultBase: 'https://newsapi.org/v2',
+  requiresKey: true,
+  supportsSources: true,
+  maxResults: 100,
+
+  isDirectBase(base) {
+    return /newsapi\.org/i.test(base || '');
+  },
+
+  buildRequest(endpoint, params, { apiKey, proxy }) {
+    return {
+      path: PATHS[endpoint]?.[proxy ? 1 : 0] || endpoint,
+      query: params,
+      headers: proxy ? {} : { 'X-Api-Key': apiKey },
+    };
+  },
+
+  getError(data) {
+    return data?.status === 'error' ? { message: data.message, code: data.code } : undefined;
+  },
+
+  normalize(endpoint, data) {
+    if (endpoint === 'sources') return { sources: Array.isArray(data?.sources) ? data.sources : [] };
+    return {
+      totalResults: data?.totalResults || 0,
+      articles: Array.isArray(data?.articles) ? data.articles : [],
+    };
+  },
+};
+
+export default newsapi;
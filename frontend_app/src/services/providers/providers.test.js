@@ -0,0 +1,163 @@
+import fs from 'fs';
+import path from 'path';
+import { getTopHeadlines, searchEverything } from '../newsApi';
+import { getProvider } from './index';
+import newsapiTopHeadlines from './__fixtures__/newsapi-top-headlines.json';
+import gnewsSearch from './__fixtures__/gnews-search.json';
+import guardianSearch from './__fixtures__/guardian-search.json';
+
+const readFixture = (name) => fs.readFileSync(path.join(__dirname, '__fixtures__', name), 'utf8');
+
+const ARTICLE_KEYS = ['author', 'content', 'description', 'publishedAt', 'source', 'title', 'url', 'urlToImage'];
+
+describe('newsapi adapter', () => {
+  const provider = getProvider('newsapi');
+
+  test('maps search to /everything directly and /search through the proxy', () => {
+    expect(provider.buildRequest('search', { q: 'x' }, { apiKey: 'k', proxy: false })).toMatchObject({
+      path: 'everything',
+      headers: { 'X-Api-Key': 'k' },
+    });
+    expect(provider.buildRequest('search', { q: 'x' }, { apiKey: 'k', proxy: true })).toMatchObject({
+      path: 'search',
+      headers: {},
+    });
+    expect(provider.buildRequest('sources', {}, { apiKey: 'k', proxy: false }).path).toBe('top-headlines/sources');
+    expect(provider.buildRequest('sources', {}, { proxy: true }).path).toBe('sources');
+    expect(provider.normalize('sources', { status: 'ok', sources: [{ id: 'abc-news' }] })).toEqual({ sources: [{ id: 'abc-news' }] });
+  });
+
+  test('passes NewsAPI responses through', () => {
+    const res = provider.normalize('top-headlines', newsapiTopHeadlines);
+    expect(res.totalResults).toBe(2);
+    expect(res.articles[0].source.name).toBe('BBC News');
+    expect(provider.getError({ status: 'error', code: 'apiKeyInvalid', message: 'bad key' })).toMatchObject({ message: 'bad key' });
+  });
+});
+
+describe('gnews adapter', () => {
+  const provider = getProvider('gnews');
+
+  test('translates params and sends the key as a query credential', () => {
+    const req = provider.buildRequest(
+      'search',
+      { q: 'battery', sortBy: 'relevancy', language: 'en', pageSize: 10, page: 2 },
+      { apiKey: 'secret', proxy: false }
+    );
+    expect(req.query).toMatchObject({ q: 'battery', sortby: 'relevance', lang: 'en', max: 10, page: 2 });
+    expect(req.authQuery).toEqual({ apikey: 'secret' });
+    const ranged = provider.buildRequest('search', { q: 'x', searchIn: 'title', from: '2024-03-01', to: '2024-03-02' }, { proxy: true });
+    expect(ranged.query).toMatchObject({ in: 'title', from: '2024-03-01T00:00:00Z', to: '2024-03-02T23:59:59Z' });
+    expect(provider.buildRequest('top-headlines', { country: 'us' }, { proxy: true }).authQuery).toBeUndefined();
+  });
+
+  test('normalizes fixture into NewsAPI article shape', () => {
+    const res = provider.normalize('search', gnewsSearch);
+    expect(res.totalResults).toBe(57);
+    expect(Object.keys(res.articles[0]).sort()).toEqual(ARTICLE_KEYS);
+    expect(res.articles[0]).toMatchObject({
+      source: { name: 'Tech Site' },
+      urlToImage: 'https://techsite.example/battery.jpg',
+    });
+    expect(provider.getError({ errors: ['You did not provide an API key.'] })).toEqual({
+      message: 'You did not provide an API key.',
+    });
+  });
+});
+
+describe('guardian adapter', () => {
+  const provider = getProvider('guardian');
+
+  test('uses the content search endpoint with a section for categories', () => {
+    const req = provider.buildRequest('top-headlines', { country: 'us', category: 'sports', pageSize: 12, page: 1 }, { apiKey: 'g', proxy: false });
+    expect(req.path).toBe('search');
+    expect(req.query).toMatchObject({ section: 'sport', 'order-by': 'newest', 'page-size': 12 });
+    expect(req.authQuery).toEqual({ 'api-key': 'g' });
+    const scoped = provider.buildRequest('search', { q: 'x', searchIn: 'title,content', from: '2024-03-01T10:00:00Z' }, { proxy: true });
+    expect(scoped.query).toMatchObject({ 'query-fields': 'headline,body', 'from-date': '2024-03-01' });
+  });
+
+  test('normalizes fixture and strips HTML from trail text', () => {
+    const res = provider.normalize('search', guardianSearch);
+    expect(res.totalResults).toBe(1234);
+    expect(Object.keys(res.articles[0]).sort()).toEqual(ARTICLE_KEYS);
+    expect(res.articles[0]).toMatchObject({
+      author: 'Jane Astronomer',
+      description: 'Skywatchers are in for a treat',
+      source: { name: 'The Guardian' },
+    });
+    expect(provider.getError({ response: { status: 'error', message: 'Invalid key' } })).toEqual({ message: 'Invalid key' });
+  });
+});
+
+describe('rss adapter', () => {
+  const provider = getProvider('rss');
+
+  test('parses RSS items newest first', () => {
+    const res = provider.normalize('top-headlines', readFixture('feed.rss.xml'), { pageSize: 10, page: 1 });
+    expect(res.totalResults).toBe(2);
+    expect(res.articles.map((a) => a.title)).toEqual(['Newer story about solar power', 'Older story about rivers']);
+    expect(res.articles[0]).toMatchObject({ source: { name: 'Example Wire' }, urlToImage: 'https://wire.example/solar.jpg' });
+    expect(res.articles[1]).toMatchObject({ author: 'Sam Reporter', description: 'Rivers are rising across the region.' });
+  });
+
+  test('parses Atom entries', () => {
+    const res = provider.normalize('top-headlines', readFixture('feed.atom.xml'), { pageSize: 10, page: 1 });
+    expect(res.articles[0]).toMatchObject({
+      title: 'Atom entry one',
+      url: 'https://blog.example/one',
+      author: 'Alex Author',
+      publishedAt: '2024-05-04T09:00:00.000Z',
+    });
+  });
+
+  test('keeps only http(s) links and images', () => {
+    const xml = `<rss version="2.0" xmlns:media="http://search.yahoo.com/mrss/"><channel><title>Feed</title>
+      <item><title>Script link</title><link>javascript:alert(document.domain)</link>
+        <media:content url="data:image/svg+xml,&lt;svg/&gt;" medium="image" /></item>
+      <item><title>Plain link</title><link>https://feed.example/plain</link></item>
+    </channel></rss>`;
+    const { articles } = provider.normalize('top-headlines', xml, { pageSize: 10, page: 1 });
+    expect(articles.map(({ title, url, urlToImage }) => ({ title, url, urlToImage }))).toEqual([
+      { title: 'Script link', url: '', urlToImage: null },
+      { title: 'Plain link', url: 'https://feed.example/plain', urlToImage: null },
+    ]);
+  });
+
+  test('searches and pages client-side', () => {
+    const xml = readFixture('feed.rss.xml');
+    expect(provider.normalize('search', xml, { q: 'solar', pageSize: 10, page: 1 }).articles).toHaveLength(1);
+    const second = provider.normalize('top-headlines', xml, { pageSize: 1, page: 2 });
+    expect(second.totalResults).toBe(2);
+    expect(second.articles[0].title).toBe('Older story about rivers');
+  });
+
+  test('requires a feed URL', () => {
+    expect(provider.validateConfig({})).toMatch(/REACT_APP_NEWS_RSS_FEED_URL/);
+  });
+});
+
+describe('provider selection', () => {
+  const env = { ...process.env };
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  test('REACT_APP_NEWS_PROVIDER routes requests through the chosen adapter', async () => {
+    process.env.REACT_APP_NEWS_PROVIDER = 'gnews';
+    process.env.REACT_APP_NEWS_API_BASE = '';
+    process.env.REACT_APP_NEWS_API_KEY = 'secret';
+    global.fetch = jest.fn().mockResolvedValue({ ok: true, status: 200, json: async () => gnewsSearch });
+
+    const res = await searchEverything({ q: 'battery', pageSize: 10 }, undefined, { cache: 'no-store' });
+    const url = global.fetch.mock.calls[0][0];
+    expect(url).toMatch(/^https:\/\/gnews\.io\/api\/v4\/search\?/);
+    expect(url).toContain('apikey=secret');
+    expect(res.articles[0].urlToImage).toBe('https://techsite.example/battery.jpg');
+  });
+
+  test('unknown providers fail with a CONFIG error', async () => {
+    process.env.REACT_APP_NEWS_PROVIDER = 'nope';
+    await expect(getTopHeadlines({})).rejects.toMatchObject({ code: 'CONFIG' });
+  });
+});
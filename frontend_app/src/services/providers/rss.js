@@ -0,0 +1,127 @@
+//
+// Generic RSS 2.0 / Atom adapter.
+//
+// Feeds are fetched through the proxy's '/rss?url=<feed>' endpoint (browsers can't read most
+// feeds cross-origin). Feeds have no server-side search or paging, so both are applied here
+// over the parsed items: search keeps items containing every query term, and pages are
+// slices of the newest-first list. Feeds can come from anywhere, so item links and images that
+// aren't http(s) URLs (javascript:, data:) are dropped before they reach an href or src.
+//
+function text(el, ...tags) {
+  for (const tag of tags) {
+    const found = el.getElementsByTagName(tag)[0];
+    if (found && found.textContent) return found.textContent.trim();
+  }
+  return '';
+}
+
+function stripHtml(s) {
+  return String(s || '').replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim();
+}
+
+function toIso(value) {
+  const t = Date.parse(value);
+  return Number.isNaN(t) ? '' : new Date(t).toISOString();
+}
+
+function httpUrl(value) {
+  // value if it's an http(s) URL, else null.
+  if (typeof value !== 'string' || !value.trim()) return null;
+  try {
+    return /^https?:$/.test(new URL(value.trim()).protocol) ? value.trim() : null;
+  } catch {
+    return null;
+  }
+}
+
+function imageOf(el) {
+  const media = el.getElementsByTagName('media:content')[0] || el.getElementsByTagName('media:thumbnail')[0];
+  if (media?.getAttribute('url')) return httpUrl(media.getAttribute('url'));
+  const enclosure = el.getElementsByTagName('enclosure')[0];
+  if (enclosure && /^image\//.test(enclosure.getAttribute('type') || '')) return httpUrl(enclosure.getAttribute('url'));
+  return null;
+}
+
+function atomLink(el) {
+  const links = Array.from(el.getElementsByTagName('link'));
+  const alt = links.find((l) => !l.getAttribute('rel') || l.getAttribute('rel') === 'alternate');
+  return (alt || links[0])?.getAttribute('href') || '';
+}
+
+// PUBLIC_INTERFACE
+export function parseFeed(xml) {
+  /** Parse RSS 2.0 or Atom XML into normalized articles (newest first); url is '' unless it's http(s). */
+  const doc = new DOMParser().parseFromString(String(xml || ''), 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length) return [];
+
+  const rssItems = Array.from(doc.getElementsByTagName('item'));
+  const feedTitle = text(doc.getElementsByTagName('channel')[0] || doc.documentElement, 'title');
+  const articles = rssItems.length
+    ? rssItems.map((item) => ({
+        source: { id: null, name: feedTitle },
+        author: text(item, 'dc:creator', 'author') || null,
+        title: stripHtml(text(item, 'title')),
+        description: stripHtml(text(item, 'description')),
+        url: httpUrl(text(item, 'link')) || '',
+        urlToImage: imageOf(item),
+        publishedAt: toIso(text(item, 'pubDate', 'dc:date')),
+        content: stripHtml(text(item, 'content:encoded')),
+      }))
+    : Array.from(doc.getElementsByTagName('entry')).map((entry) => ({
+        source: { id: null, name: feedTitle },
+        author: text(entry.getElementsByTagName('author')[0] || entry, 'name') || null,
+        title: stripHtml(text(entry, 'title')),
+        description: stripHtml(text(entry, 'summary')),
+        url: httpUrl(atomLink(entry)) || '',
+        urlToImage: imageOf(entry),
+        publishedAt: toIso(text(entry, 'published', 'updated')),
+        content: stripHtml(text(entry, 'content')),
+      }));
+
+  return articles.sort((a, b) => (b.publishedAt || '').localeCompare(a.publishedAt || ''));
+}
+
+function matchesQuery(article, q) {
+  const terms = String(q || '').toLowerCase().replace(/"/g, '').split(/\s+/).filter(Boolean);
+  const haystack = `${article.title} ${article.description}`.toLowerCase();
+  return terms.every((t) => haystack.includes(t));
+}
+
+const rss = {
+  id: 'rss',
+  label: 'RSS/Atom feed',
+  attribution: 'RSS/Atom feed',
+  defaultBase: '',
+  requiresKey: false,
+  proxyOnly: true,
+  responseType: 'text',
+
+  isDirectBase() {
+    // Always fetched through the proxy.
+    return false;
+  },
+
+  validateConfig({ feedUrl }) {
+    if (!feedUrl) return 'RSS provider needs a feed URL. Set REACT_APP_NEWS_RSS_FEED_URL.';
+    return undefined;
+  },
+
+  buildRequest(endpoint, params, { feedUrl }) {
+    // Paging and search are client-side, so every page of a feed shares one request (and cache entry).
+    return { path: 'rss', query: { url: feedUrl }, headers: {} };
+  },
+
+  getError() {
+    return undefined;
+  },
+
+  normalize(endpoint, data, params = {}) {
+    const all = parseFeed(data);
+    const matched = endpoint === 'search' ? all.filter((a) => matchesQuery(a, params.q)) : all;
+    const pageSize = Number(params.pageSize) || 10;
+    const start = (Math.max(1, Number(params.page) || 1) - 1) * pageSize;
+    return { totalResults: matched.length, articles: matched.slice(start, start + pageSize) };
+  },
+};
+
+export default rss;
@@ -0,0 +1,111 @@
+//
+// Helpers for the article reader: the provider's content snippet, and "related coverage" — other
+// outlets' reporting on the same story.
+//
+// Related coverage is a follow-up searchEverything query built from the article's key terms: the
+// distinctive words of its title, names and places first. The original outlet is left out twice:
+// its domain goes in excludeDomains, and results from the same source or URL are filtered out
+// afterwards, because syndicated copies and other providers don't always honour the filter.
+//
+import { normalizeUrl, stripSourceSuffix, tokenize } from './clustering';
+import { searchEverything } from './newsApi';
+import { BOOLEAN_OPERATORS } from './searchQuery';
+
+export const MAX_KEY_TERMS = 4;
+const RELATED_PAGE_SIZE = 10;
+// NewsAPI cuts `content` off at ~200 characters and appends e.g. "… [+2345 chars]".
+const TRUNCATION_MARKER = /\s*\[\+(\d+)\s+chars?\]\s*$/i;
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase().replace(/^www\d*\./, '');
+  } catch {
+    return '';
+  }
+}
+
+// PUBLIC_INTERFACE
+export function parseContent(content) {
+  /**
+   * Split a provider content snippet into { text, remainingChars }: the readable text without the
+   * "[+N chars]" marker, and how much of the article the provider left out (0 when it says nothing).
+   */
+  const raw = String(content || '').trim();
+  const match = raw.match(TRUNCATION_MARKER);
+  return {
+    text: match ? raw.slice(0, match.index).trim() : raw,
+    remainingChars: match ? Number(match[1]) : 0,
+  };
+}
+
+// PUBLIC_INTERFACE
+export function keyTerms(article, max = MAX_KEY_TERMS) {
+  /**
+   * The most distinctive words of an article's title, most telling first: words written with a
+   * capital inside the title or in capitals (names, places, organisations) before other words,
+   * longer before shorter. Stopwords, boolean operators and short numbers are skipped. Lower-case, accents folded.
+   */
+  const title = stripSourceSuffix(article?.title, article?.source?.name);
+  const words = title.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+  // A capital after the first word is a strong hint of a name (the first word is capitalized
+  // anyway), and so is an acronym anywhere.
+  const isName = (w, i) => (i > 0 && /^\p{Lu}/u.test(w)) || /^\p{Lu}{2,}$/u.test(w);
+  const named = new Set(words.filter(isName).flatMap((w) => [...tokenize(w)]));
+  const operators = new Set(BOOLEAN_OPERATORS.map((op) => op.toLowerCase()));
+  const terms = [...tokenize(title)].filter((w) => !operators.has(w) && !(/^\d+$/.test(w) && w.length < 4) && w.length > 1);
+  return terms
+    .map((term, index) => ({ term, index, score: (named.has(term) ? 100 : 0) + Math.min(term.length, 12) }))
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, max)
+    .map(({ term }) => term);
+}
+
+// PUBLIC_INTERFACE
+export function buildRelatedQuery(article) {
+  /**
+   * A NewsAPI boolean query for other coverage of the article's story: the main key term AND any of
+   * the others, e.g. 'nasa AND (artemis OR launch OR moon)'. null when the title has no usable terms.
+   */
+  const [main, ...rest] = keyTerms(article);
+  if (!main) return null;
+  if (!rest.length) return main;
+  return rest.length === 1 ? `${main} AND ${rest[0]}` : `${main} AND (${rest.join(' OR ')})`;
+}
+
+// PUBLIC_INTERFACE
+export function filterRelated(articles, original) {
+  /** Drop the original article and anything else from its outlet (same source id or name, or same site), plus duplicate URLs. */
+  const sourceId = original?.source?.id;
+  const sourceName = original?.source?.name?.toLowerCase();
+  const host = hostOf(original?.url);
+  const seen = new Set([normalizeUrl(original?.url)].filter(Boolean));
+  return (articles || []).filter((a) => {
+    if (!a) return false;
+    if (sourceId && a.source?.id === sourceId) return false;
+    if (sourceName && a.source?.name?.toLowerCase() === sourceName) return false;
+    if (host && hostOf(a.url) === host) return false;
+    const key = normalizeUrl(a.url);
+    if (key && seen.has(key)) return false;
+    if (key) seen.add(key);
+    return true;
+  });
+}
+
+// PUBLIC_INTERFACE
+export async function getRelatedCoverage(article, { language, pageSize = RELATED_PAGE_SIZE, signal } = {}) {
+  /**
+   * Search for other outlets' coverage of the article's story.
+   * Resolves to { query, articles }; query is null (and articles empty) when the title is too
+   * generic to search for. Rejects like searchEverything.
+   */
+  const query = buildRelatedQuery(article);
+  if (!query) return { query: null, articles: [] };
+  const host = hostOf(article?.url);
+  // Only a real domain can go in excludeDomains (an IP or "localhost" would fail validation).
+  const excludeDomains = /\.[a-z]{2,63}$/.test(host) ? host : undefined;
+  const result = await searchEverything(
+    { q: query, sortBy: 'relevancy', language, pageSize, excludeDomains },
+    signal
+  );
+  return { query, articles: filterRelated(result.articles, article) };
+}
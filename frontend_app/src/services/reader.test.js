@@ -0,0 +1,66 @@
+import { configureNewsCache } from './newsApi';
+import { buildRelatedQuery, filterRelated, getRelatedCoverage, keyTerms, parseContent } from './reader';
+
+const article = {
+  title: 'NASA delays Artemis moon launch over heat shield concerns - BBC News',
+  url: 'https://www.bbc.co.uk/news/science-123?at_medium=RSS',
+  source: { id: 'bbc-news', name: 'BBC News' },
+};
+
+beforeEach(() => {
+  process.env.REACT_APP_NEWS_API_BASE = 'http://localhost:3010/api/news';
+  configureNewsCache({ ttlMs: 60000, persist: 'memory' });
+});
+
+afterEach(() => {
+  delete process.env.REACT_APP_NEWS_API_BASE;
+});
+
+test('separates the content snippet from the truncation marker', () => {
+  expect(parseContent('The agency said on Tuesday… [+2345 chars]')).toEqual({ text: 'The agency said on Tuesday…', remainingChars: 2345 });
+  expect(parseContent('Complete text.')).toEqual({ text: 'Complete text.', remainingChars: 0 });
+  expect(parseContent(null)).toEqual({ text: '', remainingChars: 0 });
+});
+
+test('ranks names from the title first and builds a boolean query from them', () => {
+  expect(keyTerms(article)).toEqual(['artemis', 'nasa', 'concerns', 'delays']);
+  expect(buildRelatedQuery(article)).toBe('artemis AND (nasa OR concerns OR delays)');
+  expect(buildRelatedQuery({ title: 'Not and or' })).toBeNull();
+  expect(buildRelatedQuery({ title: 'Eurovision' })).toBe('eurovision');
+});
+
+test('drops the original outlet and duplicate URLs from related results', () => {
+  const results = [
+    { title: 'same article', url: 'https://bbc.co.uk/news/science-123', source: { name: 'Other' } },
+    { title: 'same site', url: 'https://www.bbc.co.uk/news/other', source: { name: 'BBC' } },
+    { title: 'same source', url: 'https://feeds.example/x', source: { id: 'bbc-news', name: 'BBC News' } },
+    { title: 'kept', url: 'https://reuters.com/artemis', source: { name: 'Reuters' } },
+    { title: 'duplicate', url: 'https://reuters.com/artemis?utm_source=x', source: { name: 'Reuters' } },
+  ];
+  expect(filterRelated(results, article).map((a) => a.title)).toEqual(['kept']);
+});
+
+test('searches by relevance without the original domain', async () => {
+  global.fetch = jest.fn().mockResolvedValue({
+    ok: true,
+    status: 200,
+    json: async () => ({
+      status: 'ok',
+      totalResults: 2,
+      articles: [
+        { title: 'Artemis slips again', url: 'https://reuters.com/artemis', source: { name: 'Reuters' } },
+        { title: 'Own copy', url: 'https://www.bbc.co.uk/news/science-123', source: { name: 'BBC News' } },
+      ],
+    }),
+  });
+  const related = await getRelatedCoverage(article, { language: 'en' });
+  const url = new URL(global.fetch.mock.calls[0][0]);
+  expect(url.searchParams.get('q')).toBe('artemis AND (nasa OR concerns OR delays)');
+  expect(url.searchParams.get('sortBy')).toBe('relevancy');
+  expect(url.searchParams.get('excludeDomains')).toBe('bbc.co.uk');
+  expect(related.articles.map((a) => a.title)).toEqual(['Artemis slips again']);
+
+  global.fetch.mockClear();
+  expect(await getRelatedCoverage({ title: 'The' })).toEqual({ query: null, articles: [] });
+  expect(global.fetch).not.toHaveBeenCalled();
+});
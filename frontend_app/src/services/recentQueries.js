@@ -0,0 +1,108 @@
+//
+// Recent search queries (localStorage) and query suggestions.
+//
+// Only queries the user actually ran are recorded (form submit or picking a suggestion), not the
+// partial text typed in live-search mode. Suggestions mix recent queries with saved searches.
+// The list is a small observable like savedItems: read it through useRecentQueries, and changes in
+// other tabs arrive via the 'storage' event.
+//
+const STORAGE_KEY = 'oceanNews.recentQueries';
+export const MAX_RECENT = 10;
+
+const listeners = new Set();
+let recent = load();
+
+function load() {
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || '[]');
+    return Array.isArray(parsed) ? parsed.filter((q) => typeof q === 'string') : [];
+  } catch {
+    return [];
+  }
+}
+
+function commit(next) {
+  recent = next;
+  try {
+    if (next.length) window.localStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+    else window.localStorage.removeItem(STORAGE_KEY);
+  } catch {
+    // Storage full or disabled: keep the list for this session.
+  }
+  listeners.forEach((listener) => listener());
+}
+
+// PUBLIC_INTERFACE
+export function subscribeRecentQueries(listener) {
+  /** Subscribe to changes; returns an unsubscribe function. Also picks up changes made in other tabs. */
+  const onStorage = (e) => {
+    if (e.key === STORAGE_KEY) {
+      recent = load();
+      listener();
+    }
+  };
+  listeners.add(listener);
+  window.addEventListener('storage', onStorage);
+  return () => {
+    listeners.delete(listener);
+    window.removeEventListener('storage', onStorage);
+  };
+}
+
+// PUBLIC_INTERFACE
+export function getRecentQueries() {
+  /** Recent queries, most recent first (treat as immutable). */
+  return recent;
+}
+
+// PUBLIC_INTERFACE
+export function addRecentQuery(q) {
+  /** Record a query as most recent (case-insensitive de-duplication, capped at MAX_RECENT). */
+  const query = String(q || '').trim();
+  if (!query) return;
+  commit([query, ...recent.filter((r) => r.toLowerCase() !== query.toLowerCase())].slice(0, MAX_RECENT));
+}
+
+// PUBLIC_INTERFACE
+export function clearRecentQueries() {
+  /** Forget all recent queries. */
+  commit([]);
+}
+
+// PUBLIC_INTERFACE
+export function suggestQueries(input, { recent = [], saved = [] } = {}, limit = 8) {
+  /**
+   * Suggestions for the text typed so far.
+   * - recent: query strings, most recent first
+   * - saved: saved searches ({ name, q, ... }); matched on name or query
+   * Returns [{ q, label, kind: 'recent' | 'saved', search? }]: prefix matches before substring
+   * matches, recent before saved, de-duplicated by query, and never the exact text already typed.
+   * An empty input lists recent queries, then saved searches.
+   */
+  const text = String(input || '').trim().toLowerCase();
+  const candidates = [
+    ...recent.map((q) => ({ q, label: q, kind: 'recent' })),
+    ...saved.map((s) => ({ q: s.q, label: s.name && s.name !== s.q ? `${s.name} — ${s.q}` : s.q, kind: 'saved', search: s })),
+  ];
+  const rank = (c) => {
+    if (!text) return 0;
+    const hay = [c.q.toLowerCase(), c.search?.name?.toLowerCase() || ''];
+    if (hay.some((h) => h.startsWith(text))) return 0;
+    if (hay.some((h) => h.includes(text))) return 1;
+    return -1;
+  };
+
+  const seen = new Set([text]);
+  return candidates
+    .map((c, order) => ({ c, order, rank: rank(c) }))
+    .filter((x) => x.rank >= 0)
+    .sort((a, b) => a.rank - b.rank || a.order - b.order)
+    .map((x) => x.c)
+    .filter((c) => {
+      const key = c.q.toLowerCase();
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, limit);
+}
@@ -0,0 +1,38 @@
+import { addRecentQuery, clearRecentQueries, getRecentQueries, MAX_RECENT, subscribeRecentQueries, suggestQueries } from './recentQueries';
+
+beforeEach(() => clearRecentQueries());
+
+test('recent queries are de-duplicated, most recent first and capped', () => {
+  addRecentQuery('ocean');
+  addRecentQuery('tides');
+  addRecentQuery('  Ocean ');
+  expect(getRecentQueries()).toEqual(['Ocean', 'tides']);
+  for (let i = 0; i < MAX_RECENT + 5; i += 1) addRecentQuery(`q${i}`);
+  expect(getRecentQueries()).toHaveLength(MAX_RECENT);
+});
+
+test('subscribers hear about new queries, including ones from other tabs', () => {
+  const listener = jest.fn();
+  const unsubscribe = subscribeRecentQueries(listener);
+  addRecentQuery('ocean');
+  expect(listener).toHaveBeenCalledTimes(1);
+
+  window.localStorage.setItem('oceanNews.recentQueries', JSON.stringify(['from another tab', 'ocean']));
+  window.dispatchEvent(new StorageEvent('storage', { key: 'oceanNews.recentQueries' }));
+  expect(listener).toHaveBeenCalledTimes(2);
+  expect(getRecentQueries()).toEqual(['from another tab', 'ocean']);
+  unsubscribe();
+});
+
+test('suggestions rank prefix matches first and skip the exact text', () => {
+  const saved = [{ name: 'Energy desk', q: 'offshore wind', sortBy: 'relevancy', language: 'en' }];
+  const recent = ['wind farms', 'solar', 'offshore wind', 'tidal wind'];
+
+  expect(suggestQueries('wind', { recent, saved }).map((s) => s.q)).toEqual(['wind farms', 'offshore wind', 'tidal wind']);
+  // Saved searches also match on their name.
+  expect(suggestQueries('energy', { recent, saved })).toEqual([
+    { q: 'offshore wind', label: 'Energy desk — offshore wind', kind: 'saved', search: saved[0] },
+  ]);
+  expect(suggestQueries('solar', { recent, saved })).toEqual([]);
+  expect(suggestQueries('', { recent, saved }, 2).map((s) => s.q)).toEqual(['wind farms', 'solar']);
+});
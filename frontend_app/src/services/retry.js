@@ -0,0 +1,63 @@
+//
+// Retry helpers for transient news service failures (HTTP 429 and 5xx).
+//
+// Delays use exponential backoff with "full jitter" (a random delay between 0 and the
+// exponential ceiling) so that several tabs or views hitting a rate limit at the same time
+// don't retry in lockstep. A Retry-After header from the upstream/proxy takes precedence.
+//
+
+// PUBLIC_INTERFACE
+export function isRetryableStatus(status) {
+  /** True for responses worth retrying: rate limiting and server-side failures. */
+  return status === 429 || (status >= 500 && status <= 599);
+}
+
+// PUBLIC_INTERFACE
+export function parseRetryAfter(value, now = Date.now()) {
+  /** Parse a Retry-After header (delta-seconds or HTTP-date) into milliseconds; undefined if absent/invalid. */
+  if (value === undefined || value === null || value === '') return undefined;
+  const trimmed = String(value).trim();
+  if (/^\d+$/.test(trimmed)) return Number(trimmed) * 1000;
+  const date = Date.parse(trimmed);
+  if (Number.isNaN(date)) return undefined;
+  return Math.max(0, date - now);
+}
+
+// PUBLIC_INTERFACE
+export function computeRetryDelay(attempt, { baseDelayMs = 500, maxDelayMs = 8000, retryAfterMs, random = Math.random } = {}) {
+  /**
+   * Delay before retry number `attempt` (1 = first retry).
+   * Retry-After wins when provided; otherwise full-jitter exponential backoff capped at maxDelayMs.
+   */
+  if (retryAfterMs !== undefined) return retryAfterMs;
+  const ceiling = Math.min(maxDelayMs, baseDelayMs * 2 ** (attempt - 1));
+  return Math.round(random() * ceiling);
+}
+
+// PUBLIC_INTERFACE
+export function createAbortError() {
+  /** An Error named 'AbortError', matching what fetch rejects with when its signal aborts. */
+  const e = new Error('The operation was aborted.');
+  e.name = 'AbortError';
+  return e;
+}
+
+// PUBLIC_INTERFACE
+export function sleep(ms, signal) {
+  /** Resolve after ms, or reject with an AbortError as soon as the signal aborts. */
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
@@ -0,0 +1,191 @@
+//
+// Saved searches and bookmarked articles, persisted in localStorage.
+//
+// Bookmarks keep a full copy of the article so the Saved tab works offline. The store is a
+// small observable: components read it through useSavedItems (useSyncExternalStore), and
+// changes in other tabs arrive via the 'storage' event.
+//
+// Export/import uses a versioned JSON document:
+//   { "version": 1, "exportedAt": "...", "searches": [...], "bookmarks": [...] }
+//
+import { ValidationError } from './errors';
+import { t } from './i18n';
+
+const STORAGE_KEY = 'oceanNews.saved';
+const FORMAT_VERSION = 1;
+const EMPTY = { searches: [], bookmarks: [] };
+
+const listeners = new Set();
+let state = load();
+
+function load() {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : null;
+    return {
+      searches: Array.isArray(parsed?.searches) ? parsed.searches : [],
+      bookmarks: Array.isArray(parsed?.bookmarks) ? parsed.bookmarks : [],
+    };
+  } catch {
+    return EMPTY;
+  }
+}
+
+function commit(next) {
+  state = next;
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: FORMAT_VERSION, ...state }));
+  } catch {
+    // Storage full or disabled: keep the in-memory state for this session.
+  }
+  listeners.forEach((listener) => listener());
+}
+
+function validationError(message) {
+  return new ValidationError(message);
+}
+
+function cleanFilters(filters) {
+  if (!filters || typeof filters !== 'object') return undefined;
+  const entries = Object.entries(filters).filter(([, value]) => typeof value === 'string' && value);
+  return entries.length ? Object.fromEntries(entries.sort(([a], [b]) => a.localeCompare(b))) : undefined;
+}
+
+function searchKey({ q, sortBy, language, filters }) {
+  return `${String(q || '').trim().toLowerCase()}|${sortBy || ''}|${language || ''}|${JSON.stringify(cleanFilters(filters) || {})}`;
+}
+
+function httpUrl(value) {
+  // value if it's an http(s) URL, else null: imported links end up in hrefs and image sources.
+  if (typeof value !== 'string' || !value.trim()) return null;
+  try {
+    return /^https?:$/.test(new URL(value.trim()).protocol) ? value.trim() : null;
+  } catch {
+    return null;
+  }
+}
+
+function makeId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// PUBLIC_INTERFACE
+export function subscribeSaved(listener) {
+  /** Subscribe to changes; returns an unsubscribe function. Also picks up changes made in other tabs. */
+  const onStorage = (e) => {
+    if (e.key === STORAGE_KEY) {
+      state = load();
+      listener();
+    }
+  };
+  listeners.add(listener);
+  window.addEventListener('storage', onStorage);
+  return () => {
+    listeners.delete(listener);
+    window.removeEventListener('storage', onStorage);
+  };
+}
+
+// PUBLIC_INTERFACE
+export function getSaved() {
+  /** Current { searches, bookmarks } snapshot (treat as immutable). */
+  return state;
+}
+
+// PUBLIC_INTERFACE
+export function saveSearch({ q, sortBy = 'publishedAt', language = 'en', filters, name } = {}) {
+  /**
+   * Save a search; saving the same q/sortBy/language/filters again just renames it. Returns the saved entry.
+   * filters holds the advanced search params (searchIn, domains, from, ...) as strings.
+   */
+  const query = String(q || '').trim();
+  if (!query) throw validationError(t('saved.error.emptyQuery'));
+  const clean = cleanFilters(filters);
+  const key = searchKey({ q: query, sortBy, language, filters: clean });
+  const existing = state.searches.find((s) => searchKey(s) === key);
+  const entry = existing
+    ? { ...existing, name: name || existing.name }
+    : { id: makeId(), name: name || query, q: query, sortBy, language, filters: clean, createdAt: new Date().toISOString() };
+  commit({ ...state, searches: [entry, ...state.searches.filter((s) => s !== existing)] });
+  return entry;
+}
+
+// PUBLIC_INTERFACE
+export function removeSavedSearch(id) {
+  /** Delete a saved search by id. */
+  commit({ ...state, searches: state.searches.filter((s) => s.id !== id) });
+}
+
+// PUBLIC_INTERFACE
+export function isBookmarked(url) {
+  /** Whether an article URL is bookmarked. */
+  return !!url && state.bookmarks.some((b) => b.url === url);
+}
+
+// PUBLIC_INTERFACE
+export function toggleBookmark(article) {
+  /** Bookmark an article with an http(s) URL (storing a full copy for offline reading), or remove it if already saved. Returns the new state. */
+  if (!httpUrl(article?.url)) throw validationError(t('saved.error.noUrl'));
+  if (isBookmarked(article.url)) {
+    commit({ ...state, bookmarks: state.bookmarks.filter((b) => b.url !== article.url) });
+    return false;
+  }
+  const { source, author, title, description, url, urlToImage, publishedAt, content } = article;
+  const bookmark = { source, author, title, description, url, urlToImage, publishedAt, content, savedAt: new Date().toISOString() };
+  commit({ ...state, bookmarks: [bookmark, ...state.bookmarks] });
+  return true;
+}
+
+// PUBLIC_INTERFACE
+export function exportSaved() {
+  /** Serialize saved searches and bookmarks as a pretty-printed JSON document. */
+  return JSON.stringify({ version: FORMAT_VERSION, exportedAt: new Date().toISOString(), ...state }, null, 2);
+}
+
+// PUBLIC_INTERFACE
+export function importSaved(json, { replace = false } = {}) {
+  /**
+   * Import a document produced by exportSaved. Merges by default (existing entries win on
+   * duplicates); pass replace to overwrite everything. Returns { searches, bookmarks } counts added.
+   * Throws VALIDATION-coded errors for malformed input.
+   */
+  let doc;
+  try {
+    doc = typeof json === 'string' ? JSON.parse(json) : json;
+  } catch {
+    throw validationError(t('saved.error.notJson'));
+  }
+  if (!doc || typeof doc !== 'object' || (!Array.isArray(doc.searches) && !Array.isArray(doc.bookmarks))) {
+    throw validationError(t('saved.error.notSaved'));
+  }
+  if (doc.version !== undefined && doc.version > FORMAT_VERSION) {
+    throw validationError(t('saved.error.version', { version: doc.version }));
+  }
+
+  const incomingSearches = (doc.searches || [])
+    .filter((s) => s && typeof s.q === 'string' && s.q.trim())
+    .map((s) => ({
+      id: s.id || makeId(),
+      name: String(s.name || s.q),
+      q: s.q.trim(),
+      sortBy: s.sortBy || 'publishedAt',
+      language: s.language || 'en',
+      filters: cleanFilters(s.filters),
+      createdAt: s.createdAt || new Date().toISOString(),
+    }));
+  const incomingBookmarks = (doc.bookmarks || [])
+    .filter((b) => b && httpUrl(b.url))
+    .map((b) => ({ ...b, url: httpUrl(b.url), urlToImage: httpUrl(b.urlToImage) }));
+
+  const base = replace ? EMPTY : state;
+  const searchKeys = new Set(base.searches.map(searchKey));
+  const bookmarkUrls = new Set(base.bookmarks.map((b) => b.url));
+  const addedSearches = incomingSearches.filter((s) => !searchKeys.has(searchKey(s)) && searchKeys.add(searchKey(s)));
+  const addedBookmarks = incomingBookmarks.filter((b) => !bookmarkUrls.has(b.url) && bookmarkUrls.add(b.url));
+
+  commit({
+    searches: [...base.searches, ...addedSearches],
+    bookmarks: [...base.bookmarks, ...addedBookmarks],
+  });
+  return { searches: addedSearches.length, bookmarks: addedBookmarks.length };
+}
@@ -0,0 +1,61 @@
+import { exportSaved, getSaved, importSaved, isBookmarked, saveSearch, toggleBookmark } from './savedItems';
+
+beforeEach(() => {
+  importSaved({ searches: [], bookmarks: [] }, { replace: true });
+});
+
+test('saving the same search twice keeps one entry and persists it', () => {
+  saveSearch({ q: 'ocean', sortBy: 'relevancy', language: 'en' });
+  saveSearch({ q: ' Ocean ', sortBy: 'relevancy', language: 'en', name: 'Oceans' });
+  expect(getSaved().searches).toHaveLength(1);
+  expect(getSaved().searches[0].name).toBe('Oceans');
+  expect(JSON.parse(window.localStorage.getItem('oceanNews.saved')).searches).toHaveLength(1);
+  expect(() => saveSearch({ q: '  ' })).toThrow(expect.objectContaining({ code: 'VALIDATION' }));
+});
+
+test('toggleBookmark adds and removes by URL', () => {
+  const article = { url: 'https://example.com/a', title: 'A', source: { name: 'Example' } };
+  expect(toggleBookmark(article)).toBe(true);
+  expect(isBookmarked(article.url)).toBe(true);
+  expect(toggleBookmark(article)).toBe(false);
+  expect(isBookmarked(article.url)).toBe(false);
+  expect(() => toggleBookmark({ url: 'data:text/html,<script>alert(1)</script>', title: 'B' })).toThrow(expect.objectContaining({ code: 'VALIDATION' }));
+});
+
+test('export round-trips through import and merging skips duplicates', () => {
+  saveSearch({ q: 'tides' });
+  toggleBookmark({ url: 'https://example.com/a', title: 'A' });
+  const json = exportSaved();
+
+  expect(importSaved(json)).toEqual({ searches: 0, bookmarks: 0 });
+  importSaved({ searches: [], bookmarks: [] }, { replace: true });
+  expect(importSaved(json)).toEqual({ searches: 1, bookmarks: 1 });
+  expect(getSaved().bookmarks[0].title).toBe('A');
+});
+
+test('import rejects malformed documents with VALIDATION errors', () => {
+  expect(() => importSaved('{nope')).toThrow(expect.objectContaining({ code: 'VALIDATION' }));
+  expect(() => importSaved({ foo: 1 })).toThrow(/does not contain/);
+  expect(() => importSaved({ version: 99, searches: [] })).toThrow(/Unsupported export version/);
+});
+
+test('import keeps only http(s) links', () => {
+  const doc = {
+    bookmarks: [
+      { title: 'Script', url: 'javascript:alert(1)' }, // eslint-disable-line no-script-url
+      { title: 'Data image', url: 'https://example.com/a', urlToImage: 'data:image/svg+xml,<svg/>' },
+    ],
+  };
+  expect(importSaved(doc)).toEqual({ searches: 0, bookmarks: 1 });
+  expect(getSaved().bookmarks).toEqual([{ title: 'Data image', url: 'https://example.com/a', urlToImage: null }]);
+});
+
+test('advanced filters are part of a saved search', () => {
+  saveSearch({ q: 'ocean', filters: { domains: 'bbc.co.uk', from: '' } });
+  saveSearch({ q: 'ocean', filters: { domains: 'reuters.com' } });
+  saveSearch({ q: 'ocean' });
+  const { searches } = getSaved();
+  expect(searches).toHaveLength(3);
+  expect(searches[2].filters).toEqual({ domains: 'bbc.co.uk' });
+  expect(searches[0].filters).toBeUndefined();
+});
@@ -0,0 +1,142 @@
+//
+// Advanced search helpers for the /everything endpoint.
+//
+// NewsAPI's everything endpoint accepts a boolean query (AND / OR / NOT, "quoted phrases",
+// parentheses) plus filters for field scoping (searchIn), sources, domains and a date range.
+// This module builds queries from the visual builder's clauses and validates/normalizes the
+// filters before they reach the network, throwing ValidationErrors (see ./errors) with messages
+// in the UI language. Other providers map the subset they support (see ./providers).
+//
+import { ValidationError } from './errors';
+import { t } from './i18n';
+
+export const ADVANCED_SEARCH_PARAMS = ['searchIn', 'sources', 'domains', 'excludeDomains', 'from', 'to'];
+export const SEARCH_IN_FIELDS = ['title', 'description', 'content'];
+export const BOOLEAN_OPERATORS = ['AND', 'OR', 'NOT'];
+export const MAX_QUERY_LENGTH = 500;
+export const MAX_SOURCES = 20;
+export const MAX_DOMAINS = 50;
+
+const SOURCE_ID = /^[a-z0-9][a-z0-9._-]*$/;
+const DOMAIN = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})?)?$/;
+
+function validationError(message, field) {
+  return new ValidationError(message, { field });
+}
+
+function toList(value) {
+  const items = Array.isArray(value) ? value : String(value || '').split(',');
+  return items.map((item) => String(item).trim().toLowerCase()).filter(Boolean);
+}
+
+function parseDate(value, field) {
+  if (!value) return undefined;
+  const raw = String(value).trim();
+  const time = ISO_DATE.test(raw) ? Date.parse(raw) : NaN;
+  if (Number.isNaN(time)) {
+    throw validationError(t('errors.filters.date', { value: raw, field: t(`search.${field}`) }), field);
+  }
+  return { raw, time };
+}
+
+function formatTerm(term, exact) {
+  const text = String(term || '').replace(/"/g, '').trim().replace(/\s+/g, ' ');
+  if (!text) return '';
+  if (exact) return `"${text}"`;
+  return /\s/.test(text) ? `(${text})` : text;
+}
+
+// PUBLIC_INTERFACE
+export function buildBooleanQuery(clauses = []) {
+  /**
+   * Turn builder clauses into a NewsAPI boolean query.
+   * clauses: [{ op: 'AND' | 'OR' | 'NOT', term, exact }]. The first clause's op only matters when it
+   * is NOT; multi-word terms are grouped in parentheses unless exact, which quotes them as a phrase.
+   *   [{ term: 'ocean' }, { op: 'AND', term: 'wind farm', exact: true }, { op: 'NOT', term: 'oil' }]
+   *   -> 'ocean AND "wind farm" NOT oil'
+   */
+  return clauses
+    .map((clause) => ({ op: BOOLEAN_OPERATORS.includes(clause.op) ? clause.op : 'AND', text: formatTerm(clause.term, clause.exact) }))
+    .filter((clause) => clause.text)
+    .map((clause, i) => {
+      if (i === 0) return clause.op === 'NOT' ? `NOT ${clause.text}` : clause.text;
+      return `${clause.op} ${clause.text}`;
+    })
+    .join(' ');
+}
+
+// PUBLIC_INTERFACE
+export function validateQuery(q) {
+  /** Check a free-text or boolean query; returns it trimmed or throws a VALIDATION error. */
+  const query = String(q || '').trim();
+  if (!query) throw validationError(t('errors.query.empty'), 'q');
+  if (query.length > MAX_QUERY_LENGTH) {
+    throw validationError(t('errors.query.tooLong', { max: MAX_QUERY_LENGTH, length: query.length }), 'q');
+  }
+  if ((query.match(/"/g) || []).length % 2 !== 0) {
+    throw validationError(t('errors.query.quote'), 'q');
+  }
+  let depth = 0;
+  for (const ch of query) {
+    if (ch === '(') depth += 1;
+    if (ch === ')') depth -= 1;
+    if (depth < 0) break;
+  }
+  if (depth !== 0) throw validationError(t('errors.query.parentheses'), 'q');
+  if (/^(AND|OR)\b|\b(AND|OR|NOT)$/.test(query)) {
+    throw validationError(t('errors.query.operator'), 'q');
+  }
+  return query;
+}
+
+// PUBLIC_INTERFACE
+export function normalizeAdvancedSearch({ searchIn, sources, domains, excludeDomains, from, to } = {}) {
+  /**
+   * Validate the advanced filters and return them as request params (comma-separated lists, empty
+   * values omitted). Lists may be arrays or comma-separated strings. Throws VALIDATION errors for
+   * unknown fields, malformed ids/domains, too many entries, a domain both included and excluded,
+   * unparseable dates or a range that ends before it starts.
+   */
+  const params = {};
+
+  const fields = toList(searchIn);
+  const unknownField = fields.find((f) => !SEARCH_IN_FIELDS.includes(f));
+  if (unknownField) {
+    throw validationError(t('errors.filters.field', { field: unknownField, fields: SEARCH_IN_FIELDS.join(', ') }), 'searchIn');
+  }
+  // All three fields is the API default, so only send a narrower scope.
+  if (fields.length && fields.length < SEARCH_IN_FIELDS.length) {
+    params.searchIn = SEARCH_IN_FIELDS.filter((f) => fields.includes(f)).join(',');
+  }
+
+  const sourceIds = [...new Set(toList(sources))];
+  const badSource = sourceIds.find((s) => !SOURCE_ID.test(s));
+  if (badSource) throw validationError(t('errors.filters.source', { source: badSource }), 'sources');
+  if (sourceIds.length > MAX_SOURCES) {
+    throw validationError(t('errors.filters.tooManySources', { max: MAX_SOURCES }), 'sources');
+  }
+  if (sourceIds.length) params.sources = sourceIds.join(',');
+
+  const include = [...new Set(toList(domains).map((d) => d.replace(/^www\./, '')))];
+  const exclude = [...new Set(toList(excludeDomains).map((d) => d.replace(/^www\./, '')))];
+  [['domains', include], ['excludeDomains', exclude]].forEach(([field, list]) => {
+    const bad = list.find((d) => !DOMAIN.test(d));
+    if (bad) throw validationError(t('errors.filters.domain', { domain: bad }), field);
+    if (list.length > MAX_DOMAINS) throw validationError(t('errors.filters.tooManyDomains', { max: MAX_DOMAINS }), field);
+  });
+  const both = include.find((d) => exclude.includes(d));
+  if (both) throw validationError(t('errors.filters.domainConflict', { domain: both }), 'excludeDomains');
+  if (include.length) params.domains = include.join(',');
+  if (exclude.length) params.excludeDomains = exclude.join(',');
+
+  const start = parseDate(from, 'from');
+  const end = parseDate(to, 'to');
+  if (start && end && start.time > end.time) {
+    throw validationError(t('errors.filters.dateRange', { from: t('search.from'), to: t('search.to') }), 'from');
+  }
+  if (start) params.from = start.raw;
+  if (end) params.to = end.raw;
+
+  return params;
+}
@@ -0,0 +1,75 @@
+import { buildBooleanQuery, MAX_QUERY_LENGTH, normalizeAdvancedSearch, validateQuery } from './searchQuery';
+import { resetSettings, updateSettings } from './settings';
+
+test('buildBooleanQuery joins clauses with operators, phrases and groups', () => {
+  expect(
+    buildBooleanQuery([
+      { term: 'ocean' },
+      { op: 'AND', term: 'wind farm', exact: true },
+      { op: 'OR', term: 'tidal power' },
+      { op: 'NOT', term: 'oil' },
+      { op: 'AND', term: '   ' },
+    ])
+  ).toBe('ocean AND "wind farm" OR (tidal power) NOT oil');
+  expect(buildBooleanQuery([{ op: 'NOT', term: 'sports' }, { op: 'AND', term: 'say "hi"', exact: true }])).toBe(
+    'NOT sports AND "say hi"'
+  );
+  expect(buildBooleanQuery([])).toBe('');
+});
+
+test('validateQuery checks length, quotes, parentheses and dangling operators', () => {
+  expect(validateQuery('  (a OR b) AND "c d" ')).toBe('(a OR b) AND "c d"');
+  expect(() => validateQuery(' ')).toThrow(/enter a search term/);
+  expect(() => validateQuery('x'.repeat(MAX_QUERY_LENGTH + 1))).toThrow(/limited to 500/);
+  expect(() => validateQuery('"open')).toThrow(/unmatched quote/);
+  expect(() => validateQuery('(a OR b')).toThrow(/parentheses/);
+  expect(() => validateQuery('a) OR (b')).toThrow(/parentheses/);
+  expect(() => validateQuery('ocean AND')).toThrow(expect.objectContaining({ code: 'VALIDATION', field: 'q' }));
+  expect(validateQuery('NOT sports')).toBe('NOT sports');
+});
+
+test('normalizeAdvancedSearch cleans lists and omits defaults', () => {
+  expect(normalizeAdvancedSearch({})).toEqual({});
+  expect(
+    normalizeAdvancedSearch({
+      searchIn: 'content,title',
+      sources: ['BBC-News', 'bbc-news', 'reuters'],
+      domains: 'www.example.com,',
+      excludeDomains: ['spam.example.org'],
+      from: '2024-01-01',
+      to: '2024-01-01T12:00:00Z',
+    })
+  ).toEqual({
+    searchIn: 'title,content',
+    sources: 'bbc-news,reuters',
+    domains: 'example.com',
+    excludeDomains: 'spam.example.org',
+    from: '2024-01-01',
+    to: '2024-01-01T12:00:00Z',
+  });
+  // Scoping to every field is the API default, so nothing is sent.
+  expect(normalizeAdvancedSearch({ searchIn: ['title', 'description', 'content'] })).toEqual({});
+});
+
+test('normalizeAdvancedSearch rejects invalid and conflicting filters', () => {
+  const invalid = (filters, field) =>
+    expect(() => normalizeAdvancedSearch(filters)).toThrow(expect.objectContaining({ code: 'VALIDATION', field }));
+  invalid({ searchIn: 'body' }, 'searchIn');
+  invalid({ sources: 'bbc news' }, 'sources');
+  invalid({ sources: Array.from({ length: 21 }, (_, i) => `s${i}`) }, 'sources');
+  invalid({ domains: 'not a domain' }, 'domains');
+  invalid({ domains: 'bbc.co.uk', excludeDomains: 'www.bbc.co.uk' }, 'excludeDomains');
+  invalid({ from: '03/01/2024' }, 'from');
+  invalid({ to: '2024-02-30x' }, 'to');
+  invalid({ from: '2024-03-02', to: '2024-03-01' }, 'from');
+});
+
+test('validation messages follow the UI language', () => {
+  updateSettings({ uiLanguage: 'de' });
+  try {
+    expect(() => validateQuery(' ')).toThrow('Bitte gib einen Suchbegriff ein.');
+    expect(() => normalizeAdvancedSearch({ from: '2024-05-10', to: '2024-05-01' })).toThrow('Das Datum „Von“');
+  } finally {
+    resetSettings();
+  }
+});
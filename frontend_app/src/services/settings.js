@@ -0,0 +1,193 @@
+//
+// Runtime settings, persisted in localStorage.
+//
+// Connection settings (base, mode, apiKey) override the REACT_APP_* build-time values, so the
+// app can be pointed at another proxy or switched to direct mode without rebuilding; see
+// readNewsConfig. The remaining settings are user preferences: the default headlines country,
+// the default search language, the page size, the theme and the UI language (uiLanguage, see
+// ./i18n; unset means "follow the browser"). The default 'system' theme follows the operating
+// system's dark mode and contrast settings (see resolveTheme).
+//
+// Only values the user changed are stored. An empty value means "use the build-time default".
+// Like the saved-items store this is a small observable read through useSettings, and changes
+// made in other tabs arrive via the 'storage' event.
+//
+// A key saved here sits in the browser's storage in plain text; the settings panel and the
+// configuration diagnostics both warn about it.
+//
+// Validation messages come from ./i18n, which reads uiLanguage from here. t() only runs for
+// rejected values, and load() drops those either way, so the import cycle is harmless.
+//
+import { ValidationError } from './errors';
+import { t } from './i18n';
+
+const STORAGE_KEY = 'oceanNews.settings';
+const FORMAT_VERSION = 1;
+
+export const THEMES = ['system', 'light', 'dark', 'high-contrast'];
+export const DEFAULT_PREFERENCES = { country: 'us', language: 'en', pageSize: 12, theme: 'system' };
+export const MAX_PAGE_SIZE = 100;
+
+const FIELDS = ['base', 'mode', 'apiKey', 'country', 'language', 'pageSize', 'theme', 'uiLanguage'];
+const CONNECTION_MODES = ['auto', 'direct', 'proxy'];
+const LANGUAGE_CODE = /^[a-z]{2}$/;
+
+const listeners = new Set();
+let state = load();
+
+function clean(field, value) {
+  // Returns the normalized value, undefined to clear the field, or throws a ValidationError.
+  if (value === undefined || value === null || value === '') return undefined;
+  const invalid = (message) => new ValidationError(message, { field });
+  switch (field) {
+    case 'base': {
+      const base = String(value).trim().replace(/\/+$/, '');
+      let ok = false;
+      try {
+        ok = /^https?:$/.test(new URL(base).protocol);
+      } catch {
+        ok = false;
+      }
+      if (!ok) throw invalid(t('errors.settings.base'));
+      return base;
+    }
+    case 'mode':
+      if (!CONNECTION_MODES.includes(value)) throw invalid(t('errors.settings.mode', { modes: CONNECTION_MODES.join(', ') }));
+      return value;
+    case 'apiKey':
+      return String(value).trim() || undefined;
+    case 'country':
+    case 'language': {
+      const code = String(value).trim().toLowerCase();
+      if (!LANGUAGE_CODE.test(code)) throw invalid(t(`errors.settings.${field}`, { example: DEFAULT_PREFERENCES[field] }));
+      return code;
+    }
+    case 'uiLanguage': {
+      // Any 2-letter code is kept; one without a catalog falls back like an unsupported browser language.
+      const code = String(value).trim().toLowerCase();
+      if (!LANGUAGE_CODE.test(code)) throw invalid(t('errors.settings.language', { example: 'en' }));
+      return code;
+    }
+    case 'pageSize': {
+      const n = Number(value);
+      if (!Number.isInteger(n) || n < 1 || n > MAX_PAGE_SIZE) throw invalid(t('errors.settings.pageSize', { max: MAX_PAGE_SIZE }));
+      return n;
+    }
+    case 'theme':
+      if (!THEMES.includes(value)) throw invalid(t('errors.settings.theme', { themes: THEMES.join(', ') }));
+      return value;
+    default:
+      return undefined;
+  }
+}
+
+function load() {
+  // Invalid stored values (e.g. from a newer version) are dropped rather than failing startup.
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || 'null');
+    const entries = FIELDS.map((field) => {
+      try {
+        return [field, clean(field, parsed?.[field])];
+      } catch {
+        return [field, undefined];
+      }
+    });
+    return Object.fromEntries(entries.filter(([, value]) => value !== undefined));
+  } catch {
+    return {};
+  }
+}
+
+function commit(next) {
+  state = next;
+  try {
+    if (Object.keys(state).length) {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: FORMAT_VERSION, ...state }));
+    } else {
+      window.localStorage.removeItem(STORAGE_KEY);
+    }
+  } catch {
+    // Storage full or disabled: keep the in-memory settings for this session.
+  }
+  listeners.forEach((listener) => listener());
+}
+
+// PUBLIC_INTERFACE
+export function subscribeSettings(listener) {
+  /** Subscribe to changes; returns an unsubscribe function. Also picks up changes made in other tabs. */
+  const onStorage = (e) => {
+    if (e.key === STORAGE_KEY) {
+      state = load();
+      listener();
+    }
+  };
+  listeners.add(listener);
+  window.addEventListener('storage', onStorage);
+  return () => {
+    listeners.delete(listener);
+    window.removeEventListener('storage', onStorage);
+  };
+}
+
+// PUBLIC_INTERFACE
+export function getSettings() {
+  /** Current overrides snapshot, e.g. { base, mode, pageSize } — only the fields the user set (treat as immutable). */
+  return state;
+}
+
+// PUBLIC_INTERFACE
+export function validateSettings(changes) {
+  /**
+   * Check a set of changes without saving them.
+   * Returns { settings, errors }: the normalized values, and a list of { field, message } problems.
+   */
+  const settings = {};
+  const errors = [];
+  Object.entries(changes || {}).forEach(([field, value]) => {
+    if (!FIELDS.includes(field)) return;
+    try {
+      settings[field] = clean(field, value);
+    } catch (err) {
+      errors.push({ field, message: err.message });
+    }
+  });
+  return { settings, errors };
+}
+
+// PUBLIC_INTERFACE
+export function updateSettings(changes) {
+  /**
+   * Merge changes into the stored settings; an empty or undefined value clears that override.
+   * Throws a ValidationError (with `field`) for the first invalid value, leaving the settings unchanged.
+   * Returns the new settings.
+   */
+  const { settings, errors } = validateSettings(changes);
+  if (errors.length) throw new ValidationError(errors[0].message, { field: errors[0].field, details: { errors } });
+  const merged = { ...state, ...settings };
+  commit(Object.fromEntries(Object.entries(merged).filter(([, value]) => value !== undefined)));
+  return state;
+}
+
+// PUBLIC_INTERFACE
+export function resetSettings() {
+  /** Remove every override, going back to the build-time configuration and default preferences. */
+  commit({});
+}
+
+// PUBLIC_INTERFACE
+export function getPreferences(settings = state) {
+  /** { country, language, pageSize, theme } with DEFAULT_PREFERENCES filling in whatever isn't set. */
+  const { country, language, pageSize, theme } = { ...DEFAULT_PREFERENCES, ...settings };
+  return { country, language, pageSize, theme };
+}
+
+// PUBLIC_INTERFACE
+export function resolveTheme(theme, { dark = false, moreContrast = false } = {}) {
+  /**
+   * The theme to apply for a theme preference. 'system' picks high contrast when the system asks
+   * for more contrast, otherwise dark or light to match its color scheme.
+   */
+  if (theme !== 'system') return THEMES.includes(theme) ? theme : 'light';
+  if (moreContrast) return 'high-contrast';
+  return dark ? 'dark' : 'light';
+}
@@ -0,0 +1,47 @@
+import {
+  getPreferences, getSettings, resetSettings, resolveTheme, subscribeSettings, updateSettings, validateSettings,
+} from './settings';
+
+beforeEach(() => resetSettings());
+
+test('stores only the overrides and fills preferences with defaults', () => {
+  const listener = jest.fn();
+  const unsubscribe = subscribeSettings(listener);
+  updateSettings({ base: 'https://staging.example/api/news/', pageSize: '24', theme: '' });
+  unsubscribe();
+
+  expect(getSettings()).toEqual({ base: 'https://staging.example/api/news', pageSize: 24 });
+  expect(getPreferences()).toEqual({ country: 'us', language: 'en', pageSize: 24, theme: 'system' });
+  expect(JSON.parse(window.localStorage.getItem('oceanNews.settings'))).toMatchObject({ version: 1, pageSize: 24 });
+  expect(listener).toHaveBeenCalledTimes(1);
+
+  updateSettings({ base: '' });
+  expect(getSettings()).toEqual({ pageSize: 24 });
+  resetSettings();
+  expect(window.localStorage.getItem('oceanNews.settings')).toBeNull();
+});
+
+test('rejects invalid values without changing anything', () => {
+  updateSettings({ country: 'GB' });
+  expect(() => updateSettings({ pageSize: '0', country: 'de' })).toThrow(expect.objectContaining({ code: 'VALIDATION', field: 'pageSize' }));
+  expect(() => updateSettings({ base: 'ftp://example.com' })).toThrow(expect.objectContaining({ field: 'base' }));
+  expect(() => updateSettings({ mode: 'sideways' })).toThrow(expect.objectContaining({ field: 'mode' }));
+  expect(getSettings()).toEqual({ country: 'gb' });
+});
+
+test('validation messages follow the interface language', () => {
+  updateSettings({ uiLanguage: 'de' });
+  expect(validateSettings({ pageSize: '500' }).errors).toEqual([
+    { field: 'pageSize', message: 'Die Seitengröße muss eine ganze Zahl von 1 bis 100 sein.' },
+  ]);
+  expect(() => updateSettings({ theme: 'neon' })).toThrow('Das Design muss eines der folgenden sein: system, light, dark, high-contrast.');
+});
+
+test('the system theme follows the color scheme and contrast preferences', () => {
+  expect(resolveTheme('system')).toBe('light');
+  expect(resolveTheme('system', { dark: true })).toBe('dark');
+  expect(resolveTheme('system', { dark: true, moreContrast: true })).toBe('high-contrast');
+  expect(resolveTheme('light', { dark: true })).toBe('light');
+  expect(resolveTheme('high-contrast')).toBe('high-contrast');
+  expect(() => updateSettings({ theme: 'sepia' })).toThrow(/Theme must be one of/);
+});
@@ -0,0 +1,55 @@
+//
+// Stopwords per search language (NewsAPI's codes, see LANGUAGES in ./newsApi), for the trending
+// terms in ./analytics. Words that carry no topic: articles, pronouns, auxiliaries, prepositions
+// and the filler of news headlines. Languages without a list (e.g. 'zh') use none.
+//
+const NEWS = 'live update updates video watch breaking news report reports exclusive analysis opinion photos';
+
+const LISTS = {
+  en: `a about after again against all also am an and any are as at be because been before being between both but by
+    can could did do does doing down during each few for from further had has have having he her here hers him his how
+    i if in into is it its just me more most my new no nor not now of off on once one only or other our out over own
+    said same says she should so some still such than that the their them then there these they this those through
+    to too two under until up us very was we were what when where which while who whom why will with would year years
+    you your amid back first get gets last like make makes may might much must next per set take takes three top way
+    week day days today yesterday tomorrow ${NEWS}`,
+  de: `aber alle als also am an auch auf aus bei bin bis bist da damit dann das dass dem den der des die dies diese
+    dieser dieses doch dort du durch ein eine einem einen einer eines er es für gegen hat hatte hier ich ihr im in
+    ist ja jetzt kann kein keine mit nach nicht noch nun nur ob oder ohne sich sie sind so über um und uns unter vom
+    von vor war waren was weil wenn wer wie wieder wir wird wo zu zum zur neue neuen jahr jahre heute`,
+  fr: `à au aux avec ce ces cette dans de des du elle en est et être eux il ils je la le les leur lui ma mais me même
+    mes moi mon ne nos notre nous on ou où par pas pour qu que qui sa se ses son sont sur ta te tes toi ton tu un une
+    vos votre vous été était après avant comme plus selon sans entre contre depuis nouveau nouvelle an ans aujourd hui`,
+  es: `a al algo ante antes como con contra cual cuando de del desde donde durante e el ella ellas ellos en entre era
+    es esa ese eso esta este esto están fue ha han hasta hay la las le les lo los más me mi muy no nos o para pero
+    por que qué se sea ser si sin sobre son su sus también tras un una uno unos y ya nuevo nueva año años hoy tras`,
+  it: `a ad al alla alle anche che chi con contro da dal dalla dei del della delle di dopo e è gli ha hanno i il in
+    la le lo ma nel nella non o per più se si sono su sua suo sul sulla tra un una uno nuovo nuova anni oggi`,
+  pt: `a à ao aos as com como da das de do dos e é ela ele em entre era foi há isso já mais mas na nas no nos o os ou
+    para pela pelo por que se sem ser seu sua são também um uma novo nova ano anos hoje após`,
+  nl: `aan al als bij dan dat de die dit door een en er had heeft het hij hoe in is je maar met na naar niet nog nu of
+    om ook op over te tegen toe tot uit van voor was wat we wel werd wie wij zal ze zich zijn nieuwe jaar vandaag`,
+  sv: `att av de den det där efter ej en ett för från har hon han i inte jag kan med men mot nu när och om på sig
+    sin som till under upp ut var vi vid är över nya år idag`,
+  no: `at av de den det der du eller en et etter for fra han har hun i ikke jeg kan med men mot nå når og om på seg
+    sin som til under ut var vi ved er over nye år i dag`,
+  ru: `а без более бы был была были было быть в вам вас весь во вот все всех вы где да даже для до его ее если есть
+    еще же за и из или им их к как когда кто ли либо мне может мы на над не него нее нет ни но ну о об однако он она
+    они оно от по под при с со так также такой там то того только том тот у уже хотя чем что чтобы эта эти это я
+    году года`,
+  ar: `في من على إلى عن مع أن إن كان كانت هذا هذه ذلك التي الذي الذين ما لا لم لن قد بعد قبل بين حتى أو ثم كل عند
+    وقد وفي ومن هو هي هم اليوم`,
+  he: `של את על עם זה זו זאת הוא היא הם הן לא כי גם אם או אבל כל מה מי יש אין היה הייתה היו אחרי לפני בין עד כבר רק
+    אל מן היום`,
+};
+
+const SETS = Object.fromEntries(
+  Object.entries(LISTS).map(([language, words]) => [language, new Set(words.split(/\s+/).filter(Boolean))])
+);
+const EMPTY = new Set();
+
+// PUBLIC_INTERFACE
+export function getStopwords(language = 'en') {
+  /** Stopwords for a language code as a Set (empty for languages without a list). */
+  return SETS[language] || EMPTY;
+}
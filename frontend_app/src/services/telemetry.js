@@ -0,0 +1,101 @@
+//
+// Request instrumentation for the news service.
+//
+// Every doFetch call (see ./newsApi) is traced: listeners registered with addRequestListener get
+//  - onRequest(event)  when the request starts: { id, endpoint, url, mode, provider, headers, cache, background, startedAt }
+//  - onResponse(event) when it resolves, from the network or the cache
+//  - onError(event)    when it rejects (including a caller's abort, marked `aborted`)
+// The last two add { durationMs, status, attempts, retries, fromCache, stale, offline, rateLimit } and
+// onError an `error` summary { name, code, status, message }.
+//
+// Events never carry credentials: header values that look like secrets are redacted and `url` is the
+// display URL, without query-string keys. A listener that throws is ignored rather than failing the
+// request.
+//
+const listeners = new Set();
+let nextId = 1;
+
+// Header names whose values are never reported.
+const SECRET_HEADER = /(^|-)(api-?key|key|token|secret|auth|authorization|cookie|password)($|-)/i;
+export const REDACTED = '••••••';
+
+const now = () => (typeof performance !== 'undefined' && performance.now ? performance.now() : Date.now());
+
+// PUBLIC_INTERFACE
+export function addRequestListener(listener) {
+  /** Register { onRequest?, onResponse?, onError? } for every news service request. Returns an unsubscribe function. */
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+function emit(type, event) {
+  listeners.forEach((listener) => {
+    try {
+      listener[type]?.(event);
+    } catch {
+      // Instrumentation must not break the request it observes.
+    }
+  });
+}
+
+// PUBLIC_INTERFACE
+export function redactHeaders(headers = {}) {
+  /** Copy of headers with the values of X-Api-Key, Authorization and other secret-looking headers replaced. */
+  return Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [name, SECRET_HEADER.test(name) ? REDACTED : String(value)])
+  );
+}
+
+// PUBLIC_INTERFACE
+export function readRateLimit(status, headers) {
+  /**
+   * Rate-limit state from a response: { limited, limit, remaining, resetAt, retryAfterMs } from a 429
+   * status and the X-RateLimit-* / RateLimit-* / Retry-After headers, or undefined when there's none.
+   * resetAt is an epoch in ms; the reset header may be an epoch in seconds or seconds from now.
+   */
+  const get = (...names) => {
+    for (const name of names) {
+      const value = headers?.get?.(name);
+      if (value !== null && value !== undefined && value !== '' && Number.isFinite(Number(value))) return Number(value);
+    }
+    return undefined;
+  };
+  const limit = get('X-RateLimit-Limit', 'RateLimit-Limit');
+  const remaining = get('X-RateLimit-Remaining', 'RateLimit-Remaining');
+  const reset = get('X-RateLimit-Reset', 'RateLimit-Reset');
+  const retryAfter = get('Retry-After');
+  const limited = status === 429 || remaining === 0;
+  if (!limited && limit === undefined && remaining === undefined) return undefined;
+  let resetAt;
+  if (reset !== undefined) resetAt = reset > 1e9 ? reset * 1000 : Date.now() + reset * 1000;
+  return { limited, limit, remaining, resetAt, retryAfterMs: retryAfter === undefined ? undefined : retryAfter * 1000 };
+}
+
+function summarizeError(error) {
+  return { name: error?.name, code: error?.code, status: error?.status, message: error?.message };
+}
+
+// PUBLIC_INTERFACE
+export function traceRequest({ endpoint, url, mode, provider, headers, cache = 'default', background = false }) {
+  /**
+   * Start tracing a request; emits onRequest. Returns { response(info), error(error, info) } to emit the
+   * outcome once, with the elapsed time added. info is merged into the event (status, fromCache, ...).
+   */
+  const started = now();
+  const event = {
+    id: nextId++, endpoint, url, mode, provider, headers: redactHeaders(headers), cache, background, startedAt: Date.now(),
+  };
+  if (listeners.size) emit('onRequest', event);
+  const finish = (type, info) => {
+    if (listeners.size) emit(type, { ...event, ...info, durationMs: Math.round(now() - started) });
+  };
+  return {
+    response: (info = {}) => finish('onResponse', info),
+    error: (error, info = {}) => finish('onError', {
+      ...info,
+      status: info.status ?? error?.status,
+      aborted: error?.name === 'AbortError',
+      error: summarizeError(error),
+    }),
+  };
+}
@@ -0,0 +1,86 @@
+import { configureNewsCache, configureRetry, getTopHeadlines } from './newsApi';
+import { clearNetworkLog, getNetworkLog } from './networkLog';
+import { addRequestListener, readRateLimit, REDACTED, redactHeaders } from './telemetry';
+
+const page = { status: 'ok', totalResults: 1, articles: [{ title: 'one', url: 'https://example.com/one' }] };
+const headerMap = (values) => ({ get: (name) => values[name] ?? null });
+
+let removeListener;
+const events = [];
+
+beforeEach(() => {
+  process.env.REACT_APP_NEWS_API_BASE = 'http://localhost:3010/api/news';
+  configureNewsCache({ ttlMs: 60000, persist: 'memory' });
+  configureRetry({ maxAttempts: 2, baseDelayMs: 1, maxDelayMs: 5 });
+  events.length = 0;
+  removeListener = addRequestListener({
+    onRequest: (e) => events.push(['request', e]),
+    onResponse: (e) => events.push(['response', e]),
+    onError: (e) => events.push(['error', e]),
+  });
+  clearNetworkLog();
+});
+
+afterEach(() => {
+  removeListener();
+  delete process.env.REACT_APP_NEWS_API_BASE;
+  delete process.env.REACT_APP_NEWS_API_KEY;
+});
+
+test('redacts credentials and reads rate-limit headers', () => {
+  expect(redactHeaders({ 'X-Api-Key': 'k', Authorization: 'Bearer t', 'X-Auth-Token': 't', 'X-Tenant': 'newsroom' }))
+    .toEqual({ 'X-Api-Key': REDACTED, Authorization: REDACTED, 'X-Auth-Token': REDACTED, 'X-Tenant': 'newsroom' });
+
+  expect(readRateLimit(200, headerMap({}))).toBeUndefined();
+  expect(readRateLimit(200, headerMap({ 'X-RateLimit-Limit': '100', 'X-RateLimit-Remaining': '42' })))
+    .toMatchObject({ limited: false, limit: 100, remaining: 42 });
+  expect(readRateLimit(429, headerMap({ 'Retry-After': '30' }))).toMatchObject({ limited: true, retryAfterMs: 30000 });
+});
+
+test('traces network requests with timing and never reports the API key', async () => {
+  process.env.REACT_APP_NEWS_API_BASE = 'https://newsapi.org/v2';
+  process.env.REACT_APP_NEWS_API_KEY = 'secret-key';
+  global.fetch = jest.fn().mockResolvedValue({
+    ok: true,
+    status: 200,
+    headers: headerMap({ 'X-RateLimit-Remaining': '99', 'X-RateLimit-Limit': '100' }),
+    json: async () => page,
+  });
+  await getTopHeadlines({ country: 'fr' });
+  await getTopHeadlines({ country: 'fr' });
+
+  expect(global.fetch.mock.calls[0][1].headers['X-Api-Key']).toBe('secret-key');
+  expect(JSON.stringify(events)).not.toContain('secret-key');
+  expect(events.map(([type]) => type)).toEqual(['request', 'response', 'request', 'response']);
+  expect(events[1][1].id).toBe(events[0][1].id);
+  expect(events[2][1].id).not.toBe(events[0][1].id);
+  const [, first] = events[1];
+  expect(first).toMatchObject({
+    endpoint: 'top-headlines', mode: 'direct', provider: 'newsapi', status: 200, attempts: 1, fromCache: false,
+    headers: { 'X-Api-Key': REDACTED }, rateLimit: { remaining: 99, limit: 100 },
+  });
+  expect(first.url).toBe('https://newsapi.org/v2/top-headlines?country=fr&pageSize=10&page=1');
+  expect(first.durationMs).toBeGreaterThanOrEqual(0);
+  expect(events[3][1]).toMatchObject({ fromCache: true, stale: false, attempts: 0 });
+
+  expect(getNetworkLog().map((entry) => [entry.state, entry.fromCache])).toEqual([['ok', true], ['ok', false]]);
+});
+
+test('reports failures with retries, rate-limit state and the error code', async () => {
+  const limited = {
+    ok: false,
+    status: 429,
+    headers: headerMap({ 'Retry-After': '0' }),
+    json: async () => ({ status: 'error', message: 'slow down' }),
+  };
+  global.fetch = jest.fn().mockResolvedValue(limited);
+  await expect(getTopHeadlines({ country: 'it' })).rejects.toMatchObject({ code: 'RATE_LIMIT' });
+
+  const [type, event] = events[events.length - 1];
+  expect(type).toBe('error');
+  expect(event).toMatchObject({
+    status: 429, attempts: 2, retries: 1, aborted: false, offline: false,
+    rateLimit: { limited: true, retryAfterMs: 0 }, error: { code: 'RATE_LIMIT', status: 429 },
+  });
+  expect(getNetworkLog()[0]).toMatchObject({ state: 'error', status: 429 });
+});
@@ -0,0 +1,48 @@
+//
+// Polling for watchlists (see ./watchlists).
+//
+// Checks run one at a time and fetch the first RESULTS_PER_CHECK results, bypassing the response
+// cache read (a cached copy would hide new articles) and without the service's own retries: a
+// failed check is simply tried again later. When the provider reports a rate limit, the round
+// stops there instead of spending the remaining checks on the same limit, and the watchlist
+// backs off (see recordFailure).
+//
+import { getTopHeadlines, isAbortError, searchEverything, toNewsError } from './newsApi';
+import { getWatchlists, isDue, recordFailure, recordResults } from './watchlists';
+
+export const RESULTS_PER_CHECK = 20;
+
+// PUBLIC_INTERFACE
+export async function checkWatchlist(watchlist, { signal, now = Date.now } = {}) {
+  /**
+   * Run one watchlist's query and record the outcome.
+   * Resolves to { watchlist, fresh } (the new articles) or { watchlist, fresh: [], error }.
+   * Rejects only with an AbortError when signal aborts.
+   */
+  const fetchPage = watchlist.kind === 'headlines' ? getTopHeadlines : searchEverything;
+  try {
+    const res = await fetchPage({ ...watchlist.params, pageSize: RESULTS_PER_CHECK, page: 1 }, signal, {
+      cache: 'reload',
+      retry: false,
+    });
+    return { watchlist, fresh: recordResults(watchlist.id, res.articles, now()) };
+  } catch (err) {
+    if (isAbortError(err)) throw err;
+    const error = toNewsError(err);
+    recordFailure(watchlist.id, error, now());
+    return { watchlist, fresh: [], error };
+  }
+}
+
+// PUBLIC_INTERFACE
+export async function pollDueWatchlists({ signal, now = Date.now } = {}) {
+  /** Check every watchlist that is due, in order. Resolves to the checkWatchlist results. */
+  const results = [];
+  for (const watchlist of getWatchlists().filter((w) => isDue(w, now()))) {
+    if (signal?.aborted) break;
+    const result = await checkWatchlist(watchlist, { signal, now });
+    results.push(result);
+    if (result.error?.code === 'RATE_LIMIT') break;
+  }
+  return results;
+}
@@ -0,0 +1,213 @@
+//
+// Topic watchlists, persisted in localStorage.
+//
+// A watchlist is a named query that the app re-runs on an interval (see ./watchlistPoller):
+//   { id, name, kind: 'search' | 'headlines', params, intervalMinutes, notify,
+//     seenUrls, unread, lastCheckedAt, nextCheckAt, lastError, createdAt }
+// - params: searchEverything params ({ q, sortBy, language, ...filters }) or getTopHeadlines
+//   filters ({ country, category, sources }), as strings.
+// - seenUrls: normalized URLs (see ./clustering) of every article seen so far, newest first and
+//   capped, so a result is "new" exactly when its URL isn't in the list.
+// - unread: the new articles found since the user last marked the list read (capped).
+// The first check only records what is already there, so adding a watchlist doesn't flood it.
+//
+// Like the saved-items store this is a small observable read through useWatchlists, and changes
+// made in other tabs arrive via the 'storage' event.
+//
+import { normalizeUrl } from './clustering';
+import { ValidationError } from './errors';
+
+const STORAGE_KEY = 'oceanNews.watchlists';
+const FORMAT_VERSION = 1;
+
+export const INTERVAL_OPTIONS = [5, 15, 30, 60, 180];
+export const DEFAULT_INTERVAL_MINUTES = 15;
+// NewsAPI's developer plan allows 100 requests a day; faster polling would use it up in hours.
+export const MIN_INTERVAL_MINUTES = 5;
+const MAX_SEEN = 500;
+const MAX_UNREAD = 100;
+const KINDS = ['search', 'headlines'];
+
+const listeners = new Set();
+let state = load();
+
+function load() {
+  try {
+    const parsed = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || 'null');
+    return Array.isArray(parsed?.watchlists) ? parsed.watchlists.filter((w) => w && w.id && KINDS.includes(w.kind)) : [];
+  } catch {
+    return [];
+  }
+}
+
+function commit(next) {
+  state = next;
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify({ version: FORMAT_VERSION, watchlists: state }));
+  } catch {
+    // Storage full or disabled: keep the in-memory watchlists for this session.
+  }
+  listeners.forEach((listener) => listener());
+}
+
+function patch(id, update) {
+  let found;
+  const next = state.map((w) => {
+    if (w.id !== id) return w;
+    found = { ...w, ...update(w) };
+    return found;
+  });
+  if (found) commit(next);
+  return found;
+}
+
+function cleanParams(params) {
+  const entries = Object.entries(params || {}).filter(([, value]) => value !== undefined && value !== null && value !== '');
+  return Object.fromEntries(entries.map(([key, value]) => [key, String(value)]));
+}
+
+function clampInterval(minutes) {
+  const n = Number(minutes);
+  return Number.isFinite(n) ? Math.max(MIN_INTERVAL_MINUTES, Math.round(n)) : DEFAULT_INTERVAL_MINUTES;
+}
+
+function makeId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// PUBLIC_INTERFACE
+export function subscribeWatchlists(listener) {
+  /** Subscribe to changes; returns an unsubscribe function. Also picks up changes made in other tabs. */
+  const onStorage = (e) => {
+    if (e.key === STORAGE_KEY) {
+      state = load();
+      listener();
+    }
+  };
+  listeners.add(listener);
+  window.addEventListener('storage', onStorage);
+  return () => {
+    listeners.delete(listener);
+    window.removeEventListener('storage', onStorage);
+  };
+}
+
+// PUBLIC_INTERFACE
+export function getWatchlists() {
+  /** Current watchlists snapshot (treat as immutable). */
+  return state;
+}
+
+// PUBLIC_INTERFACE
+export function getUnreadCount(watchlists = state) {
+  /** Total unread articles across watchlists. */
+  return watchlists.reduce((sum, w) => sum + (w.unread?.length || 0), 0);
+}
+
+// PUBLIC_INTERFACE
+export function addWatchlist({ name, kind = 'search', params, intervalMinutes = DEFAULT_INTERVAL_MINUTES, notify = false } = {}) {
+  /**
+   * Create a watchlist and return it. A search watchlist needs params.q. The interval is in minutes,
+   * at least MIN_INTERVAL_MINUTES. The first poll happens right away and only establishes the baseline.
+   */
+  if (!KINDS.includes(kind)) throw new ValidationError(`Unknown watchlist type "${kind}".`, { field: 'kind' });
+  const clean = cleanParams(params);
+  if (kind === 'search' && !clean.q?.trim()) {
+    throw new ValidationError('Enter a search term to watch.', { field: 'q' });
+  }
+  const watchlist = {
+    id: makeId(),
+    name: String(name || clean.q || 'Top headlines').trim(),
+    kind,
+    params: clean,
+    intervalMinutes: clampInterval(intervalMinutes),
+    notify: !!notify,
+    seenUrls: [],
+    unread: [],
+    lastCheckedAt: null,
+    nextCheckAt: null,
+    lastError: null,
+    createdAt: new Date().toISOString(),
+  };
+  commit([...state, watchlist]);
+  return watchlist;
+}
+
+// PUBLIC_INTERFACE
+export function updateWatchlist(id, { name, intervalMinutes, notify } = {}) {
+  /** Rename a watchlist or change its interval or notifications. Returns the updated watchlist. */
+  return patch(id, (w) => ({
+    ...(name !== undefined && { name: String(name).trim() || w.name }),
+    ...(intervalMinutes !== undefined && { intervalMinutes: clampInterval(intervalMinutes) }),
+    ...(notify !== undefined && { notify: !!notify }),
+  }));
+}
+
+// PUBLIC_INTERFACE
+export function removeWatchlist(id) {
+  /** Delete a watchlist by id. */
+  commit(state.filter((w) => w.id !== id));
+}
+
+// PUBLIC_INTERFACE
+export function markRead(id) {
+  /** Clear the unread articles of one watchlist, or of all of them when id is omitted. */
+  const next = state.map((w) => (!id || w.id === id ? { ...w, unread: [] } : w));
+  commit(next);
+}
+
+// PUBLIC_INTERFACE
+export function isDue(watchlist, now = Date.now()) {
+  /** Whether a watchlist should be checked now: never checked, or its next check time has passed. */
+  if (watchlist.lastCheckedAt == null) return watchlist.nextCheckAt == null || now >= watchlist.nextCheckAt;
+  const next = watchlist.nextCheckAt ?? watchlist.lastCheckedAt + watchlist.intervalMinutes * 60000;
+  return now >= next;
+}
+
+// PUBLIC_INTERFACE
+export function findNewArticles(seenUrls, articles) {
+  /** Articles whose normalized URL isn't in seenUrls, de-duplicated, in result order. Articles without a URL are ignored. */
+  const seen = new Set(seenUrls);
+  return (articles || []).filter((a) => {
+    const key = normalizeUrl(a?.url);
+    if (!key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// PUBLIC_INTERFACE
+export function recordResults(id, articles, now = Date.now()) {
+  /**
+   * Store the outcome of a successful check. Returns the articles that are new since the last check
+   * (none on the first check, which only records the baseline).
+   */
+  const watchlist = state.find((w) => w.id === id);
+  if (!watchlist) return [];
+  const fresh = findNewArticles(watchlist.seenUrls, articles);
+  const baseline = watchlist.lastCheckedAt == null;
+  patch(id, (w) => ({
+    seenUrls: [...fresh.map((a) => normalizeUrl(a.url)), ...w.seenUrls].slice(0, MAX_SEEN),
+    unread: baseline ? w.unread : [...fresh, ...w.unread].slice(0, MAX_UNREAD),
+    lastCheckedAt: now,
+    nextCheckAt: null,
+    lastError: null,
+  }));
+  return baseline ? [] : fresh;
+}
+
+// PUBLIC_INTERFACE
+export function recordFailure(id, error, now = Date.now()) {
+  /**
+   * Store a failed check. The next attempt waits for the normal interval, or longer when rate
+   * limited: the server's Retry-After when given, otherwise twice the interval.
+   */
+  return patch(id, (w) => {
+    const intervalMs = w.intervalMinutes * 60000;
+    const wait = error?.code === 'RATE_LIMIT' ? Math.max(error.retryAfterMs ?? 2 * intervalMs, intervalMs) : intervalMs;
+    return {
+      nextCheckAt: now + wait,
+      lastError: { code: error?.code || 'UNKNOWN', message: error?.message || 'Check failed.', at: now },
+    };
+  });
+}
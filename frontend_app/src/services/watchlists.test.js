@@ -0,0 +1,92 @@
+import { configureRetry } from './newsApi';
+import { pollDueWatchlists } from './watchlistPoller';
+import {
+  addWatchlist, findNewArticles, getUnreadCount, getWatchlists, isDue, markRead, recordFailure, recordResults,
+  removeWatchlist,
+} from './watchlists';
+import { RateLimitError } from './errors';
+
+const art = (path, title = path) => ({ url: `https://example.com/${path}`, title, source: { name: 'Example' } });
+
+beforeEach(() => {
+  getWatchlists().forEach((w) => removeWatchlist(w.id));
+});
+
+test('the first check records a baseline; later checks collect unseen URLs as unread', () => {
+  const w = addWatchlist({ name: 'Wind', params: { q: 'offshore wind', language: '' } });
+  expect(w).toMatchObject({ kind: 'search', params: { q: 'offshore wind' }, intervalMinutes: 15 });
+
+  expect(recordResults(w.id, [art('a'), art('b')], 1000)).toEqual([]);
+  const fresh = recordResults(w.id, [art('c'), { ...art('a'), url: 'https://www.example.com/a?utm_source=rss' }, art('b')], 2000);
+  expect(fresh.map((a) => a.title)).toEqual(['c']);
+  expect(getUnreadCount()).toBe(1);
+  expect(JSON.parse(window.localStorage.getItem('oceanNews.watchlists')).watchlists[0].unread).toHaveLength(1);
+
+  markRead(w.id);
+  expect(getUnreadCount()).toBe(0);
+  expect(recordResults(w.id, [art('c')], 3000)).toEqual([]);
+});
+
+test('findNewArticles skips seen, duplicate and URL-less articles', () => {
+  const fresh = findNewArticles(['example.com/a'], [art('a'), art('b'), art('b'), { title: 'no url' }]);
+  expect(fresh.map((a) => a.title)).toEqual(['b']);
+});
+
+test('scheduling follows the interval and backs off on rate limits', () => {
+  const w = addWatchlist({ params: { q: 'x' }, intervalMinutes: 1 });
+  expect(w.intervalMinutes).toBe(5); // raised to the minimum
+  expect(isDue(w, 0)).toBe(true);
+
+  recordResults(w.id, [], 0);
+  let current = getWatchlists()[0];
+  expect(isDue(current, 4 * 60000)).toBe(false);
+  expect(isDue(current, 5 * 60000)).toBe(true);
+
+  recordFailure(w.id, new RateLimitError('Slow down'), 5 * 60000);
+  current = getWatchlists()[0];
+  expect(current.lastError).toMatchObject({ code: 'RATE_LIMIT' });
+  expect(isDue(current, 14 * 60000)).toBe(false); // twice the interval without Retry-After
+  expect(isDue(current, 15 * 60000)).toBe(true);
+  expect(() => addWatchlist({ params: { q: ' ' } })).toThrow(expect.objectContaining({ field: 'q' }));
+});
+
+describe('polling', () => {
+  beforeEach(() => {
+    process.env.REACT_APP_NEWS_API_BASE = 'http://localhost:3010/api/news';
+    process.env.REACT_APP_NEWS_API_MODE = 'proxy';
+    configureRetry({ maxAttempts: 3, baseDelayMs: 1, maxDelayMs: 5 });
+  });
+
+  afterEach(() => {
+    delete process.env.REACT_APP_NEWS_API_BASE;
+    delete process.env.REACT_APP_NEWS_API_MODE;
+  });
+
+  test('checks due watchlists in turn and stops the round at a rate limit', async () => {
+    const first = addWatchlist({ name: 'First', params: { q: 'first' } });
+    const second = addWatchlist({ name: 'Second', kind: 'headlines', params: { country: 'gb' } });
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: false,
+      status: 429,
+      headers: { get: () => '120' },
+      json: async () => ({ status: 'error', message: 'rateLimited' }),
+    });
+
+    const results = await pollDueWatchlists({ now: () => 0 });
+    expect(global.fetch).toHaveBeenCalledTimes(1); // no retries, and Second was not attempted
+    expect(results).toHaveLength(1);
+    expect(results[0].error.code).toBe('RATE_LIMIT');
+    // Retry-After (2 min) is shorter than the interval, so the interval applies.
+    expect(getWatchlists().find((w) => w.id === first.id).nextCheckAt).toBe(first.intervalMinutes * 60000);
+
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      status: 200,
+      json: async () => ({ status: 'ok', totalResults: 1, articles: [art('gb')] }),
+    });
+    await pollDueWatchlists({ now: () => 1000 });
+    expect(global.fetch).toHaveBeenCalledTimes(1); // First is backing off; Second runs
+    expect(global.fetch.mock.calls[0][0]).toContain('/top-headlines?country=gb&pageSize=20&page=1');
+    expect(getWatchlists().find((w) => w.id === second.id).lastCheckedAt).toBe(1000);
+  });
+});
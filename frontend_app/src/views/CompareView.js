@@ -0,0 +1,211 @@
+import React, { useMemo, useState } from 'react';
+import ErrorNotice from '../components/ErrorNotice';
+import FilterNotice from '../components/FilterNotice';
+import useContentFilters from '../hooks/useContentFilters';
+import useI18n from '../hooks/useI18n';
+import useRegionComparison from '../hooks/useRegionComparison';
+import useRoute from '../hooks/useRoute';
+import { usePreferences } from '../hooks/useSettings';
+import { useSourceFacets } from '../hooks/useSources';
+import { openReader } from '../hooks/useReader';
+import { articleKey, buildRegions, findSharedStories, MAX_REGIONS } from '../services/comparison';
+import { applyContentFilters } from '../services/contentFilters';
+import { CATEGORIES, invalidateNewsCache } from '../services/newsApi';
+
+const COUNTRY_CODE = /^[a-z]{2}$/;
+
+function parseList(value, valid) {
+  return String(value || '').split(',').map((v) => v.trim()).filter(valid);
+}
+
+function Picker({ legend, options, selected, onChange, label }) {
+  const toggle = (value) => onChange(
+    selected.includes(value) ? selected.filter((v) => v !== value) : [...selected, value]
+  );
+  return (
+    <fieldset className="settings-group compare-picker">
+      <legend>{legend}</legend>
+      <div className="compare-options">
+        {options.map((value) => (
+          <label key={value} className="label checkbox">
+            <input type="checkbox" checked={selected.includes(value)} onChange={() => toggle(value)} />
+            {label(value)}
+          </label>
+        ))}
+      </div>
+    </fieldset>
+  );
+}
+
+function RegionColumn({ region, state = { status: 'queued' }, title, shared, sharedOnly, onRetry, regionName }) {
+  const { t, formatRelative } = useI18n();
+  let body;
+  if (state.status === 'queued' || state.status === 'loading') {
+    body = <p className="cache-note">{state.status === 'queued' ? t('compare.queued') : t('list.loading')}</p>;
+  } else if (state.status === 'cancelled') {
+    body = (
+      <p className="cache-note">
+        {t('compare.cancelled')}{' '}
+        <button type="button" className="link-button" onClick={onRetry}>{t('compare.load')}</button>
+      </p>
+    );
+  } else if (state.status === 'error') {
+    body = <ErrorNotice error={state.error} onRetry={onRetry} />;
+  } else {
+    const articles = (state.articles || []).filter((a) => !sharedOnly || shared.has(articleKey(a)));
+    body = articles.length ? (
+      <ol className="compare-list">
+        {articles.map((a, i) => {
+          const regions = shared.get(articleKey(a));
+          const others = regions?.filter((id) => id !== region.id).map(regionName);
+          return (
+            <li key={a.url || i} className={regions ? 'shared-story' : undefined}>
+              <button type="button" className="link-button" onClick={() => openReader(a)} dir="auto">
+                {a.title}
+              </button>
+              <span className="cache-note">
+                {a.source?.name || t('list.unknownSource')}
+                {a.publishedAt && ` · ${formatRelative(a.publishedAt)}`}
+              </span>
+              {others?.length > 0 && (
+                <span className="badge badge-shared">{t('compare.alsoIn', { regions: others.join(', ') })}</span>
+              )}
+            </li>
+          );
+        })}
+      </ol>
+    ) : (
+      <p className="cache-note">{t('list.empty')}</p>
+    );
+  }
+
+  return (
+    <section className="news-card compare-column" aria-labelledby={`compare-${region.id}`} aria-busy={state.status === 'loading'}>
+      <h3 id={`compare-${region.id}`} className="compare-title">{title}</h3>
+      {state.offline && <p className="cache-note">{t('list.offline', { time: formatRelative(state.fetchedAt) })}</p>}
+      {body}
+    </section>
+  );
+}
+
+// PUBLIC_INTERFACE
+export default function CompareView({ onManageFilters }) {
+  /**
+   * Top headlines for several countries and/or categories side by side, synced to the URL
+   * (?countries=us,gb&categories=business). Stories carried by more than one column are highlighted,
+   * and each column loads, fails and retries on its own (see hooks/useRegionComparison). Articles
+   * matching the content filters are left out of the columns and the shared stories.
+   */
+  const { t, displayName } = useI18n();
+  const { query, setQuery } = useRoute();
+  const { country: defaultCountry, pageSize } = usePreferences();
+  const facets = useSourceFacets();
+  const [sharedOnly, setSharedOnly] = useState(false);
+  const [showHidden, setShowHidden] = useState(false);
+  const filters = useContentFilters();
+
+  // No ?countries= means the defaults; ?countries=none means none picked (compare categories in the default country).
+  const countries = query.countries === undefined
+    ? [...new Set([defaultCountry, 'us', 'gb'])].slice(0, 2)
+    : parseList(query.countries, (c) => COUNTRY_CODE.test(c));
+  const categories = parseList(query.categories, (c) => CATEGORIES.includes(c));
+  const countryKey = countries.join(',');
+  const categoryKey = categories.join(',');
+  const regions = useMemo(
+    () => buildRegions({ countries: countryKey.split(','), categories: categoryKey.split(','), defaultCountry }),
+    [countryKey, categoryKey, defaultCountry]
+  );
+  const { columns: loaded, loading, cancel, retry, reload } = useRegionComparison(regions, { pageSize });
+  const { columns, hidden } = useMemo(() => {
+    const next = {};
+    const hiddenArticles = [];
+    Object.entries(loaded).forEach(([id, state]) => {
+      if (!state?.articles) {
+        next[id] = state;
+        return;
+      }
+      const result = applyContentFilters(state.articles, filters);
+      hiddenArticles.push(...result.hidden);
+      next[id] = showHidden ? state : { ...state, articles: result.visible };
+    });
+    return { columns: next, hidden: hiddenArticles };
+  }, [loaded, filters, showHidden]);
+
+  const categoryLabel = (c) => (CATEGORIES.includes(c) ? t(`category.${c}`) : c);
+  const countryLabel = (c) => displayName('region', c, c.toUpperCase());
+  const regionTitle = (r) => (r.category ? `${countryLabel(r.country)} · ${categoryLabel(r.category)}` : countryLabel(r.country));
+  const regionName = (id) => {
+    const region = regions.find((r) => r.id === id);
+    return region ? regionTitle(region) : id;
+  };
+
+  const shared = useMemo(
+    () => findSharedStories(regions.map((r) => ({ id: r.id, articles: columns[r.id]?.articles }))),
+    [regions, columns]
+  );
+  const countryOptions = [...new Set([...countries, ...facets.countries])];
+  const combinations = Math.max(countries.length, 1) * Math.max(categories.length, 1);
+
+  const handleRefresh = async () => {
+    await invalidateNewsCache('top-headlines');
+    reload();
+  };
+
+  return (
+    <section>
+      <div className="toolbar news-card" style={{ marginBottom: 16 }}>
+        <Picker
+          legend={t('compare.countries')}
+          options={countryOptions}
+          selected={countries}
+          onChange={(next) => setQuery({ countries: next.join(',') || 'none' })}
+          label={countryLabel}
+        />
+        <Picker
+          legend={t('compare.categories')}
+          options={CATEGORIES}
+          selected={categories}
+          onChange={(next) => setQuery({ categories: next.join(',') || undefined })}
+          label={categoryLabel}
+        />
+        <div className="row" style={{ display: 'flex', gap: 8, flexWrap: 'wrap', alignItems: 'center', marginTop: 8 }}>
+          <label className="label checkbox">
+            <input type="checkbox" checked={sharedOnly} onChange={(e) => setSharedOnly(e.target.checked)} />
+            {t('compare.sharedOnly')}
+          </label>
+          <span className="cache-note" role="status">
+            {regions.length > 1 && t('compare.shared', { count: shared.stories.length })}
+          </span>
+          <div style={{ marginInlineStart: 'auto', display: 'flex', gap: 8 }}>
+            {loading ? (
+              <button className="btn btn-secondary" type="button" onClick={cancel}>{t('compare.cancel')}</button>
+            ) : (
+              <button className="btn btn-secondary" type="button" onClick={handleRefresh}>{t('cache.refresh')}</button>
+            )}
+          </div>
+        </div>
+        {combinations > MAX_REGIONS && <p className="cache-note">{t('compare.capped', { max: MAX_REGIONS })}</p>}
+        <FilterNotice hidden={hidden} showHidden={showHidden} onToggle={setShowHidden} onManage={onManageFilters} />
+      </div>
+
+      {regions.length === 0 ? (
+        <p className="cache-note">{t('compare.empty')}</p>
+      ) : (
+        <div className="compare-grid" style={{ '--compare-columns': regions.length }}>
+          {regions.map((region) => (
+            <RegionColumn
+              key={region.id}
+              region={region}
+              state={columns[region.id]}
+              title={regionTitle(region)}
+              shared={shared.byKey}
+              sharedOnly={sharedOnly}
+              onRetry={() => retry(region.id)}
+              regionName={regionName}
+            />
+          ))}
+        </div>
+      )}
+    </section>
+  );
+}
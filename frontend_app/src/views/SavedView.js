@@ -0,0 +1,78 @@
+import React, { useRef, useState } from 'react';
+import NewsList from '../components/NewsList';
+import SavedSearches from '../components/SavedSearches';
+import useI18n from '../hooks/useI18n';
+import useSavedItems from '../hooks/useSavedItems';
+import { navigate } from '../hooks/useRoute';
+import { downloadFile } from '../services/download';
+import { exportSaved, importSaved } from '../services/savedItems';
+
+// PUBLIC_INTERFACE
+export default function SavedView() {
+  /** Bookmarked articles (stored locally, readable offline) and saved searches, with JSON import/export. */
+  const { t } = useI18n();
+  const { bookmarks } = useSavedItems();
+  const fileRef = useRef(null);
+  const [status, setStatus] = useState({ type: '', message: '' });
+
+  const handleExport = () => {
+    downloadFile(`ocean-news-saved-${new Date().toISOString().slice(0, 10)}.json`, exportSaved(), 'application/json');
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    try {
+      const added = importSaved(await file.text());
+      const message = t('saved.imported', {
+        bookmarks: t('saved.importedBookmarks', { count: added.bookmarks }),
+        searches: t('saved.importedSearches', { count: added.searches }),
+      });
+      setStatus({ type: 'ok', message });
+    } catch (err) {
+      setStatus({ type: 'error', message: err?.message || t('saved.importFailed') });
+    }
+  };
+
+  const runSearch = ({ q, sortBy, language, filters }) => navigate('/search', { q, sortBy, language, ...filters });
+
+  return (
+    <section className="with-sidebar">
+      <div>
+        <div className="toolbar news-card" style={{ marginBottom: 16 }}>
+          <div className="row" style={{ display: 'flex', gap: 8, flexWrap: 'wrap', alignItems: 'center' }}>
+            <strong>{t('saved.bookmarks', { count: bookmarks.length })}</strong>
+            <div style={{ marginInlineStart: 'auto', display: 'flex', gap: 8 }}>
+              <button className="btn btn-secondary" type="button" onClick={() => fileRef.current?.click()}>
+                {t('saved.import')}
+              </button>
+              <button className="btn" type="button" onClick={handleExport}>
+                {t('saved.export')}
+              </button>
+              <input
+                ref={fileRef}
+                type="file"
+                accept="application/json,.json"
+                onChange={handleImport}
+                hidden
+                aria-label={t('saved.importFile')}
+              />
+            </div>
+          </div>
+          {status.message && (
+            <div
+              className={status.type === 'error' ? 'error-banner' : 'notice'}
+              role={status.type === 'error' ? 'alert' : 'status'}
+              style={{ marginTop: 12 }}
+            >
+              {status.message}
+            </div>
+          )}
+        </div>
+        <NewsList articles={bookmarks} cluster={false} emptyMessage={t('saved.empty')} />
+      </div>
+      <SavedSearches onRun={runSearch} />
+    </section>
+  );
+}
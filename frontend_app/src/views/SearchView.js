@@ -1,44 +1,166 @@
-import React, { useState } from 'react';
+import React, { useCallback, useMemo, useState } from 'react';
+import AnalyticsPanel from '../components/AnalyticsPanel';
 import NewsSearch from '../components/NewsSearch';
+import CacheStatus from '../components/CacheStatus';
+import ExportMenu from '../components/ExportMenu';
+import FilterNotice from '../components/FilterNotice';
 import NewsList from '../components/NewsList';
-import { searchEverything } from '../services/newsApi';
+import Pager from '../components/Pager';
+import SavedSearches from '../components/SavedSearches';
+import { useFilteredArticles } from '../hooks/useContentFilters';
+import useI18n from '../hooks/useI18n';
+import usePagedArticles from '../hooks/usePagedArticles';
+import useRoute, { navigate } from '../hooks/useRoute';
+import { usePreferences } from '../hooks/useSettings';
+import { applyContentFilters } from '../services/contentFilters';
+import { invalidateNewsCache, searchEverything } from '../services/newsApi';
+import { fetchAllPages } from '../services/pagination';
+import { saveSearch } from '../services/savedItems';
+import { addWatchlist } from '../services/watchlists';
+import { ADVANCED_SEARCH_PARAMS } from '../services/searchQuery';
+
+const DEFAULT_SORT = 'publishedAt';
 
 // PUBLIC_INTERFACE
-export default function SearchView() {
-  /** Search view for querying articles with sort/language controls. */
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState('');
-  const [articles, setArticles] = useState([]);
-
-  const handleSearch = async (params) => {
-    setLoading(true);
-    setError('');
-    const controller = new AbortController();
-    try {
-      const res = await searchEverything(params, controller.signal);
-      setArticles(res.articles);
-      if (!res.articles?.length) {
-        setError('No results found for your query.');
-      }
-    } catch (e) {
-      setArticles([]);
-      const msg = e?.message || 'Failed to search news.';
-      const enriched =
-        e?.code === 'NETWORK'
-          ? `${msg} If you're using a proxy, ensure REACT_APP_NEWS_API_BASE points to it and that the proxy is running. Otherwise verify CORS/network access and try again.`
-          : e?.code === 'CONFIG'
-          ? `${msg} For direct NewsAPI usage, set REACT_APP_NEWS_API_KEY. To avoid CORS, set REACT_APP_NEWS_API_BASE to your proxy (e.g., http://localhost:3010/api/news).`
-          : msg;
-      setError(enriched);
-    } finally {
-      setLoading(false);
-    }
+export default function SearchView({ onOpenSettings, onManageFilters }) {
+  /**
+   * Search view for querying articles with sort/language controls and advanced filters, synced to
+   * the URL (?q=...&sortBy=...&language=...&domains=...&from=...&page=...). The default language
+   * and the page size come from the settings. Articles matching the content filters are left out
+   * (see FilterNotice).
+   */
+  const { t } = useI18n();
+  const { query, setQuery } = useRoute();
+  const { language: defaultLanguage, pageSize } = usePreferences();
+  const { q = '', sortBy = DEFAULT_SORT, language = defaultLanguage } = query;
+  const { searchIn, sources, domains, excludeDomains, from, to } = query;
+  // Only the advanced params present in the URL, e.g. { domains: 'bbc.co.uk', from: '2024-03-01' }.
+  const filters = useMemo(
+    () => Object.fromEntries(Object.entries({ searchIn, sources, domains, excludeDomains, from, to }).filter(([, value]) => value)),
+    [searchIn, sources, domains, excludeDomains, from, to]
+  );
+  const [infinite, setInfinite] = useState(false);
+  const [live, setLive] = useState(false);
+  const [showInsights, setShowInsights] = useState(false);
+  const onPageChange = useCallback((p) => setQuery({ page: p > 1 ? p : undefined }), [setQuery]);
+
+  // A new query/sort/language/filter set yields a new params object, which resets pagination to page 1.
+  const params = useMemo(() => (q ? { q, sortBy, language, ...filters } : null), [q, sortBy, language, filters]);
+  const {
+    articles: loaded, totalResults, loading, loadingMore, error, page, pageCount, hasMore, setPage, loadMore,
+    refresh, fromCache, fetchedAt, offline, retry,
+  } = usePagedArticles(searchEverything, params, {
+    pageSize,
+    infinite,
+    page: query.page || 1,
+    onPageChange,
+  });
+  const { articles, hidden, showHidden, setShowHidden, hiddenNotes } = useFilteredArticles(loaded);
+
+  const handleRefresh = async () => {
+    await invalidateNewsCache('search');
+    refresh();
+  };
+
+  const handleSearch = (next, options) => {
+    setQuery({
+      q: next.q,
+      sortBy: next.sortBy === DEFAULT_SORT ? undefined : next.sortBy,
+      language: next.language === defaultLanguage ? undefined : next.language,
+      ...Object.fromEntries(ADVANCED_SEARCH_PARAMS.map((key) => [key, next[key] || next.filters?.[key] || undefined])),
+      page: undefined,
+    }, options);
+  };
+
+  const handleSave = () => {
+    const name = window.prompt(t('search.savePrompt'), q);
+    if (name !== null) saveSearch({ q, sortBy, language, filters, name: name.trim() || q });
+  };
+
+  const handleWatch = () => {
+    const name = window.prompt(t('search.watchPrompt'), q);
+    if (name === null) return;
+    addWatchlist({ name: name.trim() || q, kind: 'search', params });
+    navigate('/watchlists');
   };
 
   return (
-    <section>
-      <NewsSearch onSearch={handleSearch} />
-      <NewsList articles={articles} loading={loading} error={error} />
+    <section className="with-sidebar">
+      <div>
+        <NewsSearch onSearch={handleSearch} values={{ q, sortBy, language, ...filters }} live={live} />
+        <div className="row" style={{ display: 'flex', gap: 8, alignItems: 'center', marginBottom: 12 }}>
+          <label className="label checkbox">
+            <input
+              type="checkbox"
+              checked={infinite}
+              onChange={(e) => setInfinite(e.target.checked)}
+            />
+            {t('search.infinite')}
+          </label>
+          <label className="label checkbox">
+            <input
+              type="checkbox"
+              checked={live}
+              onChange={(e) => setLive(e.target.checked)}
+            />
+            {t('search.live')}
+          </label>
+          {params && (
+            <div style={{ marginInlineStart: 'auto', display: 'flex', gap: 8, flexWrap: 'wrap', alignItems: 'center' }}>
+              <button className="btn btn-secondary" type="button" onClick={handleWatch}>
+                {t('search.watch')}
+              </button>
+              <button
+                className="btn btn-secondary"
+                type="button"
+                onClick={() => setShowInsights((v) => !v)}
+                aria-expanded={showInsights}
+              >
+                {t('analytics.toggle')}
+              </button>
+              <ExportMenu
+                articles={articles}
+                fetchAll={async (signal) => applyContentFilters(await fetchAllPages(searchEverything, params, { signal })).visible}
+                meta={{ title: t('search.exportTitle', { query: q }), filenameBase: `search-${q}` }}
+                disabled={loading}
+              />
+              <CacheStatus fromCache={fromCache} fetchedAt={fetchedAt} onRefresh={handleRefresh} disabled={loading} />
+            </div>
+          )}
+        </div>
+        {params && showInsights && (
+          <AnalyticsPanel
+            articles={articles}
+            language={language}
+            query={q}
+            onSearchTerm={(term) => handleSearch({ q: term, sortBy, language })}
+          />
+        )}
+        {!loading && (
+          <FilterNotice hidden={hidden} showHidden={showHidden} onToggle={setShowHidden} onManage={onManageFilters} />
+        )}
+        <NewsList
+          articles={articles}
+          hiddenNotes={hiddenNotes}
+          lang={language}
+          loading={loading}
+          error={error}
+          infinite={infinite}
+          hasMore={hasMore}
+          loadingMore={loadingMore}
+          onLoadMore={loadMore}
+          retry={retry}
+          onRetry={refresh}
+          onOpenSettings={onOpenSettings}
+          offline={offline}
+          fetchedAt={fetchedAt}
+          emptyMessage={params ? t('search.noResults') : t('search.enterTerm')}
+        />
+        {!infinite && (
+          <Pager page={page} pageCount={pageCount} totalResults={totalResults} onChange={setPage} disabled={loading} />
+        )}
+      </div>
+      <SavedSearches onRun={handleSearch} onSaveCurrent={handleSave} canSave={!!q} />
     </section>
   );
 }
@@ -0,0 +1,104 @@
+import React from 'react';
+import ErrorNotice from '../components/ErrorNotice';
+import useI18n from '../hooks/useI18n';
+import useRoute, { navigate } from '../hooks/useRoute';
+import useSources, { useSourceFacets } from '../hooks/useSources';
+import { CATEGORIES } from '../services/newsApi';
+import { MAX_SOURCES } from '../services/searchQuery';
+
+// PUBLIC_INTERFACE
+export default function SourcesView({ onOpenSettings }) {
+  /**
+   * Publisher directory filterable by category, language and country (?category=&language=&country=).
+   * Picked sources (?selected=a,b) can be sent to Top Headlines or used as a search filter.
+   */
+  const { t, displayName } = useI18n();
+  const { query, setQuery } = useRoute();
+  const { category = '', language = '', country = '' } = query;
+  const selected = query.selected ? query.selected.split(',') : [];
+  const facets = useSourceFacets();
+  const { sources, loading, error, reload } = useSources({
+    category: category || undefined,
+    language: language || undefined,
+    country: country || undefined,
+  });
+
+  const setSelected = (ids) => setQuery({ selected: ids.join(',') || undefined }, { replace: true });
+  const toggle = (id) => setSelected(selected.includes(id) ? selected.filter((s) => s !== id) : [...selected, id]);
+  const full = selected.length >= MAX_SOURCES;
+  const categoryName = (c) => (CATEGORIES.includes(c) ? t(`category.${c}`) : c[0].toUpperCase() + c.slice(1));
+  const languageName = (code) => displayName('language', code);
+  const countryName = (code) => displayName('region', code, code.toUpperCase());
+
+  const filterSelect = (label, value, key, options, format) => (
+    <label className="label">
+      {label}
+      <select className="select" value={value} onChange={(e) => setQuery({ [key]: e.target.value || undefined })} aria-label={label}>
+        <option value="">{t('sources.all')}</option>
+        {options.map((o) => (
+          <option key={o} value={o}>{format(o)}</option>
+        ))}
+      </select>
+    </label>
+  );
+
+  return (
+    <section>
+      <div className="toolbar news-card" style={{ marginBottom: 16 }}>
+        <div className="row" style={{ display: 'flex', gap: 8, flexWrap: 'wrap', alignItems: 'center' }}>
+          {filterSelect(t('headlines.category'), category, 'category', facets.categories, categoryName)}
+          {filterSelect(t('search.language'), language, 'language', facets.languages, languageName)}
+          {filterSelect(t('headlines.country'), country, 'country', facets.countries, countryName)}
+          <span className="cache-note" style={{ marginInlineStart: 'auto' }}>
+            {loading ? t('list.loading') : t('list.sources', { count: sources.length })}
+          </span>
+        </div>
+        <div className="source-filter">
+          <span>
+            {selected.length
+              ? <>{t('sources.selected')} <strong>{selected.join(', ')}</strong>{full && ` ${t('sources.maximum', { max: MAX_SOURCES })}`}</>
+              : t('sources.pick')}
+          </span>
+          <button type="button" className="btn" disabled={!selected.length} onClick={() => navigate('/headlines', { sources: selected.join(',') })}>
+            {t('sources.showHeadlines')}
+          </button>
+          <button type="button" className="btn btn-secondary" disabled={!selected.length} onClick={() => navigate('/search', { sources: selected.join(',') })}>
+            {t('sources.useInSearch')}
+          </button>
+          {selected.length > 0 && (
+            <button type="button" className="btn btn-secondary" onClick={() => setSelected([])}>
+              {t('sources.clear')}
+            </button>
+          )}
+        </div>
+      </div>
+
+      {error && <ErrorNotice error={error} onRetry={reload} onOpenSettings={onOpenSettings} />}
+      {!error && !loading && sources.length === 0 && <div className="empty">{t('sources.none')}</div>}
+      <ul className="source-grid">
+        {sources.map((s) => {
+          const checked = selected.includes(s.id);
+          return (
+            <li key={s.id} className={`news-card source-card ${checked ? 'selected' : ''}`}>
+              <label className="label checkbox">
+                <input type="checkbox" checked={checked} disabled={!checked && full} onChange={() => toggle(s.id)} />
+                <strong>{s.name}</strong>
+              </label>
+              {s.description && <p className="desc">{s.description}</p>}
+              <div className="meta">
+                {[s.category && categoryName(s.category), s.language && languageName(s.language), s.country && countryName(s.country)]
+                  .filter(Boolean)
+                  .join(' · ')}
+              </div>
+              {s.url && (
+                <a className="link" href={s.url} target="_blank" rel="noopener noreferrer">
+                  {t('sources.visit')} <span className="dir-arrow" aria-hidden="true">→</span>
+                </a>
+              )}
+            </li>
+          );
+        })}
+      </ul>
+    </section>
+  );
+}
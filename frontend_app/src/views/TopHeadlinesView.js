@@ -1,80 +1,185 @@
-import React, { useEffect, useMemo, useState } from 'react';
+import React, { useCallback, useMemo, useState } from 'react';
+import AnalyticsPanel from '../components/AnalyticsPanel';
+import CacheStatus from '../components/CacheStatus';
+import ExportMenu from '../components/ExportMenu';
+import FilterNotice from '../components/FilterNotice';
 import NewsList from '../components/NewsList';
-import { getTopHeadlines } from '../services/newsApi';
+import Pager from '../components/Pager';
+import { useFilteredArticles } from '../hooks/useContentFilters';
+import useI18n from '../hooks/useI18n';
+import usePagedArticles from '../hooks/usePagedArticles';
+import useRoute, { navigate } from '../hooks/useRoute';
+import { usePreferences } from '../hooks/useSettings';
+import { useSourceFacets } from '../hooks/useSources';
+import { applyContentFilters } from '../services/contentFilters';
+import { CATEGORIES, getTopHeadlines, invalidateNewsCache } from '../services/newsApi';
+import { fetchAllPages } from '../services/pagination';
+import { addWatchlist } from '../services/watchlists';
 
-const categories = ['', 'business', 'entertainment', 'general', 'health', 'science', 'sports', 'technology'];
-const countries = ['us', 'gb', 'ca', 'au', 'de', 'fr', 'in', 'it', 'jp', 'za'];
+const COUNTRY_CODE = /^[a-z]{2}$/;
 
 // PUBLIC_INTERFACE
-export default function TopHeadlinesView() {
-  /** Top headlines with country and category filters. */
-  const [country, setCountry] = useState('us');
-  const [category, setCategory] = useState('');
-  const [page] = useState(1);
-  const [loading, setLoading] = useState(false);
-  const [error, setError] = useState('');
-  const [articles, setArticles] = useState([]);
+export default function TopHeadlinesView({ onOpenSettings, onManageFilters }) {
+  /**
+   * Top headlines with country and category filters, synced to the URL (?country=gb&category=technology&page=2).
+   * ?sources=bbc-news,reuters (picked in the Sources view) replaces the country/category filters.
+   * The default country and the page size come from the settings. Articles matching the content
+   * filters are left out (see FilterNotice), also from insights and exports.
+   */
+  const { t, displayName, locale } = useI18n();
+  const { query, setQuery } = useRoute();
+  const { country: defaultCountry, pageSize } = usePreferences();
+  const facets = useSourceFacets();
+  const country = COUNTRY_CODE.test(query.country || '') ? query.country : defaultCountry;
+  const category = CATEGORIES.includes(query.category) ? query.category : '';
+  const sources = query.sources || '';
+  // Menus list what the sources directory knows about, plus a value that arrived via a link.
+  const countries = facets.countries.includes(country) ? facets.countries : [country, ...facets.countries];
+  const categories = ['', ...facets.categories];
+  const [infinite, setInfinite] = useState(false);
+  const [showInsights, setShowInsights] = useState(false);
 
-  const fetchParams = useMemo(() => ({ country, category: category || undefined, pageSize: 12, page }), [country, category, page]);
+  // Defaults are left out of the URL; changing a filter goes back to page 1.
+  const setFilter = (changes) => setQuery({ ...changes, page: undefined });
+  const setCountry = (value) => setFilter({ country: value === defaultCountry ? undefined : value });
+  const setCategory = (value) => setFilter({ category: value || undefined });
+  const onPageChange = useCallback((p) => setQuery({ page: p > 1 ? p : undefined }), [setQuery]);
 
-  useEffect(() => {
-    const controller = new AbortController();
-    setLoading(true);
-    setError('');
-    getTopHeadlines(fetchParams, controller.signal)
-      .then((res) => {
-        setArticles(res.articles);
-      })
-      .catch((e) => {
-        const msg = e?.message || 'Failed to load top headlines.';
-        // Provide helpful hints for common cases without leaking sensitive data
-        const enriched =
-          e?.code === 'NETWORK'
-            ? `${msg} If you're using a proxy, ensure REACT_APP_NEWS_API_BASE points to it and that the proxy is running. Otherwise verify CORS/network access and try again.`
-            : e?.code === 'CONFIG'
-            ? `${msg} For direct NewsAPI usage, set REACT_APP_NEWS_API_KEY. To avoid CORS, set REACT_APP_NEWS_API_BASE to your proxy (e.g., http://localhost:3010/api/news).`
-            : msg;
-        setError(enriched);
-        setArticles([]);
-      })
-      .finally(() => setLoading(false));
+  const fetchParams = useMemo(
+    () => (sources ? { sources } : { country, category: category || undefined }),
+    [sources, country, category]
+  );
+  const {
+    articles: loaded, totalResults, loading, loadingMore, error, page, pageCount, hasMore, setPage, loadMore,
+    refresh, fromCache, fetchedAt, offline, retry,
+  } = usePagedArticles(getTopHeadlines, fetchParams, {
+    pageSize,
+    infinite,
+    page: query.page || 1,
+    onPageChange,
+  });
+  const { articles, hidden, showHidden, setShowHidden, hiddenNotes } = useFilteredArticles(loaded);
+
+  // The sources directory may list categories beyond NewsAPI's, which have no translation.
+  const categoryLabel = (c) => (CATEGORIES.includes(c) ? t(`category.${c}`) : c[0].toUpperCase() + c.slice(1));
+  const filterLabel = sources
+    ? sources.split(',').join(', ')
+    : `${country.toUpperCase()}${category ? `, ${categoryLabel(category)}` : ''}`;
+  const exportMeta = {
+    title: t('headlines.exportTitle', { filters: filterLabel }),
+    filenameBase: sources ? 'headlines-sources' : `headlines-${country}${category ? `-${category}` : ''}`,
+  };
+
+  const handleWatch = () => {
+    const name = window.prompt(t('headlines.watchPrompt'), t('headlines.watchName', { filters: filterLabel }));
+    if (name === null) return;
+    addWatchlist({ name, kind: 'headlines', params: fetchParams });
+    navigate('/watchlists');
+  };
 
-    return () => controller.abort();
-  }, [fetchParams]);
+  const handleRefresh = async () => {
+    await invalidateNewsCache('top-headlines');
+    refresh();
+  };
 
   return (
     <section>
       <div className="toolbar news-card" style={{ marginBottom: 16 }}>
         <div className="row" style={{ display: 'flex', gap: 8, flexWrap: 'wrap' }}>
           <label className="label">
-            Country
+            {t('headlines.country')}
             <select
               className="select"
               value={country}
               onChange={(e) => setCountry(e.target.value)}
-              aria-label="Country"
+              aria-label={t('headlines.country')}
+              disabled={!!sources}
             >
               {countries.map((c) => (
-                <option key={c} value={c}>{c.toUpperCase()}</option>
+                <option key={c} value={c}>{displayName('region', c, c.toUpperCase())}</option>
               ))}
             </select>
           </label>
           <label className="label">
-            Category
+            {t('headlines.category')}
             <select
               className="select"
               value={category}
               onChange={(e) => setCategory(e.target.value)}
-              aria-label="Category"
+              aria-label={t('headlines.category')}
+              disabled={!!sources}
             >
               {categories.map((c) => (
-                <option key={c || 'all'} value={c}>{c ? c[0].toUpperCase() + c.slice(1) : 'All'}</option>
+                <option key={c || 'all'} value={c}>{c ? categoryLabel(c) : t('headlines.allCategories')}</option>
               ))}
             </select>
           </label>
+          <label className="label checkbox">
+            <input
+              type="checkbox"
+              checked={infinite}
+              onChange={(e) => setInfinite(e.target.checked)}
+            />
+            {t('headlines.infinite')}
+          </label>
+          <div style={{ marginInlineStart: 'auto', display: 'flex', gap: 8, flexWrap: 'wrap', alignItems: 'center' }}>
+            <button className="btn btn-secondary" type="button" onClick={handleWatch}>
+              {t('headlines.watch')}
+            </button>
+            <button
+              className="btn btn-secondary"
+              type="button"
+              onClick={() => setShowInsights((v) => !v)}
+              aria-expanded={showInsights}
+            >
+              {t('analytics.toggle')}
+            </button>
+            <ExportMenu
+              articles={articles}
+              fetchAll={async (signal) => applyContentFilters(await fetchAllPages(getTopHeadlines, fetchParams, { signal })).visible}
+              meta={exportMeta}
+              disabled={loading}
+            />
+            <CacheStatus fromCache={fromCache} fetchedAt={fetchedAt} onRefresh={handleRefresh} disabled={loading} />
+          </div>
         </div>
+        {sources && (
+          <div className="source-filter">
+            <span>{t('headlines.fromSources', { sources: <strong>{sources.split(',').join(', ')}</strong> })}</span>
+            <button type="button" className="btn btn-secondary" onClick={() => setFilter({ sources: undefined })}>
+              {t('headlines.clearSources')}
+            </button>
+            <button type="button" className="btn btn-secondary" onClick={() => navigate('/sources', { selected: sources })}>
+              {t('headlines.changeSources')}
+            </button>
+          </div>
+        )}
       </div>
-      <NewsList articles={articles} loading={loading} error={error} />
+      {showInsights && (
+        // Headlines have no search language, so trending terms use the UI language's stopwords.
+        <AnalyticsPanel articles={articles} language={locale} onSearchTerm={(term) => navigate('/search', { q: term })} />
+      )}
+      {!loading && (
+        <FilterNotice hidden={hidden} showHidden={showHidden} onToggle={setShowHidden} onManage={onManageFilters} />
+      )}
+      <NewsList
+        articles={articles}
+        hiddenNotes={hiddenNotes}
+        loading={loading}
+        error={error}
+        infinite={infinite}
+        hasMore={hasMore}
+        loadingMore={loadingMore}
+        onLoadMore={loadMore}
+        retry={retry}
+        onRetry={refresh}
+        onOpenSettings={onOpenSettings}
+        offline={offline}
+        fetchedAt={fetchedAt}
+      />
+      {!infinite && (
+        <Pager page={page} pageCount={pageCount} totalResults={totalResults} onChange={setPage} disabled={loading} />
+      )}
     </section>
   );
 }
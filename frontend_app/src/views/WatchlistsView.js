@@ -0,0 +1,183 @@
+import React, { useState } from 'react';
+import NewsList from '../components/NewsList';
+import useI18n from '../hooks/useI18n';
+import { requestNotificationPermission } from '../hooks/useWatchlistPolling';
+import useWatchlists from '../hooks/useWatchlists';
+import { navigate } from '../hooks/useRoute';
+import { CATEGORIES } from '../services/newsApi';
+import { checkWatchlist } from '../services/watchlistPoller';
+import {
+  addWatchlist, DEFAULT_INTERVAL_MINUTES, INTERVAL_OPTIONS, markRead, removeWatchlist, updateWatchlist,
+} from '../services/watchlists';
+
+function describe(watchlist, t) {
+  const { kind, params } = watchlist;
+  if (kind === 'search') return t('watchlists.search', { query: params.q });
+  if (params.sources) return t('watchlists.sources', { sources: params.sources.split(',').join(', ') });
+  const category = CATEGORIES.includes(params.category) ? t(`category.${params.category}`) : params.category;
+  return [t('watchlists.headlines'), (params.country || 'us').toUpperCase(), category].filter(Boolean).join(', ');
+}
+
+function formatInterval(minutes, t) {
+  return minutes < 60 ? t('watchlists.minutes', { minutes }) : t('watchlists.hours', { hours: minutes / 60 });
+}
+
+function WatchlistCard({ watchlist }) {
+  const { t, formatDate } = useI18n();
+  const [checking, setChecking] = useState(false);
+  const [notifyBlocked, setNotifyBlocked] = useState(false);
+  const { id, name, kind, params, unread, lastCheckedAt, lastError, intervalMinutes, notify } = watchlist;
+  const intervals = INTERVAL_OPTIONS.includes(intervalMinutes) ? INTERVAL_OPTIONS : [...INTERVAL_OPTIONS, intervalMinutes].sort((a, b) => a - b);
+
+  const checkNow = async () => {
+    setChecking(true);
+    await checkWatchlist(watchlist).catch(() => {});
+    setChecking(false);
+  };
+
+  const toggleNotify = async (enabled) => {
+    // Permission can only be requested from a user action, so ask when notifications are switched on.
+    const granted = enabled ? await requestNotificationPermission() : true;
+    setNotifyBlocked(enabled && !granted);
+    updateWatchlist(id, { notify: enabled && granted });
+  };
+
+  const open = () => navigate(kind === 'search' ? '/search' : '/headlines', params);
+
+  return (
+    <section className="news-card watchlist" aria-labelledby={`watchlist-${id}`}>
+      <div className="watchlist-header">
+        <div>
+          <h2 id={`watchlist-${id}`} className="diagnostics-title">
+            {name}
+            {unread.length > 0 && <span className="badge">{t('watchlists.new', { count: unread.length })}</span>}
+          </h2>
+          <div className="saved-meta">
+            {[
+              describe(watchlist, t),
+              t('watchlists.every', { interval: formatInterval(intervalMinutes, t) }),
+              lastCheckedAt
+                ? t('watchlists.checked', { time: formatDate(lastCheckedAt, { timeStyle: 'medium' }) })
+                : t('watchlists.notChecked'),
+            ].join(' · ')}
+          </div>
+        </div>
+        <div className="watchlist-actions">
+          <label className="label">
+            {t('watchlists.interval')}
+            <select
+              className="select"
+              value={intervalMinutes}
+              onChange={(e) => updateWatchlist(id, { intervalMinutes: Number(e.target.value) })}
+              aria-label={t('watchlists.intervalFor', { name })}
+            >
+              {intervals.map((m) => (
+                <option key={m} value={m}>{formatInterval(m, t)}</option>
+              ))}
+            </select>
+          </label>
+          <label className="label checkbox">
+            <input type="checkbox" checked={notify} onChange={(e) => toggleNotify(e.target.checked)} />
+            {t('watchlists.notify')}
+          </label>
+          <button className="btn btn-secondary" type="button" onClick={checkNow} disabled={checking}>
+            {checking ? t('watchlists.checking') : t('watchlists.checkNow')}
+          </button>
+          <button className="btn btn-secondary" type="button" onClick={open}>
+            {t('watchlists.open')}
+          </button>
+          <button className="btn btn-secondary" type="button" onClick={() => markRead(id)} disabled={!unread.length}>
+            {t('watchlists.markRead')}
+          </button>
+          <button
+            className="btn btn-secondary"
+            type="button"
+            onClick={() => window.confirm(t('watchlists.confirmRemove', { name })) && removeWatchlist(id)}
+          >
+            {t('watchlists.remove')}
+          </button>
+        </div>
+      </div>
+      {notifyBlocked && (
+        <p className="cache-note">{t('watchlists.notifyBlocked')}</p>
+      )}
+      {lastError && (
+        <p className="watchlist-error" role="status">
+          {t('watchlists.lastError', { message: lastError.message })}
+        </p>
+      )}
+      <NewsList
+        articles={unread}
+        emptyMessage={t(lastCheckedAt ? 'watchlists.noNew' : 'watchlists.firstCheck')}
+      />
+    </section>
+  );
+}
+
+// PUBLIC_INTERFACE
+export default function WatchlistsView() {
+  /**
+   * Watchlists: named queries polled in the background (see hooks/useWatchlistPolling), each with
+   * its unread new articles, interval, notifications and actions. New ones can be added here for a
+   * query, or from the headlines and search views.
+   */
+  const { t } = useI18n();
+  const watchlists = useWatchlists();
+  const [q, setQ] = useState('');
+  const [name, setName] = useState('');
+  const [intervalMinutes, setIntervalMinutes] = useState(DEFAULT_INTERVAL_MINUTES);
+  const [error, setError] = useState(null);
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    try {
+      addWatchlist({ name: name.trim() || q.trim(), kind: 'search', params: { q: q.trim() }, intervalMinutes });
+      setQ('');
+      setName('');
+      setError(null);
+    } catch (err) {
+      setError(err);
+    }
+  };
+
+  return (
+    <section>
+      <form className="toolbar news-card" onSubmit={handleAdd} style={{ marginBottom: 16 }}>
+        <div className="row" style={{ display: 'flex', gap: 8, flexWrap: 'wrap', alignItems: 'flex-end' }}>
+          <label className="label" style={{ flex: 2, minWidth: 200 }}>
+            {t('watchlists.query')}
+            <input className="input" value={q} onChange={(e) => setQ(e.target.value)} placeholder={t('watchlists.queryPlaceholder')} />
+          </label>
+          <label className="label" style={{ flex: 1, minWidth: 140 }}>
+            {t('watchlists.name')}
+            <input className="input" value={name} onChange={(e) => setName(e.target.value)} placeholder={t('watchlists.optional')} />
+          </label>
+          <label className="label">
+            {t('watchlists.frequency')}
+            <select className="select" value={intervalMinutes} onChange={(e) => setIntervalMinutes(Number(e.target.value))}>
+              {INTERVAL_OPTIONS.map((m) => (
+                <option key={m} value={m}>{formatInterval(m, t)}</option>
+              ))}
+            </select>
+          </label>
+          <button className="btn" type="submit">
+            {t('watchlists.add')}
+          </button>
+        </div>
+        {error && (
+          <div className="error-banner" role="alert" style={{ marginTop: 12 }}>
+            {error.message}
+          </div>
+        )}
+        <p className="cache-note" style={{ marginBottom: 0 }}>
+          {t('watchlists.help', { watch: t('search.watch') })}
+        </p>
+      </form>
+      {watchlists.length === 0 ? (
+        <div className="empty">{t('watchlists.none')}</div>
+      ) : (
+        watchlists.map((w) => <WatchlistCard key={w.id} watchlist={w} />)
+      )}
+    </section>
+  );
+}